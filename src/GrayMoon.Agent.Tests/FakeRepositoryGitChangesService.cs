@@ -57,12 +57,33 @@ public sealed class FakeRepositoryGitChangesService : IRepositoryGitChangesServi
     public Task<GitDiffDocument> GetDiffAsync(string repoPath, GitDiffRequest request, CancellationToken cancellationToken) =>
         throw new NotSupportedException("Not used by these tests.");
 
+    public Task<GitRefComparisonResult> CompareRefsAsync(string repoPath, GitRefComparisonRequest request, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
+    public Task<GitDiffDocument> GetRefDiffAsync(string repoPath, GitRefDiffRequest request, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
+    public Task<GitBlameResult> GetBlameAsync(string repoPath, GitBlameRequest request, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
     public Task<GitMutationResult> StageAsync(string repoPath, GitStageOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken) =>
         throw new NotSupportedException("Not used by these tests.");
 
     public Task<GitMutationResult> UnstageAsync(string repoPath, GitStageOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken) =>
         throw new NotSupportedException("Not used by these tests.");
 
+    public Task<GitMutationResult> ApplyPatchAsync(string repoPath, GitPatchOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
+    public Task<GitConflictResult> GetConflictAsync(string repoPath, string? path, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
+    public Task<GitMutationResult> ResolveConflictAsync(string repoPath, GitConflictResolutionRequest request, long nextSnapshotVersion, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
+    public Task<GitMutationResult> WriteWorkingTreeFileAsync(string repoPath, GitWorkingTreeWriteRequest request, long nextSnapshotVersion, CancellationToken cancellationToken) =>
+        throw new NotSupportedException("Not used by these tests.");
+
     public Task<GitCommitResult> CommitAsync(string repoPath, GitCommitOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken) =>
         throw new NotSupportedException("Not used by these tests.");
 
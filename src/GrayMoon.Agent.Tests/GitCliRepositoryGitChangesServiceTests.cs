@@ -1,3 +1,4 @@
+using System.Text;
 using GrayMoon.Agent.Abstractions;
 using GrayMoon.Agent.Services;
 using GrayMoon.Agent.Services.GitChanges;
@@ -327,6 +328,100 @@ public sealed class GitCliRepositoryGitChangesServiceTests : IDisposable
         Assert.Equal("InvalidPath", stageResult.ErrorCode);
     }
 
+    [Fact]
+    public async Task ApplyPatch_stage_stages_only_the_hunk_in_the_patch()
+    {
+        _repo.CommitInitial("file.txt", "one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\n");
+        _repo.WriteFile("file.txt", "ONE\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nTEN\n");
+        const string patch = "diff --git a/file.txt b/file.txt\n--- a/file.txt\n+++ b/file.txt\n@@ -1,4 +1,4 @@\n-one\n+ONE\n two\n three\n four\n";
+
+        var result = await _service.ApplyPatchAsync(
+            _repo.RepositoryPath,
+            new GitPatchOperationRequest(GitPatchOperation.Stage, patch),
+            2,
+            CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        var change = Assert.Single(result.Snapshot!.Changes);
+        Assert.Equal(GitChangeKind.Modified, change.IndexChange);
+        Assert.Equal(GitChangeKind.Modified, change.WorktreeChange);
+        Assert.Equal("ONE\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\n", _repo.RunGit("show", ":0:file.txt").Stdout);
+    }
+
+    [Fact]
+    public async Task ApplyPatch_unstage_reverse_applies_the_hunk_to_the_index()
+    {
+        _repo.CommitInitial("file.txt", "one\ntwo\n");
+        _repo.WriteFile("file.txt", "one\ntwo\nthree\n");
+        _repo.RunGit("add", "file.txt");
+        const string patch = "diff --git a/file.txt b/file.txt\n--- a/file.txt\n+++ b/file.txt\n@@ -1,2 +1,3 @@\n one\n two\n+three\n";
+
+        var result = await _service.ApplyPatchAsync(
+            _repo.RepositoryPath,
+            new GitPatchOperationRequest(GitPatchOperation.Unstage, patch),
+            2,
+            CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        var change = Assert.Single(result.Snapshot!.Changes);
+        Assert.Equal(GitChangeKind.None, change.IndexChange);
+        Assert.Equal(GitChangeKind.Modified, change.WorktreeChange);
+        Assert.Equal("one\ntwo\nthree\n", _repo.ReadFile("file.txt"));
+    }
+
+    [Fact]
+    public async Task ApplyPatch_discard_reverts_the_hunk_in_the_working_tree()
+    {
+        _repo.CommitInitial("file.txt", "one\ntwo\n");
+        _repo.WriteFile("file.txt", "one\nTWO");
+        const string patch = "diff --git a/file.txt b/file.txt\n--- a/file.txt\n+++ b/file.txt\n@@ -1,2 +1,2 @@\n one\n-two\n+TWO\n\\ No newline at end of file\n";
+
+        var result = await _service.ApplyPatchAsync(
+            _repo.RepositoryPath,
+            new GitPatchOperationRequest(GitPatchOperation.Discard, patch),
+            2,
+            CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        Assert.Empty(result.Snapshot!.Changes);
+        Assert.Equal("one\ntwo\n", _repo.ReadFile("file.txt"));
+    }
+
+    [Fact]
+    public async Task ApplyPatch_that_no_longer_matches_fails_without_changing_the_index()
+    {
+        _repo.CommitInitial("file.txt", "one\ntwo\n");
+        _repo.WriteFile("file.txt", "one\nchanged\n");
+        const string patch = "diff --git a/file.txt b/file.txt\n--- a/file.txt\n+++ b/file.txt\n@@ -1,2 +1,2 @@\n one\n-stale\n+changed\n";
+
+        var result = await _service.ApplyPatchAsync(
+            _repo.RepositoryPath,
+            new GitPatchOperationRequest(GitPatchOperation.Stage, patch),
+            2,
+            CancellationToken.None);
+
+        Assert.False(result.Success);
+        Assert.Equal("ApplyPatchFailed", result.ErrorCode);
+        var change = Assert.Single(result.Snapshot!.Changes);
+        Assert.Equal(GitChangeKind.None, change.IndexChange);
+    }
+
+    [Fact]
+    public async Task ApplyPatch_rejects_path_traversal()
+    {
+        _repo.CommitInitial();
+        const string patch = "diff --git a/../outside.txt b/../outside.txt\n--- a/../outside.txt\n+++ b/../outside.txt\n@@ -1 +1 @@\n-a\n+b\n";
+
+        var result = await _service.ApplyPatchAsync(
+            _repo.RepositoryPath,
+            new GitPatchOperationRequest(GitPatchOperation.Discard, patch),
+            2,
+            CancellationToken.None);
+
+        Assert.False(result.Success);
+        Assert.Equal("InvalidPatch", result.ErrorCode);
+    }
+
     [Fact]
     public async Task GetDiff_unstaged_compares_index_to_working_tree()
     {
@@ -392,6 +487,69 @@ public sealed class GitCliRepositoryGitChangesServiceTests : IDisposable
         Assert.Equal(string.Empty, diff.ModifiedContent);
     }
 
+    [Fact]
+    public async Task GetDiff_image_carries_the_bytes_and_blob_ids_of_both_sides()
+    {
+        byte[] committed = [0x89, (byte)'P', (byte)'N', (byte)'G', 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D];
+        byte[] edited = [.. committed, 0x00, 0xFF];
+        var fullPath = Path.Combine(_repo.RepositoryPath, "logo.png");
+        File.WriteAllBytes(fullPath, committed);
+        _repo.RunGit("add", "logo.png");
+        _repo.RunGit("commit", "-m", "Add logo");
+        File.WriteAllBytes(fullPath, edited);
+
+        var unstaged = await _service.GetDiffAsync(_repo.RepositoryPath, new GitDiffRequest("logo.png", GitDiffComparison.Unstaged), CancellationToken.None);
+        _repo.RunGit("add", "logo.png");
+        var staged = await _service.GetDiffAsync(_repo.RepositoryPath, new GitDiffRequest("logo.png", GitDiffComparison.Staged), CancellationToken.None);
+
+        Assert.Equal(GitDiffContentState.Image, unstaged.State);
+        Assert.Equal("image/png", unstaged.ImageMimeType);
+        Assert.Equal(committed, Convert.FromBase64String(unstaged.OriginalImageBase64!));
+        Assert.Equal(edited, Convert.FromBase64String(unstaged.ModifiedImageBase64!));
+        Assert.Equal(_repo.RunGit("rev-parse", "HEAD:logo.png").Stdout.Trim(), unstaged.OriginalBlobId);
+        Assert.Equal(_repo.RunGit("rev-parse", ":0:logo.png").Stdout.Trim(), unstaged.ModifiedBlobId);
+
+        Assert.Equal(GitDiffContentState.Image, staged.State);
+        Assert.Equal(committed, Convert.FromBase64String(staged.OriginalImageBase64!));
+        Assert.Equal(edited, Convert.FromBase64String(staged.ModifiedImageBase64!));
+    }
+
+    [Fact]
+    public async Task GetDiff_svg_stays_a_text_diff_with_an_image_preview()
+    {
+        const string committed = "<svg xmlns=\"http://www.w3.org/2000/svg\"><rect width=\"1\" height=\"1\"/></svg>\n";
+        const string edited = "<svg xmlns=\"http://www.w3.org/2000/svg\"><rect width=\"2\" height=\"2\"/></svg>\n";
+        _repo.CommitInitial("icon.svg", committed);
+        _repo.WriteFile("icon.svg", edited);
+
+        var diff = await _service.GetDiffAsync(_repo.RepositoryPath, new GitDiffRequest("icon.svg", GitDiffComparison.Unstaged), CancellationToken.None);
+
+        Assert.Equal(GitDiffContentState.Normal, diff.State);
+        Assert.Equal(committed, diff.OriginalContent);
+        Assert.Equal(edited, diff.ModifiedContent);
+        Assert.Equal("image/svg+xml", diff.ImageMimeType);
+        Assert.Equal(committed, Encoding.UTF8.GetString(Convert.FromBase64String(diff.OriginalImageBase64!)));
+        Assert.Equal(edited, Encoding.UTF8.GetString(Convert.FromBase64String(diff.ModifiedImageBase64!)));
+        Assert.Equal(_repo.RunGit("rev-parse", ":0:icon.svg").Stdout.Trim(), diff.OriginalBlobId);
+    }
+
+    [Fact]
+    public async Task GetDiff_other_binary_has_sizes_and_blob_ids_but_no_content()
+    {
+        _repo.CommitInitial();
+        File.WriteAllBytes(Path.Combine(_repo.RepositoryPath, "data.bin"), [0x00, 0x01, 0x02]);
+        _repo.RunGit("add", "data.bin");
+
+        var diff = await _service.GetDiffAsync(_repo.RepositoryPath, new GitDiffRequest("data.bin", GitDiffComparison.Staged), CancellationToken.None);
+
+        Assert.Equal(GitDiffContentState.Binary, diff.State);
+        Assert.Null(diff.OriginalSizeBytes);
+        Assert.Null(diff.OriginalBlobId);
+        Assert.Equal(3, diff.ModifiedSizeBytes);
+        Assert.Equal(_repo.RunGit("rev-parse", ":0:data.bin").Stdout.Trim(), diff.ModifiedBlobId);
+        Assert.Null(diff.ModifiedImageBase64);
+    }
+
     [Fact]
     public async Task GetDiff_rejects_path_traversal()
     {
@@ -405,4 +563,340 @@ public sealed class GitCliRepositoryGitChangesServiceTests : IDisposable
         Assert.Equal(GitDiffContentState.Error, diff.State);
         Assert.NotNull(diff.ErrorMessage);
     }
+
+    [Fact]
+    public async Task CompareRefs_lists_files_changed_between_two_branches()
+    {
+        _repo.CommitInitial("keep.txt", "keep\n");
+        _repo.WriteFile("old-name.txt", "one\ntwo\nthree\nfour\nfive\n");
+        _repo.WriteFile("gone.txt", "gone\n");
+        _repo.RunGit("add", "--all");
+        _repo.RunGit("commit", "-m", "Base files");
+        _repo.RunGit("checkout", "-b", "feature");
+        _repo.WriteFile("keep.txt", "keep\nchanged\n");
+        _repo.RunGit("mv", "old-name.txt", "new-name.txt");
+        _repo.RunGit("rm", "gone.txt");
+        _repo.WriteFile("added.txt", "added\n");
+        _repo.RunGit("add", "--all");
+        _repo.RunGit("commit", "-m", "Feature work");
+
+        var result = await _service.CompareRefsAsync(
+            _repo.RepositoryPath, new GitRefComparisonRequest("main", "feature", UseMergeBase: false), CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        var comparison = result.Comparison!;
+        Assert.Equal(_repo.RunGit("rev-parse", "main").Stdout.Trim(), comparison.BaseCommit);
+        Assert.Equal(_repo.RunGit("rev-parse", "feature").Stdout.Trim(), comparison.HeadCommit);
+        Assert.Contains(comparison.Files, f => f.Path == "keep.txt" && f.Change == GitChangeKind.Modified);
+        Assert.Contains(comparison.Files, f => f.Path == "added.txt" && f.Change == GitChangeKind.Added);
+        Assert.Contains(comparison.Files, f => f.Path == "gone.txt" && f.Change == GitChangeKind.Deleted);
+        Assert.Contains(comparison.Files, f => f.Path == "new-name.txt" && f.OriginalPath == "old-name.txt" && f.Change == GitChangeKind.Renamed);
+    }
+
+    [Fact]
+    public async Task CompareRefs_from_merge_base_leaves_out_changes_made_only_on_the_base_branch()
+    {
+        _repo.CommitInitial("file.txt", "base\n");
+        _repo.RunGit("checkout", "-b", "feature");
+        _repo.WriteFile("feature.txt", "feature\n");
+        _repo.RunGit("add", "--all");
+        _repo.RunGit("commit", "-m", "Feature");
+        _repo.RunGit("checkout", "main");
+        _repo.WriteFile("main-only.txt", "main\n");
+        _repo.RunGit("add", "--all");
+        _repo.RunGit("commit", "-m", "Main");
+
+        var twoDot = await _service.CompareRefsAsync(
+            _repo.RepositoryPath, new GitRefComparisonRequest("main", "feature", UseMergeBase: false), CancellationToken.None);
+        var threeDot = await _service.CompareRefsAsync(
+            _repo.RepositoryPath, new GitRefComparisonRequest("main", "feature", UseMergeBase: true), CancellationToken.None);
+
+        Assert.Contains(twoDot.Comparison!.Files, f => f.Path == "main-only.txt");
+        var file = Assert.Single(threeDot.Comparison!.Files);
+        Assert.Equal("feature.txt", file.Path);
+        Assert.True(threeDot.Comparison.UsesMergeBase);
+        Assert.Equal(_repo.RunGit("merge-base", "main", "feature").Stdout.Trim(), threeDot.Comparison.BaseCommit);
+    }
+
+    [Fact]
+    public async Task CompareRefs_rejects_unknown_and_option_like_refs()
+    {
+        _repo.CommitInitial();
+
+        var unknown = await _service.CompareRefsAsync(
+            _repo.RepositoryPath, new GitRefComparisonRequest("main", "no-such-branch", UseMergeBase: false), CancellationToken.None);
+        var optionLike = await _service.CompareRefsAsync(
+            _repo.RepositoryPath, new GitRefComparisonRequest("--output=x", "main", UseMergeBase: false), CancellationToken.None);
+
+        Assert.False(unknown.Success);
+        Assert.Equal("RefNotFound", unknown.ErrorCode);
+        Assert.False(optionLike.Success);
+        Assert.Equal("InvalidRef", optionLike.ErrorCode);
+    }
+
+    [Fact]
+    public async Task GetRefDiff_reads_the_file_at_both_commits_following_a_rename()
+    {
+        _repo.CommitInitial("old.txt", "one\ntwo\nthree\nfour\n");
+        var baseCommit = _repo.RunGit("rev-parse", "HEAD").Stdout.Trim();
+        _repo.RunGit("mv", "old.txt", "new.txt");
+        _repo.WriteFile("new.txt", "one\ntwo\nthree\nfour\nfive\n");
+        _repo.RunGit("add", "--all");
+        _repo.RunGit("commit", "-m", "Rename and extend");
+        var headCommit = _repo.RunGit("rev-parse", "HEAD").Stdout.Trim();
+        _repo.WriteFile("new.txt", "working tree edits are not part of the comparison\n");
+
+        var diff = await _service.GetRefDiffAsync(
+            _repo.RepositoryPath, new GitRefDiffRequest("new.txt", "old.txt", baseCommit, headCommit), CancellationToken.None);
+
+        Assert.Equal(GitDiffContentState.Normal, diff.State);
+        Assert.Equal(GitDiffComparison.Refs, diff.Comparison);
+        Assert.Equal("old.txt", diff.OriginalPath);
+        Assert.Equal("one\ntwo\nthree\nfour\n", diff.OriginalContent);
+        Assert.Equal("one\ntwo\nthree\nfour\nfive\n", diff.ModifiedContent);
+    }
+
+    [Fact]
+    public async Task GetRefDiff_rejects_revisions_that_are_not_commit_shas()
+    {
+        _repo.CommitInitial("file.txt", "content\n");
+
+        var diff = await _service.GetRefDiffAsync(
+            _repo.RepositoryPath, new GitRefDiffRequest("file.txt", null, "HEAD~1", "HEAD"), CancellationToken.None);
+
+        Assert.Equal(GitDiffContentState.Error, diff.State);
+    }
+
+    [Fact]
+    public async Task GetBlame_attributes_lines_to_commits_with_full_messages()
+    {
+        _repo.CommitInitial("file.txt", "one\ntwo\n");
+        _repo.WriteFile("file.txt", "one\nTWO\nthree\n");
+        _repo.RunGit("commit", "-am", "Rework two\n\nAnd add three.");
+        var head = _repo.RunGit("rev-parse", "HEAD").Stdout.Trim();
+        _repo.WriteFile("file.txt", "ONE\nTWO\nthree\n");
+        _repo.RunGit("add", "file.txt");
+
+        var atHead = await _service.GetBlameAsync(_repo.RepositoryPath, new GitBlameRequest("file.txt", "HEAD"), CancellationToken.None);
+        var staged = await _service.GetBlameAsync(_repo.RepositoryPath, new GitBlameRequest("file.txt", null), CancellationToken.None);
+
+        Assert.True(atHead.Success, atHead.ErrorMessage);
+        Assert.Equal(3, atHead.Blame!.LineCommits.Count);
+        Assert.Equal(head, atHead.Blame.LineCommits[1]);
+        Assert.Equal(head, atHead.Blame.LineCommits[2]);
+        var rework = atHead.Blame.Commits.Single(c => c.Sha == head);
+        Assert.Equal("Rework two", rework.Summary);
+        Assert.Equal("Rework two\n\nAnd add three.", rework.Message);
+
+        Assert.True(staged.Success, staged.ErrorMessage);
+        var uncommitted = staged.Blame!.Commits.Single(c => c.Sha == staged.Blame.LineCommits[0]);
+        Assert.True(uncommitted.IsUncommitted);
+        Assert.Null(uncommitted.Message);
+        Assert.Equal(head, staged.Blame.LineCommits[1]);
+    }
+
+    [Fact]
+    public async Task GetBlame_rejects_revisions_that_are_not_head_or_a_commit_sha()
+    {
+        _repo.CommitInitial("file.txt", "one\n");
+
+        var result = await _service.GetBlameAsync(_repo.RepositoryPath, new GitBlameRequest("file.txt", "--reverse"), CancellationToken.None);
+
+        Assert.False(result.Success);
+        Assert.Equal("InvalidRevision", result.ErrorCode);
+    }
+
+    /// <summary>Leaves the repository mid-merge with a content conflict in conflict.txt (ours on main, theirs on feature).</summary>
+    private void CreateMergeConflict()
+    {
+        _repo.CommitInitial("conflict.txt", "first\nbase\nlast\n");
+        _repo.RunGit("checkout", "-b", "feature");
+        _repo.WriteFile("conflict.txt", "first\ntheirs\nlast\n");
+        _repo.RunGit("commit", "-am", "Theirs");
+        _repo.RunGit("checkout", "main");
+        _repo.WriteFile("conflict.txt", "first\nours\nlast\n");
+        _repo.RunGit("commit", "-am", "Ours");
+        _repo.RunGit("merge", "feature");
+    }
+
+    [Fact]
+    public async Task GetConflict_reads_base_ours_theirs_and_the_working_copy_with_markers()
+    {
+        CreateMergeConflict();
+
+        var result = await _service.GetConflictAsync(_repo.RepositoryPath, "conflict.txt", CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        var conflict = result.Conflict!;
+        Assert.Equal(GitDiffContentState.Normal, conflict.State);
+        Assert.Equal("first\nbase\nlast\n", conflict.BaseContent);
+        Assert.Equal("first\nours\nlast\n", conflict.OursContent);
+        Assert.Equal("first\ntheirs\nlast\n", conflict.TheirsContent);
+        Assert.Contains("<<<<<<< HEAD", conflict.MergedContent);
+        Assert.Contains(">>>>>>> feature", conflict.MergedContent);
+    }
+
+    [Fact]
+    public async Task ResolveConflict_writes_the_content_and_marks_the_file_resolved()
+    {
+        CreateMergeConflict();
+
+        var loaded = GitContentHash.Compute(_repo.ReadFile("conflict.txt"));
+
+        var result = await _service.ResolveConflictAsync(
+            _repo.RepositoryPath, new GitConflictResolutionRequest("conflict.txt", "first\nours\ntheirs\nlast\n", loaded), 1, CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        Assert.Equal("first\nours\ntheirs\nlast\n", _repo.ReadFile("conflict.txt"));
+        var entry = Assert.Single(result.Snapshot!.Changes);
+        Assert.False(entry.IsConflicted);
+        Assert.Equal(GitChangeKind.Modified, entry.IndexChange);
+        Assert.True(result.Snapshot.IsMerging);
+    }
+
+    [Fact]
+    public async Task ResolveConflict_refuses_to_overwrite_a_file_changed_since_it_was_loaded()
+    {
+        CreateMergeConflict();
+        var loaded = _repo.ReadFile("conflict.txt");
+        var editedInTheIde = loaded.Replace("ours", "ours, edited in the IDE");
+        _repo.WriteFile("conflict.txt", editedInTheIde);
+
+        var result = await _service.ResolveConflictAsync(
+            _repo.RepositoryPath, new GitConflictResolutionRequest("conflict.txt", "resolved here\n", GitContentHash.Compute(loaded)), 1, CancellationToken.None);
+        var withoutHash = await _service.ResolveConflictAsync(
+            _repo.RepositoryPath, new GitConflictResolutionRequest("conflict.txt", "resolved here\n", null), 2, CancellationToken.None);
+
+        Assert.False(result.Success);
+        Assert.Equal("FileChanged", result.ErrorCode);
+        Assert.NotNull(result.Snapshot);
+        Assert.True(Assert.Single(result.Snapshot.Changes).IsConflicted);
+        Assert.Equal("NoContentHash", withoutHash.ErrorCode);
+        Assert.Equal(editedInTheIde, _repo.ReadFile("conflict.txt"));
+    }
+
+    [Fact]
+    public async Task Conflict_commands_reject_files_without_a_conflict()
+    {
+        CreateMergeConflict();
+        var loaded = GitContentHash.Compute(_repo.ReadFile("conflict.txt"));
+        await _service.ResolveConflictAsync(
+            _repo.RepositoryPath, new GitConflictResolutionRequest("conflict.txt", "resolved\n", loaded), 1, CancellationToken.None);
+
+        var conflict = await _service.GetConflictAsync(_repo.RepositoryPath, "conflict.txt", CancellationToken.None);
+        var again = await _service.ResolveConflictAsync(
+            _repo.RepositoryPath, new GitConflictResolutionRequest("conflict.txt", "overwritten\n", loaded), 2, CancellationToken.None);
+        var outside = await _service.ResolveConflictAsync(
+            _repo.RepositoryPath, new GitConflictResolutionRequest("../outside.txt", "x", loaded), 3, CancellationToken.None);
+
+        Assert.False(conflict.Success);
+        Assert.Equal("NotConflicted", conflict.ErrorCode);
+        Assert.Null(conflict.Conflict);
+        Assert.False(again.Success);
+        Assert.Equal("NotConflicted", again.ErrorCode);
+        Assert.Equal("resolved\n", _repo.ReadFile("conflict.txt"));
+        Assert.Equal("InvalidPath", outside.ErrorCode);
+    }
+
+    [Fact]
+    public async Task WriteWorkingTreeFile_saves_the_edit_and_keeps_the_byte_order_mark()
+    {
+        _repo.CommitInitial("file.txt", "\uFEFFversion 1.0\n");
+        var loaded = (await _service.GetDiffAsync(
+            _repo.RepositoryPath, new GitDiffRequest("file.txt", GitDiffComparison.Unstaged), CancellationToken.None)).ModifiedContent!;
+
+        var result = await _service.WriteWorkingTreeFileAsync(
+            _repo.RepositoryPath, new GitWorkingTreeWriteRequest("file.txt", "version 1.1\n", GitContentHash.Compute(loaded)), 1, CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        Assert.Equal(new byte[] { 0xEF, 0xBB, 0xBF }, File.ReadAllBytes(Path.Combine(_repo.RepositoryPath, "file.txt"))[..3]);
+        Assert.Equal("version 1.1\n", _repo.ReadFile("file.txt"));
+        var entry = Assert.Single(result.Snapshot!.Changes);
+        Assert.Equal(GitChangeKind.Modified, entry.WorktreeChange);
+    }
+
+    [Fact]
+    public async Task WriteWorkingTreeFile_writes_utf16_back_as_utf16()
+    {
+        _repo.CommitInitial("file.txt", "loaded\n");
+        var fullPath = Path.Combine(_repo.RepositoryPath, "file.txt");
+        File.WriteAllText(fullPath, "caf\u00e9\n", Encoding.Unicode);
+
+        var result = await _service.WriteWorkingTreeFileAsync(
+            _repo.RepositoryPath, new GitWorkingTreeWriteRequest("file.txt", "caf\u00e9s\n", GitContentHash.Compute("caf\u00e9\n")), 1, CancellationToken.None);
+
+        Assert.True(result.Success, result.ErrorMessage);
+        Assert.Equal(Encoding.Unicode.GetPreamble().Concat(Encoding.Unicode.GetBytes("caf\u00e9s\n")), File.ReadAllBytes(fullPath));
+    }
+
+    [Fact]
+    public async Task WriteWorkingTreeFile_refuses_files_that_are_not_unicode_text()
+    {
+        _repo.CommitInitial("file.txt", "loaded\n");
+        var fullPath = Path.Combine(_repo.RepositoryPath, "file.txt");
+        byte[] windows1252 = [(byte)'c', (byte)'a', (byte)'f', 0xE9, (byte)'\n'];
+        File.WriteAllBytes(fullPath, windows1252);
+        var loaded = (await _service.GetDiffAsync(
+            _repo.RepositoryPath, new GitDiffRequest("file.txt", GitDiffComparison.Unstaged), CancellationToken.None)).ModifiedContent!;
+
+        var result = await _service.WriteWorkingTreeFileAsync(
+            _repo.RepositoryPath, new GitWorkingTreeWriteRequest("file.txt", "cafe\n", GitContentHash.Compute(loaded)), 1, CancellationToken.None);
+
+        Assert.False(result.Success);
+        Assert.Equal("UnsupportedEncoding", result.ErrorCode);
+        Assert.Equal(windows1252, File.ReadAllBytes(fullPath));
+    }
+
+    [Fact]
+    public async Task WriteWorkingTreeFile_refuses_to_overwrite_a_file_changed_since_it_was_loaded()
+    {
+        _repo.CommitInitial("file.txt", "loaded\n");
+        _repo.WriteFile("file.txt", "edited in the IDE\n");
+
+        var result = await _service.WriteWorkingTreeFileAsync(
+            _repo.RepositoryPath, new GitWorkingTreeWriteRequest("file.txt", "edited here\n", GitContentHash.Compute("loaded\n")), 1, CancellationToken.None);
+        var outside = await _service.WriteWorkingTreeFileAsync(
+            _repo.RepositoryPath, new GitWorkingTreeWriteRequest("../outside.txt", "x", null), 2, CancellationToken.None);
+        var withoutHash = await _service.WriteWorkingTreeFileAsync(
+            _repo.RepositoryPath, new GitWorkingTreeWriteRequest("file.txt", "edited here\n", null), 3, CancellationToken.None);
+
+        Assert.False(result.Success);
+        Assert.Equal("FileChanged", result.ErrorCode);
+        Assert.NotNull(result.Snapshot);
+        Assert.Equal("edited in the IDE\n", _repo.ReadFile("file.txt"));
+        Assert.Equal("InvalidPath", outside.ErrorCode);
+        Assert.Equal("NoContentHash", withoutHash.ErrorCode);
+        Assert.Equal("edited in the IDE\n", _repo.ReadFile("file.txt"));
+    }
+
+    [Fact]
+    public async Task WriteWorkingTreeFile_refuses_git_internals_and_symlinks()
+    {
+        _repo.CommitInitial("file.txt", "loaded\n");
+        var outsideDirectory = Directory.CreateTempSubdirectory("graymoon-outside-").FullName;
+        try
+        {
+            var outsideFile = Path.Combine(outsideDirectory, "target.txt");
+            File.WriteAllText(outsideFile, "outside\n");
+            File.CreateSymbolicLink(Path.Combine(_repo.RepositoryPath, "file-link.txt"), outsideFile);
+            Directory.CreateSymbolicLink(Path.Combine(_repo.RepositoryPath, "dir-link"), outsideDirectory);
+            var hash = GitContentHash.Compute("outside\n");
+
+            var gitConfig = await _service.WriteWorkingTreeFileAsync(
+                _repo.RepositoryPath, new GitWorkingTreeWriteRequest(".git/config", "x", hash), 1, CancellationToken.None);
+            var fileLink = await _service.WriteWorkingTreeFileAsync(
+                _repo.RepositoryPath, new GitWorkingTreeWriteRequest("file-link.txt", "x", hash), 2, CancellationToken.None);
+            var dirLink = await _service.WriteWorkingTreeFileAsync(
+                _repo.RepositoryPath, new GitWorkingTreeWriteRequest("dir-link/target.txt", "x", hash), 3, CancellationToken.None);
+
+            Assert.Equal("InvalidPath", gitConfig.ErrorCode);
+            Assert.Equal("InvalidPath", fileLink.ErrorCode);
+            Assert.Equal("InvalidPath", dirLink.ErrorCode);
+            Assert.Equal("outside\n", File.ReadAllText(outsideFile));
+        }
+        finally
+        {
+            Directory.Delete(outsideDirectory, recursive: true);
+        }
+    }
 }
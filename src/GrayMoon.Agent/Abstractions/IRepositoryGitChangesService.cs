@@ -13,10 +13,28 @@ public interface IRepositoryGitChangesService
 
     Task<GitDiffDocument> GetDiffAsync(string repoPath, GitDiffRequest request, CancellationToken cancellationToken);
 
+    Task<GitRefComparisonResult> CompareRefsAsync(string repoPath, GitRefComparisonRequest request, CancellationToken cancellationToken);
+
+    Task<GitDiffDocument> GetRefDiffAsync(string repoPath, GitRefDiffRequest request, CancellationToken cancellationToken);
+
+    /// <summary>Who last changed each line of a file at a commit, or of its staged copy, for the diff viewer's blame gutter.</summary>
+    Task<GitBlameResult> GetBlameAsync(string repoPath, GitBlameRequest request, CancellationToken cancellationToken);
+
     Task<GitMutationResult> StageAsync(string repoPath, GitStageOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken);
 
     Task<GitMutationResult> UnstageAsync(string repoPath, GitStageOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken);
 
+    Task<GitMutationResult> ApplyPatchAsync(string repoPath, GitPatchOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken);
+
+    /// <summary>Base, ours, theirs and the working-tree copy of a conflicted file, for the conflict editor.</summary>
+    Task<GitConflictResult> GetConflictAsync(string repoPath, string? path, CancellationToken cancellationToken);
+
+    /// <summary>Writes the resolved content over a conflicted file and stages it, which marks the conflict resolved, unless it changed on disk since it was loaded.</summary>
+    Task<GitMutationResult> ResolveConflictAsync(string repoPath, GitConflictResolutionRequest request, long nextSnapshotVersion, CancellationToken cancellationToken);
+
+    /// <summary>Writes edited content over a working-tree file, unless it changed on disk since it was loaded.</summary>
+    Task<GitMutationResult> WriteWorkingTreeFileAsync(string repoPath, GitWorkingTreeWriteRequest request, long nextSnapshotVersion, CancellationToken cancellationToken);
+
     Task<GitCommitResult> CommitAsync(string repoPath, GitCommitOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken);
 }
 
@@ -30,6 +48,48 @@ public sealed record GitChangeStatusResult
 
 public sealed record GitDiffRequest(string? Path, GitDiffComparison Comparison);
 
+public sealed record GitRefComparisonResult
+{
+    public required bool Success { get; init; }
+    public string? ErrorCode { get; init; }
+    public string? ErrorMessage { get; init; }
+    public GitRefComparison? Comparison { get; init; }
+}
+
+/// <summary>Two refs (branch, tag, commit or any other revision git resolves to a commit) to compare.</summary>
+public sealed record GitRefComparisonRequest(string? BaseRef, string? HeadRef, bool UseMergeBase);
+
+/// <summary>One file of a <see cref="GitRefComparison"/>, read at its resolved base and head commits.</summary>
+public sealed record GitRefDiffRequest(string? Path, string? OriginalPath, string? BaseCommit, string? HeadCommit);
+
+public sealed record GitConflictResult
+{
+    public required bool Success { get; init; }
+    public string? ErrorCode { get; init; }
+    public string? ErrorMessage { get; init; }
+    public GitConflictDocument? Conflict { get; init; }
+}
+
+public sealed record GitBlameResult
+{
+    public required bool Success { get; init; }
+    public string? ErrorCode { get; init; }
+    public string? ErrorMessage { get; init; }
+    public GitBlame? Blame { get; init; }
+}
+
+/// <summary>A file to blame at <see cref="Revision"/> (<c>HEAD</c> or a commit SHA), or as staged when it is null.</summary>
+public sealed record GitBlameRequest(string? Path, string? Revision);
+
 public sealed record GitStageOperationRequest(GitChangeOperationScope Scope, IReadOnlyList<string> Paths);
 
+/// <summary>A unified diff (with <c>diff --git</c> file headers) and what to do with it.</summary>
+public sealed record GitPatchOperationRequest(GitPatchOperation Operation, string Patch);
+
+/// <summary>Resolved content for a conflicted file. <see cref="ExpectedContentHash"/> (<see cref="GitContentHash"/>) is the working-tree copy the resolution started from; it is required.</summary>
+public sealed record GitConflictResolutionRequest(string? Path, string? Content, string? ExpectedContentHash);
+
+/// <summary>New content for a working-tree file. <see cref="ExpectedContentHash"/> (<see cref="GitContentHash"/>) is the content the edit started from; it is required.</summary>
+public sealed record GitWorkingTreeWriteRequest(string? Path, string? Content, string? ExpectedContentHash);
+
 public sealed record GitCommitOperationRequest(string CommitMessage, bool StageAllFirst);
@@ -11,14 +11,14 @@ public class AgentOptions
     public int MaxConcurrentCommands { get; set; } = Environment.ProcessorCount * 2;
 
     /// <summary>
-    /// Worker count for the dedicated read-only command pool (GetGitChangeStatus). Kept
+    /// Worker count for the dedicated read-only command pool (GetGitChangeStatus, CompareGitRefs). Kept
     /// small and separate from <see cref="MaxConcurrentCommands"/> so reads stay responsive even when the
     /// main pool is fully occupied by long-running writes (push/update/sync).
     /// </summary>
     public int MaxConcurrentReadCommands { get; set; } = 8;
 
     /// <summary>
-    /// Worker count for the dedicated diff command pool (GetGitFileDiff). Kept separate from both
+    /// Worker count for the dedicated diff command pool (GetGitFileDiff, GetGitRefFileDiff, GetGitConflict, GetGitBlame). Kept separate from both
     /// <see cref="MaxConcurrentCommands"/> and <see cref="MaxConcurrentReadCommands"/> so opening a diff
     /// never queues behind a workspace status rescan (which can fan out many GetGitChangeStatus calls) or
     /// any other write/read command.
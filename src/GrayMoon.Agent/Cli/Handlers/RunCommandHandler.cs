@@ -155,8 +155,15 @@ internal static class RunCommandHandler
         builder.Services.AddSingleton<ICommandHandler<FetchCommitsRequest, FetchCommitsResponse>, FetchCommitsCommand>();
         builder.Services.AddSingleton<ICommandHandler<GetGitChangeStatusRequest, GetGitChangeStatusResponse>, GetGitChangeStatusCommand>();
         builder.Services.AddSingleton<ICommandHandler<GetGitFileDiffRequest, GetGitFileDiffResponse>, GetGitFileDiffCommand>();
+        builder.Services.AddSingleton<ICommandHandler<CompareGitRefsRequest, CompareGitRefsResponse>, CompareGitRefsCommand>();
+        builder.Services.AddSingleton<ICommandHandler<GetGitRefFileDiffRequest, GetGitFileDiffResponse>, GetGitRefFileDiffCommand>();
+        builder.Services.AddSingleton<ICommandHandler<GetGitBlameRequest, GetGitBlameResponse>, GetGitBlameCommand>();
         builder.Services.AddSingleton<ICommandHandler<StageGitChangesRequest, GitMutationResponse>, StageGitChangesCommand>();
         builder.Services.AddSingleton<ICommandHandler<UnstageGitChangesRequest, GitMutationResponse>, UnstageGitChangesCommand>();
+        builder.Services.AddSingleton<ICommandHandler<ApplyGitPatchRequest, GitMutationResponse>, ApplyGitPatchCommand>();
+        builder.Services.AddSingleton<ICommandHandler<GetGitConflictRequest, GetGitConflictResponse>, GetGitConflictCommand>();
+        builder.Services.AddSingleton<ICommandHandler<ResolveGitConflictRequest, GitMutationResponse>, ResolveGitConflictCommand>();
+        builder.Services.AddSingleton<ICommandHandler<WriteGitWorkingTreeFileRequest, GitMutationResponse>, WriteGitWorkingTreeFileCommand>();
         builder.Services.AddSingleton<ICommandHandler<CommitGitChangesRequest, CommitGitChangesResponse>, CommitGitChangesCommand>();
         builder.Services.AddSingleton<CheckoutHookSyncCommand>();
         builder.Services.AddSingleton<CommitHookSyncCommand>();
@@ -0,0 +1,42 @@
+using GrayMoon.Agent.Abstractions;
+using GrayMoon.Agent.Jobs.Requests;
+using GrayMoon.Agent.Jobs.Response;
+using GrayMoon.Agent.Services.GitChanges;
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Agent.Commands;
+
+public sealed class ApplyGitPatchCommand(IGitService git, IRepositoryGitChangesService gitChangesService, GitChangesSnapshotCache snapshotCache)
+    : ICommandHandler<ApplyGitPatchRequest, GitMutationResponse>
+{
+    public async Task<GitMutationResponse> ExecuteAsync(ApplyGitPatchRequest request, CancellationToken cancellationToken = default)
+    {
+        var workspaceName = request.WorkspaceName ?? throw new ArgumentException("workspaceName required");
+        var repositoryName = request.RepositoryName ?? throw new ArgumentException("repositoryName required");
+
+        var workspacePath = git.GetWorkspacePath(request.WorkspaceRoot!, workspaceName);
+        var repoPath = Path.Combine(workspacePath, repositoryName);
+
+        if (!git.DirectoryExists(repoPath))
+        {
+            return new GitMutationResponse { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var operationRequest = new GitPatchOperationRequest((GitPatchOperation)request.Operation, request.Patch ?? string.Empty);
+        var nextVersion = snapshotCache.NextVersion(repoPath);
+
+        var result = await gitChangesService.ApplyPatchAsync(repoPath, operationRequest, nextVersion, cancellationToken);
+        if (result.Snapshot != null)
+        {
+            snapshotCache.SetLatest(repoPath, result.Snapshot);
+        }
+
+        return new GitMutationResponse
+        {
+            Success = result.Success,
+            ErrorCode = result.ErrorCode,
+            ErrorMessage = result.ErrorMessage,
+            Snapshot = result.Snapshot,
+        };
+    }
+}
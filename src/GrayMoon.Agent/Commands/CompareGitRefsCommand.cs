@@ -0,0 +1,35 @@
+using GrayMoon.Agent.Abstractions;
+using GrayMoon.Agent.Jobs.Requests;
+using GrayMoon.Agent.Jobs.Response;
+
+namespace GrayMoon.Agent.Commands;
+
+/// <summary>Lists the files that differ between two refs of one repository (read-only).</summary>
+public sealed class CompareGitRefsCommand(IGitService git, IRepositoryGitChangesService gitChangesService)
+    : ICommandHandler<CompareGitRefsRequest, CompareGitRefsResponse>
+{
+    public async Task<CompareGitRefsResponse> ExecuteAsync(CompareGitRefsRequest request, CancellationToken cancellationToken = default)
+    {
+        var workspaceName = request.WorkspaceName ?? throw new ArgumentException("workspaceName required");
+        var repositoryName = request.RepositoryName ?? throw new ArgumentException("repositoryName required");
+
+        var workspacePath = git.GetWorkspacePath(request.WorkspaceRoot!, workspaceName);
+        var repoPath = Path.Combine(workspacePath, repositoryName);
+
+        if (!git.DirectoryExists(repoPath))
+        {
+            return new CompareGitRefsResponse { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var result = await gitChangesService.CompareRefsAsync(
+            repoPath, new GitRefComparisonRequest(request.BaseRef, request.HeadRef, request.UseMergeBase), cancellationToken);
+
+        return new CompareGitRefsResponse
+        {
+            Success = result.Success,
+            ErrorCode = result.ErrorCode,
+            ErrorMessage = result.ErrorMessage,
+            Comparison = result.Comparison,
+        };
+    }
+}
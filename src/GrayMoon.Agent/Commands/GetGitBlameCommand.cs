@@ -0,0 +1,34 @@
+using GrayMoon.Agent.Abstractions;
+using GrayMoon.Agent.Jobs.Requests;
+using GrayMoon.Agent.Jobs.Response;
+
+namespace GrayMoon.Agent.Commands;
+
+/// <summary>Blames one file for the diff viewer's blame gutter (read-only).</summary>
+public sealed class GetGitBlameCommand(IGitService git, IRepositoryGitChangesService gitChangesService)
+    : ICommandHandler<GetGitBlameRequest, GetGitBlameResponse>
+{
+    public async Task<GetGitBlameResponse> ExecuteAsync(GetGitBlameRequest request, CancellationToken cancellationToken = default)
+    {
+        var workspaceName = request.WorkspaceName ?? throw new ArgumentException("workspaceName required");
+        var repositoryName = request.RepositoryName ?? throw new ArgumentException("repositoryName required");
+
+        var workspacePath = git.GetWorkspacePath(request.WorkspaceRoot!, workspaceName);
+        var repoPath = Path.Combine(workspacePath, repositoryName);
+
+        if (!git.DirectoryExists(repoPath))
+        {
+            return new GetGitBlameResponse { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var result = await gitChangesService.GetBlameAsync(repoPath, new GitBlameRequest(request.Path, request.Revision), cancellationToken);
+
+        return new GetGitBlameResponse
+        {
+            Success = result.Success,
+            ErrorCode = result.ErrorCode,
+            ErrorMessage = result.ErrorMessage,
+            Blame = result.Blame,
+        };
+    }
+}
@@ -0,0 +1,33 @@
+using GrayMoon.Agent.Abstractions;
+using GrayMoon.Agent.Jobs.Requests;
+using GrayMoon.Agent.Jobs.Response;
+
+namespace GrayMoon.Agent.Commands;
+
+public sealed class GetGitConflictCommand(IGitService git, IRepositoryGitChangesService gitChangesService)
+    : ICommandHandler<GetGitConflictRequest, GetGitConflictResponse>
+{
+    public async Task<GetGitConflictResponse> ExecuteAsync(GetGitConflictRequest request, CancellationToken cancellationToken = default)
+    {
+        var workspaceName = request.WorkspaceName ?? throw new ArgumentException("workspaceName required");
+        var repositoryName = request.RepositoryName ?? throw new ArgumentException("repositoryName required");
+
+        var workspacePath = git.GetWorkspacePath(request.WorkspaceRoot!, workspaceName);
+        var repoPath = Path.Combine(workspacePath, repositoryName);
+
+        if (!git.DirectoryExists(repoPath))
+        {
+            return new GetGitConflictResponse { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var result = await gitChangesService.GetConflictAsync(repoPath, request.Path, cancellationToken);
+
+        return new GetGitConflictResponse
+        {
+            Success = result.Success,
+            ErrorCode = result.ErrorCode,
+            ErrorMessage = result.ErrorMessage,
+            Conflict = result.Conflict,
+        };
+    }
+}
@@ -0,0 +1,36 @@
+using GrayMoon.Agent.Abstractions;
+using GrayMoon.Agent.Jobs.Requests;
+using GrayMoon.Agent.Jobs.Response;
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Agent.Commands;
+
+public sealed class GetGitRefFileDiffCommand(IGitService git, IRepositoryGitChangesService gitChangesService)
+    : ICommandHandler<GetGitRefFileDiffRequest, GetGitFileDiffResponse>
+{
+    public async Task<GetGitFileDiffResponse> ExecuteAsync(GetGitRefFileDiffRequest request, CancellationToken cancellationToken = default)
+    {
+        var workspaceName = request.WorkspaceName ?? throw new ArgumentException("workspaceName required");
+        var repositoryName = request.RepositoryName ?? throw new ArgumentException("repositoryName required");
+
+        var workspacePath = git.GetWorkspacePath(request.WorkspaceRoot!, workspaceName);
+        var repoPath = Path.Combine(workspacePath, repositoryName);
+
+        if (!git.DirectoryExists(repoPath))
+        {
+            return new GetGitFileDiffResponse { Success = false, ErrorMessage = "Repository not found." };
+        }
+
+        var diff = await gitChangesService.GetRefDiffAsync(
+            repoPath,
+            new GitRefDiffRequest(request.Path, request.OriginalPath, request.BaseCommit, request.HeadCommit),
+            cancellationToken);
+
+        return new GetGitFileDiffResponse
+        {
+            Success = diff.State != GitDiffContentState.Error,
+            ErrorMessage = diff.ErrorMessage,
+            Diff = diff,
+        };
+    }
+}
@@ -0,0 +1,40 @@
+using GrayMoon.Agent.Abstractions;
+using GrayMoon.Agent.Jobs.Requests;
+using GrayMoon.Agent.Jobs.Response;
+using GrayMoon.Agent.Services.GitChanges;
+
+namespace GrayMoon.Agent.Commands;
+
+public sealed class ResolveGitConflictCommand(IGitService git, IRepositoryGitChangesService gitChangesService, GitChangesSnapshotCache snapshotCache)
+    : ICommandHandler<ResolveGitConflictRequest, GitMutationResponse>
+{
+    public async Task<GitMutationResponse> ExecuteAsync(ResolveGitConflictRequest request, CancellationToken cancellationToken = default)
+    {
+        var workspaceName = request.WorkspaceName ?? throw new ArgumentException("workspaceName required");
+        var repositoryName = request.RepositoryName ?? throw new ArgumentException("repositoryName required");
+
+        var workspacePath = git.GetWorkspacePath(request.WorkspaceRoot!, workspaceName);
+        var repoPath = Path.Combine(workspacePath, repositoryName);
+
+        if (!git.DirectoryExists(repoPath))
+        {
+            return new GitMutationResponse { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var nextVersion = snapshotCache.NextVersion(repoPath);
+        var result = await gitChangesService.ResolveConflictAsync(
+            repoPath, new GitConflictResolutionRequest(request.Path, request.Content, request.ExpectedContentHash), nextVersion, cancellationToken);
+        if (result.Snapshot != null)
+        {
+            snapshotCache.SetLatest(repoPath, result.Snapshot);
+        }
+
+        return new GitMutationResponse
+        {
+            Success = result.Success,
+            ErrorCode = result.ErrorCode,
+            ErrorMessage = result.ErrorMessage,
+            Snapshot = result.Snapshot,
+        };
+    }
+}
@@ -34,7 +34,7 @@ public sealed class UpdateBranchFromDefaultCommand(IGitService git, ILogger<Upda
             return new UpdateBranchFromDefaultResponse
             {
                 Success = false,
-                ErrorMessage = "A merge is already in progress. Resolve the conflicts in your IDE first, then commit."
+                ErrorMessage = "A merge is already in progress. Resolve the conflicts on the Changes page or in your IDE first, then commit."
             };
         }
 
@@ -0,0 +1,19 @@
+using System.Text.Json.Serialization;
+
+namespace GrayMoon.Agent.Jobs.Requests;
+
+public sealed class ApplyGitPatchRequest : WorkspaceCommandRequest
+{
+    [JsonPropertyName("workspaceName")]
+    public string? WorkspaceName { get; set; }
+
+    [JsonPropertyName("repositoryName")]
+    public string? RepositoryName { get; set; }
+
+    /// <summary><see cref="GrayMoon.Common.Git.GitPatchOperation"/> as an int.</summary>
+    [JsonPropertyName("operation")]
+    public int Operation { get; set; }
+
+    [JsonPropertyName("patch")]
+    public string? Patch { get; set; }
+}
@@ -0,0 +1,22 @@
+using System.Text.Json.Serialization;
+
+namespace GrayMoon.Agent.Jobs.Requests;
+
+public sealed class CompareGitRefsRequest : WorkspaceCommandRequest
+{
+    [JsonPropertyName("workspaceName")]
+    public string? WorkspaceName { get; set; }
+
+    [JsonPropertyName("repositoryName")]
+    public string? RepositoryName { get; set; }
+
+    [JsonPropertyName("baseRef")]
+    public string? BaseRef { get; set; }
+
+    [JsonPropertyName("headRef")]
+    public string? HeadRef { get; set; }
+
+    /// <summary>Compare from the merge base of the two refs (<c>base...head</c>) instead of the base ref itself (<c>base..head</c>).</summary>
+    [JsonPropertyName("useMergeBase")]
+    public bool UseMergeBase { get; set; }
+}
@@ -0,0 +1,19 @@
+using System.Text.Json.Serialization;
+
+namespace GrayMoon.Agent.Jobs.Requests;
+
+public sealed class GetGitBlameRequest : WorkspaceCommandRequest
+{
+    [JsonPropertyName("workspaceName")]
+    public string? WorkspaceName { get; set; }
+
+    [JsonPropertyName("repositoryName")]
+    public string? RepositoryName { get; set; }
+
+    [JsonPropertyName("path")]
+    public string? Path { get; set; }
+
+    /// <summary><c>HEAD</c> or a full commit SHA; null blames the staged copy of the file.</summary>
+    [JsonPropertyName("revision")]
+    public string? Revision { get; set; }
+}
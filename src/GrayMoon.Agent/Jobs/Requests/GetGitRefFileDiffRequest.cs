@@ -0,0 +1,26 @@
+using System.Text.Json.Serialization;
+
+namespace GrayMoon.Agent.Jobs.Requests;
+
+public sealed class GetGitRefFileDiffRequest : WorkspaceCommandRequest
+{
+    [JsonPropertyName("workspaceName")]
+    public string? WorkspaceName { get; set; }
+
+    [JsonPropertyName("repositoryName")]
+    public string? RepositoryName { get; set; }
+
+    [JsonPropertyName("path")]
+    public string? Path { get; set; }
+
+    /// <summary>Path at the base commit when the file was renamed or copied.</summary>
+    [JsonPropertyName("originalPath")]
+    public string? OriginalPath { get; set; }
+
+    /// <summary>Resolved commit SHAs from a CompareGitRefs response.</summary>
+    [JsonPropertyName("baseCommit")]
+    public string? BaseCommit { get; set; }
+
+    [JsonPropertyName("headCommit")]
+    public string? HeadCommit { get; set; }
+}
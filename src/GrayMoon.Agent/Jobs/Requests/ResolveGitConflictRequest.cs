@@ -0,0 +1,23 @@
+using System.Text.Json.Serialization;
+
+namespace GrayMoon.Agent.Jobs.Requests;
+
+public sealed class ResolveGitConflictRequest : WorkspaceCommandRequest
+{
+    [JsonPropertyName("workspaceName")]
+    public string? WorkspaceName { get; set; }
+
+    [JsonPropertyName("repositoryName")]
+    public string? RepositoryName { get; set; }
+
+    [JsonPropertyName("path")]
+    public string? Path { get; set; }
+
+    /// <summary>The resolved file content, written over the working-tree copy before it is staged.</summary>
+    [JsonPropertyName("content")]
+    public string? Content { get; set; }
+
+    /// <summary>Hash of the working-tree copy (with its conflict markers) the resolution started from (required); the write is refused if the file no longer matches it.</summary>
+    [JsonPropertyName("expectedContentHash")]
+    public string? ExpectedContentHash { get; set; }
+}
@@ -0,0 +1,22 @@
+using System.Text.Json.Serialization;
+
+namespace GrayMoon.Agent.Jobs.Requests;
+
+public sealed class WriteGitWorkingTreeFileRequest : WorkspaceCommandRequest
+{
+    [JsonPropertyName("workspaceName")]
+    public string? WorkspaceName { get; set; }
+
+    [JsonPropertyName("repositoryName")]
+    public string? RepositoryName { get; set; }
+
+    [JsonPropertyName("path")]
+    public string? Path { get; set; }
+
+    [JsonPropertyName("content")]
+    public string? Content { get; set; }
+
+    /// <summary>Hash of the working-tree content the edit started from (required); the write is refused if the file no longer matches it.</summary>
+    [JsonPropertyName("expectedContentHash")]
+    public string? ExpectedContentHash { get; set; }
+}
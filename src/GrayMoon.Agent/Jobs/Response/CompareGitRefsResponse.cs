@@ -0,0 +1,19 @@
+using System.Text.Json.Serialization;
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Agent.Jobs.Response;
+
+public sealed class CompareGitRefsResponse
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("errorCode")]
+    public string? ErrorCode { get; set; }
+
+    [JsonPropertyName("errorMessage")]
+    public string? ErrorMessage { get; set; }
+
+    [JsonPropertyName("comparison")]
+    public GitRefComparison? Comparison { get; set; }
+}
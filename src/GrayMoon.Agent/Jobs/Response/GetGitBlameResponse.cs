@@ -0,0 +1,19 @@
+using System.Text.Json.Serialization;
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Agent.Jobs.Response;
+
+public sealed class GetGitBlameResponse
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("errorCode")]
+    public string? ErrorCode { get; set; }
+
+    [JsonPropertyName("errorMessage")]
+    public string? ErrorMessage { get; set; }
+
+    [JsonPropertyName("blame")]
+    public GitBlame? Blame { get; set; }
+}
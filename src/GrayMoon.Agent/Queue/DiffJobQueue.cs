@@ -7,7 +7,7 @@ using Microsoft.Extensions.Options;
 namespace GrayMoon.Agent.Queue;
 
 /// <summary>
-/// Dedicated queue for the diff command (GetGitFileDiff), sized independently from both the main command
+/// Dedicated queue for the diff commands (GetGitFileDiff, GetGitRefFileDiff, GetGitConflict, GetGitBlame), sized independently from both the main command
 /// queue and the status-scan read queue via <see cref="AgentOptions.MaxConcurrentDiffCommands"/>, so
 /// opening a diff never queues behind a workspace status rescan (which can fan out many
 /// GetGitChangeStatus calls) or any long-running write. Diff jobs are expected to be near-instant, so
@@ -7,7 +7,7 @@ using Microsoft.Extensions.Options;
 namespace GrayMoon.Agent.Queue;
 
 /// <summary>
-/// Dedicated queue for read-only commands (GetGitFileDiff, GetGitChangeStatus), sized independently
+/// Dedicated queue for read-only commands (GetGitChangeStatus, CompareGitRefs), sized independently
 /// from the main command queue via <see cref="AgentOptions.MaxConcurrentReadCommands"/> so reads stay
 /// responsive even when the main pool is saturated by long-running writes. Read jobs are expected to
 /// be near-instant, so pending-count tracking here is local bookkeeping only - unlike
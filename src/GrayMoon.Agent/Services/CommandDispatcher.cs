@@ -39,8 +39,15 @@ public sealed class CommandDispatcher(
     ICommandHandler<FetchCommitsRequest, FetchCommitsResponse> fetchCommitsCommand,
     ICommandHandler<GetGitChangeStatusRequest, GetGitChangeStatusResponse> getGitChangeStatusCommand,
     ICommandHandler<GetGitFileDiffRequest, GetGitFileDiffResponse> getGitFileDiffCommand,
+    ICommandHandler<CompareGitRefsRequest, CompareGitRefsResponse> compareGitRefsCommand,
+    ICommandHandler<GetGitRefFileDiffRequest, GetGitFileDiffResponse> getGitRefFileDiffCommand,
+    ICommandHandler<GetGitBlameRequest, GetGitBlameResponse> getGitBlameCommand,
     ICommandHandler<StageGitChangesRequest, GitMutationResponse> stageGitChangesCommand,
     ICommandHandler<UnstageGitChangesRequest, GitMutationResponse> unstageGitChangesCommand,
+    ICommandHandler<ApplyGitPatchRequest, GitMutationResponse> applyGitPatchCommand,
+    ICommandHandler<GetGitConflictRequest, GetGitConflictResponse> getGitConflictCommand,
+    ICommandHandler<ResolveGitConflictRequest, GitMutationResponse> resolveGitConflictCommand,
+    ICommandHandler<WriteGitWorkingTreeFileRequest, GitMutationResponse> writeGitWorkingTreeFileCommand,
     ICommandHandler<CommitGitChangesRequest, CommitGitChangesResponse> commitGitChangesCommand) : ICommandDispatcher
 {
     private readonly IReadOnlyDictionary<string, Func<object, CancellationToken, Task<object?>>> _executors = new Dictionary<string, Func<object, CancellationToken, Task<object?>>>(StringComparer.Ordinal)
@@ -78,8 +85,15 @@ public sealed class CommandDispatcher(
         ["FetchCommits"] = async (req, ct) => await fetchCommitsCommand.ExecuteAsync((FetchCommitsRequest)req, ct),
         ["GetGitChangeStatus"] = async (req, ct) => await getGitChangeStatusCommand.ExecuteAsync((GetGitChangeStatusRequest)req, ct),
         ["GetGitFileDiff"] = async (req, ct) => await getGitFileDiffCommand.ExecuteAsync((GetGitFileDiffRequest)req, ct),
+        ["CompareGitRefs"] = async (req, ct) => await compareGitRefsCommand.ExecuteAsync((CompareGitRefsRequest)req, ct),
+        ["GetGitRefFileDiff"] = async (req, ct) => await getGitRefFileDiffCommand.ExecuteAsync((GetGitRefFileDiffRequest)req, ct),
+        ["GetGitBlame"] = async (req, ct) => await getGitBlameCommand.ExecuteAsync((GetGitBlameRequest)req, ct),
         ["StageGitChanges"] = async (req, ct) => await stageGitChangesCommand.ExecuteAsync((StageGitChangesRequest)req, ct),
         ["UnstageGitChanges"] = async (req, ct) => await unstageGitChangesCommand.ExecuteAsync((UnstageGitChangesRequest)req, ct),
+        ["ApplyGitPatch"] = async (req, ct) => await applyGitPatchCommand.ExecuteAsync((ApplyGitPatchRequest)req, ct),
+        ["GetGitConflict"] = async (req, ct) => await getGitConflictCommand.ExecuteAsync((GetGitConflictRequest)req, ct),
+        ["ResolveGitConflict"] = async (req, ct) => await resolveGitConflictCommand.ExecuteAsync((ResolveGitConflictRequest)req, ct),
+        ["WriteGitWorkingTreeFile"] = async (req, ct) => await writeGitWorkingTreeFileCommand.ExecuteAsync((WriteGitWorkingTreeFileRequest)req, ct),
         ["CommitGitChanges"] = async (req, ct) => await commitGitChangesCommand.ExecuteAsync((CommitGitChangesRequest)req, ct),
     };
 
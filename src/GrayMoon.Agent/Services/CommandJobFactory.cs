@@ -98,10 +98,24 @@ public sealed class CommandJobFactory
                 ?? throw new ArgumentException("Invalid GetGitChangeStatus args"),
             "GetGitFileDiff" => JsonSerializer.Deserialize<GetGitFileDiffRequest>(json, options)
                 ?? throw new ArgumentException("Invalid GetGitFileDiff args"),
+            "CompareGitRefs" => JsonSerializer.Deserialize<CompareGitRefsRequest>(json, options)
+                ?? throw new ArgumentException("Invalid CompareGitRefs args"),
+            "GetGitRefFileDiff" => JsonSerializer.Deserialize<GetGitRefFileDiffRequest>(json, options)
+                ?? throw new ArgumentException("Invalid GetGitRefFileDiff args"),
+            "GetGitBlame" => JsonSerializer.Deserialize<GetGitBlameRequest>(json, options)
+                ?? throw new ArgumentException("Invalid GetGitBlame args"),
             "StageGitChanges" => JsonSerializer.Deserialize<StageGitChangesRequest>(json, options)
                 ?? throw new ArgumentException("Invalid StageGitChanges args"),
             "UnstageGitChanges" => JsonSerializer.Deserialize<UnstageGitChangesRequest>(json, options)
                 ?? throw new ArgumentException("Invalid UnstageGitChanges args"),
+            "ApplyGitPatch" => JsonSerializer.Deserialize<ApplyGitPatchRequest>(json, options)
+                ?? throw new ArgumentException("Invalid ApplyGitPatch args"),
+            "GetGitConflict" => JsonSerializer.Deserialize<GetGitConflictRequest>(json, options)
+                ?? throw new ArgumentException("Invalid GetGitConflict args"),
+            "ResolveGitConflict" => JsonSerializer.Deserialize<ResolveGitConflictRequest>(json, options)
+                ?? throw new ArgumentException("Invalid ResolveGitConflict args"),
+            "WriteGitWorkingTreeFile" => JsonSerializer.Deserialize<WriteGitWorkingTreeFileRequest>(json, options)
+                ?? throw new ArgumentException("Invalid WriteGitWorkingTreeFile args"),
             "CommitGitChanges" => JsonSerializer.Deserialize<CommitGitChangesRequest>(json, options)
                 ?? throw new ArgumentException("Invalid CommitGitChanges args"),
             _ => throw new NotSupportedException($"Unknown command: {command}")
@@ -15,6 +15,14 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
 {
     private const int SoftSizeLimitBytes = 5 * 1024 * 1024;
 
+    // Base64 of both sides of an image this size stays well under the App hub's 10 MB message limit.
+    private const int ImagePreviewMaxBytes = 2 * 1024 * 1024;
+
+    private const string IndexRevision = ":0";
+
+    private const string UnsupportedEncodingMessage =
+        "The file is not UTF-8 text or Unicode with a byte order mark; edit it outside GrayMoon so its encoding is kept.";
+
     public async Task<GitChangeStatusResult> GetStatusAsync(string repoPath, long snapshotVersion, CancellationToken cancellationToken)
     {
         if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
@@ -60,33 +68,30 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
     public async Task<GitDiffDocument> GetDiffAsync(string repoPath, GitDiffRequest request, CancellationToken cancellationToken)
     {
         var validation = GitRepositoryPathValidator.Validate(repoPath, request.Path);
-        if (!validation.IsValid)
+        if (!validation.IsValid || request.Comparison == GitDiffComparison.Refs)
         {
+            // Ref comparisons name their commits - they go through GetRefDiffAsync.
             return new GitDiffDocument
             {
                 Path = request.Path ?? string.Empty,
                 Comparison = request.Comparison,
                 State = GitDiffContentState.Error,
-                ErrorMessage = validation.ErrorMessage,
+                ErrorMessage = validation.ErrorMessage ?? "Ref comparisons need a base and head commit.",
             };
         }
 
         var relativePath = validation.NormalizedRelativePath!;
         var fullPath = validation.FullPath!;
         var languageId = MonacoLanguageMapper.GetLanguageId(relativePath);
+        var (original, modified) = request.Comparison == GitDiffComparison.Staged
+            ? (new DiffSide("HEAD", relativePath), new DiffSide(IndexRevision, relativePath))
+            : (new DiffSide(IndexRevision, relativePath), new DiffSide(null, relativePath, fullPath));
 
         if (await IsBinaryAsync(repoPath, relativePath, request.Comparison, cancellationToken))
         {
             var (originalSize, modifiedSize) = await GetBinarySizesAsync(repoPath, relativePath, request.Comparison, fullPath, cancellationToken);
-            return new GitDiffDocument
-            {
-                Path = relativePath,
-                Comparison = request.Comparison,
-                State = GitDiffContentState.Binary,
-                OriginalSizeBytes = originalSize,
-                ModifiedSizeBytes = modifiedSize,
-                LanguageId = languageId,
-            };
+            return await CreateBinaryDocumentAsync(
+                repoPath, relativePath, null, request.Comparison, languageId, original, originalSize, modified, modifiedSize, cancellationToken);
         }
 
         string? originalContent;
@@ -103,12 +108,241 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
             modifiedContent = await ShowIndexContentAsync(repoPath, relativePath, cancellationToken);
         }
 
+        var document = CreateContentDocument(relativePath, null, request.Comparison, languageId, originalContent, modifiedContent);
+        return await AddTextImagePreviewAsync(repoPath, document, original, modified, cancellationToken);
+    }
+
+    public async Task<GitRefComparisonResult> CompareRefsAsync(string repoPath, GitRefComparisonRequest request, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
+        {
+            return new GitRefComparisonResult { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var baseRef = request.BaseRef?.Trim();
+        var headRef = request.HeadRef?.Trim();
+        if (!IsRevisionArgument(baseRef) || !IsRevisionArgument(headRef))
+        {
+            return new GitRefComparisonResult { Success = false, ErrorCode = "InvalidRef", ErrorMessage = "Enter a branch, tag or commit for both sides." };
+        }
+
+        var baseCommit = await ResolveCommitAsync(repoPath, baseRef!, cancellationToken);
+        var headCommit = await ResolveCommitAsync(repoPath, headRef!, cancellationToken);
+        var missingRef = baseCommit == null ? baseRef : headCommit == null ? headRef : null;
+        if (missingRef != null)
+        {
+            return new GitRefComparisonResult
+            {
+                Success = false,
+                ErrorCode = "RefNotFound",
+                ErrorMessage = $"'{missingRef}' is not a branch, tag or commit in this repository.",
+            };
+        }
+
+        if (request.UseMergeBase)
+        {
+            var (mergeBaseExitCode, mergeBaseStdout, _) = await runner.RunAsync(
+                "git", ["--no-optional-locks", "merge-base", baseCommit!, headCommit!], repoPath, null, cancellationToken, GitLockIntent.Read);
+            if (mergeBaseExitCode != 0 || string.IsNullOrWhiteSpace(mergeBaseStdout))
+            {
+                return new GitRefComparisonResult
+                {
+                    Success = false,
+                    ErrorCode = "NoMergeBase",
+                    ErrorMessage = $"'{baseRef}' and '{headRef}' have no common history.",
+                };
+            }
+
+            baseCommit = mergeBaseStdout.Trim();
+        }
+
+        var (exitCode, stdout, stderr) = await runner.RunAsync(
+            "git",
+            ["--no-optional-locks", "diff", "--name-status", "-z", "-M", "--no-ext-diff", baseCommit!, headCommit!, "--"],
+            repoPath,
+            null,
+            cancellationToken,
+            GitLockIntent.Read);
+
+        if (exitCode != 0)
+        {
+            var error = (stderr ?? stdout ?? "git diff failed").Trim();
+            logger.LogError("Git ref comparison failed for {RepoPath}. ExitCode={ExitCode}, Stderr={Stderr}", repoPath, exitCode, error);
+            return new GitRefComparisonResult { Success = false, ErrorCode = "CompareFailed", ErrorMessage = error };
+        }
+
+        return new GitRefComparisonResult
+        {
+            Success = true,
+            Comparison = new GitRefComparison
+            {
+                BaseRef = baseRef!,
+                HeadRef = headRef!,
+                BaseCommit = baseCommit!,
+                HeadCommit = headCommit!,
+                UsesMergeBase = request.UseMergeBase,
+                Files = GitNameStatusParser.Parse(stdout),
+            },
+        };
+    }
+
+    public async Task<GitDiffDocument> GetRefDiffAsync(string repoPath, GitRefDiffRequest request, CancellationToken cancellationToken)
+    {
+        var validation = GitRepositoryPathValidator.Validate(repoPath, request.Path);
+        var originalValidation = string.IsNullOrWhiteSpace(request.OriginalPath)
+            ? validation
+            : GitRepositoryPathValidator.Validate(repoPath, request.OriginalPath);
+        var error = !validation.IsValid
+            ? validation.ErrorMessage
+            : !originalValidation.IsValid
+                ? originalValidation.ErrorMessage
+                : !IsCommitSha(request.BaseCommit) || !IsCommitSha(request.HeadCommit)
+                    ? "Invalid commit."
+                    : null;
+        if (error != null)
+        {
+            return new GitDiffDocument
+            {
+                Path = request.Path ?? string.Empty,
+                Comparison = GitDiffComparison.Refs,
+                State = GitDiffContentState.Error,
+                ErrorMessage = error,
+            };
+        }
+
+        var relativePath = validation.NormalizedRelativePath!;
+        var originalPath = originalValidation.NormalizedRelativePath!;
+        var renamedFrom = originalPath == relativePath ? null : originalPath;
+        var baseCommit = request.BaseCommit!;
+        var headCommit = request.HeadCommit!;
+        var languageId = MonacoLanguageMapper.GetLanguageId(relativePath);
+
+        var original = new DiffSide(baseCommit, originalPath);
+        var modified = new DiffSide(headCommit, relativePath);
+
+        if (await IsBinaryDiffAsync(repoPath, [baseCommit, headCommit], [originalPath, relativePath], cancellationToken))
+        {
+            return await CreateBinaryDocumentAsync(
+                repoPath,
+                relativePath,
+                renamedFrom,
+                GitDiffComparison.Refs,
+                languageId,
+                original,
+                await GetBlobSizeAsync(repoPath, $"{baseCommit}:{originalPath}", cancellationToken),
+                modified,
+                await GetBlobSizeAsync(repoPath, $"{headCommit}:{relativePath}", cancellationToken),
+                cancellationToken);
+        }
+
+        var originalContent = await ShowRefContentAsync(repoPath, baseCommit, originalPath, cancellationToken);
+        var modifiedContent = await ShowRefContentAsync(repoPath, headCommit, relativePath, cancellationToken);
+        var document = CreateContentDocument(relativePath, renamedFrom, GitDiffComparison.Refs, languageId, originalContent, modifiedContent);
+        return await AddTextImagePreviewAsync(repoPath, document, original, modified, cancellationToken);
+    }
+
+    /// <summary>
+    /// Binary diff document with both sides' sizes and blob ids. A previewable image (<see cref="ImageMimeTypeMapper"/>) no larger than
+    /// <see cref="ImagePreviewMaxBytes"/> comes back as <see cref="GitDiffContentState.Image"/> with the bytes of both sides instead.
+    /// </summary>
+    private async Task<GitDiffDocument> CreateBinaryDocumentAsync(
+        string repoPath,
+        string relativePath,
+        string? originalPath,
+        GitDiffComparison comparison,
+        string? languageId,
+        DiffSide original,
+        long? originalSize,
+        DiffSide modified,
+        long? modifiedSize,
+        CancellationToken cancellationToken)
+    {
+        var document = new GitDiffDocument
+        {
+            Path = relativePath,
+            OriginalPath = originalPath,
+            Comparison = comparison,
+            State = GitDiffContentState.Binary,
+            OriginalSizeBytes = originalSize,
+            ModifiedSizeBytes = modifiedSize,
+            OriginalBlobId = originalSize != null ? await GetBlobIdAsync(repoPath, original, cancellationToken) : null,
+            ModifiedBlobId = modifiedSize != null ? await GetBlobIdAsync(repoPath, modified, cancellationToken) : null,
+            LanguageId = languageId,
+        };
+
+        var mimeType = ImageMimeTypeMapper.GetMimeType(relativePath);
+        if (mimeType == null || originalSize > ImagePreviewMaxBytes || modifiedSize > ImagePreviewMaxBytes)
+        {
+            return document;
+        }
+
+        var originalBytes = originalSize != null ? await ReadBlobBytesAsync(repoPath, original, originalSize.Value, cancellationToken) : null;
+        var modifiedBytes = modifiedSize != null ? await ReadBlobBytesAsync(repoPath, modified, modifiedSize.Value, cancellationToken) : null;
+        if ((originalSize != null && originalBytes == null) || (modifiedSize != null && modifiedBytes == null))
+        {
+            // Not stored as plain bytes (e.g. a Git LFS pointer) - sizes and ids are all there is to show.
+            return document;
+        }
+
+        return document with
+        {
+            State = GitDiffContentState.Image,
+            ImageMimeType = mimeType,
+            OriginalImageBase64 = originalBytes != null ? Convert.ToBase64String(originalBytes) : null,
+            ModifiedImageBase64 = modifiedBytes != null ? Convert.ToBase64String(modifiedBytes) : null,
+        };
+    }
+
+    /// <summary>
+    /// SVG is text to git, so it arrives here as a text document: it stays one (so it can still be staged, discarded and
+    /// edited line by line) and also carries both sides' bytes and blob ids for an image preview alongside the text.
+    /// Anything else, and an SVG past <see cref="ImagePreviewMaxBytes"/>, is returned unchanged.
+    /// </summary>
+    private async Task<GitDiffDocument> AddTextImagePreviewAsync(
+        string repoPath, GitDiffDocument document, DiffSide original, DiffSide modified, CancellationToken cancellationToken)
+    {
+        var mimeType = ImageMimeTypeMapper.GetMimeType(document.Path);
+        if (mimeType == null
+            || document.State is not (GitDiffContentState.Normal or GitDiffContentState.NewFile or GitDiffContentState.DeletedFile)
+            || document.OriginalSizeBytes > ImagePreviewMaxBytes
+            || document.ModifiedSizeBytes > ImagePreviewMaxBytes)
+        {
+            return document;
+        }
+
+        var hasOriginal = document.State != GitDiffContentState.NewFile;
+        var hasModified = document.State != GitDiffContentState.DeletedFile;
+        return document with
+        {
+            OriginalSizeBytes = hasOriginal ? document.OriginalSizeBytes : null,
+            ModifiedSizeBytes = hasModified ? document.ModifiedSizeBytes : null,
+            OriginalBlobId = hasOriginal ? await GetBlobIdAsync(repoPath, original, cancellationToken) : null,
+            ModifiedBlobId = hasModified ? await GetBlobIdAsync(repoPath, modified, cancellationToken) : null,
+            ImageMimeType = mimeType,
+            OriginalImageBase64 = hasOriginal ? Convert.ToBase64String(Encoding.UTF8.GetBytes(document.OriginalContent!)) : null,
+            ModifiedImageBase64 = hasModified ? Convert.ToBase64String(Encoding.UTF8.GetBytes(document.ModifiedContent!)) : null,
+        };
+    }
+
+    /// <summary>
+    /// Text diff document for already-read contents (null = the file does not exist on that side): binary when either
+    /// side has a NUL byte, too large past the soft limit, otherwise new/deleted/normal.
+    /// </summary>
+    private static GitDiffDocument CreateContentDocument(
+        string relativePath,
+        string? originalPath,
+        GitDiffComparison comparison,
+        string? languageId,
+        string? originalContent,
+        string? modifiedContent)
+    {
         if (ContainsBinaryMarker(originalContent) || ContainsBinaryMarker(modifiedContent))
         {
             return new GitDiffDocument
             {
                 Path = relativePath,
-                Comparison = request.Comparison,
+                OriginalPath = originalPath,
+                Comparison = comparison,
                 State = GitDiffContentState.Binary,
                 OriginalSizeBytes = originalContent != null ? Encoding.UTF8.GetByteCount(originalContent) : null,
                 ModifiedSizeBytes = modifiedContent != null ? Encoding.UTF8.GetByteCount(modifiedContent) : null,
@@ -124,7 +358,8 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
             return new GitDiffDocument
             {
                 Path = relativePath,
-                Comparison = request.Comparison,
+                OriginalPath = originalPath,
+                Comparison = comparison,
                 State = GitDiffContentState.TooLarge,
                 OriginalSizeBytes = originalBytes,
                 ModifiedSizeBytes = modifiedBytes,
@@ -141,7 +376,8 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         return new GitDiffDocument
         {
             Path = relativePath,
-            Comparison = request.Comparison,
+            OriginalPath = originalPath,
+            Comparison = comparison,
             State = state,
             OriginalContent = originalContent ?? string.Empty,
             ModifiedContent = modifiedContent ?? string.Empty,
@@ -151,6 +387,121 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         };
     }
 
+    public async Task<GitConflictResult> GetConflictAsync(string repoPath, string? path, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
+        {
+            return new GitConflictResult { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var validation = GitRepositoryPathValidator.Validate(repoPath, path);
+        if (!validation.IsValid)
+        {
+            return new GitConflictResult { Success = false, ErrorCode = "InvalidPath", ErrorMessage = validation.ErrorMessage };
+        }
+
+        var relativePath = validation.NormalizedRelativePath!;
+        if (!await IsUnmergedAsync(repoPath, relativePath, cancellationToken))
+        {
+            return new GitConflictResult { Success = false, ErrorCode = "NotConflicted", ErrorMessage = "The file has no merge conflict." };
+        }
+
+        // Stage 1 is the common ancestor, 2 is ours (HEAD) and 3 is theirs (the branch being merged in).
+        var baseContent = await ShowRefContentAsync(repoPath, ":1", relativePath, cancellationToken);
+        var oursContent = await ShowRefContentAsync(repoPath, ":2", relativePath, cancellationToken);
+        var theirsContent = await ShowRefContentAsync(repoPath, ":3", relativePath, cancellationToken);
+        var mergedContent = await ReadWorkingTreeContentAsync(validation.FullPath!, cancellationToken);
+        string?[] contents = [baseContent, oursContent, theirsContent, mergedContent];
+
+        var state = contents.Any(ContainsBinaryMarker)
+            ? GitDiffContentState.Binary
+            : contents.Any(c => c != null && Encoding.UTF8.GetByteCount(c) > SoftSizeLimitBytes)
+                ? GitDiffContentState.TooLarge
+                : GitDiffContentState.Normal;
+
+        if (state != GitDiffContentState.Normal)
+        {
+            return new GitConflictResult
+            {
+                Success = true,
+                Conflict = new GitConflictDocument { Path = relativePath, State = state, LanguageId = MonacoLanguageMapper.GetLanguageId(relativePath) },
+            };
+        }
+
+        return new GitConflictResult
+        {
+            Success = true,
+            Conflict = new GitConflictDocument
+            {
+                Path = relativePath,
+                State = state,
+                BaseContent = baseContent,
+                OursContent = oursContent,
+                TheirsContent = theirsContent,
+                MergedContent = mergedContent,
+                LanguageId = MonacoLanguageMapper.GetLanguageId(relativePath),
+            },
+        };
+    }
+
+    public async Task<GitBlameResult> GetBlameAsync(string repoPath, GitBlameRequest request, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
+        {
+            return new GitBlameResult { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var validation = GitRepositoryPathValidator.Validate(repoPath, request.Path);
+        if (!validation.IsValid)
+        {
+            return new GitBlameResult { Success = false, ErrorCode = "InvalidPath", ErrorMessage = validation.ErrorMessage };
+        }
+
+        if (request.Revision != null && request.Revision != "HEAD" && !IsCommitSha(request.Revision))
+        {
+            return new GitBlameResult { Success = false, ErrorCode = "InvalidRevision", ErrorMessage = "Invalid commit." };
+        }
+
+        // The staged copy has no commit to name: blame its content as if it were the working tree, so staged but
+        // uncommitted lines come back with the all-zero SHA.
+        var relativePath = validation.NormalizedRelativePath!;
+        List<string> args = ["--no-optional-locks", "blame", "--porcelain"];
+        byte[]? stdin = null;
+        if (request.Revision == null)
+        {
+            var staged = await ShowIndexContentAsync(repoPath, relativePath, cancellationToken);
+            if (staged == null)
+            {
+                return new GitBlameResult { Success = false, ErrorCode = "FileNotFound", ErrorMessage = "The file is not in the index." };
+            }
+
+            args.AddRange(["--contents", "-"]);
+            stdin = Encoding.UTF8.GetBytes(staged);
+        }
+        else
+        {
+            args.Add(request.Revision);
+        }
+
+        args.AddRange(["--", relativePath]);
+        var (exitCode, stdout, stderr) = await runner.RunAsync("git", args, repoPath, stdin, cancellationToken, GitLockIntent.Read);
+        if (exitCode != 0)
+        {
+            return new GitBlameResult { Success = false, ErrorCode = "BlameFailed", ErrorMessage = (stderr ?? stdout ?? "git blame failed").Trim() };
+        }
+
+        var blame = GitBlamePorcelainParser.Parse(stdout);
+        var messages = await GetCommitMessagesAsync(repoPath, blame.Commits.Where(c => !c.IsUncommitted).Select(c => c.Sha).ToList(), cancellationToken);
+        return new GitBlameResult
+        {
+            Success = true,
+            Blame = blame with
+            {
+                Commits = blame.Commits.Select(c => messages.TryGetValue(c.Sha, out var message) ? c with { Message = message } : c).ToList(),
+            },
+        };
+    }
+
     public async Task<GitMutationResult> StageAsync(string repoPath, GitStageOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken)
     {
         if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
@@ -227,6 +578,164 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         return await MutationSuccessAsync(repoPath, nextSnapshotVersion, cancellationToken);
     }
 
+    public async Task<GitMutationResult> ApplyPatchAsync(string repoPath, GitPatchOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var patchError = ValidatePatch(repoPath, request.Patch);
+        if (patchError != null)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "InvalidPatch", ErrorMessage = patchError };
+        }
+
+        string[] args = request.Operation switch
+        {
+            GitPatchOperation.Stage => ["apply", "--cached", "--whitespace=nowarn", "-"],
+            GitPatchOperation.Unstage => ["apply", "--cached", "--reverse", "--whitespace=nowarn", "-"],
+            GitPatchOperation.Discard => ["apply", "--reverse", "--whitespace=nowarn", "-"],
+            _ => [],
+        };
+        if (args.Length == 0)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "InvalidPatch", ErrorMessage = "Unknown patch operation." };
+        }
+
+        // git apply checks every hunk before touching anything, so a patch built against content that has
+        // changed since the diff was loaded fails as a whole instead of being half applied.
+        var patch = request.Patch.EndsWith('\n') ? request.Patch : request.Patch + "\n";
+        var (exitCode, stdout, stderr) = await runner.RunAsync("git", args, repoPath, Encoding.UTF8.GetBytes(patch), cancellationToken);
+        if (exitCode != 0)
+        {
+            return await MutationFailureAsync(repoPath, "ApplyPatchFailed", (stderr ?? stdout ?? "git apply failed").Trim(), nextSnapshotVersion, cancellationToken);
+        }
+
+        return await MutationSuccessAsync(repoPath, nextSnapshotVersion, cancellationToken);
+    }
+
+    public async Task<GitMutationResult> ResolveConflictAsync(string repoPath, GitConflictResolutionRequest request, long nextSnapshotVersion, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var validation = GitRepositoryPathValidator.Validate(repoPath, request.Path);
+        if (!validation.IsValid)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "InvalidPath", ErrorMessage = validation.ErrorMessage };
+        }
+
+        if (request.Content == null)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "NoContent", ErrorMessage = "No resolved content." };
+        }
+
+        if (string.IsNullOrEmpty(request.ExpectedContentHash))
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "NoContentHash", ErrorMessage = "The content the resolution started from is required." };
+        }
+
+        var relativePath = validation.NormalizedRelativePath!;
+        var targetError = GetWriteTargetError(repoPath, relativePath);
+        if (targetError != null)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "InvalidPath", ErrorMessage = targetError };
+        }
+
+        // Never overwrite a file that was resolved (and possibly edited further) somewhere else since it was loaded.
+        if (!await IsUnmergedAsync(repoPath, relativePath, cancellationToken))
+        {
+            return await MutationFailureAsync(repoPath, "NotConflicted", "The file has no merge conflict anymore.", nextSnapshotVersion, cancellationToken);
+        }
+
+        // Nor one edited somewhere else (an IDE) while it still has its conflict markers.
+        var current = await ReadWorkingTreeContentAsync(validation.FullPath!, cancellationToken);
+        if (current == null || !string.Equals(GitContentHash.Compute(current), request.ExpectedContentHash, StringComparison.OrdinalIgnoreCase))
+        {
+            return await MutationFailureAsync(repoPath, "FileChanged", "The file was changed on disk since it was loaded.", nextSnapshotVersion, cancellationToken);
+        }
+
+        var encoding = await GetWritableEncodingAsync(validation.FullPath!, cancellationToken);
+        if (encoding == null)
+        {
+            return await MutationFailureAsync(repoPath, "UnsupportedEncoding", UnsupportedEncodingMessage, nextSnapshotVersion, cancellationToken);
+        }
+
+        try
+        {
+            await WriteWorkingTreeContentAsync(validation.FullPath!, request.Content, encoding, cancellationToken);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return await MutationFailureAsync(repoPath, "WriteFailed", ex.Message, nextSnapshotVersion, cancellationToken);
+        }
+
+        var (exitCode, stdout, stderr) = await runner.RunAsync("git", ["add", "--", relativePath], repoPath, null, cancellationToken);
+        if (exitCode != 0)
+        {
+            return await MutationFailureAsync(repoPath, "StageFailed", (stderr ?? stdout ?? "git add failed").Trim(), nextSnapshotVersion, cancellationToken);
+        }
+
+        return await MutationSuccessAsync(repoPath, nextSnapshotVersion, cancellationToken);
+    }
+
+    public async Task<GitMutationResult> WriteWorkingTreeFileAsync(string repoPath, GitWorkingTreeWriteRequest request, long nextSnapshotVersion, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "RepositoryNotFound", ErrorMessage = "Repository not found." };
+        }
+
+        var validation = GitRepositoryPathValidator.Validate(repoPath, request.Path);
+        if (!validation.IsValid)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "InvalidPath", ErrorMessage = validation.ErrorMessage };
+        }
+
+        if (request.Content == null)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "NoContent", ErrorMessage = "No content to write." };
+        }
+
+        if (string.IsNullOrEmpty(request.ExpectedContentHash))
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "NoContentHash", ErrorMessage = "The content the edit started from is required." };
+        }
+
+        var targetError = GetWriteTargetError(repoPath, validation.NormalizedRelativePath!);
+        if (targetError != null)
+        {
+            return new GitMutationResult { Success = false, ErrorCode = "InvalidPath", ErrorMessage = targetError };
+        }
+
+        // Never overwrite an edit made somewhere else (an IDE, a checkout) since the diff was loaded.
+        var current = await ReadWorkingTreeContentAsync(validation.FullPath!, cancellationToken);
+        if (current == null || !string.Equals(GitContentHash.Compute(current), request.ExpectedContentHash, StringComparison.OrdinalIgnoreCase))
+        {
+            return await MutationFailureAsync(repoPath, "FileChanged", "The file was changed on disk since it was loaded.", nextSnapshotVersion, cancellationToken);
+        }
+
+        var encoding = await GetWritableEncodingAsync(validation.FullPath!, cancellationToken);
+        if (encoding == null)
+        {
+            return await MutationFailureAsync(repoPath, "UnsupportedEncoding", UnsupportedEncodingMessage, nextSnapshotVersion, cancellationToken);
+        }
+
+        try
+        {
+            await WriteWorkingTreeContentAsync(validation.FullPath!, request.Content, encoding, cancellationToken);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return await MutationFailureAsync(repoPath, "WriteFailed", ex.Message, nextSnapshotVersion, cancellationToken);
+        }
+
+        return await MutationSuccessAsync(repoPath, nextSnapshotVersion, cancellationToken);
+    }
+
     public async Task<GitCommitResult> CommitAsync(string repoPath, GitCommitOperationRequest request, long nextSnapshotVersion, CancellationToken cancellationToken)
     {
         if (string.IsNullOrWhiteSpace(repoPath) || !Directory.Exists(repoPath))
@@ -418,6 +927,67 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         return normalized;
     }
 
+    /// <summary>
+    /// Checks that a patch has at least one <c>diff --git</c> file section and that every file it names (in the
+    /// <c>---</c>/<c>+++</c> lines before each section's first hunk) is a valid repository-relative path. Returns the
+    /// error message, or null when the patch may be handed to git.
+    /// </summary>
+    private static string? ValidatePatch(string repoPath, string? patch)
+    {
+        if (string.IsNullOrWhiteSpace(patch))
+        {
+            return "Patch is empty.";
+        }
+
+        var fileCount = 0;
+        var inFileHeader = false;
+        foreach (var rawLine in patch.Split('\n'))
+        {
+            var line = rawLine.TrimEnd('\r');
+            if (line.StartsWith("diff --git ", StringComparison.Ordinal))
+            {
+                fileCount++;
+                inFileHeader = true;
+                continue;
+            }
+
+            if (!inFileHeader)
+            {
+                continue;
+            }
+
+            if (line.StartsWith("@@", StringComparison.Ordinal))
+            {
+                inFileHeader = false;
+                continue;
+            }
+
+            if (!line.StartsWith("--- ", StringComparison.Ordinal) && !line.StartsWith("+++ ", StringComparison.Ordinal))
+            {
+                continue;
+            }
+
+            var name = line[4..].Split('\t')[0];
+            if (name == "/dev/null")
+            {
+                continue;
+            }
+
+            if (name.StartsWith("a/", StringComparison.Ordinal) || name.StartsWith("b/", StringComparison.Ordinal))
+            {
+                name = name[2..];
+            }
+
+            var validation = GitRepositoryPathValidator.Validate(repoPath, name);
+            if (!validation.IsValid)
+            {
+                return validation.ErrorMessage;
+            }
+        }
+
+        return fileCount == 0 ? "Patch has no file header." : null;
+    }
+
     private async Task<(bool IsMerging, bool IsRebasing, bool IsCherryPicking)> GetOperationStateAsync(string repoPath, CancellationToken cancellationToken)
     {
         var gitDir = await ResolveGitDirAsync(repoPath, cancellationToken);
@@ -445,11 +1015,12 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         return Path.IsPathRooted(gitDir) ? gitDir : Path.GetFullPath(Path.Combine(repoPath, gitDir));
     }
 
-    private async Task<bool> IsBinaryAsync(string repoPath, string relativePath, GitDiffComparison comparison, CancellationToken cancellationToken)
+    private Task<bool> IsBinaryAsync(string repoPath, string relativePath, GitDiffComparison comparison, CancellationToken cancellationToken) =>
+        IsBinaryDiffAsync(repoPath, comparison == GitDiffComparison.Staged ? ["--cached"] : [], [relativePath], cancellationToken);
+
+    private async Task<bool> IsBinaryDiffAsync(string repoPath, string[] revisions, string[] paths, CancellationToken cancellationToken)
     {
-        string[] args = comparison == GitDiffComparison.Staged
-            ? ["--no-optional-locks", "diff", "--cached", "--numstat", "--", relativePath]
-            : ["--no-optional-locks", "diff", "--numstat", "--", relativePath];
+        string[] args = ["--no-optional-locks", "diff", "--numstat", .. revisions, "--", .. paths.Distinct(StringComparer.Ordinal)];
 
         var (exitCode, stdout, _) = await runner.RunAsync("git", args, repoPath, null, cancellationToken, GitLockIntent.Read);
         if (exitCode != 0 || string.IsNullOrWhiteSpace(stdout))
@@ -479,6 +1050,58 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         return (originalSize, modifiedSize);
     }
 
+    /// <summary>
+    /// Where one side of a diff is read from: <see cref="Revision"/> is a commit, or <see cref="IndexRevision"/> for the staged copy;
+    /// the working-tree copy has no revision and is read from <see cref="FullPath"/>.
+    /// </summary>
+    private sealed record DiffSide(string? Revision, string RelativePath, string? FullPath = null);
+
+    /// <summary>The blob id of one side, or null when the file does not exist there; the working-tree copy is hashed as <c>git add</c> would store it.</summary>
+    private async Task<string?> GetBlobIdAsync(string repoPath, DiffSide side, CancellationToken cancellationToken)
+    {
+        if (side.Revision == null && !File.Exists(side.FullPath))
+        {
+            return null;
+        }
+
+        string[] args = side.Revision == null
+            ? ["--no-optional-locks", "hash-object", "--", side.RelativePath]
+            : ["--no-optional-locks", "rev-parse", "--verify", "--quiet", $"{side.Revision}:{side.RelativePath}"];
+        var (exitCode, stdout, _) = await runner.RunAsync("git", args, repoPath, null, cancellationToken, GitLockIntent.Read);
+        return exitCode == 0 && !string.IsNullOrWhiteSpace(stdout) ? stdout.Trim() : null;
+    }
+
+    /// <summary>
+    /// The raw bytes of one side. The runner only returns text, so a committed or staged blob is read as the <c>literal</c> binary
+    /// patch that adds it to the empty tree (see <see cref="GitBinaryPatchParser"/>); null if git shows it as text instead.
+    /// </summary>
+    private async Task<byte[]?> ReadBlobBytesAsync(string repoPath, DiffSide side, long size, CancellationToken cancellationToken)
+    {
+        if (side.Revision == null)
+        {
+            return File.Exists(side.FullPath) ? await File.ReadAllBytesAsync(side.FullPath, cancellationToken) : null;
+        }
+
+        if (size == 0)
+        {
+            return [];
+        }
+
+        // The empty tree's id depends on the repository's object format (SHA-1 or SHA-256).
+        var (treeExitCode, emptyTree, _) = await runner.RunAsync(
+            "git", ["--no-optional-locks", "hash-object", "-t", "tree", "--stdin"], repoPath, [], cancellationToken, GitLockIntent.Read);
+        if (treeExitCode != 0 || string.IsNullOrWhiteSpace(emptyTree))
+        {
+            return null;
+        }
+
+        List<string> args = ["--no-optional-locks", "diff", "--binary", "--no-color", "--no-ext-diff", "--no-textconv", "--no-renames"];
+        args.AddRange(side.Revision == IndexRevision ? ["--cached", emptyTree.Trim()] : [emptyTree.Trim(), side.Revision]);
+        args.AddRange(["--", side.RelativePath]);
+        var (exitCode, stdout, _) = await runner.RunAsync("git", args, repoPath, null, cancellationToken, GitLockIntent.Read);
+        return exitCode == 0 ? GitBinaryPatchParser.ParseLiteral(stdout) : null;
+    }
+
     private async Task<long?> GetBlobSizeAsync(string repoPath, string objectSpec, CancellationToken cancellationToken)
     {
         var (exitCode, stdout, _) = await runner.RunAsync("git", ["--no-optional-locks", "cat-file", "-s", objectSpec], repoPath, null, cancellationToken, GitLockIntent.Read);
@@ -512,8 +1135,133 @@ public sealed class GitCliRepositoryGitChangesService(GitProcessRunner runner, I
         return await File.ReadAllTextAsync(fullPath, cancellationToken);
     }
 
+    /// <summary>
+    /// Why a working-tree write to <paramref name="relativePath"/> (already through <see cref="GitRepositoryPathValidator"/>) is refused,
+    /// or null. The validator only rules out absolute paths and traversal; this also keeps writes out of <c>.git</c> and off symlinks -
+    /// the file or any directory above it - which could lead anywhere outside the repository.
+    /// </summary>
+    private static string? GetWriteTargetError(string repoPath, string relativePath)
+    {
+        var segments = relativePath.Split('/');
+        if (segments.Any(s => string.Equals(s, ".git", StringComparison.OrdinalIgnoreCase)))
+        {
+            return "Files under .git cannot be written.";
+        }
+
+        var current = Path.GetFullPath(repoPath);
+        foreach (var segment in segments)
+        {
+            current = Path.Combine(current, segment);
+            if (new FileInfo(current).LinkTarget != null)
+            {
+                return "Files behind a symbolic link cannot be written.";
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// The encoding to write a working-tree file back in: the one <see cref="ReadWorkingTreeContentAsync"/> decoded it with (a UTF-8,
+    /// UTF-16 or UTF-32 byte order mark, otherwise UTF-8), or null when the bytes are not valid in it - such a file (e.g. Windows-1252)
+    /// was read lossily, so writing the edited text back would corrupt it.
+    /// </summary>
+    private static async Task<Encoding?> GetWritableEncodingAsync(string fullPath, CancellationToken cancellationToken)
+    {
+        if (!File.Exists(fullPath))
+        {
+            return new UTF8Encoding(false);
+        }
+
+        var bytes = await File.ReadAllBytesAsync(fullPath, cancellationToken);
+        Encoding encoding = bytes switch
+        {
+            [0xEF, 0xBB, 0xBF, ..] => new UTF8Encoding(true),
+            [0xFF, 0xFE, 0x00, 0x00, ..] => new UTF32Encoding(false, true),
+            [0x00, 0x00, 0xFE, 0xFF, ..] => new UTF32Encoding(true, true),
+            [0xFF, 0xFE, ..] => new UnicodeEncoding(false, true),
+            [0xFE, 0xFF, ..] => new UnicodeEncoding(true, true),
+            _ => new UTF8Encoding(false),
+        };
+
+        var strict = Encoding.GetEncoding(encoding.CodePage, EncoderFallback.ExceptionFallback, DecoderFallback.ExceptionFallback);
+        var preambleLength = encoding.GetPreamble().Length;
+        try
+        {
+            strict.GetCharCount(bytes, preambleLength, bytes.Length - preambleLength);
+            return encoding;
+        }
+        catch (DecoderFallbackException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>Writes text over a working-tree file in <paramref name="encoding"/> (see <see cref="GetWritableEncodingAsync"/>), byte order mark included.</summary>
+    private static Task WriteWorkingTreeContentAsync(string fullPath, string content, Encoding encoding, CancellationToken cancellationToken) =>
+        File.WriteAllTextAsync(fullPath, content, encoding, cancellationToken);
+
+    private async Task<bool> IsUnmergedAsync(string repoPath, string relativePath, CancellationToken cancellationToken)
+    {
+        var (exitCode, stdout, _) = await runner.RunAsync(
+            "git", ["--no-optional-locks", "ls-files", "--unmerged", "-z", "--", relativePath], repoPath, null, cancellationToken, GitLockIntent.Read);
+        return exitCode == 0 && !string.IsNullOrEmpty(stdout);
+    }
+
     private static bool ContainsBinaryMarker(string? content) => content != null && content.Contains('\0');
 
+    /// <summary>The commit SHA <paramref name="revision"/> resolves to, or null when it names no commit.</summary>
+    private async Task<string?> ResolveCommitAsync(string repoPath, string revision, CancellationToken cancellationToken)
+    {
+        var (exitCode, stdout, _) = await runner.RunAsync(
+            "git", ["--no-optional-locks", "rev-parse", "--verify", "--quiet", $"{revision}^{{commit}}"], repoPath, null, cancellationToken, GitLockIntent.Read);
+        return exitCode == 0 && !string.IsNullOrWhiteSpace(stdout) ? stdout.Trim() : null;
+    }
+
+    // Refs come from the user: anything starting with '-' would be read as an option, and whitespace or control
+    // characters never appear in a revision git can resolve.
+    private static bool IsRevisionArgument(string? revision) =>
+        !string.IsNullOrEmpty(revision)
+        && revision[0] != '-'
+        && !revision.Any(c => char.IsWhiteSpace(c) || char.IsControl(c));
+
+    /// <summary>Full messages of <paramref name="shas"/>, read in one <c>git log --no-walk --stdin</c>; porcelain blame only carries the summary.</summary>
+    private async Task<Dictionary<string, string>> GetCommitMessagesAsync(string repoPath, IReadOnlyList<string> shas, CancellationToken cancellationToken)
+    {
+        var messages = new Dictionary<string, string>(StringComparer.Ordinal);
+        if (shas.Count == 0)
+        {
+            return messages;
+        }
+
+        // %x1f and %x1e (unit/record separators) never appear in a commit message.
+        var (exitCode, stdout, _) = await runner.RunAsync(
+            "git",
+            ["--no-optional-locks", "log", "--no-walk=unsorted", "--stdin", "--format=%H%x1f%B%x1e"],
+            repoPath,
+            Encoding.UTF8.GetBytes(string.Join('\n', shas) + "\n"),
+            cancellationToken,
+            GitLockIntent.Read);
+        if (exitCode != 0 || string.IsNullOrEmpty(stdout))
+        {
+            return messages;
+        }
+
+        foreach (var record in stdout.Split('\x1e'))
+        {
+            var separator = record.IndexOf('\x1f');
+            if (separator > 0)
+            {
+                messages[record[..separator].Trim()] = NormalizeCommitMessage(record[(separator + 1)..]);
+            }
+        }
+
+        return messages;
+    }
+
+    private static bool IsCommitSha(string? value) =>
+        value is { Length: 40 or 64 } && value.All(char.IsAsciiHexDigit);
+
     private async Task<string?> GetHeadCommitShaAsync(string repoPath, CancellationToken cancellationToken)
     {
         var (exitCode, stdout, _) = await runner.RunAsync("git", ["rev-parse", "HEAD"], repoPath, null, cancellationToken);
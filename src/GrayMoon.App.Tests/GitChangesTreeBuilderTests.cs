@@ -79,6 +79,28 @@ public class GitChangesTreeBuilderTests
         Assert.Contains(fileRows, r => !r.IsStagedSection);
     }
 
+    [Fact]
+    public void Partially_staged_flag_is_set_only_for_files_with_staged_and_unstaged_changes()
+    {
+        var view = new WorkspaceGitChangesView
+        {
+            WorkspaceId = 1,
+            Repositories =
+            [
+                Repo(1, "repo-a",
+                    Entry("both.txt", index: GitChangeKind.Modified, worktree: GitChangeKind.Modified),
+                    Entry("staged.txt", index: GitChangeKind.Modified),
+                    Entry("changed.txt", worktree: GitChangeKind.Modified)),
+            ],
+        };
+
+        var rows = GitChangesTreeBuilder.Build(view, null);
+
+        var partial = rows.Where(r => r.Kind == GitChangesTreeRowKind.File && r.IsPartiallyStaged).ToList();
+        Assert.Equal(2, partial.Count);
+        Assert.All(partial, r => Assert.Equal("both.txt", r.FilePath));
+    }
+
     [Fact]
     public void Repository_with_only_staged_changes_does_not_appear_under_changed()
     {
@@ -251,4 +273,45 @@ public class GitChangesTreeBuilderTests
         var repoNames = rows.Where(r => r.Kind == GitChangesTreeRowKind.Repository).Select(r => r.RepositoryName).ToList();
         Assert.Equal(["alpha", "zebra"], repoNames);
     }
+
+    [Fact]
+    public void Comparison_lists_changed_files_per_repository_and_leaves_out_failed_repositories()
+    {
+        WorkspaceRefComparisonRepository Compared(int id, string name, params GitRefComparisonFile[] files) => new()
+        {
+            WorkspaceRepositoryId = id,
+            RepositoryName = name,
+            Comparison = new GitRefComparison
+            {
+                BaseRef = "main",
+                HeadRef = "feature/x",
+                BaseCommit = new string('a', 40),
+                HeadCommit = new string('b', 40),
+                UsesMergeBase = true,
+                Files = files,
+            },
+        };
+
+        var rows = GitChangesTreeBuilder.BuildComparison(
+            "main...feature/x",
+            [
+                Compared(1, "repo-a",
+                    new GitRefComparisonFile { Path = "src/new.cs", Change = GitChangeKind.Added },
+                    new GitRefComparisonFile { Path = "renamed.txt", OriginalPath = "old.txt", Change = GitChangeKind.Renamed }),
+                Compared(2, "repo-empty"),
+                new WorkspaceRefComparisonRepository { WorkspaceRepositoryId = 3, RepositoryName = "repo-missing", ErrorCode = "RefNotFound", ErrorMessage = "Not found." },
+            ],
+            null);
+
+        var section = Assert.Single(rows, r => r.Kind == GitChangesTreeRowKind.Section);
+        Assert.Equal("main...feature/x", section.Label);
+        Assert.Equal(2, section.Count);
+        var repoRow = Assert.Single(rows, r => r.Kind == GitChangesTreeRowKind.Repository);
+        Assert.Equal("repo-a", repoRow.RepositoryName);
+        var renamed = Assert.Single(rows, r => r.FilePath == "renamed.txt");
+        Assert.Equal("old.txt", renamed.OriginalPath);
+        Assert.Equal(GitChangeKind.Renamed, renamed.WorktreeChange);
+        Assert.False(renamed.IsStagedSection);
+        Assert.Contains(rows, r => r.Kind == GitChangesTreeRowKind.Folder && r.Label == "src");
+    }
 }
@@ -0,0 +1,63 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class PushRolloutPlannerTests
+{
+    // 1 = core package (level 1); 2 and 3 depend on 1 (level 2); 4 depends on 2 (level 3); 5 is unrelated.
+    private static readonly RepositoryDependencyGraph Graph = new(
+        [1, 2, 3, 4, 5].Select(id => new RepositoryDependencyNode(id, $"repo-{id}")).ToList(),
+        [
+            new RepositoryDependencyEdge(2, 1),
+            new RepositoryDependencyEdge(3, 1),
+            new RepositoryDependencyEdge(4, 2),
+        ]);
+
+    private static PushRepoPayload Payload(int id, string name, int? level) => new(id, name, level, []);
+
+    private static readonly List<PushRepoPayload> PushPlan =
+    [
+        Payload(1, "core", 1),
+        Payload(3, "api", 2),
+        Payload(2, "web", 2),
+        Payload(4, "cli", 3),
+        Payload(5, "docs", 1),
+    ];
+
+    [Fact]
+    public void Plan_contains_the_source_and_every_transitive_consumer_in_push_waves()
+    {
+        var plan = PushRolloutPlanner.Plan(Graph, PushPlan, 1);
+
+        Assert.Equal([1, 2, 3], plan.Waves.Select(w => w.Level));
+        Assert.Equal([1, 3, 2, 4], plan.RepositoryIdsInOrder);
+        Assert.Empty(plan.SkippedRepositoryIds);
+    }
+
+    [Fact]
+    public void Repository_without_consumers_is_a_single_wave_of_itself()
+    {
+        var plan = PushRolloutPlanner.Plan(Graph, PushPlan, 4);
+
+        var wave = Assert.Single(plan.Waves);
+        Assert.Equal(4, Assert.Single(wave.Repos).RepoId);
+    }
+
+    [Fact]
+    public void Affected_repositories_missing_from_the_push_plan_are_skipped()
+    {
+        var plan = PushRolloutPlanner.Plan(Graph, PushPlan.Where(p => p.RepoId != 2).ToList(), 1);
+
+        Assert.Equal([1, 3, 4], plan.RepositoryIdsInOrder);
+        Assert.Equal([2], plan.SkippedRepositoryIds);
+    }
+
+    [Fact]
+    public void Repositories_without_a_level_are_pushed_with_the_first_wave()
+    {
+        var plan = PushRolloutPlanner.Plan(Graph, [Payload(1, "core", null), Payload(2, "web", 2)], 1);
+
+        Assert.Equal([0, 2], plan.Waves.Select(w => w.Level));
+    }
+}
@@ -0,0 +1,68 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class RepositoryDependencyCycleFinderTests
+{
+    private static RepositoryDependencyGraph Graph(params (int Dependent, int Referenced)[] edges)
+    {
+        var nodes = edges
+            .SelectMany(e => new[] { e.Dependent, e.Referenced })
+            .Distinct()
+            .Select(id => new RepositoryDependencyNode(id, $"repo-{id}"))
+            .ToList();
+        return new RepositoryDependencyGraph(nodes, edges.Select(e => new RepositoryDependencyEdge(e.Dependent, e.Referenced)).ToList());
+    }
+
+    [Fact]
+    public void Acyclic_graph_has_no_cycles()
+    {
+        var cycles = RepositoryDependencyCycleFinder.FindCycles(Graph((2, 1), (3, 1), (3, 2)));
+
+        Assert.Empty(cycles);
+    }
+
+    [Fact]
+    public void Two_repositories_referencing_each_other_form_one_cycle_with_both_edges()
+    {
+        var cycles = RepositoryDependencyCycleFinder.FindCycles(Graph((1, 2), (2, 1), (3, 1)));
+
+        var cycle = Assert.Single(cycles);
+        Assert.Equal([1, 2], cycle.RepositoryIds);
+        Assert.Equal(2, cycle.Edges.Count);
+        Assert.Contains(cycle.Edges, e => e.DependentRepositoryId == 1 && e.ReferencedRepositoryId == 2);
+        Assert.Contains(cycle.Edges, e => e.DependentRepositoryId == 2 && e.ReferencedRepositoryId == 1);
+    }
+
+    [Fact]
+    public void Edges_leaving_the_cycle_are_not_part_of_it()
+    {
+        var cycles = RepositoryDependencyCycleFinder.FindCycles(Graph((1, 2), (2, 3), (3, 1), (3, 4), (5, 1)));
+
+        var cycle = Assert.Single(cycles);
+        Assert.Equal([1, 2, 3], cycle.RepositoryIds);
+        Assert.Equal(3, cycle.Edges.Count);
+        Assert.DoesNotContain(cycle.Edges, e => e.ReferencedRepositoryId == 4 || e.DependentRepositoryId == 5);
+    }
+
+    [Fact]
+    public void Separate_cycles_are_reported_separately_in_id_order()
+    {
+        var cycles = RepositoryDependencyCycleFinder.FindCycles(Graph((7, 8), (8, 7), (1, 2), (2, 1), (2, 7)));
+
+        Assert.Equal(2, cycles.Count);
+        Assert.Equal([1, 2], cycles[0].RepositoryIds);
+        Assert.Equal([7, 8], cycles[1].RepositoryIds);
+    }
+
+    [Fact]
+    public void Self_reference_is_a_cycle()
+    {
+        var cycles = RepositoryDependencyCycleFinder.FindCycles(Graph((4, 4), (4, 1)));
+
+        var cycle = Assert.Single(cycles);
+        Assert.Equal([4], cycle.RepositoryIds);
+        Assert.Single(cycle.Edges);
+    }
+}
@@ -0,0 +1,68 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class RepositoryDependencyGraphDiffTests
+{
+    private static RepositoryDependencyGraph Graph(int[] repositoryIds, params (int Dependent, int Referenced, string? Version)[] edges) =>
+        new(
+            repositoryIds.Select(id => new RepositoryDependencyNode(id, $"repo-{id}")).ToList(),
+            edges.Select(e => new RepositoryDependencyEdge(e.Dependent, e.Referenced, e.Version, e.Version)).ToList());
+
+    [Fact]
+    public void Same_graph_has_no_changes()
+    {
+        var graph = Graph([1, 2], (1, 2, "1.0.0"));
+
+        var diff = RepositoryDependencyGraphDiff.Compare(graph, graph);
+
+        Assert.False(diff.HasChanges);
+        Assert.All(diff.Nodes, n => Assert.Equal(DependencyGraphChange.Unchanged, n.Change));
+        Assert.Equal(DependencyGraphChange.Unchanged, Assert.Single(diff.Edges).Change);
+    }
+
+    [Fact]
+    public void Edges_only_in_the_current_graph_are_added_and_only_in_the_baseline_removed()
+    {
+        var baseline = Graph([1, 2, 3], (1, 2, null), (2, 3, null));
+        var current = Graph([1, 2, 3], (1, 2, null), (1, 3, null));
+
+        var diff = RepositoryDependencyGraphDiff.Compare(baseline, current);
+
+        Assert.Equal(
+            [
+                new DependencyGraphEdgeChange(1, 2, DependencyGraphChange.Unchanged),
+                new DependencyGraphEdgeChange(1, 3, DependencyGraphChange.Added),
+                new DependencyGraphEdgeChange(2, 3, DependencyGraphChange.Removed)
+            ],
+            diff.Edges);
+        Assert.Equal(1, diff.EdgeCount(DependencyGraphChange.Added));
+        Assert.Equal(1, diff.EdgeCount(DependencyGraphChange.Removed));
+        Assert.True(diff.HasChanges);
+    }
+
+    [Fact]
+    public void Repositories_added_to_or_removed_from_the_workspace_are_marked()
+    {
+        var baseline = Graph([1, 2], (1, 2, null));
+        var current = Graph([1, 3], (1, 3, null));
+
+        var diff = RepositoryDependencyGraphDiff.Compare(baseline, current);
+
+        Assert.Equal([1, 2, 3], diff.Nodes.Select(n => n.Node.RepositoryId));
+        Assert.Equal(
+            [DependencyGraphChange.Unchanged, DependencyGraphChange.Removed, DependencyGraphChange.Added],
+            diff.Nodes.Select(n => n.Change));
+        Assert.Equal("repo-2", diff.Nodes[1].Node.RepositoryName);
+    }
+
+    [Fact]
+    public void A_version_change_alone_is_not_a_structural_change()
+    {
+        var baseline = Graph([1, 2], (1, 2, "1.0.0"));
+        var current = Graph([1, 2], (1, 2, "2.0.0"));
+
+        Assert.False(RepositoryDependencyGraphDiff.Compare(baseline, current).HasChanges);
+    }
+}
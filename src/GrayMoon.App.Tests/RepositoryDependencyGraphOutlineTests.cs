@@ -0,0 +1,54 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class RepositoryDependencyGraphOutlineTests
+{
+    private static readonly RepositoryDependencyNode Api = new(1, "api");
+    private static readonly RepositoryDependencyNode Core = new(2, "Core");
+    private static readonly RepositoryDependencyNode Auth = new(3, "auth");
+    private static readonly RepositoryDependencyNode Tools = new(4, "tools");
+
+    private static Dictionary<int, int?> Levels(params (int RepositoryId, int? Level)[] levels) =>
+        levels.ToDictionary(l => l.RepositoryId, l => l.Level);
+
+    [Fact]
+    public void Levels_are_in_order_with_repositories_without_a_level_last()
+    {
+        var outline = RepositoryDependencyGraphOutline.Build(
+            [Api, Core, Auth, Tools],
+            [],
+            Levels((1, 2), (2, 1), (3, 1)));
+
+        Assert.Equal([1, 2, null], outline.Select(l => l.Level));
+        Assert.Equal(["auth", "Core"], outline[0].Entries.Select(e => e.Node.RepositoryName));
+        Assert.Equal("tools", Assert.Single(outline[2].Entries).Node.RepositoryName);
+    }
+
+    [Fact]
+    public void Each_repository_lists_its_direct_dependencies_and_consumers_by_name()
+    {
+        var outline = RepositoryDependencyGraphOutline.Build(
+            [Api, Core, Auth],
+            [new RepositoryDependencyEdge(1, 2), new RepositoryDependencyEdge(1, 3), new RepositoryDependencyEdge(3, 2), new RepositoryDependencyEdge(1, 2, "1.0.0", "1.1.0")],
+            Levels((1, 3), (2, 1), (3, 2)));
+
+        var api = outline.SelectMany(l => l.Entries).Single(e => e.Node == Api);
+        var core = outline.SelectMany(l => l.Entries).Single(e => e.Node == Core);
+        Assert.Equal(["auth", "Core"], api.DependsOn.Select(n => n.RepositoryName));
+        Assert.Empty(api.UsedBy);
+        Assert.Equal(["api", "auth"], core.UsedBy.Select(n => n.RepositoryName));
+        Assert.Empty(core.DependsOn);
+    }
+
+    [Fact]
+    public void Edges_to_repositories_outside_the_outline_are_left_out()
+    {
+        var outline = RepositoryDependencyGraphOutline.Build([Api], [new RepositoryDependencyEdge(1, 2)], Levels());
+
+        var entry = Assert.Single(Assert.Single(outline).Entries);
+        Assert.Empty(entry.DependsOn);
+        Assert.Null(entry.Level);
+    }
+}
@@ -0,0 +1,77 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class RepositoryDependencyPathFinderTests
+{
+    private static List<RepositoryDependencyEdge> Edges(params (int Dependent, int Referenced)[] edges) =>
+        edges.Select(e => new RepositoryDependencyEdge(e.Dependent, e.Referenced)).ToList();
+
+    [Fact]
+    public void Direct_dependency_is_a_path_of_two_repositories()
+    {
+        var paths = RepositoryDependencyPathFinder.FindShortestPaths(Edges((1, 2)), 1, 2);
+
+        Assert.Equal([1, 2], Assert.Single(paths));
+    }
+
+    [Fact]
+    public void Only_the_shortest_paths_are_returned_all_of_them_in_order()
+    {
+        // 1 -> 3 -> 5, 1 -> 2 -> 5 and the longer 1 -> 4 -> 6 -> 5
+        var edges = Edges((1, 3), (3, 5), (1, 2), (2, 5), (1, 4), (4, 6), (6, 5));
+
+        var paths = RepositoryDependencyPathFinder.FindShortestPaths(edges, 1, 5);
+
+        Assert.Equal(2, paths.Count);
+        Assert.Equal([1, 2, 5], paths[0]);
+        Assert.Equal([1, 3, 5], paths[1]);
+    }
+
+    [Fact]
+    public void Paths_follow_edge_direction()
+    {
+        var paths = RepositoryDependencyPathFinder.FindShortestPaths(Edges((1, 2), (2, 3)), 3, 1);
+
+        Assert.Empty(paths);
+    }
+
+    [Fact]
+    public void Same_source_and_target_has_no_path()
+    {
+        Assert.Empty(RepositoryDependencyPathFinder.FindShortestPaths(Edges((1, 2)), 1, 1));
+    }
+
+    [Fact]
+    public void Cycles_do_not_stop_the_search()
+    {
+        var paths = RepositoryDependencyPathFinder.FindShortestPaths(Edges((1, 2), (2, 1), (2, 3)), 1, 3);
+
+        Assert.Equal([1, 2, 3], Assert.Single(paths));
+    }
+
+    [Fact]
+    public void Number_of_paths_is_capped()
+    {
+        // Three independent diamonds in a row: 2 * 2 * 2 shortest paths from 1 to 10
+        var edges = Edges((1, 2), (1, 3), (2, 4), (3, 4), (4, 5), (4, 6), (5, 7), (6, 7), (7, 8), (7, 9), (8, 10), (9, 10));
+
+        Assert.Equal(8, RepositoryDependencyPathFinder.FindShortestPaths(edges, 1, 10).Count);
+        Assert.Equal(3, RepositoryDependencyPathFinder.FindShortestPaths(edges, 1, 10, maxPaths: 3).Count);
+    }
+
+    [Fact]
+    public void Capped_paths_are_the_first_in_order()
+    {
+        // The edges are listed so a search that follows them in input order would reach 1 -> 3 -> ... first
+        var edges = Edges((1, 3), (1, 2), (3, 5), (3, 4), (2, 5), (2, 4), (5, 6), (4, 6), (1, 7), (7, 8), (8, 9), (9, 6));
+
+        var paths = RepositoryDependencyPathFinder.FindShortestPaths(edges, 1, 6, maxPaths: 3);
+
+        Assert.Equal(3, paths.Count);
+        Assert.Equal([1, 2, 4, 6], paths[0]);
+        Assert.Equal([1, 2, 5, 6], paths[1]);
+        Assert.Equal([1, 3, 4, 6], paths[2]);
+    }
+}
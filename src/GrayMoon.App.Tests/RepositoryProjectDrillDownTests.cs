@@ -0,0 +1,76 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class RepositoryProjectDrillDownTests
+{
+    // Repository 1: projects 10 (Core) and 11 (Core.Tests -> Core); repository 2: project 20 (Api -> Core); repository 3: project 30 (Cli -> Api).
+    private static readonly ProjectDependencyGraph Graph = new(
+        [
+            new ProjectDependencyNode(10, "Core", "Core", "Core", "repo-1", 1, ProjectType.Package),
+            new ProjectDependencyNode(11, "Core.Tests", null, "Core.Tests", "repo-1", 1, ProjectType.Test),
+            new ProjectDependencyNode(20, "Api", null, "Api", "repo-2", 2, ProjectType.Service),
+            new ProjectDependencyNode(30, "Cli", null, "Cli", "repo-3", 3, ProjectType.Executable),
+        ],
+        [
+            new ProjectDependencyEdge(11, 10),
+            new ProjectDependencyEdge(20, 10),
+            new ProjectDependencyEdge(30, 20),
+        ]);
+
+    private static readonly HashSet<int> AllRepositories = [1, 2, 3];
+
+    [Fact]
+    public void Nothing_expanded_gives_no_elements()
+    {
+        var (nodes, edges) = RepositoryProjectDrillDown.Build(Graph, new HashSet<int>(), AllRepositories);
+
+        Assert.Empty(nodes);
+        Assert.Empty(edges);
+    }
+
+    [Fact]
+    public void Expanded_repository_shows_its_projects_and_attaches_collapsed_ends_to_repository_nodes()
+    {
+        var (nodes, edges) = RepositoryProjectDrillDown.Build(Graph, new HashSet<int> { 1 }, AllRepositories);
+
+        Assert.Equal(["p:10", "p:11"], nodes.Select(n => n.Id));
+        Assert.All(nodes, n => Assert.Equal(1, n.RepositoryId));
+        Assert.Equal(2, edges.Count);
+        Assert.Contains(new ProjectDrillDownEdge("p:11", "p:10", 1, 1), edges);
+        Assert.Contains(new ProjectDrillDownEdge("2", "p:10", 2, 1), edges);
+    }
+
+    [Fact]
+    public void Both_repositories_expanded_connects_projects_directly()
+    {
+        var (_, edges) = RepositoryProjectDrillDown.Build(Graph, new HashSet<int> { 1, 2 }, AllRepositories);
+
+        Assert.Contains(new ProjectDrillDownEdge("p:20", "p:10", 2, 1), edges);
+        Assert.Contains(new ProjectDrillDownEdge("3", "p:20", 3, 2), edges);
+    }
+
+    [Fact]
+    public void Repositories_hidden_by_the_filter_are_neither_expanded_nor_connected()
+    {
+        var (nodes, edges) = RepositoryProjectDrillDown.Build(Graph, new HashSet<int> { 2, 3 }, new HashSet<int> { 2, 3 });
+
+        Assert.Equal(["p:20", "p:30"], nodes.Select(n => n.Id));
+        Assert.Equal([new ProjectDrillDownEdge("p:30", "p:20", 3, 2)], edges);
+    }
+
+    [Fact]
+    public void Edges_merged_onto_the_same_collapsed_repository_are_deduplicated()
+    {
+        var graph = Graph with
+        {
+            Nodes = [.. Graph.Nodes, new ProjectDependencyNode(12, "Core.Abstractions", null, "Core.Abstractions", "repo-1", 1, ProjectType.Library)],
+            Edges = [.. Graph.Edges, new ProjectDependencyEdge(20, 12)],
+        };
+
+        var (_, edges) = RepositoryProjectDrillDown.Build(graph, new HashSet<int> { 2 }, AllRepositories);
+
+        Assert.Single(edges, e => e.Source == "p:20" && e.Target == "1");
+    }
+}
@@ -0,0 +1,45 @@
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Tests;
+
+public class WorkspaceDependencyNodeSearchMatcherTests
+{
+    [Fact]
+    public void Empty_query_highlights_nothing()
+    {
+        Assert.Empty(WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights("core api", null));
+        Assert.Empty(WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights("core api", "  "));
+    }
+
+    [Fact]
+    public void Plain_term_highlights_every_occurrence_ignoring_case()
+    {
+        var ranges = WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights("Api client api", "api");
+
+        Assert.Equal([new SearchHighlightRange(0, 3), new SearchHighlightRange(11, 3)], ranges);
+    }
+
+    [Fact]
+    public void Operators_and_field_prefixes_are_not_highlighted()
+    {
+        var ranges = WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights("repo or web", "(web OR repo:or)");
+
+        Assert.Equal([new SearchHighlightRange(5, 2), new SearchHighlightRange(8, 3)], ranges);
+    }
+
+    [Fact]
+    public void Separators_in_the_term_match_spaces_in_the_label()
+    {
+        var ranges = WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights("shared auth client", "auth-client");
+
+        Assert.Equal([new SearchHighlightRange(7, 11)], ranges);
+    }
+
+    [Fact]
+    public void Overlapping_terms_are_merged()
+    {
+        var ranges = WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights("graymoon", "gray moon ymo");
+
+        Assert.Equal([new SearchHighlightRange(0, 8)], ranges);
+    }
+}
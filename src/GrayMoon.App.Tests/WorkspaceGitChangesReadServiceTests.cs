@@ -70,6 +70,35 @@ public class WorkspaceGitChangesReadServiceTests
         Assert.Empty(view.Repositories);
     }
 
+    [Fact]
+    public async Task Change_counts_are_keyed_by_repository_and_count_each_file_once()
+    {
+        await using var ctx = await GitChangesTestDbContext.CreateAsync();
+        var factory = new GitChangesTestDbContext.TestDbContextFactory(ctx.Options);
+        await PersistSnapshotAsync(ctx, factory, 1,
+            new GitChangeEntry { Path = "a.txt", IndexChange = GitChangeKind.Modified, WorktreeChange = GitChangeKind.Modified },
+            new GitChangeEntry { Path = "b.txt", WorktreeChange = GitChangeKind.Modified });
+
+        var readService = new WorkspaceGitChangesReadService(factory);
+        var counts = await readService.GetChangeCountsByRepositoryIdAsync(ctx.WorkspaceId, CancellationToken.None);
+
+        var (repositoryId, count) = Assert.Single(counts);
+        Assert.Equal(ctx.RepositoryId, repositoryId);
+        Assert.Equal(2, count);
+    }
+
+    [Fact]
+    public async Task Change_counts_omit_repositories_without_persisted_status()
+    {
+        await using var ctx = await GitChangesTestDbContext.CreateAsync();
+        var factory = new GitChangesTestDbContext.TestDbContextFactory(ctx.Options);
+
+        var readService = new WorkspaceGitChangesReadService(factory);
+        var counts = await readService.GetChangeCountsByRepositoryIdAsync(ctx.WorkspaceId, CancellationToken.None);
+
+        Assert.Empty(counts);
+    }
+
     private static async Task PersistSnapshotAsync(
         GitChangesTestDbContext ctx,
         GitChangesTestDbContext.TestDbContextFactory factory,
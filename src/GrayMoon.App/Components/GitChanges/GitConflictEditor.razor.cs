@@ -0,0 +1,210 @@
+using GrayMoon.Common.Git;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.GitChanges;
+
+/// <summary>Resolved content from <see cref="GitConflictEditor"/> and how many conflict marker blocks it still contains.</summary>
+public sealed record GitConflictSaveEventArgs(string Content, int RemainingConflicts);
+
+/// <summary>
+/// Three-way merge conflict editor: read-only ours/base/theirs panes above an editable result that starts as the
+/// working-tree copy with conflict markers. Each conflict block offers accept ours/theirs/both (all client-side, in
+/// <c>GitConflictEditor.razor.js</c>); saving (button or Ctrl+S) raises <see cref="OnSave"/> with the result for the
+/// page to send to the Agent.
+/// </summary>
+public sealed partial class GitConflictEditor : IAsyncDisposable
+{
+    [Inject] private IJSRuntime JSRuntime { get; set; } = default!;
+
+    [Parameter] public string? FileName { get; set; }
+    [Parameter] public bool IsSaving { get; set; }
+    [Parameter] public EventCallback<GitConflictSaveEventArgs> OnSave { get; set; }
+
+    private readonly string _elementId = $"git-conflict-editor-{Guid.NewGuid():N}";
+    private readonly string _oursId = $"git-conflict-ours-{Guid.NewGuid():N}";
+    private readonly string _baseId = $"git-conflict-base-{Guid.NewGuid():N}";
+    private readonly string _theirsId = $"git-conflict-theirs-{Guid.NewGuid():N}";
+    private readonly string _resultId = $"git-conflict-result-{Guid.NewGuid():N}";
+    private IJSObjectReference? _module;
+    private DotNetObjectReference<GitConflictEditor>? _dotNetRef;
+    private bool _initialized;
+    private bool _disposed;
+
+    private int _remainingConflicts = -1;
+    private bool _hasOurs = true;
+    private bool _hasBase = true;
+    private bool _hasTheirs = true;
+
+    private string StatusText => _remainingConflicts switch
+    {
+        < 0 => string.Empty,
+        0 => "No conflict markers left",
+        1 => "1 conflict left",
+        _ => $"{_remainingConflicts} conflicts left",
+    };
+
+    private static string SideNote(bool exists) => exists ? string.Empty : " - file does not exist on this side";
+
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        if (!firstRender || _disposed)
+        {
+            return;
+        }
+
+        try
+        {
+            _module = await JSRuntime.InvokeAsync<IJSObjectReference>("import", "./Components/GitChanges/GitConflictEditor.razor.js");
+            _dotNetRef = DotNetObjectReference.Create(this);
+            _initialized = await _module.InvokeAsync<bool>("init", _elementId, new
+            {
+                ids = new { ours = _oursId, @base = _baseId, theirs = _theirsId, result = _resultId },
+                dotNetRef = _dotNetRef,
+            });
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit already gone - nothing to initialize.
+        }
+        catch (InvalidOperationException)
+        {
+            // Circuit tearing down mid-render.
+        }
+    }
+
+    /// <summary>Loads a conflicted file; replaces whatever result was being edited.</summary>
+    public async Task SetConflictAsync(GitConflictDocument document)
+    {
+        _hasOurs = document.OursContent != null;
+        _hasBase = document.BaseContent != null;
+        _hasTheirs = document.TheirsContent != null;
+        _remainingConflicts = -1;
+        StateHasChanged();
+
+        await InvokeModuleAsync("setConflict", new
+        {
+            oursContent = document.OursContent,
+            baseContent = document.BaseContent,
+            theirsContent = document.TheirsContent,
+            mergedContent = document.MergedContent,
+            languageId = document.LanguageId ?? "plaintext",
+        });
+    }
+
+    public Task GoToNextConflictAsync() => InvokeModuleAsync("goToNextConflict");
+
+    public Task GoToPreviousConflictAsync() => InvokeModuleAsync("goToPreviousConflict");
+
+    private async Task SaveAsync()
+    {
+        if (IsSaving || !await EnsureReadyAsync())
+        {
+            return;
+        }
+
+        string? content;
+        try
+        {
+            content = await _module!.InvokeAsync<string?>("getResult", _elementId);
+        }
+        catch (JSDisconnectedException)
+        {
+            return;
+        }
+        catch (InvalidOperationException)
+        {
+            return;
+        }
+
+        if (content != null)
+        {
+            await OnSave.InvokeAsync(new GitConflictSaveEventArgs(content, Math.Max(0, _remainingConflicts)));
+        }
+    }
+
+    [JSInvokable]
+    public Task OnConflictCountChangedAsync(int count)
+    {
+        if (!_disposed)
+        {
+            _remainingConflicts = count;
+            StateHasChanged();
+        }
+
+        return Task.CompletedTask;
+    }
+
+    [JSInvokable]
+    public Task OnSaveRequestedAsync() => _disposed ? Task.CompletedTask : SaveAsync();
+
+    private async Task InvokeModuleAsync(string identifier, params object?[] args)
+    {
+        if (!await EnsureReadyAsync())
+        {
+            return;
+        }
+
+        try
+        {
+            await _module!.InvokeVoidAsync(identifier, [_elementId, .. args]);
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit already gone.
+        }
+        catch (InvalidOperationException)
+        {
+            // Circuit tearing down mid-call.
+        }
+    }
+
+    // Same wait as GitDiffViewer: a caller acting right after the first render waits for init() to finish.
+    private async Task<bool> EnsureReadyAsync()
+    {
+        if (_disposed)
+        {
+            return false;
+        }
+
+        for (var attempt = 0; (!_initialized || _module == null) && attempt < 20 && !_disposed; attempt++)
+        {
+            await Task.Delay(25);
+        }
+
+        return _initialized && _module != null;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_disposed)
+        {
+            return;
+        }
+
+        _disposed = true;
+
+        if (_module != null)
+        {
+            try
+            {
+                await _module.InvokeVoidAsync("dispose", _elementId);
+                await _module.DisposeAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+                // Circuit already gone - nothing to clean up client-side.
+            }
+            catch (ObjectDisposedException)
+            {
+                // JS runtime already torn down.
+            }
+            catch (InvalidOperationException)
+            {
+                // Circuit tearing down mid-call.
+            }
+        }
+
+        _dotNetRef?.Dispose();
+    }
+}
@@ -0,0 +1,405 @@
+// Three-way merge conflict editor for the Git Changes feature (see GitDiffViewer.razor.js for why the Monaco
+// hosts use the co-located module pattern, and for the shared Monaco loader). Ours, base and theirs are
+// read-only panes; the result pane starts as the working-tree copy with git's conflict markers and is freely
+// editable. Every marker block in the result gets an accept-ours / accept-theirs / accept-both toolbar, and
+// the text of the block the cursor is in is highlighted and revealed in the three source panes.
+
+import { ensureMonacoLoaded, restoreHeadInjectionsIfMissing } from './GitDiffViewer.razor.js';
+
+const editors = new Map();
+
+const CONFLICT_ACTIONS = {
+    ours: { label: 'Accept ours', title: 'Keep the current branch side of this conflict' },
+    theirs: { label: 'Accept theirs', title: 'Keep the incoming side of this conflict' },
+    both: { label: 'Accept both', title: 'Keep ours followed by theirs' },
+};
+
+// Re-parsing the result on every keystroke is wasted work while typing; toolbars follow shortly after.
+const PARSE_DELAY_MS = 150;
+
+// git writes "<<<<<<< ours-label", "||||||| base-label" (diff3/zdiff3 style only), "=======" and
+// ">>>>>>> theirs-label", each as exactly seven marker characters at the start of a line.
+function markerOf(line) {
+    const head = line.slice(0, 7);
+    const rest = line.slice(7);
+    if (head === '=======') {
+        return rest === '' ? 'separator' : null;
+    }
+    if (rest !== '' && rest[0] !== ' ') {
+        return null;
+    }
+    switch (head) {
+        case '<<<<<<<': return 'start';
+        case '|||||||': return 'base';
+        case '>>>>>>>': return 'end';
+        default: return null;
+    }
+}
+
+// Conflict blocks in the result, in order: 1-based marker line numbers and the lines of each side. An
+// unterminated block (markers edited away by hand) is not a conflict any more.
+function parseConflicts(lines) {
+    const blocks = [];
+    let current = null;
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        const marker = markerOf(line);
+        if (marker === 'start') {
+            current = { startLine: lineNumber, baseLine: null, separatorLine: null };
+        } else if (!current) {
+            return;
+        } else if (marker === 'base' && current.baseLine === null && current.separatorLine === null) {
+            current.baseLine = lineNumber;
+        } else if (marker === 'separator' && current.separatorLine === null) {
+            current.separatorLine = lineNumber;
+        } else if (marker === 'end' && current.separatorLine !== null) {
+            const oursEnd = current.baseLine ?? current.separatorLine;
+            blocks.push({
+                ...current,
+                endLine: lineNumber,
+                ours: lines.slice(current.startLine, oursEnd - 1),
+                base: current.baseLine === null ? null : lines.slice(current.baseLine, current.separatorLine - 1),
+                theirs: lines.slice(current.separatorLine, lineNumber - 1),
+            });
+            current = null;
+        }
+    });
+    return blocks;
+}
+
+// 0-based index of the first run of `needle` in `haystack` at or after `from`, or -1.
+function findLines(haystack, needle, from) {
+    if (!needle.length) {
+        return -1;
+    }
+    for (let i = Math.max(0, from); i + needle.length <= haystack.length; i++) {
+        let match = true;
+        for (let j = 0; j < needle.length && match; j++) {
+            match = haystack[i + j] === needle[j];
+        }
+        if (match) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Where each block's sides are in the source panes. Blocks appear in file order on every side, so each
+// search starts after the previous match.
+function locateSides(entry, blocks) {
+    const next = { ours: 0, base: 0, theirs: 0 };
+    return blocks.map((block) => {
+        const ranges = {};
+        for (const side of ['ours', 'base', 'theirs']) {
+            const lines = block[side];
+            const at = lines ? findLines(entry.sideLines[side], lines, next[side]) : -1;
+            ranges[side] = at < 0 ? null : { start: at + 1, end: at + lines.length };
+            if (at >= 0) {
+                next[side] = at + lines.length;
+            }
+        }
+        return ranges;
+    });
+}
+
+function wholeLines(monaco, start, end, className) {
+    return { range: new monaco.Range(start, 1, end, 1), options: { isWholeLine: true, className } };
+}
+
+function createConflictToolbar(entry, index) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'git-diff-hunk-actions git-conflict-actions';
+    for (const [choice, action] of Object.entries(CONFLICT_ACTIONS)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `git-diff-hunk-actions__button git-conflict-actions__button--${choice}`;
+        button.textContent = action.label;
+        button.title = action.title;
+        button.addEventListener('click', () => acceptConflict(entry, index, choice));
+        toolbar.appendChild(button);
+    }
+    return toolbar;
+}
+
+// Re-reads the conflict blocks from the result and redraws toolbars, marker highlighting and the side
+// panes' highlight of the block under the cursor. Reports the remaining count to .NET when it changes.
+function refresh(entry) {
+    clearTimeout(entry.parseTimer);
+    entry.parseTimer = null;
+    const { monaco, result } = entry;
+    const model = result.getModel();
+    entry.blocks = model ? parseConflicts(model.getLinesContent()) : [];
+    entry.sideRanges = locateSides(entry, entry.blocks);
+
+    result.changeViewZones((accessor) => {
+        for (const zoneId of entry.zoneIds) {
+            accessor.removeZone(zoneId);
+        }
+        entry.zoneIds = entry.blocks.map((block, index) => accessor.addZone({
+            afterLineNumber: block.startLine - 1,
+            heightInLines: 1,
+            domNode: createConflictToolbar(entry, index),
+            suppressMouseDown: true,
+        }));
+    });
+
+    const decorations = [];
+    for (const block of entry.blocks) {
+        const oursEnd = block.baseLine ?? block.separatorLine;
+        for (const marker of [block.startLine, block.baseLine, block.separatorLine, block.endLine]) {
+            if (marker !== null) {
+                decorations.push(wholeLines(monaco, marker, marker, 'git-conflict-line--marker'));
+            }
+        }
+        if (oursEnd - 1 > block.startLine) {
+            decorations.push(wholeLines(monaco, block.startLine + 1, oursEnd - 1, 'git-conflict-line--ours'));
+        }
+        if (block.baseLine !== null && block.separatorLine - 1 > block.baseLine) {
+            decorations.push(wholeLines(monaco, block.baseLine + 1, block.separatorLine - 1, 'git-conflict-line--base'));
+        }
+        if (block.endLine - 1 > block.separatorLine) {
+            decorations.push(wholeLines(monaco, block.separatorLine + 1, block.endLine - 1, 'git-conflict-line--theirs'));
+        }
+    }
+    entry.resultDecorations.set(decorations);
+    highlightCurrentBlock(entry, false);
+
+    if (entry.blocks.length !== entry.reportedCount) {
+        entry.reportedCount = entry.blocks.length;
+        entry.dotNetRef?.invokeMethodAsync('OnConflictCountChangedAsync', entry.blocks.length).catch(() => {
+            // Circuit gone - nothing to report back to.
+        });
+    }
+}
+
+function scheduleRefresh(entry) {
+    clearTimeout(entry.parseTimer);
+    entry.parseTimer = setTimeout(() => refresh(entry), PARSE_DELAY_MS);
+}
+
+function blockIndexAt(entry, lineNumber) {
+    return entry.blocks.findIndex((b) => lineNumber >= b.startLine && lineNumber <= b.endLine);
+}
+
+// Highlights the sides of the block under the result cursor in the source panes; `reveal` scrolls them to it.
+function highlightCurrentBlock(entry, reveal) {
+    const position = entry.result.getPosition();
+    const index = position ? blockIndexAt(entry, position.lineNumber) : -1;
+    const ranges = index >= 0 ? entry.sideRanges[index] : {};
+    for (const side of ['ours', 'base', 'theirs']) {
+        const range = ranges[side];
+        entry.sideDecorations[side].set(range
+            ? [wholeLines(entry.monaco, range.start, range.end, `git-conflict-line--${side}`)]
+            : []);
+        if (range && reveal) {
+            entry.panes[side].revealLinesInCenterIfOutsideViewport(range.start, range.end);
+        }
+    }
+}
+
+function acceptConflict(entry, index, choice) {
+    // Parse again first: the toolbar may be up to PARSE_DELAY_MS older than the last edit.
+    refresh(entry);
+    const block = entry.blocks[index];
+    const model = entry.result.getModel();
+    if (!block || !model) {
+        return;
+    }
+
+    const { Range } = entry.monaco;
+    const kept = choice === 'ours' ? block.ours : choice === 'theirs' ? block.theirs : [...block.ours, ...block.theirs];
+    const eol = model.getEOL();
+    let range;
+    let text;
+    if (block.endLine < model.getLineCount()) {
+        range = new Range(block.startLine, 1, block.endLine + 1, 1);
+        text = kept.map((line) => line + eol).join('');
+    } else if (kept.length || block.startLine === 1) {
+        range = new Range(block.startLine, 1, block.endLine, model.getLineMaxColumn(block.endLine));
+        text = kept.join(eol);
+    } else {
+        // Dropping a block at the very end also drops the line break before it.
+        range = new Range(block.startLine - 1, model.getLineMaxColumn(block.startLine - 1), block.endLine, model.getLineMaxColumn(block.endLine));
+        text = '';
+    }
+
+    entry.result.pushUndoStop();
+    entry.result.executeEdits('graymoon-conflict', [{ range, text, forceMoveMarkers: true }]);
+    entry.result.pushUndoStop();
+    entry.result.setPosition({ lineNumber: Math.min(block.startLine, model.getLineCount()), column: 1 });
+    refresh(entry);
+    entry.result.focus();
+}
+
+function revealBlock(entry, index) {
+    const block = entry.blocks[index];
+    if (!block) {
+        return;
+    }
+    entry.result.setPosition({ lineNumber: block.startLine, column: 1 });
+    entry.result.revealLineInCenter(block.startLine);
+    highlightCurrentBlock(entry, true);
+    entry.result.focus();
+}
+
+function createPane(monaco, elementId, options) {
+    const container = document.getElementById(elementId);
+    return container
+        ? monaco.editor.create(container, {
+            automaticLayout: true,
+            minimap: { enabled: false },
+            scrollBeyondLastLine: false,
+            ...options,
+        })
+        : null;
+}
+
+function setPaneModel(entry, pane, content, languageId) {
+    const old = pane.getModel();
+    pane.setModel(entry.monaco.editor.createModel(content ?? '', languageId));
+    old?.dispose();
+}
+
+// ids: { ours, base, theirs, result } - element ids of the four panes.
+export async function init(elementId, options) {
+    restoreHeadInjectionsIfMissing();
+
+    const container = document.getElementById(elementId);
+    if (!container) {
+        return false;
+    }
+
+    if (editors.has(elementId)) {
+        return true;
+    }
+
+    const monaco = await ensureMonacoLoaded();
+    monaco.editor.setTheme('vs-dark');
+
+    const ids = options?.ids ?? {};
+    const panes = {
+        ours: createPane(monaco, ids.ours, { readOnly: true }),
+        base: createPane(monaco, ids.base, { readOnly: true }),
+        theirs: createPane(monaco, ids.theirs, { readOnly: true }),
+    };
+    const result = createPane(monaco, ids.result, { readOnly: false });
+    if (!result || !panes.ours || !panes.base || !panes.theirs) {
+        Object.values(panes).forEach((pane) => pane?.dispose());
+        result?.dispose();
+        return false;
+    }
+
+    // Same first-paint fix as the diff viewer: lay out again once the (possibly hidden) container has a size.
+    const all = [panes.ours, panes.base, panes.theirs, result];
+    const resizeObserver = new ResizeObserver((entries) => {
+        if (entries.some((e) => e.contentRect.width > 0 && e.contentRect.height > 0)) {
+            all.forEach((editor) => editor.layout());
+        }
+    });
+    resizeObserver.observe(container);
+
+    const entry = {
+        monaco,
+        panes,
+        result,
+        resizeObserver,
+        dotNetRef: options?.dotNetRef ?? null,
+        sideLines: { ours: [], base: [], theirs: [] },
+        sideDecorations: {
+            ours: panes.ours.createDecorationsCollection(),
+            base: panes.base.createDecorationsCollection(),
+            theirs: panes.theirs.createDecorationsCollection(),
+        },
+        resultDecorations: result.createDecorationsCollection(),
+        blocks: [],
+        sideRanges: [],
+        zoneIds: [],
+        parseTimer: null,
+        reportedCount: -1,
+    };
+    entry.subscriptions = [
+        result.onDidChangeModelContent(() => scheduleRefresh(entry)),
+        result.onDidChangeCursorPosition((e) => {
+            if (e.reason !== monaco.editor.CursorChangeReason.ContentFlush) {
+                highlightCurrentBlock(entry, true);
+            }
+        }),
+    ];
+    // An action rather than addCommand(): commands are registered globally, so the diff viewer's own
+    // Ctrl+S on the same page would call whichever editor registered last.
+    entry.subscriptions.push(result.addAction({
+        id: 'graymoon.git.saveConflictResult',
+        label: 'Save and mark resolved',
+        keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
+        run: () => {
+            entry.dotNetRef?.invokeMethodAsync('OnSaveRequestedAsync').catch(() => {
+                // Circuit gone.
+            });
+        },
+    }));
+    editors.set(elementId, entry);
+    return true;
+}
+
+// conflict: { oursContent, baseContent, theirsContent, mergedContent, languageId } - a missing side is null.
+export async function setConflict(elementId, conflict) {
+    const entry = editors.get(elementId);
+    if (!entry) {
+        return;
+    }
+
+    const languageId = conflict?.languageId || 'plaintext';
+    for (const side of ['ours', 'base', 'theirs']) {
+        const content = conflict?.[`${side}Content`] ?? '';
+        setPaneModel(entry, entry.panes[side], content, languageId);
+        entry.sideLines[side] = entry.panes[side].getModel().getLinesContent();
+    }
+    setPaneModel(entry, entry.result, conflict?.mergedContent ?? '', languageId);
+    entry.reportedCount = -1;
+    refresh(entry);
+    if (entry.blocks.length) {
+        revealBlock(entry, 0);
+    }
+}
+
+export function getResult(elementId) {
+    return editors.get(elementId)?.result.getModel()?.getValue() ?? null;
+}
+
+export function goToNextConflict(elementId) {
+    const entry = editors.get(elementId);
+    if (!entry?.blocks.length) {
+        return;
+    }
+    const line = entry.result.getPosition()?.lineNumber ?? 0;
+    const next = entry.blocks.findIndex((b) => b.startLine > line);
+    revealBlock(entry, next >= 0 ? next : 0);
+}
+
+export function goToPreviousConflict(elementId) {
+    const entry = editors.get(elementId);
+    if (!entry?.blocks.length) {
+        return;
+    }
+    const line = entry.result.getPosition()?.lineNumber ?? 0;
+    const before = entry.blocks.filter((b) => b.endLine < line);
+    revealBlock(entry, before.length ? before.length - 1 : entry.blocks.length - 1);
+}
+
+export function dispose(elementId) {
+    const entry = editors.get(elementId);
+    if (!entry) {
+        return;
+    }
+
+    clearTimeout(entry.parseTimer);
+    entry.resizeObserver.disconnect();
+    entry.subscriptions.forEach((s) => s.dispose());
+    for (const editor of [entry.panes.ours, entry.panes.base, entry.panes.theirs, entry.result]) {
+        const model = editor.getModel();
+        editor.setModel(null);
+        model?.dispose();
+        editor.dispose();
+    }
+    editors.delete(elementId);
+}
@@ -12,12 +12,25 @@ public enum GitDiffViewMode
 
 public sealed record GitDiffViewerOptions(bool WordWrap = false, bool IgnoreWhitespace = false);
 
+/// <summary>A hunk or selected-lines action picked in the diff: the patch built from the shown contents and what to do with it.</summary>
+public sealed record GitDiffHunkActionEventArgs(GitPatchOperation Operation, string Patch);
+
+/// <summary>The edited text of the modified pane, to be written to the working tree.</summary>
+public sealed record GitDiffSaveEventArgs(string Content);
+
 /// <summary>
 /// Thin Blazor wrapper around a single, kept-alive Monaco diff editor instance. Replaces its models on
 /// each <see cref="SetDiffAsync"/> call rather than creating a new editor per file. First release uses
 /// the built-in <c>vs-dark</c> theme unmodified, read-only, per the initial rollout requirements - theme
 /// selection is encapsulated entirely in <c>GitDiffViewer.razor.js</c> so a future <c>graymoon-dark</c>
-/// theme only requires changing that file.
+/// theme only requires changing that file. Per-hunk stage/unstage/discard buttons and the matching "selected lines"
+/// context menu entries of the modified pane (offered per diff through <see cref="SetDiffAsync"/>) raise
+/// <see cref="OnHunkAction"/> with a patch for the page to send to the Agent. The modified pane is read-only unless
+/// <see cref="SetDiffAsync"/> asks for it to be editable; then Ctrl+S or the Save button raises <see cref="OnSave"/>.
+/// A blame loaded by the page (<see cref="SetBlameAsync"/>) replaces the original pane's line numbers; its Blame button
+/// raises <see cref="OnToggleBlame"/> and clicking a blamed line raises <see cref="OnOpenCommit"/>. Binary and image documents
+/// are shown as a preview in place of the editor (see <see cref="CanShow"/>); a text image (SVG) stays a text diff with a
+/// Text / Preview switch to the same image preview.
 /// </summary>
 public sealed partial class GitDiffViewer : IAsyncDisposable
 {
@@ -26,13 +39,31 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
     [Parameter] public string? FileName { get; set; }
     [Parameter] public string OriginalSideLabel { get; set; } = "(Index)";
     [Parameter] public string ModifiedSideLabel { get; set; } = "(Working Tree)";
+    [Parameter] public EventCallback<GitDiffHunkActionEventArgs> OnHunkAction { get; set; }
+    [Parameter] public EventCallback<GitDiffSaveEventArgs> OnSave { get; set; }
+
+    /// <summary>Whether the current diff's original side can be blamed; the Blame button is disabled otherwise.</summary>
+    [Parameter] public bool CanBlame { get; set; }
+    [Parameter] public bool IsBlameVisible { get; set; }
+    [Parameter] public EventCallback OnToggleBlame { get; set; }
+
+    /// <summary>Raised with the full SHA of the commit whose blamed line was clicked.</summary>
+    [Parameter] public EventCallback<string> OnOpenCommit { get; set; }
+
+    /// <summary>True while the editable modified pane has edits that were not saved.</summary>
+    public bool IsDirty { get; private set; }
 
     private readonly string _elementId = $"git-diff-viewer-{Guid.NewGuid():N}";
     private readonly string _originalHeaderId = $"git-diff-header-original-{Guid.NewGuid():N}";
     private readonly string _headersRowId = $"git-diff-headers-{Guid.NewGuid():N}";
+    private readonly string _binaryPreviewId = $"git-diff-binary-{Guid.NewGuid():N}";
     private IJSObjectReference? _module;
+    private DotNetObjectReference<GitDiffViewer>? _dotNetRef;
     private bool _initialized;
     private bool _disposed;
+    private bool _isEditable;
+    private bool _hasTextPreview;
+    private bool _isPreviewVisible;
 
     protected override async Task OnAfterRenderAsync(bool firstRender)
     {
@@ -44,11 +75,14 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
         try
         {
             _module = await JSRuntime.InvokeAsync<IJSObjectReference>("import", "./Components/GitChanges/GitDiffViewer.razor.js");
+            _dotNetRef = DotNetObjectReference.Create(this);
             _initialized = await _module.InvokeAsync<bool>("init", _elementId, new
             {
                 renderSideBySide = true,
                 originalHeaderId = _originalHeaderId,
                 headersRowId = _headersRowId,
+                binaryPreviewId = _binaryPreviewId,
+                dotNetRef = _dotNetRef,
             });
         }
         catch (JSDisconnectedException)
@@ -61,13 +95,35 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
         }
     }
 
-    public async Task SetDiffAsync(GitDiffDocument document)
+    /// <summary>
+    /// Whether a document in <paramref name="state"/> is shown by the viewer: as a text diff, or for <see cref="GitDiffContentState.Binary"/>
+    /// and <see cref="GitDiffContentState.Image"/> as a size and blob id summary or an image compare.
+    /// </summary>
+    public static bool CanShow(GitDiffContentState state) => state is GitDiffContentState.Normal
+        or GitDiffContentState.NewFile
+        or GitDiffContentState.DeletedFile
+        or GitDiffContentState.Binary
+        or GitDiffContentState.Image;
+
+    /// <summary>
+    /// Shows <paramref name="document"/>. <paramref name="hunkActions"/> are the buttons offered on each change hunk
+    /// and for the selected lines (none by default); <paramref name="editable"/> lets the modified pane be edited and saved;
+    /// <paramref name="preserveViewState"/> keeps the scroll position when the same file is reloaded.
+    /// </summary>
+    public async Task SetDiffAsync(
+        GitDiffDocument document, IReadOnlyList<GitPatchOperation>? hunkActions = null, bool editable = false, bool preserveViewState = false)
     {
         if (!await EnsureReadyAsync())
         {
             return;
         }
 
+        _isEditable = editable;
+        IsDirty = false;
+        _hasTextPreview = IsTextImage(document);
+        _isPreviewVisible = false;
+        StateHasChanged();
+
         try
         {
             await _module!.InvokeVoidAsync(
@@ -75,7 +131,76 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
                 _elementId,
                 document.OriginalContent ?? string.Empty,
                 document.ModifiedContent ?? string.Empty,
-                document.LanguageId ?? "plaintext");
+                document.LanguageId ?? "plaintext",
+                new
+                {
+                    path = document.Path,
+                    hunkActions = (hunkActions ?? []).Select(a => a.ToString().ToLowerInvariant()).ToArray(),
+                    editable,
+                    preserveViewState,
+                    binary = CreateBinaryPreview(document),
+                });
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit already gone.
+        }
+        catch (InvalidOperationException)
+        {
+            // Circuit tearing down mid-call.
+        }
+    }
+
+    // A text diff that also carries the bytes of an image (SVG) to preview.
+    private static bool IsTextImage(GitDiffDocument document) =>
+        document.State is (GitDiffContentState.Normal or GitDiffContentState.NewFile or GitDiffContentState.DeletedFile)
+        && document.ImageMimeType != null;
+
+    // The sides' sizes, blob ids and (for an image) bytes for the JS preview; null for a plain text diff. text marks a
+    // text image, whose preview is only shown on request (ShowPreviewAsync) instead of replacing the text diff.
+    private object? CreateBinaryPreview(GitDiffDocument document)
+    {
+        var text = IsTextImage(document);
+        if (!text && document.State is not (GitDiffContentState.Binary or GitDiffContentState.Image))
+        {
+            return null;
+        }
+
+        var image = text || document.State == GitDiffContentState.Image;
+        return new
+        {
+            image,
+            text,
+            mimeType = document.ImageMimeType,
+            original = new
+            {
+                label = OriginalSideLabel,
+                sizeBytes = document.OriginalSizeBytes,
+                blobId = document.OriginalBlobId,
+                data = image ? document.OriginalImageBase64 : null,
+            },
+            modified = new
+            {
+                label = ModifiedSideLabel,
+                sizeBytes = document.ModifiedSizeBytes,
+                blobId = document.ModifiedBlobId,
+                data = image ? document.ModifiedImageBase64 : null,
+            },
+        };
+    }
+
+    /// <summary>Switches a text image between its text diff and its image preview.</summary>
+    private async Task ShowPreviewAsync(bool visible)
+    {
+        if (!_hasTextPreview || _isPreviewVisible == visible || !await EnsureReadyAsync())
+        {
+            return;
+        }
+
+        _isPreviewVisible = visible;
+        try
+        {
+            await _module!.InvokeVoidAsync("showPreview", _elementId, visible);
         }
         catch (JSDisconnectedException)
         {
@@ -178,6 +303,12 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
             return;
         }
 
+        _isEditable = false;
+        IsDirty = false;
+        _hasTextPreview = false;
+        _isPreviewVisible = false;
+        StateHasChanged();
+
         try
         {
             await _module!.InvokeVoidAsync("clear", _elementId);
@@ -192,6 +323,94 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
         }
     }
 
+    /// <summary>Shows <paramref name="blame"/> (of the original side of the diff last set) in the original pane's gutter, or hides the gutter when null.</summary>
+    public async Task SetBlameAsync(GitBlame? blame)
+    {
+        if (!await EnsureReadyAsync())
+        {
+            return;
+        }
+
+        try
+        {
+            await _module!.InvokeVoidAsync("setBlame", _elementId, blame);
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit already gone.
+        }
+        catch (InvalidOperationException)
+        {
+            // Circuit tearing down mid-call.
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnHunkActionAsync(string operation, string patch)
+    {
+        if (_disposed || !Enum.TryParse<GitPatchOperation>(operation, ignoreCase: true, out var parsed) || string.IsNullOrEmpty(patch))
+        {
+            return;
+        }
+
+        await OnHunkAction.InvokeAsync(new GitDiffHunkActionEventArgs(parsed, patch));
+    }
+
+    private async Task SaveAsync()
+    {
+        if (!await EnsureReadyAsync())
+        {
+            return;
+        }
+
+        try
+        {
+            await _module!.InvokeVoidAsync("save", _elementId);
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit already gone.
+        }
+        catch (InvalidOperationException)
+        {
+            // Circuit tearing down mid-call.
+        }
+    }
+
+    [JSInvokable]
+    public Task OnDirtyChangedAsync(bool dirty)
+    {
+        if (!_disposed && IsDirty != dirty)
+        {
+            IsDirty = dirty;
+            StateHasChanged();
+        }
+
+        return Task.CompletedTask;
+    }
+
+    [JSInvokable]
+    public async Task OnSaveRequestedAsync(string content)
+    {
+        if (_disposed || !_isEditable)
+        {
+            return;
+        }
+
+        await OnSave.InvokeAsync(new GitDiffSaveEventArgs(content));
+    }
+
+    [JSInvokable]
+    public async Task OnBlameCommitSelectedAsync(string sha)
+    {
+        if (_disposed || string.IsNullOrEmpty(sha))
+        {
+            return;
+        }
+
+        await OnOpenCommit.InvokeAsync(sha);
+    }
+
     private async Task<bool> EnsureReadyAsync()
     {
         if (_disposed)
@@ -241,5 +460,7 @@ public sealed partial class GitDiffViewer : IAsyncDisposable
                 // Circuit tearing down mid-call.
             }
         }
+
+        _dotNetRef?.Dispose();
     }
 }
@@ -1,8 +1,10 @@
-// Monaco diff editor wrapper for the Git Changes feature. This is the only component in the repo using
-// the co-located .razor.js + IJSObjectReference module pattern - everywhere else in the app uses plain
-// global window.* scripts. Monaco's per-instance lifecycle (model disposal, dynamic AMD require) benefits
-// from real module scoping, which is the reason for the one-off exception; keep it isolated here rather
-// than spreading the pattern.
+// Monaco diff editor wrapper for the Git Changes feature. The Git Changes editors (this one and
+// GitConflictEditor.razor.js) are the only components in the repo using the co-located .razor.js +
+// IJSObjectReference module pattern - everywhere else in the app uses plain global window.* scripts.
+// Monaco's per-instance lifecycle (model disposal, dynamic AMD require) benefits from real module scoping,
+// which is the reason for the exception; keep it to Monaco hosts. They share one loader: the other modules
+// import ensureMonacoLoaded()/restoreHeadInjectionsIfMissing() from here, so the AMD load and the <head>
+// tracking below happen once per page.
 
 const editors = new Map();
 let monacoReadyPromise = null;
@@ -73,7 +75,7 @@ function trackHeadInjections() {
     headObserver.observe(document.head, { childList: true });
 }
 
-function restoreHeadInjectionsIfMissing() {
+export function restoreHeadInjectionsIfMissing() {
     for (const node of injectedHeadNodes) {
         if (!node.isConnected) {
             document.head.appendChild(node);
@@ -102,7 +104,7 @@ function ensureWorkerEnvironment() {
     };
 }
 
-function ensureMonacoLoaded() {
+export function ensureMonacoLoaded() {
     if (monacoReadyPromise) {
         return monacoReadyPromise;
     }
@@ -193,6 +195,756 @@ class SimpleDiffNavigator {
     }
 }
 
+// Per-hunk and per-line stage/unstage/discard. Each hunk the diff editor reports gets a small toolbar in a
+// view zone above it on the modified side, and the modified editor's context menu offers the same actions
+// for the selected lines. Either way a unified diff is built from the raw contents passed to setDiff() and
+// handed to .NET, which has the Agent `git apply` it (see GitPatchOperation). Which actions are offered is
+// decided by the page per diff (none for new, deleted or conflicted files). contextSide is the side the
+// patch is applied to, so its context lines match the target even when whitespace-only differences are
+// hidden: Stage applies index -> working tree to the index (original), Unstage and Discard reverse-apply
+// to the index / working tree (modified).
+const HUNK_ACTIONS = {
+    stage: { label: 'Stage', title: 'Stage this change', linesLabel: 'Stage selected lines', contextSide: 'original' },
+    unstage: { label: 'Unstage', title: 'Unstage this change', linesLabel: 'Unstage selected lines', contextSide: 'modified' },
+    discard: { label: 'Discard', title: 'Discard this change from the working tree', linesLabel: 'Discard selected lines', contextSide: 'modified' },
+};
+const HUNK_CONTEXT_LINES = 3;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file\n';
+
+// The file's lines as git sees them: split on LF only (a CRLF file keeps its CR on every line, which
+// is exactly what the patch must contain), without the empty piece after a trailing newline.
+function splitFileLines(text) {
+    const lines = (text ?? '').split('\n');
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) {
+        lines.pop();
+    }
+    return { lines, endsWithNewline };
+}
+
+// Monaco line change -> 0-based, end-exclusive line ranges of both files. Monaco models have one more
+// (empty) line than the file when it ends with a newline, so ranges are clamped to the real lines; a
+// change at the end of files that differ in the final newline is widened to the last line of each side,
+// because in a patch the missing newline belongs to that line. A side whose range is empty there takes
+// the equal line just before it, so the other side steps back over the same line.
+function hunkRanges(change, original, modified) {
+    const toRange = (start, end, length) => {
+        const from = Math.min(end === 0 ? start : start - 1, length);
+        return { from, to: Math.min(end === 0 ? start : end, length) };
+    };
+    const o = toRange(change.originalStartLineNumber, change.originalEndLineNumber, original.lines.length);
+    const m = toRange(change.modifiedStartLineNumber, change.modifiedEndLineNumber, modified.lines.length);
+
+    if (original.endsWithNewline !== modified.endsWithNewline
+        && (o.to === original.lines.length || m.to === modified.lines.length)) {
+        o.to = original.lines.length;
+        m.to = modified.lines.length;
+        if ((o.from === o.to && o.from > 0) || (m.from === m.to && m.from > 0)) {
+            o.from = Math.max(o.from - 1, 0);
+            m.from = Math.max(m.from - 1, 0);
+        }
+    }
+
+    return o.from === o.to && m.from === m.to ? null : { o, m };
+}
+
+function hunkHeaderRange(from, count) {
+    // Unified diff convention: an empty range names the line before it.
+    return `${count === 0 ? from : from + 1},${count}`;
+}
+
+// Which lines of one change go into the patch. isSelected(modifiedIndex) says whether a 0-based line of
+// the modified file is selected. Added lines are picked directly; removed lines cannot be selected on
+// the modified side, so each goes with the added line at the same position, surplus ones with the last
+// added line, and those of a pure deletion with the lines just around it. A change that touches a last
+// line without a newline is all or nothing - a patch cannot move the missing newline onto another line.
+function pickChangeLines(ranges, isSelected, original, modified) {
+    const { o, m } = ranges;
+    const added = [];
+    for (let i = m.from; i < m.to; i++) {
+        added.push(isSelected(i));
+    }
+
+    const touched = added.length
+        ? added.includes(true)
+        : isSelected(m.from - 1) || isSelected(m.from);
+    const removed = [];
+    for (let k = 0; k < o.to - o.from; k++) {
+        removed.push(k < added.length ? added[k] : added.length ? added[added.length - 1] : touched);
+    }
+
+    const atEndWithoutNewline = (o.to === original.lines.length && !original.endsWithNewline)
+        || (m.to === modified.lines.length && !modified.endsWithNewline);
+    if (touched && atEndWithoutNewline) {
+        added.fill(true);
+        removed.fill(true);
+    }
+    return { added, removed };
+}
+
+// Unified diff (with `diff --git` header) that applies the selected part of `changes` to `contextSide`,
+// or null when nothing is selected. isSelected(change, modifiedIndex) picks the lines, see
+// pickChangeLines(). Unselected lines of the target side stay as context and those of the other side are
+// left out, so the patch always matches the target file; the lines are then cut into hunks with
+// HUNK_CONTEXT_LINES of context like `git diff` does.
+function buildPatch(path, originalText, modifiedText, changes, isSelected, contextSide) {
+    const original = splitFileLines(originalText);
+    const modified = splitFileLines(modifiedText);
+    const target = contextSide === 'modified' ? modified : original;
+    const ops = [];
+    const push = (prefix, file, index) => ops.push({
+        prefix,
+        text: file.lines[index],
+        noNewline: index === file.lines.length - 1 && !file.endsWithNewline,
+    });
+    const pushContext = (originalIndex, modifiedIndex) =>
+        push(' ', target, target === modified ? modifiedIndex : originalIndex);
+
+    let oAt = 0;
+    let mAt = 0;
+    for (const change of changes) {
+        const ranges = hunkRanges(change, original, modified);
+        if (!ranges) {
+            continue;
+        }
+
+        // Widened end-of-file ranges may reach back into the previous change.
+        const o = { from: Math.max(ranges.o.from, oAt), to: Math.max(ranges.o.to, oAt) };
+        const m = { from: Math.max(ranges.m.from, mAt), to: Math.max(ranges.m.to, mAt) };
+        if (o.from === o.to && m.from === m.to) {
+            continue;
+        }
+
+        for (; oAt < o.from && mAt < m.from; oAt++, mAt++) {
+            pushContext(oAt, mAt);
+        }
+
+        const picked = pickChangeLines({ o, m }, (i) => isSelected(change, i), original, modified);
+        for (let k = 0; k < Math.max(picked.removed.length, picked.added.length); k++) {
+            if (k < picked.removed.length) {
+                if (picked.removed[k]) {
+                    push('-', original, o.from + k);
+                } else if (target === original) {
+                    push(' ', original, o.from + k);
+                }
+            }
+            if (k < picked.added.length) {
+                if (picked.added[k]) {
+                    push('+', modified, m.from + k);
+                } else if (target === modified) {
+                    push(' ', modified, m.from + k);
+                }
+            }
+        }
+        oAt = o.to;
+        mAt = m.to;
+    }
+    for (; oAt < original.lines.length && mAt < modified.lines.length; oAt++, mAt++) {
+        pushContext(oAt, mAt);
+    }
+
+    // Old/new line numbers before each op, then hunks around the changed ops, merging those whose
+    // context would overlap.
+    const changed = [];
+    let oldLine = 0;
+    let newLine = 0;
+    for (let i = 0; i < ops.length; i++) {
+        const op = ops[i];
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        oldLine += op.prefix === '+' ? 0 : 1;
+        newLine += op.prefix === '-' ? 0 : 1;
+        if (op.prefix !== ' ') {
+            changed.push(i);
+        }
+    }
+    if (!changed.length) {
+        return null;
+    }
+
+    const hunks = [];
+    for (const i of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && i - last.to <= HUNK_CONTEXT_LINES * 2) {
+            last.to = i + 1;
+        } else {
+            hunks.push({ from: i, to: i + 1 });
+        }
+    }
+
+    let patch = `diff --git a/${path} b/${path}\n--- a/${path}\n+++ b/${path}\n`;
+    for (const hunk of hunks) {
+        const from = Math.max(hunk.from - HUNK_CONTEXT_LINES, 0);
+        const to = Math.min(hunk.to + HUNK_CONTEXT_LINES, ops.length);
+        const body = [];
+        let oldCount = 0;
+        let newCount = 0;
+        for (let i = from; i < to; i++) {
+            const op = ops[i];
+            body.push(op.prefix + op.text + '\n');
+            if (op.noNewline) {
+                body.push(NO_NEWLINE_MARKER);
+            }
+            oldCount += op.prefix === '+' ? 0 : 1;
+            newCount += op.prefix === '-' ? 0 : 1;
+        }
+        patch += `@@ -${hunkHeaderRange(ops[from].oldLine, oldCount)} +${hunkHeaderRange(ops[from].newLine, newCount)} @@\n${body.join('')}`;
+    }
+    return patch;
+}
+
+// Lines selected in the modified editor as 0-based file indexes. An empty selection stands for the
+// cursor line; a selection that ends at the start of a line does not include that line.
+function selectedModifiedLines(modifiedEditor) {
+    const lines = new Set();
+    for (const selection of modifiedEditor.getSelections() || []) {
+        let end = selection.endLineNumber;
+        if (end > selection.startLineNumber && selection.endColumn === 1) {
+            end--;
+        }
+        for (let line = selection.startLineNumber; line <= end; line++) {
+            lines.add(line - 1);
+        }
+    }
+    return lines;
+}
+
+function setHunkActionsBusy(entry, busy) {
+    entry.hunkBusy = busy;
+    for (const button of entry.hunkButtons) {
+        button.disabled = busy;
+    }
+}
+
+async function runPatchAction(entry, operation, isSelected) {
+    if (entry.hunkBusy || entry.dirty || !entry.dotNetRef || !entry.hunkOperations.includes(operation)) {
+        return;
+    }
+
+    const changes = entry.editor.getLineChanges() || [];
+    const patch = buildPatch(entry.path, entry.originalText, entry.modifiedText, changes, isSelected, HUNK_ACTIONS[operation].contextSide);
+    if (!patch) {
+        return;
+    }
+
+    // Stays disabled until .NET has handled the action; a successful one reloads the diff through
+    // setDiff(), which redraws the toolbars for the new hunks anyway.
+    setHunkActionsBusy(entry, true);
+    try {
+        await entry.dotNetRef.invokeMethodAsync('OnHunkActionAsync', operation, patch);
+    } catch {
+        // Circuit gone - nothing to report back to.
+    } finally {
+        setHunkActionsBusy(entry, false);
+    }
+}
+
+function runHunkAction(entry, operation, change) {
+    return runPatchAction(entry, operation, (c) => c === change);
+}
+
+function runLinesAction(entry, operation) {
+    const lines = selectedModifiedLines(entry.editor.getModifiedEditor());
+    return runPatchAction(entry, operation, (c, i) => lines.has(i));
+}
+
+// "Stage/Unstage/Discard selected lines" in the modified editor's context menu, shown only while the
+// current diff offers that action (see updateLineActionKeys()).
+function addLineActions(entry) {
+    const modifiedEditor = entry.editor.getModifiedEditor();
+    entry.lineActionKeys = {};
+    entry.lineActions = Object.entries(HUNK_ACTIONS).map(([operation, action], index) => {
+        const keyName = `grayMoonGitLines_${operation}`;
+        entry.lineActionKeys[operation] = modifiedEditor.createContextKey(keyName, false);
+        return modifiedEditor.addAction({
+            id: `graymoon.git.${operation}SelectedLines`,
+            label: action.linesLabel,
+            precondition: keyName,
+            contextMenuGroupId: '0_git',
+            contextMenuOrder: index,
+            run: () => runLinesAction(entry, operation),
+        });
+    });
+}
+
+function updateLineActionKeys(entry) {
+    for (const [operation, key] of Object.entries(entry.lineActionKeys)) {
+        key.set(!entry.dirty && entry.hunkOperations.includes(operation));
+    }
+}
+
+function createHunkToolbar(entry, change) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'git-diff-hunk-actions';
+    for (const operation of entry.hunkOperations) {
+        const action = HUNK_ACTIONS[operation];
+        if (!action) {
+            continue;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `git-diff-hunk-actions__button git-diff-hunk-actions__button--${operation}`;
+        button.textContent = action.label;
+        button.title = action.title;
+        button.disabled = entry.hunkBusy;
+        button.addEventListener('click', () => runHunkAction(entry, operation, change));
+        entry.hunkButtons.push(button);
+        toolbar.appendChild(button);
+    }
+    return toolbar;
+}
+
+// Redraws the hunk toolbars from the diff editor's current line changes; called on every diff update.
+function renderHunkActions(entry) {
+    const modifiedEditor = entry.editor.getModifiedEditor();
+    const original = splitFileLines(entry.originalText);
+    const modified = splitFileLines(entry.modifiedText);
+
+    modifiedEditor.changeViewZones((accessor) => {
+        for (const zoneId of entry.hunkZoneIds) {
+            accessor.removeZone(zoneId);
+        }
+        entry.hunkZoneIds = [];
+        entry.hunkButtons = [];
+
+        if (!entry.hunkOperations.length || !entry.modifiedModel || entry.dirty) {
+            return;
+        }
+
+        for (const change of entry.editor.getLineChanges() || []) {
+            if (!hunkRanges(change, original, modified)) {
+                continue;
+            }
+
+            // A pure deletion sits after modifiedStartLineNumber; anything else starts on it.
+            const afterLineNumber = change.modifiedEndLineNumber === 0
+                ? change.modifiedStartLineNumber
+                : change.modifiedStartLineNumber - 1;
+            entry.hunkZoneIds.push(accessor.addZone({
+                afterLineNumber,
+                heightInLines: 1,
+                domNode: createHunkToolbar(entry, change),
+                suppressMouseDown: true,
+            }));
+        }
+    });
+}
+
+// Editing the modified side. setDiff() makes it editable only when the page asks (an unstaged file: the
+// modified side is the working-tree copy). Monaco re-diffs while typing; the hunk and line actions are
+// hidden as long as there are unsaved edits, because their patches are built from the contents the diff
+// was loaded with. Ctrl+S (or the Save button) hands the whole text to .NET, which writes it through the
+// Agent and reloads the diff, which marks it clean again. Dirty means the model's alternative version id
+// differs from the one at load, so undoing back to the loaded text is clean again.
+function setDirty(entry, dirty) {
+    if (entry.dirty === dirty) {
+        return;
+    }
+
+    entry.dirty = dirty;
+    updateLineActionKeys(entry);
+    renderHunkActions(entry);
+    entry.dotNetRef?.invokeMethodAsync('OnDirtyChangedAsync', dirty).catch(() => {
+        // Circuit gone.
+    });
+}
+
+function updateDirty(entry) {
+    setDirty(entry, entry.editable && !!entry.modifiedModel
+        && entry.modifiedModel.getAlternativeVersionId() !== entry.savedVersionId);
+}
+
+async function requestSave(entry) {
+    if (!entry.editable || !entry.dirty || entry.saving || !entry.dotNetRef || !entry.modifiedModel) {
+        return;
+    }
+
+    entry.saving = true;
+    try {
+        await entry.dotNetRef.invokeMethodAsync('OnSaveRequestedAsync', entry.modifiedModel.getValue());
+    } catch {
+        // Circuit gone - nothing to save through.
+    } finally {
+        entry.saving = false;
+    }
+}
+
+// An action rather than addCommand(): commands are registered globally, so another Monaco host's Ctrl+S
+// on the same page would call whichever editor registered last.
+function addSaveAction(entry, monaco) {
+    const modifiedEditor = entry.editor.getModifiedEditor();
+    entry.editableKey = modifiedEditor.createContextKey('grayMoonGitEditable', false);
+    entry.saveAction = modifiedEditor.addAction({
+        id: 'graymoon.git.saveWorkingTreeFile',
+        label: 'Save to working tree',
+        keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
+        precondition: 'grayMoonGitEditable',
+        contextMenuGroupId: '1_modification',
+        run: () => requestSave(entry),
+    });
+}
+
+function setEditable(entry, editable) {
+    entry.editable = editable;
+    entry.editableKey.set(editable);
+    entry.editor.updateOptions({ readOnly: !editable });
+}
+
+// Blame gutter on the original side. While a blame is set, the original editor's line numbers are replaced
+// by "sha author date" on the first line of each run of lines from the same commit, every line number
+// carries a hover with the whole commit, and clicking one hands the commit SHA to .NET to open its changes.
+// The blame belongs to the original model it was loaded for, so setDiff() and clear() drop it.
+const BLAME_AUTHOR_MAX_CHARS = 14;
+const BLAME_MAX_LABEL_CHARS = 36;
+const relativeTimeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+const RELATIVE_TIME_UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['week', 7 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+];
+
+function formatRelativeDate(date) {
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    for (const [unit, unitSeconds] of RELATIVE_TIME_UNITS) {
+        if (Math.abs(seconds) >= unitSeconds) {
+            return relativeTimeFormat.format(Math.round(seconds / unitSeconds), unit);
+        }
+    }
+    return relativeTimeFormat.format(0, 'minute');
+}
+
+function escapeMarkdown(text) {
+    return (text ?? '').replace(/[\\`*_{}[\]()#+\-.!<>|~]/g, '\\$&');
+}
+
+function blameLabel(commit) {
+    if (commit.isUncommitted) {
+        return 'Not committed yet';
+    }
+
+    const author = commit.authorName.length > BLAME_AUTHOR_MAX_CHARS
+        ? `${commit.authorName.slice(0, BLAME_AUTHOR_MAX_CHARS - 1)}…`
+        : commit.authorName;
+    return `${commit.sha.slice(0, 7)} ${author} ${formatRelativeDate(new Date(commit.authorTime))}`;
+}
+
+function blameHover(commit) {
+    if (commit.isUncommitted) {
+        return { value: 'Staged, not committed yet' };
+    }
+
+    const author = commit.authorEmail ? `${commit.authorName} <${commit.authorEmail}>` : commit.authorName;
+    const message = (commit.message ?? commit.summary).split('\n').map(escapeMarkdown).join('  \n');
+    return {
+        value: `**${commit.sha.slice(0, 10)}** ${escapeMarkdown(author)}, ${escapeMarkdown(new Date(commit.authorTime).toLocaleString())}\n\n`
+            + `${message}\n\n*Click to open this commit's changes*`,
+    };
+}
+
+function applyBlame(entry) {
+    const originalEditor = entry.editor.getOriginalEditor();
+    const blame = entry.blame;
+    if (!blame || !entry.originalModel) {
+        entry.blameDecorations.clear();
+        originalEditor.updateOptions({ lineNumbers: 'on', lineNumbersMinChars: 5 });
+        return;
+    }
+
+    const commits = new Map(blame.commits.map((c) => [c.sha, c]));
+    const labels = new Map();
+    const decorations = [];
+    const lineCount = Math.min(blame.lineCommits.length, entry.originalModel.getLineCount());
+    for (let line = 1; line <= lineCount; line++) {
+        const commit = commits.get(blame.lineCommits[line - 1]);
+        if (!commit) {
+            continue;
+        }
+
+        if (line === 1 || blame.lineCommits[line - 2] !== commit.sha) {
+            labels.set(line, blameLabel(commit));
+        }
+        decorations.push({
+            range: { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 },
+            options: {
+                lineNumberClassName: commit.isUncommitted ? 'git-blame-line-number' : 'git-blame-line-number git-blame-line-number--commit',
+                lineNumberHoverMessage: blameHover(commit),
+            },
+        });
+    }
+
+    const widest = Math.max(0, ...[...labels.values()].map((l) => l.length));
+    originalEditor.updateOptions({
+        lineNumbers: (lineNumber) => labels.get(lineNumber) ?? '',
+        lineNumbersMinChars: Math.min(widest, BLAME_MAX_LABEL_CHARS) + 1,
+    });
+    entry.blameDecorations.set(decorations);
+}
+
+function setBlameState(entry, blame) {
+    entry.blame = blame ?? null;
+    applyBlame(entry);
+}
+
+function openBlameCommit(entry, monaco, e) {
+    if (!entry.blame || !entry.dotNetRef || e.target.type !== monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS) {
+        return;
+    }
+
+    const sha = entry.blame.lineCommits[(e.target.position?.lineNumber ?? 0) - 1];
+    const commit = entry.blame.commits.find((c) => c.sha === sha);
+    if (!commit || commit.isUncommitted) {
+        return;
+    }
+
+    entry.dotNetRef.invokeMethodAsync('OnBlameCommitSelectedAsync', sha).catch(() => {
+        // Circuit gone.
+    });
+}
+
+// Binary and image diffs. Instead of text, setDiff() gets the size and blob id of each side (and for an image its
+// bytes); the Monaco editor is hidden and a preview is drawn in its place. An image is shown side by side, or stacked
+// with a slider that either swipes from one side to the other or fades the modified side over the original (onion
+// skin) - the stacked modes need both sides. Any other binary shows how its size and blob id changed. The mode and
+// slider position are kept across files. A text image (SVG) keeps its text diff in the editor and only swaps to the
+// same preview on request (showPreview()).
+const IMAGE_MODES = [
+    { id: 'side-by-side', label: 'Side by side' },
+    { id: 'swipe', label: 'Swipe' },
+    { id: 'onion', label: 'Onion skin' },
+];
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) {
+        node.className = className;
+    }
+    if (text !== undefined) {
+        node.textContent = text;
+    }
+    return node;
+}
+
+function formatBytes(bytes) {
+    if (bytes == null) {
+        return '-';
+    }
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+function formatSizeChange(original, modified) {
+    if (original == null || modified == null || original === modified) {
+        return '';
+    }
+    const delta = modified - original;
+    return ` (${delta > 0 ? '+' : '-'}${formatBytes(Math.abs(delta))})`;
+}
+
+function sideExists(side) {
+    return side?.sizeBytes != null;
+}
+
+function createImage(binary, side, caption) {
+    const img = el('img', 'git-diff-binary__image');
+    img.alt = side.label ?? '';
+    img.src = `data:${binary.mimeType};base64,${side.data}`;
+    if (caption) {
+        img.addEventListener('load', () => {
+            caption.textContent = `${img.naturalWidth} × ${img.naturalHeight} · ${formatBytes(side.sizeBytes)}`;
+        }, { once: true });
+    }
+    return img;
+}
+
+function createSideCaption(side) {
+    const caption = el('div', 'git-diff-binary__caption');
+    caption.appendChild(el('strong', 'git-diff-binary__label', side.label ?? ''));
+    const details = el('span', 'git-diff-binary__details', sideExists(side) ? formatBytes(side.sizeBytes) : 'No file');
+    caption.appendChild(details);
+    if (side.blobId) {
+        caption.appendChild(el('code', 'git-diff-binary__blob', side.blobId.slice(0, 10)));
+    }
+    return { caption, details };
+}
+
+function renderImageSideBySide(binary, stage) {
+    stage.className = 'git-diff-binary__stage git-diff-binary__stage--side-by-side';
+    for (const side of [binary.original, binary.modified]) {
+        const figure = el('div', 'git-diff-binary__side');
+        const { caption, details } = createSideCaption(side);
+        figure.appendChild(caption);
+        const frame = el('div', 'git-diff-binary__frame');
+        frame.appendChild(sideExists(side) ? createImage(binary, side, details) : el('div', 'git-diff-binary__missing', 'No file'));
+        figure.appendChild(frame);
+        stage.appendChild(figure);
+    }
+}
+
+function renderImageStack(entry, binary, stage, mode) {
+    stage.className = `git-diff-binary__stage git-diff-binary__stage--${mode}`;
+    const captions = el('div', 'git-diff-binary__stack-captions');
+    captions.appendChild(createSideCaption(binary.original).caption);
+    captions.appendChild(createSideCaption(binary.modified).caption);
+    stage.appendChild(captions);
+
+    const stack = el('div', 'git-diff-binary__frame git-diff-binary__stack');
+    const bottom = createImage(binary, mode === 'swipe' ? binary.modified : binary.original);
+    const top = createImage(binary, mode === 'swipe' ? binary.original : binary.modified);
+    stack.appendChild(bottom);
+    stack.appendChild(top);
+    const divider = mode === 'swipe' ? el('div', 'git-diff-binary__divider') : null;
+    if (divider) {
+        stack.appendChild(divider);
+    }
+    stage.appendChild(stack);
+
+    // Swipe shows the original left of the divider and the modified side right of it; onion skin fades the modified side in.
+    entry.applyImageSlider = () => {
+        const value = entry.imageSlider;
+        if (mode === 'swipe') {
+            top.style.clipPath = `inset(0 ${100 - value}% 0 0)`;
+            divider.style.left = `${value}%`;
+        } else {
+            top.style.opacity = `${value / 100}`;
+        }
+    };
+    entry.applyImageSlider();
+}
+
+function renderImage(entry, binary, root) {
+    const stackable = sideExists(binary.original) && sideExists(binary.modified);
+    const mode = stackable ? entry.imageMode : 'side-by-side';
+
+    const toolbar = el('div', 'git-diff-binary__toolbar');
+    const modes = el('div', 'btn-group btn-group-sm');
+    modes.setAttribute('role', 'group');
+    modes.setAttribute('aria-label', 'Image compare mode');
+    for (const option of IMAGE_MODES) {
+        const button = el('button', `btn ${option.id === mode ? 'btn-secondary' : 'btn-outline-secondary'}`, option.label);
+        button.type = 'button';
+        button.disabled = !stackable && option.id !== 'side-by-side';
+        button.setAttribute('aria-pressed', option.id === mode ? 'true' : 'false');
+        button.addEventListener('click', () => {
+            entry.imageMode = option.id;
+            renderBinary(entry);
+        });
+        modes.appendChild(button);
+    }
+    toolbar.appendChild(modes);
+
+    const stage = el('div');
+    entry.applyImageSlider = null;
+    if (mode === 'side-by-side') {
+        renderImageSideBySide(binary, stage);
+    } else {
+        const slider = el('input', 'form-range git-diff-binary__slider');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = `${entry.imageSlider}`;
+        slider.setAttribute('aria-label', mode === 'swipe' ? 'Swipe position' : 'Modified side opacity');
+        slider.addEventListener('input', () => {
+            entry.imageSlider = Number(slider.value);
+            entry.applyImageSlider?.();
+        });
+        toolbar.appendChild(slider);
+        renderImageStack(entry, binary, stage, mode);
+    }
+
+    root.appendChild(toolbar);
+    root.appendChild(stage);
+}
+
+function renderBinaryChange(binary, root) {
+    const { original, modified } = binary;
+    const summary = el('div', 'git-diff-binary__summary');
+    summary.appendChild(el('div', 'git-diff-binary__title', 'Binary file changed.'));
+
+    const table = el('table', 'git-diff-binary__table');
+    const addRow = (name, originalText, modifiedText, note) => {
+        const row = el('tr');
+        row.appendChild(el('th', null, name));
+        row.appendChild(el('td', null, originalText));
+        row.appendChild(el('td', 'git-diff-binary__arrow', '→'));
+        row.appendChild(el('td', null, modifiedText));
+        row.appendChild(el('td', 'text-muted', note ?? ''));
+        table.appendChild(row);
+    };
+    const header = el('tr');
+    for (const text of ['', original.label ?? '', '', modified.label ?? '', '']) {
+        header.appendChild(el('th', null, text));
+    }
+    table.appendChild(header);
+    addRow(
+        'Size',
+        sideExists(original) ? formatBytes(original.sizeBytes) : 'No file',
+        sideExists(modified) ? formatBytes(modified.sizeBytes) : 'No file',
+        formatSizeChange(original.sizeBytes, modified.sizeBytes).trim());
+    addRow(
+        'Blob',
+        original.blobId ?? '-',
+        modified.blobId ?? '-',
+        original.blobId && original.blobId === modified.blobId ? 'Same content' : '');
+    summary.appendChild(table);
+    root.appendChild(summary);
+}
+
+function renderBinary(entry) {
+    const root = entry.binaryEl;
+    if (!root) {
+        return;
+    }
+
+    root.replaceChildren();
+    if (entry.binary.image) {
+        renderImage(entry, entry.binary, root);
+    } else {
+        renderBinaryChange(entry.binary, root);
+    }
+}
+
+// Keeps the preview of the current file and shows it in place of the Monaco editor, or the editor when shown is false;
+// the pane headers belong to the editor, so they go with it.
+function setBinary(entry, binary, shown) {
+    entry.binary = binary ?? null;
+    entry.previewShown = !!entry.binary && shown;
+    entry.applyImageSlider = null;
+    if (entry.binaryEl) {
+        entry.binaryEl.hidden = !entry.previewShown;
+        entry.binaryEl.replaceChildren();
+    }
+    entry.container.style.display = entry.previewShown ? 'none' : '';
+    updatePaneHeadersVisibility(entry.headersRowEl, entry.renderSideBySide && !entry.previewShown);
+    if (entry.previewShown) {
+        renderBinary(entry);
+    }
+}
+
+// Detaches the editor from the current file: no models, no hunk actions, not editable, no blame.
+function resetEditor(entry) {
+    entry.hunkOperations = [];
+    setEditable(entry, false);
+    setDirty(entry, false);
+    updateLineActionKeys(entry);
+    renderHunkActions(entry);
+    setBlameState(entry, null);
+    entry.editor.setModel(null);
+    disposeModels(entry);
+}
+
 function bindPaneHeaderResize(diffEditor, originalHeaderEl, headersRowEl) {
     if (!originalHeaderEl || !headersRowEl) {
         return null;
@@ -239,6 +991,9 @@ export async function init(elementId, options) {
     const headersRowEl = options?.headersRowId
         ? document.getElementById(options.headersRowId)
         : null;
+    const binaryEl = options?.binaryPreviewId
+        ? document.getElementById(options.binaryPreviewId)
+        : null;
 
     const editor = monaco.editor.createDiffEditor(container, {
         automaticLayout: true,
@@ -270,24 +1025,67 @@ export async function init(elementId, options) {
     });
     resizeObserver.observe(container);
 
-    editors.set(elementId, {
+    const entry = {
         editor,
         navigator,
         originalModel: null,
         modifiedModel: null,
         layoutSub,
         resizeObserver,
+        container,
         headersRowEl,
-    });
+        binaryEl,
+        renderSideBySide,
+        dotNetRef: options?.dotNetRef ?? null,
+        path: '',
+        originalText: '',
+        modifiedText: '',
+        hunkOperations: [],
+        hunkZoneIds: [],
+        hunkButtons: [],
+        hunkBusy: false,
+        editable: false,
+        dirty: false,
+        saving: false,
+        savedVersionId: 0,
+        blame: null,
+        binary: null,
+        previewShown: false,
+        imageMode: 'side-by-side',
+        imageSlider: 50,
+        applyImageSlider: null,
+    };
+    entry.hunkSub = editor.onDidUpdateDiff(() => renderHunkActions(entry));
+    entry.contentSub = editor.getModifiedEditor().onDidChangeModelContent(() => updateDirty(entry));
+    addLineActions(entry);
+    addSaveAction(entry, monaco);
+    entry.blameDecorations = editor.getOriginalEditor().createDecorationsCollection();
+    entry.blameSub = editor.getOriginalEditor().onMouseDown((e) => openBlameCommit(entry, monaco, e));
+    editors.set(elementId, entry);
     return true;
 }
 
-export async function setDiff(elementId, originalContent, modifiedContent, languageId) {
+// options: { path, hunkActions: ['stage' | 'unstage' | 'discard'], editable, preserveViewState, binary } - path is
+// the repository-relative path used in hunk and line patches; editable lets the modified side be edited and
+// saved (see setDirty()); preserveViewState keeps the scroll position and cursor when the same file is
+// reloaded (after a hunk or line action, or a save) instead of jumping to the first change. binary is
+// { image, mimeType, original, modified } with each side { label, sizeBytes, blobId, data } (data is the base64
+// bytes of an image, sizeBytes null where the file does not exist): the contents are ignored and a preview is
+// shown instead of the text diff (see renderBinary()) - unless binary.text is set for a text image, which is diffed
+// as text like any other file and keeps the preview for showPreview().
+export async function setDiff(elementId, originalContent, modifiedContent, languageId, options) {
     const entry = editors.get(elementId);
     if (!entry) {
         return;
     }
 
+    if (options?.binary && !options.binary.text) {
+        resetEditor(entry);
+        setBinary(entry, options.binary, true);
+        return;
+    }
+
+    setBinary(entry, options?.binary, false);
     const monaco = await ensureMonacoLoaded();
 
     const resolvedLanguage = languageId || 'plaintext';
@@ -299,10 +1097,24 @@ export async function setDiff(elementId, originalContent, modifiedContent, langu
     // The diff editor must be pointed at the new models before the old ones are disposed - disposing a
     // model while it's still assigned to the widget throws "TextModel got disposed before
     // DiffEditorWidget model got reset", which (being uncaught) aborts whatever cleanup runs after it.
+    const viewState = options?.preserveViewState ? entry.editor.saveViewState() : null;
+    entry.path = options?.path ?? '';
+    entry.originalText = originalContent ?? '';
+    entry.modifiedText = modifiedContent ?? '';
+    entry.hunkOperations = entry.path ? options?.hunkActions ?? [] : [];
+    setEditable(entry, !!entry.path && !!options?.editable);
     entry.editor.setModel({ original: newOriginalModel, modified: newModifiedModel });
     entry.originalModel = newOriginalModel;
     entry.modifiedModel = newModifiedModel;
-    entry.navigator.revealFirstChangeOnNextUpdate();
+    entry.savedVersionId = newModifiedModel.getAlternativeVersionId();
+    setBlameState(entry, null);
+    setDirty(entry, false);
+    updateLineActionKeys(entry);
+    if (viewState) {
+        entry.editor.restoreViewState(viewState);
+    } else {
+        entry.navigator.revealFirstChangeOnNextUpdate();
+    }
 
     oldOriginalModel?.dispose();
     oldModifiedModel?.dispose();
@@ -315,8 +1127,9 @@ export function setViewMode(elementId, mode) {
     }
 
     const sideBySide = mode === 'side-by-side';
+    entry.renderSideBySide = sideBySide;
     entry.editor.updateOptions({ renderSideBySide: sideBySide });
-    updatePaneHeadersVisibility(entry.headersRowEl, sideBySide);
+    updatePaneHeadersVisibility(entry.headersRowEl, sideBySide && !entry.previewShown);
 }
 
 export function setOptions(elementId, options) {
@@ -334,12 +1147,36 @@ export function setOptions(elementId, options) {
     }
     if (options?.renderSideBySide !== undefined) {
         update.renderSideBySide = options.renderSideBySide;
-        updatePaneHeadersVisibility(entry.headersRowEl, options.renderSideBySide);
+        entry.renderSideBySide = options.renderSideBySide;
+        updatePaneHeadersVisibility(entry.headersRowEl, options.renderSideBySide && !entry.previewShown);
     }
 
     entry.editor.updateOptions(update);
 }
 
+// blame: { lineCommits: [sha per line of the original side], commits: [{ sha, authorName, authorEmail,
+// authorTime, summary, message, isUncommitted }] } for the content last passed to setDiff(), or null to hide it.
+export function setBlame(elementId, blame) {
+    const entry = editors.get(elementId);
+    if (entry) {
+        setBlameState(entry, blame);
+    }
+}
+
+// Swaps a text image between its text diff and the preview kept by setDiff(); the edits and hunk actions stay on the
+// text diff. Does nothing for a file without a text image preview.
+export function showPreview(elementId, shown) {
+    const entry = editors.get(elementId);
+    if (entry?.binary?.text) {
+        setBinary(entry, entry.binary, shown);
+    }
+}
+
+export function save(elementId) {
+    const entry = editors.get(elementId);
+    return entry ? requestSave(entry) : Promise.resolve();
+}
+
 export function goToNextChange(elementId) {
     editors.get(elementId)?.navigator.next();
 }
@@ -354,8 +1191,8 @@ export function clear(elementId) {
         return;
     }
 
-    entry.editor.setModel(null);
-    disposeModels(entry);
+    resetEditor(entry);
+    setBinary(entry, null, false);
 }
 
 export function dispose(elementId) {
@@ -367,6 +1204,11 @@ export function dispose(elementId) {
     entry.layoutSub?.dispose();
     entry.resizeObserver?.disconnect();
     entry.navigator.dispose();
+    entry.hunkSub?.dispose();
+    entry.contentSub?.dispose();
+    entry.saveAction?.dispose();
+    entry.blameSub?.dispose();
+    entry.blameDecorations?.clear();
     entry.editor.setModel(null);
     entry.editor.dispose();
     disposeModels(entry);
@@ -1446,43 +1446,11 @@ public sealed partial class WorkspaceActions : IDisposable
     internal static int GetStatusSortOrder(WorkspaceActionRow row)
     {
         if (!string.IsNullOrWhiteSpace(row.ErrorMessage)) return 0;
-        var status = GetEffectiveStatusForSort(row);
-        return status switch
-        {
-            "failed" => 1,
-            "aborted" => 2,
-            "running" => 3,
-            "success" => 4,
-            _ => 5
-        };
+        return ActionStatusInfo.GetStatusSeverityOrder(GetEffectiveStatusForSort(row));
     }
 
-    private static string? GetEffectiveStatusForSort(WorkspaceActionRow row)
-    {
-        var order = 5;
-        string? worst = null;
-        foreach (var line in row.WorkflowLines)
-        {
-            var a = line.Action;
-            if (a == null || !string.Equals(a.BranchName, row.Link.BranchName, StringComparison.OrdinalIgnoreCase))
-                continue;
-            var o = a.Status switch
-            {
-                "failed" => 1,
-                "aborted" => 2,
-                "running" => 3,
-                "success" => 4,
-                _ => 5
-            };
-            if (o < order)
-            {
-                order = o;
-                worst = a.Status;
-            }
-        }
-
-        return worst;
-    }
+    private static string? GetEffectiveStatusForSort(WorkspaceActionRow row) =>
+        ActionStatusInfo.GetWorstStatusForBranch(row.WorkflowLines.Select(l => l.Action), row.Link.BranchName);
 
     private static bool IsLineFailedForBranch(WorkspaceActionRow row, WorkflowActionLine line) =>
         line.Action != null &&
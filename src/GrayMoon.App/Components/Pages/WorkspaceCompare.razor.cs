@@ -0,0 +1,476 @@
+using GrayMoon.App.Components.GitChanges;
+using GrayMoon.App.Data;
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+using GrayMoon.App.Services.GitChanges;
+using GrayMoon.Common.Git;
+using Microsoft.AspNetCore.Components;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+
+namespace GrayMoon.App.Components.Pages;
+
+/// <summary>
+/// Compares two refs (branches, tags or commits) in every repository of a workspace: the Agent lists the files that
+/// differ per repository and reads each selected file at both resolved commits for the diff viewer. Nothing is
+/// persisted - the result lives only as long as the page. A link built by <see cref="CommitChangesUrl"/> (the diff viewer's
+/// blame gutter) prefills the refs and compares right away, in just that commit's repository.
+/// </summary>
+public sealed partial class WorkspaceCompare
+{
+    [Parameter] public int WorkspaceId { get; set; }
+
+    [Inject] private IGitChangesAgentClient AgentClient { get; set; } = default!;
+    [Inject] private AppDbContext DbContext { get; set; } = default!;
+    [Inject] private WorkspaceService WorkspaceService { get; set; } = default!;
+    [Inject] private IAgentBridge AgentBridge { get; set; } = default!;
+    [Inject] private IToastService ToastService { get; set; } = default!;
+    [Inject] private IOptions<GitChangesOptions> GitChangesOptions { get; set; } = default!;
+    [Inject] private ILogger<WorkspaceCompare> Logger { get; set; } = default!;
+    [Inject] private NavigationManager NavigationManager { get; set; } = default!;
+
+    private Workspace? _workspace;
+    private string? _workspaceRoot;
+    private string _baseRef = string.Empty;
+    private string _headRef = string.Empty;
+    private bool _useMergeBase = true;
+    private bool _isComparing;
+    private string? _errorMessage;
+    private int _compareVersion;
+
+    // Query string last applied by ApplyComparisonFromQuery, so a re-render does not compare again.
+    private string? _appliedQuery;
+
+    // Refs of the comparison on screen (the inputs may have been edited since).
+    private string _comparedBaseRef = string.Empty;
+    private string _comparedHeadRef = string.Empty;
+    private bool _comparedUsesMergeBase;
+
+    private IReadOnlyList<WorkspaceRefComparisonRepository>? _results;
+    private IReadOnlyList<WorkspaceRefComparisonRepository> _failedRepositories = [];
+    private IReadOnlyList<GitChangesTreeRow> _rows = [];
+    private readonly HashSet<string> _collapsedKeys = [];
+    private string _filterQuery = string.Empty;
+
+    private GitChangesTreeRow? _selectedRow;
+    private GitDiffViewer? _diffViewerRef;
+    private GitDiffDocument? _selectedDiff;
+    private bool _isDiffLoading;
+    private string? _diffError;
+    private int _diffRequestVersion;
+
+    private bool CanCompare => !string.IsNullOrWhiteSpace(_baseRef) && !string.IsNullOrWhiteSpace(_headRef);
+
+    private int ComparedRepositoryCount => _results?.Count(r => r.Comparison is { Files.Count: > 0 }) ?? 0;
+
+    private int ChangedFileCount => _results?.Sum(r => r.Comparison?.Files.Count ?? 0) ?? 0;
+
+    private bool IsChangeNavDisabled => _selectedDiff == null || !RendersInMonaco(_selectedDiff.State);
+
+    private bool _isBlameVisible;
+
+    // The original side is the file at the base commit; an added file has nothing to blame there.
+    private bool CanBlame => _selectedDiff is { State: GitDiffContentState.Normal or GitDiffContentState.DeletedFile };
+
+    private string SectionLabel => $"{_comparedBaseRef}{(_comparedUsesMergeBase ? "..." : "..")}{_comparedHeadRef}";
+
+    private string OriginalSideLabel => _comparedUsesMergeBase ? $"(merge base of {_comparedBaseRef})" : $"({_comparedBaseRef})";
+
+    private static bool RendersInMonaco(GitDiffContentState state) =>
+        state is GitDiffContentState.Normal or GitDiffContentState.NewFile or GitDiffContentState.DeletedFile;
+
+    /// <summary>
+    /// Link that opens <paramref name="sha"/>'s changes (its first parent against it) in one repository of a workspace, with
+    /// <paramref name="path"/> selected. A root commit has no parent, so its link fails to compare.
+    /// </summary>
+    public static string CommitChangesUrl(int workspaceId, int repositoryId, string sha, string? path) =>
+        $"/workspaces/{workspaceId}/compare?base={sha}^&head={sha}&mergeBase=false&repo={repositoryId}"
+        + (string.IsNullOrEmpty(path) ? string.Empty : $"&path={Uri.EscapeDataString(path)}");
+
+    protected override async Task OnParametersSetAsync()
+    {
+        if (_workspace?.WorkspaceId != WorkspaceId)
+        {
+            await LoadWorkspaceAsync();
+        }
+
+        var query = new Uri(NavigationManager.Uri).Query;
+        if (_workspace != null && query != _appliedQuery)
+        {
+            _appliedQuery = query;
+            await ApplyComparisonFromQueryAsync(query);
+        }
+    }
+
+    private async Task LoadWorkspaceAsync()
+    {
+        _compareVersion++;
+        _diffRequestVersion++;
+        _results = null;
+        _failedRepositories = [];
+        _rows = [];
+        _collapsedKeys.Clear();
+        _selectedRow = null;
+        _selectedDiff = null;
+        _errorMessage = null;
+
+        try
+        {
+            _workspace = await DbContext.Workspaces.AsNoTracking().FirstOrDefaultAsync(w => w.WorkspaceId == WorkspaceId);
+            if (_workspace == null)
+            {
+                _errorMessage = "Workspace not found.";
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Failed to load workspace {WorkspaceId} for compare", WorkspaceId);
+            _errorMessage = "Failed to load the workspace.";
+        }
+    }
+
+    /// <summary>Fills the refs from <c>?base=&amp;head=&amp;mergeBase=</c> and compares them, only in the <c>?repo=</c> repository if given, then selects <c>?path=</c>.</summary>
+    private async Task ApplyComparisonFromQueryAsync(string query)
+    {
+        string? baseRef = null, headRef = null, path = null;
+        bool? useMergeBase = null;
+        int? repositoryId = null;
+        foreach (var pair in query.TrimStart('?').Split('&', StringSplitOptions.RemoveEmptyEntries))
+        {
+            var kv = pair.Split('=', 2, StringSplitOptions.None);
+            if (kv.Length != 2) continue;
+            var key = kv[0].Trim();
+            var value = Uri.UnescapeDataString(kv[1].Trim());
+            if (string.Equals(key, "base", StringComparison.OrdinalIgnoreCase)) baseRef = value;
+            else if (string.Equals(key, "head", StringComparison.OrdinalIgnoreCase)) headRef = value;
+            else if (string.Equals(key, "path", StringComparison.OrdinalIgnoreCase)) path = value;
+            else if (string.Equals(key, "mergeBase", StringComparison.OrdinalIgnoreCase) && bool.TryParse(value, out var mergeBase)) useMergeBase = mergeBase;
+            else if (string.Equals(key, "repo", StringComparison.OrdinalIgnoreCase) && int.TryParse(value, out var id)) repositoryId = id;
+        }
+
+        if (string.IsNullOrWhiteSpace(baseRef) || string.IsNullOrWhiteSpace(headRef))
+        {
+            return;
+        }
+
+        _baseRef = baseRef;
+        _headRef = headRef;
+        _useMergeBase = useMergeBase ?? true;
+        await CompareRepositoriesAsync(repositoryId);
+
+        var file = path == null
+            ? null
+            : _rows.FirstOrDefault(r => r.Kind == GitChangesTreeRowKind.File && (r.FilePath == path || r.OriginalPath == path));
+        if (file != null)
+        {
+            SelectFile(file);
+        }
+    }
+
+    private Task CompareAsync() => CompareRepositoriesAsync(onlyRepositoryId: null);
+
+    /// <summary>
+    /// Compares the entered refs in every repository of the workspace (or just <paramref name="onlyRepositoryId"/>), bounded by
+    /// <see cref="GitChangesOptions.MaxParallelRepositoryOperations"/> like the other workspace-wide Git Changes operations.
+    /// A repository where a ref does not exist is listed as not compared rather than failing the whole comparison.
+    /// </summary>
+    private async Task CompareRepositoriesAsync(int? onlyRepositoryId)
+    {
+        if (!CanCompare || _isComparing || _workspace == null)
+        {
+            return;
+        }
+
+        if (!AgentBridge.IsAgentConnected)
+        {
+            ToastService.ShowError("Agent not connected. Start GrayMoon.Agent and try again.");
+            return;
+        }
+
+        var version = ++_compareVersion;
+        var baseRef = _baseRef.Trim();
+        var headRef = _headRef.Trim();
+        var useMergeBase = _useMergeBase;
+        _isComparing = true;
+        _errorMessage = null;
+        await ClearSelectionAsync();
+
+        try
+        {
+            _workspaceRoot = await WorkspaceService.GetRootPathForWorkspaceAsync(_workspace);
+            if (string.IsNullOrWhiteSpace(_workspaceRoot))
+            {
+                _errorMessage = "Workspace root path is not configured.";
+                return;
+            }
+
+            var links = await DbContext.WorkspaceRepositories
+                .AsNoTracking()
+                .Include(l => l.Repository)
+                .Where(l => l.WorkspaceId == WorkspaceId && (onlyRepositoryId == null || l.RepositoryId == onlyRepositoryId))
+                .ToListAsync();
+
+            var root = _workspaceRoot;
+            var workspaceName = _workspace.Name;
+            using var semaphore = new SemaphoreSlim(Math.Max(1, GitChangesOptions.Value.MaxParallelRepositoryOperations));
+
+            var tasks = links
+                .Where(l => l.Repository != null)
+                .Select(async link =>
+                {
+                    await semaphore.WaitAsync();
+                    try
+                    {
+                        var result = await AgentClient.CompareRefsAsync(
+                            root, workspaceName, link.Repository!.RepositoryName, baseRef, headRef, useMergeBase, CancellationToken.None);
+                        return new WorkspaceRefComparisonRepository
+                        {
+                            WorkspaceRepositoryId = link.WorkspaceRepositoryId,
+                            RepositoryName = link.Repository.RepositoryName,
+                            Comparison = result.Success ? result.Comparison : null,
+                            ErrorCode = result.Success ? null : result.ErrorCode,
+                            ErrorMessage = result.Success ? null : result.ErrorMessage ?? "Compare failed.",
+                        };
+                    }
+                    catch (Exception ex)
+                    {
+                        Logger.LogWarning(ex, "Failed to compare refs in repository {RepositoryName}", link.Repository!.RepositoryName);
+                        return new WorkspaceRefComparisonRepository
+                        {
+                            WorkspaceRepositoryId = link.WorkspaceRepositoryId,
+                            RepositoryName = link.Repository.RepositoryName,
+                            ErrorMessage = "Compare failed.",
+                        };
+                    }
+                    finally
+                    {
+                        semaphore.Release();
+                    }
+                });
+
+            var results = await Task.WhenAll(tasks);
+            if (version != _compareVersion)
+            {
+                return;
+            }
+
+            _comparedBaseRef = baseRef;
+            _comparedHeadRef = headRef;
+            _comparedUsesMergeBase = useMergeBase;
+            _results = results.OrderBy(r => r.RepositoryName, StringComparer.OrdinalIgnoreCase).ToList();
+            _failedRepositories = _results.Where(r => r.Comparison == null).ToList();
+            _collapsedKeys.Clear();
+            RebuildRows();
+
+            if (_failedRepositories.Count == _results.Count && _results.Count > 0)
+            {
+                ToastService.ShowError($"'{baseRef}' or '{headRef}' could not be compared in any repository.");
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Failed to compare {BaseRef} and {HeadRef} in workspace {WorkspaceId}", baseRef, headRef, WorkspaceId);
+            if (version == _compareVersion)
+            {
+                _errorMessage = "Failed to compare the repositories.";
+            }
+        }
+        finally
+        {
+            if (version == _compareVersion)
+            {
+                _isComparing = false;
+            }
+        }
+    }
+
+    private void RebuildRows()
+    {
+        _rows = _results == null
+            ? []
+            : GitChangesTreeBuilder.BuildComparison(SectionLabel, _results, _filterQuery, _collapsedKeys);
+    }
+
+    private void OnFilterChanged(string value)
+    {
+        _filterQuery = value;
+        RebuildRows();
+    }
+
+    private void ToggleExpanded(GitChangesTreeRow row)
+    {
+        if (!row.HasChildren)
+        {
+            return;
+        }
+
+        if (!_collapsedKeys.Add(row.Key))
+        {
+            _collapsedKeys.Remove(row.Key);
+        }
+
+        RebuildRows();
+    }
+
+    private void SelectFile(GitChangesTreeRow row)
+    {
+        if (row.Kind != GitChangesTreeRowKind.File)
+        {
+            return;
+        }
+
+        _selectedRow = row;
+        _ = LoadDiffAsync(row);
+    }
+
+    private async Task ClearSelectionAsync()
+    {
+        _diffRequestVersion++;
+        _selectedRow = null;
+        _selectedDiff = null;
+        _diffError = null;
+        _isDiffLoading = false;
+        if (_diffViewerRef != null)
+        {
+            await _diffViewerRef.ClearAsync();
+        }
+    }
+
+    /// <summary>Reads <paramref name="row"/> at the comparison's resolved commits, so the diff matches the file list even if a branch moved since.</summary>
+    private async Task LoadDiffAsync(GitChangesTreeRow row)
+    {
+        var requestVersion = ++_diffRequestVersion;
+        _diffError = null;
+        _selectedDiff = null;
+        _isDiffLoading = true;
+        StateHasChanged();
+
+        try
+        {
+            if (_diffViewerRef != null)
+            {
+                await _diffViewerRef.ClearAsync();
+            }
+
+            var comparison = _results?.FirstOrDefault(r => r.WorkspaceRepositoryId == row.WorkspaceRepositoryId)?.Comparison;
+            if (comparison == null || _workspace == null || string.IsNullOrWhiteSpace(_workspaceRoot))
+            {
+                _diffError = "Repository not found.";
+                return;
+            }
+
+            GitChangesDiffResult result;
+            using (TerminalSinkContext.Suppress())
+            {
+                result = await AgentClient.GetRefDiffAsync(
+                    _workspaceRoot, _workspace.Name, row.RepositoryName!, row.FilePath!, row.OriginalPath,
+                    comparison.BaseCommit, comparison.HeadCommit, CancellationToken.None);
+            }
+
+            if (requestVersion != _diffRequestVersion)
+            {
+                return;
+            }
+
+            if (!result.Success || result.Diff == null)
+            {
+                _diffError = result.ErrorMessage ?? "Failed to load diff.";
+                return;
+            }
+
+            _selectedDiff = result.Diff;
+            if (GitDiffViewer.CanShow(_selectedDiff.State) && _diffViewerRef != null)
+            {
+                _isDiffLoading = false;
+                StateHasChanged();
+                await _diffViewerRef.SetDiffAsync(_selectedDiff);
+                if (_isBlameVisible && CanBlame)
+                {
+                    await LoadBlameAsync(row, comparison, requestVersion);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Failed to load compare diff for {Path}", row.FilePath);
+            _diffError = "Failed to load diff.";
+        }
+        finally
+        {
+            if (requestVersion == _diffRequestVersion)
+            {
+                _isDiffLoading = false;
+                StateHasChanged();
+            }
+        }
+    }
+
+    /// <summary>Blames the original side of <paramref name="row"/>'s diff: the file at the comparison's base commit, under its old name if renamed.</summary>
+    private async Task LoadBlameAsync(GitChangesTreeRow row, GitRefComparison comparison, int requestVersion)
+    {
+        GitChangesBlameResult result;
+        using (TerminalSinkContext.Suppress())
+        {
+            result = await AgentClient.GetBlameAsync(
+                _workspaceRoot!, _workspace!.Name, row.RepositoryName!, row.OriginalPath ?? row.FilePath!, comparison.BaseCommit, CancellationToken.None);
+        }
+
+        if (requestVersion != _diffRequestVersion || !_isBlameVisible || _diffViewerRef == null)
+        {
+            return;
+        }
+
+        if (!result.Success || result.Blame == null)
+        {
+            ToastService.ShowError(result.ErrorMessage ?? "Failed to load blame.");
+            return;
+        }
+
+        await _diffViewerRef.SetBlameAsync(result.Blame);
+    }
+
+    private async Task ToggleBlameAsync()
+    {
+        _isBlameVisible = !_isBlameVisible;
+        if (!_isBlameVisible)
+        {
+            if (_diffViewerRef != null)
+            {
+                await _diffViewerRef.SetBlameAsync(null);
+            }
+
+            return;
+        }
+
+        var comparison = _results?.FirstOrDefault(r => r.WorkspaceRepositoryId == _selectedRow?.WorkspaceRepositoryId)?.Comparison;
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File } row || comparison == null || !CanBlame || _workspace == null)
+        {
+            return;
+        }
+
+        try
+        {
+            await LoadBlameAsync(row, comparison, _diffRequestVersion);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Failed to load blame for {Path}", row.FilePath);
+            ToastService.ShowError("Failed to load blame.");
+        }
+    }
+
+    private async Task OnOpenBlameCommitAsync(string sha)
+    {
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File } row)
+        {
+            return;
+        }
+
+        var repositoryId = await DbContext.WorkspaceRepositories
+            .AsNoTracking()
+            .Where(l => l.WorkspaceRepositoryId == row.WorkspaceRepositoryId)
+            .Select(l => l.RepositoryId)
+            .FirstOrDefaultAsync();
+        NavigationManager.NavigateTo(CommitChangesUrl(WorkspaceId, repositoryId, sha, row.OriginalPath ?? row.FilePath));
+    }
+}
@@ -0,0 +1,21 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>Polite live region the graph script announces the keyboard-focused repository in.</summary>
+    private const string GraphLiveRegionId = "cytoscape-dependency-graph-live";
+
+    private const string GraphKeyboardHintId = "cytoscape-dependency-graph-keys";
+
+    /// <summary>The drawn (filtered) graph as levels of repositories with their dependencies and consumers, for the hidden list mirror.</summary>
+    private IReadOnlyList<DependencyOutlineLevel> GetGraphOutline()
+    {
+        var (nodes, edges) = GetFilteredNodesAndEdges();
+        return RepositoryDependencyGraphOutline.Build(nodes, edges, GetDependencyLevelByRepositoryId());
+    }
+
+    private static string GetRepositoryTypeLabel(ProjectType? type) => type?.ToString().ToLowerInvariant() ?? "repository";
+}
@@ -0,0 +1,54 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>Cycles of the whole workspace graph (not only the filtered part), recomputed whenever the graph is (re)loaded.</summary>
+    private IReadOnlyList<RepositoryDependencyCycle> _cycles = [];
+    private Dictionary<int, int> _cycleIndexByRepoId = [];
+
+    private bool HasDependencyCycles => _cycles.Count > 0;
+
+    private void UpdateDependencyCycles()
+    {
+        _cycles = graph == null ? [] : RepositoryDependencyCycleFinder.FindCycles(graph);
+        _cycleIndexByRepoId = _cycles
+            .SelectMany((cycle, index) => cycle.RepositoryIds.Select(id => (id, index)))
+            .ToDictionary(t => t.id, t => t.index);
+    }
+
+    private int? GetCycleIndex(int repositoryId) =>
+        _cycleIndexByRepoId.TryGetValue(repositoryId, out var index) ? index : null;
+
+    /// <summary>Cycle index of an edge when both ends are in the same cycle (i.e. the edge is one of the edges forming it).</summary>
+    private int? GetCycleIndex(RepositoryDependencyEdge edge)
+    {
+        var index = GetCycleIndex(edge.DependentRepositoryId);
+        return index != null && index == GetCycleIndex(edge.ReferencedRepositoryId) ? index : null;
+    }
+
+    private string GetRepositoryName(int repositoryId) =>
+        graph?.Nodes.FirstOrDefault(n => n.RepositoryId == repositoryId)?.RepositoryName ?? repositoryId.ToString();
+
+    private Task FocusCycleAsync(RepositoryDependencyCycle cycle) =>
+        FocusGraphElementsAsync(
+            cycle.RepositoryIds.Select(id => id.ToString()).ToArray(),
+            cycle.Edges.Select(e => new { source = e.DependentRepositoryId.ToString(), target = e.ReferencedRepositoryId.ToString() }).ToArray());
+
+    private Task FocusCycleEdgeAsync(RepositoryDependencyEdge edge) =>
+        FocusGraphElementsAsync([], [new { source = edge.DependentRepositoryId.ToString(), target = edge.ReferencedRepositoryId.ToString() }]);
+
+    private async Task FocusGraphElementsAsync(string[] nodeIds, object[] edges)
+    {
+        try
+        {
+            var found = await JSRuntime.InvokeAsync<bool>("focusCytoscapeElements", GraphContainerId, nodeIds, edges);
+            if (!found)
+                ToastService.Show("Not in the current view. Clear the search or filter to see the whole cycle.");
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
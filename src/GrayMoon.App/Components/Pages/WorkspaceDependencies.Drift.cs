@@ -0,0 +1,22 @@
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>When true, only edges whose referenced version lags the referenced repository's current version are drawn.</summary>
+    private bool _showDriftedEdgesOnly;
+
+    /// <summary>Drifted edges in the drawn (filtered) graph.</summary>
+    private int DriftedEdgeCount => GetFilteredNodesAndEdges().Edges.Count(e => e.HasVersionDrift);
+
+    private async Task ToggleDriftedEdgesOnlyAsync()
+    {
+        _showDriftedEdgesOnly = !_showDriftedEdgesOnly;
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("setCytoscapeDriftOnly", GraphContainerId, _showDriftedEdgesOnly);
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
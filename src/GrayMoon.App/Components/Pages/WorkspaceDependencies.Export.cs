@@ -0,0 +1,48 @@
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    private bool _showExportMenu;
+
+    /// <summary>Export formats offered by the graph toolbar: format key understood by <c>exportCytoscapeGraph</c>, menu label, icon.</summary>
+    private static readonly (string Format, string Label, string Icon)[] GraphExportFormats =
+    [
+        ("png", "PNG image (high resolution)", "bi-file-earmark-image"),
+        ("svg", "SVG vector image", "bi-filetype-svg"),
+        ("dot", "Graphviz DOT", "bi-diagram-2"),
+        ("mermaid", "Mermaid (graph TD)", "bi-diagram-3"),
+    ];
+
+    private void ToggleExportMenu() => _showExportMenu = !_showExportMenu;
+
+    private void CloseExportMenu() => _showExportMenu = false;
+
+    private async Task ExportGraphAsync(string format)
+    {
+        _showExportMenu = false;
+        try
+        {
+            var exported = await JSRuntime.InvokeAsync<bool>("exportCytoscapeGraph", GraphContainerId, format, GetExportBaseName());
+            if (!exported)
+                ToastService.Show("Nothing to export.");
+        }
+        catch (JSDisconnectedException) { }
+        catch (JSException ex)
+        {
+            Logger.LogWarning(ex, "Graph export to {Format} failed for workspace {WorkspaceId}", format, WorkspaceId);
+            ToastService.ShowError("Export failed.");
+        }
+    }
+
+    /// <summary>File name without extension: workspace name plus the active scope, reduced to file-name-safe characters.</summary>
+    private string GetExportBaseName()
+    {
+        var name = $"{workspace?.Name ?? "workspace"}-dependencies";
+        if (!HasSearchFilter && !string.IsNullOrEmpty(selectedFilterValue))
+            name += $"-{GetFilterLabel()}";
+        var invalid = Path.GetInvalidFileNameChars();
+        return new string(name.Select(c => invalid.Contains(c) || char.IsWhiteSpace(c) ? '-' : c).ToArray());
+    }
+}
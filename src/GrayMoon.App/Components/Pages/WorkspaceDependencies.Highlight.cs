@@ -0,0 +1,32 @@
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>When true, the consumer/dependency highlight stays on the pinned repositories instead of following the mouse.</summary>
+    private bool _highlightPinned;
+
+    /// <summary>Graph node ids the highlight is pinned to, passed back on every render so the pin survives it.</summary>
+    private IReadOnlyList<string>? _highlightPinnedIds;
+
+    private async Task ToggleHighlightPinnedAsync()
+    {
+        _highlightPinned = !_highlightPinned;
+        _highlightPinnedIds = null;
+        try
+        {
+            _highlightPinnedIds = await JSRuntime.InvokeAsync<string[]?>("setCytoscapeHighlightPinned", GraphContainerId, _highlightPinned);
+        }
+        catch (JSDisconnectedException) { }
+    }
+
+    /// <summary>The graph moved the pin to a tapped node, or dropped it (null) because none of the pinned repositories is left.</summary>
+    [JSInvokable]
+    public Task OnGraphHighlightPinChanged(string[]? nodeIds)
+    {
+        _highlightPinned = nodeIds != null;
+        _highlightPinnedIds = nodeIds;
+        return InvokeAsync(StateHasChanged);
+    }
+}
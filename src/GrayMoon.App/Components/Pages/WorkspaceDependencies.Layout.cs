@@ -0,0 +1,69 @@
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    private const string DefaultGraphLayout = "dagre-tb";
+
+    /// <summary>Layout modes understood by <c>renderCytoscapeGraph</c>: value, toolbar title and icon.</summary>
+    private static readonly (string Value, string Title, string Icon)[] GraphLayouts =
+    [
+        ("dagre-tb", "Hierarchy, top to bottom", "bi-diagram-3"),
+        ("dagre-lr", "Hierarchy, left to right", "bi-diagram-2"),
+        ("levels", "Swimlanes by dependency level", "bi-distribute-vertical"),
+        ("grid", "Grid", "bi-grid-3x3-gap")
+    ];
+
+    private string _graphLayout = DefaultGraphLayout;
+
+    /// <summary>Repositories being laid out in the browser's layout worker (large graphs); 0 when no background layout is running.</summary>
+    private int _graphLayoutNodeCount;
+
+    /// <summary>Layout is remembered per workspace in the browser.</summary>
+    private string GraphLayoutStorageKey => $"graymoon:deps-layout:{WorkspaceId}";
+
+    /// <summary>Key prefix for dragged node positions; the graph script appends the layout mode.</summary>
+    private string GraphPositionsStorageKey => $"graymoon:deps-positions:{WorkspaceId}";
+
+    private async Task LoadGraphLayoutAsync()
+    {
+        try
+        {
+            var stored = await JSRuntime.InvokeAsync<string?>("graymoonStorageGet", GraphLayoutStorageKey);
+            _graphLayout = GraphLayouts.Any(l => l.Value == stored) ? stored! : DefaultGraphLayout;
+        }
+        catch (JSDisconnectedException) { }
+        catch (InvalidOperationException) { }
+    }
+
+    private async Task SetGraphLayoutAsync(string layout)
+    {
+        if (_graphLayout == layout) return;
+        _graphLayout = layout;
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("graymoonStorageSet", GraphLayoutStorageKey, layout);
+            await JSRuntime.InvokeVoidAsync("setCytoscapeLayout", GraphContainerId, layout);
+        }
+        catch (JSDisconnectedException) { }
+    }
+
+    /// <summary>Discards the hand-arranged positions of the current layout mode and lays the graph out again.</summary>
+    private async Task ResetGraphLayoutAsync()
+    {
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("resetCytoscapeLayout", GraphContainerId);
+        }
+        catch (JSDisconnectedException) { }
+    }
+
+    /// <summary>The graph script started or finished a background layout; the graph pane shows a progress indicator meanwhile.</summary>
+    [JSInvokable]
+    public Task OnGraphLayoutProgress(bool running, int nodeCount)
+    {
+        _graphLayoutNodeCount = running ? Math.Max(nodeCount, 1) : 0;
+        return InvokeAsync(StateHasChanged);
+    }
+}
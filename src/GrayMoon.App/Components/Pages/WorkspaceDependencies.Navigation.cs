@@ -0,0 +1,30 @@
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>Overview canvas drawn by the graph script: the whole graph and the visible part of it.</summary>
+    private const string GraphMinimapId = "cytoscape-dependency-graph-minimap";
+
+    /// <summary>Viewport actions understood by <c>zoomCytoscapeGraph</c>: value, toolbar title (with the graph's keyboard shortcut) and icon.</summary>
+    private static readonly (string Value, string Title, string Icon)[] GraphZoomActions =
+    [
+        ("in", "Zoom in (+)", "bi-zoom-in"),
+        ("out", "Zoom out (-)", "bi-zoom-out"),
+        ("fit", "Fit the graph (F)", "bi-arrows-fullscreen"),
+        ("reset", "Actual size (0)", "bi-aspect-ratio")
+    ];
+
+    private async Task ZoomGraphAsync(string action)
+    {
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("zoomCytoscapeGraph", GraphContainerId, action);
+        }
+        catch (JSDisconnectedException) { }
+    }
+
+    /// <summary>Centers the selected repositories (zooming out when they do not fit).</summary>
+    private Task FocusGraphSelectionAsync() => ZoomGraphAsync("selection");
+}
@@ -0,0 +1,113 @@
+using GrayMoon.App.Services;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>Path finder mode: node taps pick the source and then the target instead of focusing the level list.</summary>
+    private bool _pathFinderActive;
+    private int? _pathSourceId;
+    private int? _pathTargetId;
+    private IReadOnlyList<IReadOnlyList<int>> _paths = [];
+
+    /// <summary>No path from source to target, but the target does depend on the source (the user likely picked them the wrong way round).</summary>
+    private bool _reversePathExists;
+
+    private bool HasPathEnds => _pathSourceId.HasValue && _pathTargetId.HasValue;
+
+    /// <summary>Path shape passed to <c>setCytoscapePath</c> (serialized camelCase).</summary>
+    private sealed record GraphPathData(string? Source, string? Target, IReadOnlyList<string> NodeIds, IReadOnlyList<GraphPathEdgeData> Edges);
+
+    private sealed record GraphPathEdgeData(string Source, string Target);
+
+    private async Task TogglePathFinderAsync()
+    {
+        if (!_pathFinderActive && _rolloutActive) await ToggleRolloutAsync();
+        if (!_pathFinderActive && _graphDiffActive) await ToggleGraphDiffAsync();
+        _pathFinderActive = !_pathFinderActive;
+        _pathSourceId = null;
+        _pathTargetId = null;
+        UpdatePaths();
+        await ApplyGraphPathAsync(fit: false);
+    }
+
+    /// <summary>Node tapped in path finder mode: the first tap picks the source, the second the target; a further tap starts over.</summary>
+    private async Task PickPathEndAsync(int repositoryId)
+    {
+        if (_pathSourceId == null || HasPathEnds)
+        {
+            _pathSourceId = repositoryId;
+            _pathTargetId = null;
+        }
+        else if (repositoryId != _pathSourceId)
+        {
+            _pathTargetId = repositoryId;
+        }
+        UpdatePaths();
+        await ApplyGraphPathAsync(fit: true);
+        StateHasChanged();
+    }
+
+    private async Task OnPathSourceChangedAsync(ChangeEventArgs e)
+    {
+        _pathSourceId = int.TryParse(e.Value?.ToString(), out var id) ? id : null;
+        if (_pathSourceId == _pathTargetId) _pathTargetId = null;
+        UpdatePaths();
+        await ApplyGraphPathAsync(fit: true);
+    }
+
+    private async Task OnPathTargetChangedAsync(ChangeEventArgs e)
+    {
+        _pathTargetId = int.TryParse(e.Value?.ToString(), out var id) ? id : null;
+        if (_pathSourceId == _pathTargetId) _pathSourceId = null;
+        UpdatePaths();
+        await ApplyGraphPathAsync(fit: true);
+    }
+
+    private async Task SwapPathEndsAsync()
+    {
+        (_pathSourceId, _pathTargetId) = (_pathTargetId, _pathSourceId);
+        UpdatePaths();
+        await ApplyGraphPathAsync(fit: true);
+    }
+
+    /// <summary>Recomputes the shortest paths on the drawn graph; ends that are no longer drawn (filter change, removed repository) are dropped.</summary>
+    private void UpdatePaths()
+    {
+        _paths = [];
+        _reversePathExists = false;
+        if (!_pathFinderActive) return;
+
+        var (nodes, edges) = GetFilteredNodesAndEdges();
+        var drawnRepositoryIds = nodes.Select(n => n.RepositoryId).ToHashSet();
+        if (_pathSourceId is { } source && !drawnRepositoryIds.Contains(source)) _pathSourceId = null;
+        if (_pathTargetId is { } target && !drawnRepositoryIds.Contains(target)) _pathTargetId = null;
+        if (!HasPathEnds) return;
+
+        _paths = RepositoryDependencyPathFinder.FindShortestPaths(edges, _pathSourceId!.Value, _pathTargetId!.Value);
+        if (_paths.Count == 0)
+            _reversePathExists = RepositoryDependencyPathFinder.FindShortestPaths(edges, _pathTargetId.Value, _pathSourceId.Value, maxPaths: 1).Count > 0;
+    }
+
+    /// <summary>Pushes the picked ends and the found paths into the live graph, or clears them when path finder mode is off.</summary>
+    private async Task ApplyGraphPathAsync(bool fit)
+    {
+        GraphPathData? path = null;
+        if (_pathFinderActive)
+        {
+            var nodeIds = _paths.SelectMany(p => p).Distinct().Select(id => id.ToString()).ToList();
+            var edges = _paths
+                .SelectMany(p => p.Zip(p.Skip(1), (dependent, referenced) => new GraphPathEdgeData(dependent.ToString(), referenced.ToString())))
+                .Distinct()
+                .ToList();
+            path = new GraphPathData(_pathSourceId?.ToString(), _pathTargetId?.ToString(), nodeIds, edges);
+        }
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("setCytoscapePath", GraphContainerId, path, fit);
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
@@ -0,0 +1,86 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>Project graph of the workspace; loaded the first time a repository is expanded and refreshed with the live graph after that.</summary>
+    private ProjectDependencyGraph? _projectGraph;
+    private readonly HashSet<int> _expandedRepositoryIds = [];
+
+    private bool HasExpandedRepositories => _expandedRepositoryIds.Count > 0;
+
+    /// <summary>The expand button collapses instead when every selected repository is already expanded.</summary>
+    private bool SelectionIsExpanded => HasGraphSelection && _selectedGraphRepositoryIds.All(_expandedRepositoryIds.Contains);
+
+    /// <summary>Project node and edge shapes passed to <c>setCytoscapeProjects</c> (serialized camelCase).</summary>
+    private sealed record GraphProjectNodeData(string Id, string Parent, string Label, string ProjectType);
+
+    private sealed record GraphProjectEdgeData(string Source, string Target, string SourceRepository, string TargetRepository);
+
+    /// <summary>Expands the selected repositories into their projects, or collapses them when they all are expanded already.</summary>
+    private async Task ToggleSelectedRepositoriesExpandedAsync()
+    {
+        if (!HasGraphSelection) return;
+        if (SelectionIsExpanded)
+        {
+            _expandedRepositoryIds.ExceptWith(_selectedGraphRepositoryIds);
+        }
+        else
+        {
+            if (!await EnsureProjectGraphAsync()) return;
+            _expandedRepositoryIds.UnionWith(_selectedGraphRepositoryIds);
+        }
+        await ApplyGraphProjectsAsync();
+    }
+
+    private async Task CollapseAllRepositoriesAsync()
+    {
+        _expandedRepositoryIds.Clear();
+        await ApplyGraphProjectsAsync();
+    }
+
+    private async Task<bool> EnsureProjectGraphAsync()
+    {
+        if (_projectGraph != null) return true;
+        try
+        {
+            _projectGraph = await WorkspaceProjectRepository.GetDependencyGraphAsync(WorkspaceId);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error loading project dependencies for workspace {WorkspaceId}", WorkspaceId);
+            ToastService.ShowError("Failed to load the projects of this workspace.");
+            return false;
+        }
+    }
+
+    /// <summary>Reloads the project graph along with the repository graph, once something was expanded (otherwise it is not needed yet).</summary>
+    private async Task ReloadProjectGraphAsync()
+    {
+        if (_projectGraph == null) return;
+        _projectGraph = await WorkspaceProjectRepository.GetDependencyGraphAsync(WorkspaceId);
+    }
+
+    /// <summary>Pushes the projects of the expanded repositories (among those drawn) into the live graph; an empty set collapses everything.</summary>
+    private async Task ApplyGraphProjectsAsync()
+    {
+        if (_projectGraph == null) return;
+        var drawnRepositoryIds = GetFilteredNodesAndEdges().Nodes.Select(n => n.RepositoryId).ToHashSet();
+        var (projectNodes, projectEdges) = RepositoryProjectDrillDown.Build(_projectGraph, _expandedRepositoryIds, drawnRepositoryIds);
+        var nodes = projectNodes
+            .Select(n => new GraphProjectNodeData(n.Id, n.RepositoryId.ToString(), n.Label, n.ProjectType.ToString().ToLowerInvariant()))
+            .ToList();
+        var edges = projectEdges
+            .Select(e => new GraphProjectEdgeData(e.Source, e.Target, e.SourceRepositoryId.ToString(), e.TargetRepositoryId.ToString()))
+            .ToList();
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("setCytoscapeProjects", GraphContainerId, nodes, edges);
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
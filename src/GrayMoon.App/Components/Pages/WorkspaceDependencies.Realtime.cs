@@ -0,0 +1,141 @@
+using GrayMoon.App.Models;
+using Microsoft.AspNetCore.SignalR.Client;
+using Microsoft.JSInterop;
+using WorkspaceModel = GrayMoon.App.Models.Workspace;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    private const int SyncRefreshDebounceMs = 300;
+
+    private HubConnection? _hubConnection;
+    private CancellationTokenSource? _syncRefreshDebounceCts;
+    private readonly object _syncRefreshDebounceLock = new();
+    private bool _disposed;
+
+    /// <summary>Subscribes to workspace/repository sync and Git Changes notifications; each (debounced) burst reloads the graph data and patches the live graph.</summary>
+    private async Task StartRealtimeAsync()
+    {
+        if (_hubConnection != null || _disposed) return;
+        _hubConnection = new HubConnectionBuilder()
+            .WithUrl(NavigationManager.ToAbsoluteUri("/hubs/workspace-sync"))
+            .WithAutomaticReconnect()
+            .Build();
+        _hubConnection.On<int>("WorkspaceSynced", workspaceId => workspaceId == WorkspaceId ? ScheduleSyncRefreshAsync() : Task.CompletedTask);
+        _hubConnection.On<int, int>("RepositorySynced", (workspaceId, _) => workspaceId == WorkspaceId ? ScheduleSyncRefreshAsync() : Task.CompletedTask);
+        _hubConnection.On<int, int>("GitChangesUpdated", (workspaceId, _) => workspaceId == WorkspaceId ? ScheduleSyncRefreshAsync() : Task.CompletedTask);
+        try
+        {
+            await _hubConnection.StartAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Dependency graph live updates unavailable for workspace {WorkspaceId}", WorkspaceId);
+        }
+    }
+
+    private async Task ScheduleSyncRefreshAsync()
+    {
+        CancellationTokenSource cts;
+        lock (_syncRefreshDebounceLock)
+        {
+            _syncRefreshDebounceCts?.Cancel();
+            _syncRefreshDebounceCts?.Dispose();
+            _syncRefreshDebounceCts = new CancellationTokenSource();
+            cts = _syncRefreshDebounceCts;
+        }
+        try
+        {
+            await Task.Delay(SyncRefreshDebounceMs, cts.Token);
+            await InvokeAsync(RefreshGraphFromSyncAsync);
+        }
+        catch (OperationCanceledException)
+        {
+            /* debounced */
+        }
+        finally
+        {
+            lock (_syncRefreshDebounceLock)
+            {
+                if (cts == _syncRefreshDebounceCts)
+                {
+                    _syncRefreshDebounceCts?.Dispose();
+                    _syncRefreshDebounceCts = null;
+                }
+            }
+        }
+    }
+
+    /// <summary>
+    /// Reloads workspace and graph without the loading overlay (which would tear down the graph container) and pushes the
+    /// result into the live graph via <c>updateCytoscapeGraph</c>, keeping zoom, pan, positions and selection.
+    /// Falls back to a full render when there is no live graph yet (e.g. the filtered graph was empty).
+    /// </summary>
+    private async Task RefreshGraphFromSyncAsync()
+    {
+        if (_disposed || isLoading) return;
+        WorkspaceModel? reloadedWorkspace;
+        RepositoryDependencyGraph reloadedGraph;
+        try
+        {
+            reloadedWorkspace = await WorkspaceRepository.GetByIdAsync(WorkspaceId);
+            if (reloadedWorkspace == null) return;
+            reloadedGraph = await WorkspaceProjectRepository.GetRepositoryDependencyGraphAsync(WorkspaceId);
+            await ReloadProjectGraphAsync();
+            await LoadGraphStatusAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Live dependency graph refresh failed for workspace {WorkspaceId}", WorkspaceId);
+            return;
+        }
+        if (_disposed) return;
+
+        workspace = reloadedWorkspace;
+        graph = reloadedGraph;
+        UpdateDependencyCycles();
+        var (nodes, edges, roots) = GetGraphElements();
+        var updated = false;
+        if (nodes.Count > 0)
+        {
+            try
+            {
+                updated = await JSRuntime.InvokeAsync<bool>("updateCytoscapeGraph", GraphContainerId, nodes, edges, roots, GetGraphViewOptions());
+                if (updated && HasExpandedRepositories) await ApplyGraphProjectsAsync();
+                if (updated && HasSearchFilter) await ApplyGraphSearchAsync(fit: false);
+                if (updated && _pathFinderActive)
+                {
+                    UpdatePaths();
+                    await ApplyGraphPathAsync(fit: false);
+                }
+                if (updated && _rolloutPlan != null) await SimulateRolloutAsync(_rolloutPlan.SourceRepositoryId, animate: false);
+                if (updated && _graphDiffActive) await RefreshGraphDiffAsync();
+            }
+            catch (JSDisconnectedException) { return; }
+        }
+        if (!updated)
+            _lastRenderedState = "";
+        StateHasChanged();
+    }
+
+    private async Task DisposeRealtimeAsync()
+    {
+        _disposed = true;
+        lock (_syncRefreshDebounceLock)
+        {
+            _syncRefreshDebounceCts?.Cancel();
+            _syncRefreshDebounceCts?.Dispose();
+            _syncRefreshDebounceCts = null;
+        }
+        if (_hubConnection != null)
+        {
+            try
+            {
+                await _hubConnection.DisposeAsync();
+            }
+            catch { /* ignore */ }
+            _hubConnection = null;
+        }
+    }
+}
@@ -0,0 +1,78 @@
+using GrayMoon.App.Services;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    [Inject] private WorkspaceDependencyService WorkspaceDependencyService { get; set; } = default!;
+
+    /// <summary>Rollout simulation mode: node taps simulate a push starting at the tapped repository.</summary>
+    private bool _rolloutActive;
+    private PushRolloutPlan? _rolloutPlan;
+
+    /// <summary>The simulation starts from the one selected repository (typically a shared package).</summary>
+    private bool CanStartRollout => _selectedGraphRepositoryIds.Count == 1;
+
+    /// <summary>Rollout shape passed to <c>setCytoscapeRollout</c> (serialized camelCase).</summary>
+    private sealed record GraphRolloutData(string Source, IReadOnlyList<GraphRolloutWaveData> Waves);
+
+    private sealed record GraphRolloutWaveData(int Level, IReadOnlyList<string> RepositoryIds);
+
+    private async Task ToggleRolloutAsync()
+    {
+        if (_rolloutActive)
+        {
+            _rolloutActive = false;
+            _rolloutPlan = null;
+            await ApplyGraphRolloutAsync(animate: false);
+            return;
+        }
+        if (!CanStartRollout) return;
+        if (_pathFinderActive) await TogglePathFinderAsync();
+        if (_graphDiffActive) await ToggleGraphDiffAsync();
+        _rolloutActive = true;
+        await SimulateRolloutAsync(_selectedGraphRepositoryIds.First(), animate: true);
+    }
+
+    /// <summary>
+    /// Plans the push of <paramref name="repositoryId"/> and its transitive consumers and shows it on the graph;
+    /// <paramref name="animate"/> plays the waves (a new pick) instead of showing them at once (a refresh).
+    /// </summary>
+    private async Task SimulateRolloutAsync(int repositoryId, bool animate)
+    {
+        if (graph == null) return;
+        try
+        {
+            var pushPlan = await WorkspaceDependencyService.GetPushPlanPayloadAsync(WorkspaceId);
+            _rolloutPlan = PushRolloutPlanner.Plan(graph, pushPlan, repositoryId);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error planning rollout of repository {RepositoryId} in workspace {WorkspaceId}", repositoryId, WorkspaceId);
+            ToastService.ShowError("Could not load the push plan. Try again.");
+            return;
+        }
+        await ApplyGraphRolloutAsync(animate);
+        StateHasChanged();
+    }
+
+    private Task ReplayRolloutAsync() => ApplyGraphRolloutAsync(animate: true);
+
+    private async Task ApplyGraphRolloutAsync(bool animate)
+    {
+        GraphRolloutData? rollout = null;
+        if (_rolloutActive && _rolloutPlan != null)
+        {
+            rollout = new GraphRolloutData(
+                _rolloutPlan.SourceRepositoryId.ToString(),
+                _rolloutPlan.Waves.Select(w => new GraphRolloutWaveData(w.Level, w.Repos.Select(r => r.RepoId.ToString()).ToList())).ToList());
+        }
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("setCytoscapeRollout", GraphContainerId, rollout, animate);
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
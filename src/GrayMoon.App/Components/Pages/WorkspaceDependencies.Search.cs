@@ -0,0 +1,35 @@
+using GrayMoon.App.Services;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    /// <summary>Search results passed to <c>setCytoscapeSearch</c> (serialized camelCase); highlights are keyed by node id.</summary>
+    private sealed record GraphSearchData(IReadOnlyList<string> MatchIds, IReadOnlyDictionary<string, IReadOnlyList<SearchHighlightRange>> Highlights);
+
+    /// <summary>
+    /// Pushes the repositories matching the search into the live graph: the rest of the drawn graph (their dependency trees)
+    /// fades and the matched text is highlighted in the labels. <paramref name="fit"/> zooms to the matches.
+    /// </summary>
+    private async Task ApplyGraphSearchAsync(bool fit)
+    {
+        GraphSearchData? search = null;
+        if (HasSearchFilter)
+        {
+            var matchIds = GetFilteredNodesAndEdges().Nodes
+                .Where(n => WorkspaceDependencyNodeSearchMatcher.Matches(n, searchTerm))
+                .Select(n => n.RepositoryId.ToString())
+                .ToHashSet();
+            var matches = GetGraphElements().Nodes.Where(n => matchIds.Contains(n.Id)).ToList();
+            search = new GraphSearchData(
+                matches.Select(n => n.Id).ToList(),
+                matches.ToDictionary(n => n.Id, n => WorkspaceDependencyNodeSearchMatcher.GetLabelHighlights(n.Label, searchTerm)));
+        }
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("setCytoscapeSearch", GraphContainerId, search, fit);
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
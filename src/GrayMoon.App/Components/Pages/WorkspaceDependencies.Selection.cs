@@ -0,0 +1,110 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Services;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    private DotNetObjectReference<WorkspaceDependencies>? _graphDotNetRef;
+    private readonly HashSet<int> _selectedGraphRepositoryIds = [];
+    private int? _focusedGraphRepositoryId;
+
+    private bool HasGraphSelection => _selectedGraphRepositoryIds.Count > 0;
+
+    /// <summary>Single tap on a graph node: marks the repository as focused in the level list (picks a path end or the rollout source in those modes).</summary>
+    [JSInvokable]
+    public Task OnGraphNodeTapped(string nodeId)
+    {
+        if (!int.TryParse(nodeId, out var repositoryId)) return Task.CompletedTask;
+        if (_pathFinderActive) return InvokeAsync(() => PickPathEndAsync(repositoryId));
+        if (_rolloutActive) return InvokeAsync(() => SimulateRolloutAsync(repositoryId, animate: true));
+        _focusedGraphRepositoryId = repositoryId;
+        return InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>Double tap on a graph node: opens the repository's row on the Repositories page.</summary>
+    [JSInvokable]
+    public Task OnGraphNodeDoubleTapped(string nodeId)
+    {
+        if (!int.TryParse(nodeId, out var repositoryId)) return Task.CompletedTask;
+        return InvokeAsync(() => NavigationManager.NavigateTo(WorkspaceUrlHelper.GetRepositoryRowUrl(WorkspaceId, repositoryId)));
+    }
+
+    /// <summary>
+    /// Context menu action on a graph node (sync, push, update dependencies or switch branch). The Repositories page selects the
+    /// repository's row and asks before running it with the row's own handler, so the modals and job progress are the grid's own.
+    /// </summary>
+    [JSInvokable]
+    public Task OnGraphNodeAction(string nodeId, string action)
+    {
+        if (!int.TryParse(nodeId, out var repositoryId) || string.IsNullOrEmpty(action)) return Task.CompletedTask;
+        return InvokeAsync(() => NavigationManager.NavigateTo(WorkspaceUrlHelper.GetRepositoryActionUrl(WorkspaceId, repositoryId, action)));
+    }
+
+    /// <summary>Graph selection changed (tap, modifier-tap or box select). The level list is narrowed to the selected repositories.</summary>
+    [JSInvokable]
+    public Task OnGraphSelectionChanged(string[] nodeIds)
+    {
+        _selectedGraphRepositoryIds.Clear();
+        foreach (var nodeId in nodeIds ?? [])
+        {
+            if (int.TryParse(nodeId, out var repositoryId))
+                _selectedGraphRepositoryIds.Add(repositoryId);
+        }
+        return InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>Level list entry clicked: centers the graph on that repository.</summary>
+    private async Task FocusGraphNodeAsync(int repositoryId)
+    {
+        _focusedGraphRepositoryId = repositoryId;
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("focusCytoscapeNode", GraphContainerId, repositoryId.ToString());
+        }
+        catch (JSDisconnectedException) { }
+    }
+
+    private async Task ClearGraphSelectionAsync()
+    {
+        _selectedGraphRepositoryIds.Clear();
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("clearCytoscapeSelection", GraphContainerId);
+        }
+        catch (JSDisconnectedException) { }
+    }
+
+    /// <summary>Forgets selection and focus when the graph is rebuilt (Cytoscape starts with nothing selected).</summary>
+    private void ResetGraphSelection()
+    {
+        _selectedGraphRepositoryIds.Clear();
+        _focusedGraphRepositoryId = null;
+    }
+
+    /// <summary>
+    /// Repositories shown in the level list: the drawn graph nodes, or only the selected ones when the graph has a selection.
+    /// Grouped by dependency level (unleveled repositories last), names in alphabetical order.
+    /// </summary>
+    private IReadOnlyList<(int? Level, IReadOnlyList<RepositoryDependencyNode> Nodes)> GetLevelListGroups()
+    {
+        var (nodes, _) = GetFilteredNodesAndEdges();
+        var levelByRepoId = GetDependencyLevelByRepositoryId();
+        return nodes
+            .Where(n => !HasGraphSelection || _selectedGraphRepositoryIds.Contains(n.RepositoryId))
+            .GroupBy(n => levelByRepoId.GetValueOrDefault(n.RepositoryId))
+            .OrderBy(g => g.Key.HasValue ? 0 : 1)
+            .ThenBy(g => g.Key)
+            .Select(g => (g.Key, (IReadOnlyList<RepositoryDependencyNode>)g.OrderBy(n => n.RepositoryName, StringComparer.OrdinalIgnoreCase).ToList()))
+            .ToList();
+    }
+
+    private Dictionary<int, int?> GetDependencyLevelByRepositoryId()
+    {
+        if (workspace?.Repositories == null) return [];
+        return workspace.Repositories
+            .GroupBy(l => l.RepositoryId)
+            .ToDictionary(g => g.Key, g => g.First().DependencyLevel);
+    }
+}
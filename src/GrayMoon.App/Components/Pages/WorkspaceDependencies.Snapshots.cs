@@ -0,0 +1,222 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Repositories;
+using GrayMoon.App.Services;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    [Inject] private WorkspaceDependencyGraphSnapshotRepository WorkspaceDependencyGraphSnapshotRepository { get; set; } = default!;
+
+    /// <summary>Compare mode: the live graph is drawn against a saved snapshot (added edges green, removed edges red, the rest dimmed).</summary>
+    private bool _graphDiffActive;
+    private IReadOnlyList<WorkspaceDependencyGraphSnapshotInfo> _graphSnapshots = [];
+    private int? _diffSnapshotId;
+    private DependencyGraphDiff? _graphDiff;
+    private string _snapshotName = string.Empty;
+    private bool _savingSnapshot;
+
+    /// <summary>Diff shape passed to <c>setCytoscapeDiff</c> (serialized camelCase). Removed nodes are drawn as ghosts; removed edges may end on them.</summary>
+    private sealed record GraphDiffData(
+        IReadOnlyList<string> AddedNodeIds,
+        IReadOnlyList<GraphPathEdgeData> AddedEdges,
+        IReadOnlyList<GraphDiffNodeData> RemovedNodes,
+        IReadOnlyList<GraphPathEdgeData> RemovedEdges);
+
+    private sealed record GraphDiffNodeData(string Id, string Label, string Name, string NodeType);
+
+    private async Task ToggleGraphDiffAsync()
+    {
+        if (_graphDiffActive)
+        {
+            _graphDiffActive = false;
+            _diffSnapshotId = null;
+            _graphDiff = null;
+            await ApplyGraphDiffAsync();
+            return;
+        }
+        if (_pathFinderActive) await TogglePathFinderAsync();
+        if (_rolloutActive) await ToggleRolloutAsync();
+        _graphDiffActive = true;
+        _snapshotName = GetDefaultSnapshotName();
+        try
+        {
+            _graphSnapshots = await WorkspaceDependencyGraphSnapshotRepository.GetByWorkspaceIdAsync(WorkspaceId);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error loading dependency graph snapshots for workspace {WorkspaceId}", WorkspaceId);
+            ToastService.ShowError("Could not load the saved snapshots. Try again.");
+            _graphSnapshots = [];
+        }
+        if (_graphSnapshots.Count > 0) await CompareWithSnapshotAsync(_graphSnapshots[0].SnapshotId);
+    }
+
+    /// <summary>Suggested snapshot name: the branch every repository is on (e.g. <c>main</c>), or how many branches are checked out.</summary>
+    private string GetDefaultSnapshotName()
+    {
+        var branches = workspace?.Repositories
+            .Select(l => l.IsOnTag ? l.CheckedOutTag : l.BranchName)
+            .Where(b => !string.IsNullOrWhiteSpace(b))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList() ?? [];
+        return branches.Count switch
+        {
+            0 => $"Snapshot {DateTime.Now:yyyy-MM-dd HH:mm}",
+            1 => branches[0]!,
+            _ => $"{branches.Count} branches {DateTime.Now:yyyy-MM-dd HH:mm}"
+        };
+    }
+
+    /// <summary>Saves the whole graph (not the filtered view) under the entered name, so later states can be compared with it.</summary>
+    private async Task SaveGraphSnapshotAsync()
+    {
+        if (graph == null || _savingSnapshot) return;
+        var name = string.IsNullOrWhiteSpace(_snapshotName) ? GetDefaultSnapshotName() : _snapshotName.Trim();
+        if (name.Length > 200) name = name[..200];
+        _savingSnapshot = true;
+        try
+        {
+            var saved = await WorkspaceDependencyGraphSnapshotRepository.AddAsync(WorkspaceId, name, graph);
+            _graphSnapshots = [saved, .. _graphSnapshots];
+            ToastService.Show($"Saved snapshot \"{name}\".");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error saving dependency graph snapshot for workspace {WorkspaceId}", WorkspaceId);
+            ToastService.ShowError("Could not save the snapshot. Try again.");
+        }
+        finally
+        {
+            _savingSnapshot = false;
+        }
+    }
+
+    private async Task OnDiffSnapshotChangedAsync(ChangeEventArgs e)
+    {
+        if (int.TryParse(e.Value?.ToString(), out var snapshotId))
+        {
+            await CompareWithSnapshotAsync(snapshotId);
+            return;
+        }
+        _diffSnapshotId = null;
+        _graphDiff = null;
+        await ApplyGraphDiffAsync();
+    }
+
+    private async Task CompareWithSnapshotAsync(int snapshotId)
+    {
+        if (graph == null) return;
+        _diffSnapshotId = snapshotId;
+        _graphDiff = null;
+        try
+        {
+            var baseline = await WorkspaceDependencyGraphSnapshotRepository.GetGraphAsync(WorkspaceId, snapshotId);
+            if (baseline == null)
+                ToastService.ShowError("The snapshot could not be read.");
+            else
+                _graphDiff = RepositoryDependencyGraphDiff.Compare(baseline, graph);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error loading dependency graph snapshot {SnapshotId} for workspace {WorkspaceId}", snapshotId, WorkspaceId);
+            ToastService.ShowError("Could not load the snapshot. Try again.");
+        }
+        await ApplyGraphDiffAsync();
+    }
+
+    private async Task DeleteGraphSnapshotAsync()
+    {
+        if (_diffSnapshotId is not { } snapshotId) return;
+        try
+        {
+            await WorkspaceDependencyGraphSnapshotRepository.DeleteAsync(WorkspaceId, snapshotId);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error deleting dependency graph snapshot {SnapshotId} for workspace {WorkspaceId}", snapshotId, WorkspaceId);
+            ToastService.ShowError("Could not delete the snapshot. Try again.");
+            return;
+        }
+        _graphSnapshots = _graphSnapshots.Where(s => s.SnapshotId != snapshotId).ToList();
+        _diffSnapshotId = null;
+        _graphDiff = null;
+        await ApplyGraphDiffAsync();
+    }
+
+    /// <summary>Compares the reloaded graph with the same snapshot again (live update while comparing).</summary>
+    private async Task RefreshGraphDiffAsync()
+    {
+        if (_diffSnapshotId is { } snapshotId)
+            await CompareWithSnapshotAsync(snapshotId);
+        else
+            await ApplyGraphDiffAsync();
+    }
+
+    /// <summary>Changed edges to list in the panel, by change and then by name.</summary>
+    private IEnumerable<DependencyGraphEdgeChange> GetChangedDiffEdges(DependencyGraphChange change) =>
+        _graphDiff?.Edges
+            .Where(e => e.Change == change)
+            .OrderBy(e => GetDiffRepositoryName(e.DependentRepositoryId), StringComparer.OrdinalIgnoreCase)
+            .ThenBy(e => GetDiffRepositoryName(e.ReferencedRepositoryId), StringComparer.OrdinalIgnoreCase)
+        ?? [];
+
+    /// <summary>Repository name from the diff, which also knows repositories that are only in the snapshot.</summary>
+    private string GetDiffRepositoryName(int repositoryId) =>
+        _graphDiff?.Nodes.FirstOrDefault(n => n.Node.RepositoryId == repositoryId)?.Node.RepositoryName ?? GetRepositoryName(repositoryId);
+
+    /// <summary>
+    /// Pushes the diff into the live graph, or clears it when compare mode is off or no snapshot is picked. The diff is cut to the
+    /// drawn (filtered) graph: repositories that are only in the snapshot are drawn when nothing is filtered or when a removed
+    /// edge connects them to a drawn repository.
+    /// </summary>
+    private async Task ApplyGraphDiffAsync()
+    {
+        GraphDiffData? diff = null;
+        if (_graphDiffActive && _graphDiff != null)
+        {
+            var drawnRepositoryIds = GetFilteredNodesAndEdges().Nodes.Select(n => n.RepositoryId).ToHashSet();
+            var isFiltered = HasSearchFilter || !string.IsNullOrEmpty(selectedFilterValue);
+            var removedEdges = _graphDiff.Edges.Where(e => e.Change == DependencyGraphChange.Removed).ToList();
+            var labelByRepoId = GetLabelsWithGroupPrefixStripped(_graphDiff.Nodes.Select(n => (n.Node.RepositoryId, n.Node.RepositoryName)).ToList());
+
+            var ghostIds = _graphDiff.Nodes
+                .Where(n => n.Change == DependencyGraphChange.Removed)
+                .Select(n => n.Node.RepositoryId)
+                .Where(id => !isFiltered || removedEdges.Any(e =>
+                    (e.DependentRepositoryId == id && drawnRepositoryIds.Contains(e.ReferencedRepositoryId))
+                    || (e.ReferencedRepositoryId == id && drawnRepositoryIds.Contains(e.DependentRepositoryId))))
+                .ToHashSet();
+            bool IsDrawn(int id) => drawnRepositoryIds.Contains(id) || ghostIds.Contains(id);
+
+            diff = new GraphDiffData(
+                _graphDiff.Nodes
+                    .Where(n => n.Change == DependencyGraphChange.Added && drawnRepositoryIds.Contains(n.Node.RepositoryId))
+                    .Select(n => n.Node.RepositoryId.ToString())
+                    .ToList(),
+                _graphDiff.Edges
+                    .Where(e => e.Change == DependencyGraphChange.Added && drawnRepositoryIds.Contains(e.DependentRepositoryId) && drawnRepositoryIds.Contains(e.ReferencedRepositoryId))
+                    .Select(e => new GraphPathEdgeData(e.DependentRepositoryId.ToString(), e.ReferencedRepositoryId.ToString()))
+                    .ToList(),
+                _graphDiff.Nodes
+                    .Where(n => ghostIds.Contains(n.Node.RepositoryId))
+                    .Select(n => new GraphDiffNodeData(
+                        n.Node.RepositoryId.ToString(),
+                        labelByRepoId.TryGetValue(n.Node.RepositoryId, out var label) ? label : n.Node.RepositoryName,
+                        n.Node.RepositoryName,
+                        n.Node.RepositoryType?.ToString().ToLowerInvariant() ?? "other"))
+                    .ToList(),
+                removedEdges
+                    .Where(e => IsDrawn(e.DependentRepositoryId) && IsDrawn(e.ReferencedRepositoryId))
+                    .Select(e => new GraphPathEdgeData(e.DependentRepositoryId.ToString(), e.ReferencedRepositoryId.ToString()))
+                    .ToList());
+        }
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("setCytoscapeDiff", GraphContainerId, diff);
+        }
+        catch (JSDisconnectedException) { }
+    }
+}
@@ -0,0 +1,53 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Repositories;
+using GrayMoon.App.Services.GitChanges;
+using Microsoft.AspNetCore.Components;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies
+{
+    [Inject] private IWorkspaceGitChangesReadService GitChangesReadService { get; set; } = default!;
+    [Inject] private WorkspaceActionRepository WorkspaceActionRepository { get; set; } = default!;
+
+    private IReadOnlyDictionary<int, int> _changeCountsByRepoId = new Dictionary<int, int>();
+    private IReadOnlyDictionary<int, RepositoryActionsPersistedState> _actionsByRepoId = new Dictionary<int, RepositoryActionsPersistedState>();
+
+    /// <summary>Status badges drawn on a graph node (serialized camelCase). Null members are not drawn.</summary>
+    private sealed record GraphNodeStatus(string? Branch, bool OnTag, int? Changes, int? Ahead, int? Behind, string? Ci);
+
+    /// <summary>Loads the persisted Git Changes counts and CI status used for node badges. Failures only drop the badges.</summary>
+    private async Task LoadGraphStatusAsync()
+    {
+        try
+        {
+            _changeCountsByRepoId = await GitChangesReadService.GetChangeCountsByRepositoryIdAsync(WorkspaceId, CancellationToken.None);
+            _actionsByRepoId = await WorkspaceActionRepository.GetByWorkspaceIdAsync(WorkspaceId);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Could not load repository status for dependency graph of workspace {WorkspaceId}", WorkspaceId);
+            _changeCountsByRepoId = new Dictionary<int, int>();
+            _actionsByRepoId = new Dictionary<int, RepositoryActionsPersistedState>();
+        }
+    }
+
+    /// <summary>Branch (or tag), uncommitted file count, ahead/behind upstream and latest CI status for the current branch, as on the Repositories and Actions pages.</summary>
+    private GraphNodeStatus? GetGraphNodeStatus(int repositoryId)
+    {
+        var link = workspace?.Repositories.FirstOrDefault(l => l.RepositoryId == repositoryId);
+        if (link == null) return null;
+
+        var onTag = link.IsOnTag;
+        var ci = _actionsByRepoId.TryGetValue(repositoryId, out var actions) && !onTag
+            ? actions.GetWorstStatusForBranch(link.BranchName)
+            : null;
+        return new GraphNodeStatus(
+            onTag ? link.CheckedOutTag : link.BranchName,
+            onTag,
+            _changeCountsByRepoId.TryGetValue(repositoryId, out var changes) ? changes : null,
+            link.OutgoingCommits,
+            link.IncomingCommits,
+            ci);
+    }
+}
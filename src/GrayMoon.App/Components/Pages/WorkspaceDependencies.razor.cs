@@ -0,0 +1,480 @@
+using GrayMoon.App.Models;
+using GrayMoon.App.Repositories;
+using GrayMoon.App.Services;
+using Microsoft.AspNetCore.Components;
+using Microsoft.AspNetCore.Components.Web;
+using Microsoft.JSInterop;
+using WorkspaceModel = GrayMoon.App.Models.Workspace;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceDependencies : IAsyncDisposable
+{
+    [Inject] private WorkspaceRepository WorkspaceRepository { get; set; } = default!;
+    [Inject] private WorkspaceProjectRepository WorkspaceProjectRepository { get; set; } = default!;
+    [Inject] private NavigationManager NavigationManager { get; set; } = default!;
+    [Inject] private IJSRuntime JSRuntime { get; set; } = default!;
+    [Inject] private ILogger<WorkspaceDependencies> Logger { get; set; } = default!;
+    [Inject] private IToastService ToastService { get; set; } = default!;
+
+    [Parameter] public int WorkspaceId { get; set; }
+
+    private WorkspaceModel? workspace;
+    private RepositoryDependencyGraph? graph;
+    private string? errorMessage;
+    private bool isLoading = true;
+    private string selectedFilterValue = "";
+    private string _lastRenderedState = "";
+    private bool showFilterMenu;
+    private string searchTerm = string.Empty;
+
+    private bool HasSearchFilter => !string.IsNullOrWhiteSpace(searchTerm);
+
+    /// <summary>Graph has data but the repository search matched nothing.</summary>
+    private bool NoRepositoriesMatchSearch =>
+        graph != null
+        && graph.Nodes.Count > 0
+        && HasSearchFilter
+        && GetFilteredNodesAndEdges().Nodes.Count == 0;
+    private const string GraphContainerId = "cytoscape-dependency-graph";
+    private const string LevelPrefix = "level-";
+
+    protected override async Task OnInitializedAsync()
+    {
+        await LoadGraphLayoutAsync();
+        await LoadAsync();
+        ApplyRepositoryFilterFromQuery();
+    }
+
+    private IEnumerable<int> GetOrderedDependencyLevels()
+    {
+        if (workspace?.Repositories == null) return [];
+        return workspace.Repositories
+            .Where(l => l.DependencyLevel.HasValue)
+            .Select(l => l.DependencyLevel!.Value)
+            .Distinct()
+            .OrderBy(x => x);
+    }
+
+    private void ApplyRepositoryFilterFromQuery()
+    {
+        var uri = new Uri(NavigationManager.Uri);
+        var query = uri.Query.TrimStart('?');
+        if (string.IsNullOrEmpty(query)) return;
+        foreach (var pair in query.Split('&'))
+        {
+            var kv = pair.Split('=', 2, StringSplitOptions.None);
+            if (kv.Length != 2) continue;
+            var key = kv[0].Trim();
+            var value = Uri.UnescapeDataString(kv[1].Trim());
+            if (string.Equals(key, "level", StringComparison.OrdinalIgnoreCase) && int.TryParse(value, out var level))
+            {
+                selectedFilterValue = $"{LevelPrefix}{level}";
+                return;
+            }
+            if (string.Equals(key, "repo", StringComparison.OrdinalIgnoreCase) && graph != null && int.TryParse(value, out var repoId) && graph.Nodes.Any(n => n.RepositoryId == repoId))
+            {
+                selectedFilterValue = repoId.ToString();
+                return;
+            }
+        }
+    }
+
+    private void ToggleFilterMenu()
+    {
+        if (HasSearchFilter) return;
+        showFilterMenu = !showFilterMenu;
+    }
+
+    private void CloseFilterMenu()
+    {
+        showFilterMenu = false;
+    }
+
+    private void SelectFilter(string value)
+    {
+        selectedFilterValue = value;
+        showFilterMenu = false;
+        StateHasChanged();
+    }
+
+    private async Task OnSearchValueChangedAsync(string value)
+    {
+        searchTerm = value;
+        showFilterMenu = false;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private void ClearSearchFilter()
+    {
+        searchTerm = string.Empty;
+        StateHasChanged();
+    }
+
+    private void OnSearchKeyDown(KeyboardEventArgs e)
+    {
+        if (e.Key == "Escape")
+        {
+            searchTerm = string.Empty;
+            showFilterMenu = false;
+            StateHasChanged();
+        }
+    }
+
+    private string GetFilterLabel()
+    {
+        if (string.IsNullOrEmpty(selectedFilterValue)) return "All repositories";
+        if (selectedFilterValue.StartsWith(LevelPrefix, StringComparison.Ordinal))
+            return $"Level {selectedFilterValue.AsSpan(LevelPrefix.Length)}";
+        if (graph != null && int.TryParse(selectedFilterValue, out var repoId))
+        {
+            var node = graph.Nodes.FirstOrDefault(n => n.RepositoryId == repoId);
+            if (node != null) return node.RepositoryName;
+        }
+        return selectedFilterValue;
+    }
+
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        if (firstRender) await StartRealtimeAsync();
+        if (graph == null || graph.Nodes.Count == 0) return;
+
+        var stateKey = $"{selectedFilterValue}|{searchTerm}";
+        if (!firstRender && _lastRenderedState == stateKey) return;
+
+        _lastRenderedState = stateKey;
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("destroyCytoscapeGraph", GraphContainerId);
+        }
+        catch { /* ignore */ }
+
+        if (HasGraphSelection || _focusedGraphRepositoryId != null)
+        {
+            ResetGraphSelection();
+            StateHasChanged();
+        }
+
+        var (nodes, edges, roots) = GetGraphElements();
+        if (nodes.Count == 0) return;
+
+        try
+        {
+            _graphDotNetRef ??= DotNetObjectReference.Create(this);
+            await JSRuntime.InvokeVoidAsync("renderCytoscapeGraph", GraphContainerId, nodes, edges, roots, _graphDotNetRef, GetGraphViewOptions());
+            if (HasExpandedRepositories) await ApplyGraphProjectsAsync();
+            if (HasSearchFilter) await ApplyGraphSearchAsync(fit: true);
+            if (_pathFinderActive)
+            {
+                UpdatePaths();
+                await ApplyGraphPathAsync(fit: false);
+            }
+            if (_rolloutActive) await ApplyGraphRolloutAsync(animate: false);
+            if (_graphDiffActive) await ApplyGraphDiffAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Cytoscape render failed for workspace {WorkspaceId}", WorkspaceId);
+        }
+    }
+
+    /// <summary>Node and edge shapes passed to <c>renderCytoscapeGraph</c> / <c>updateCytoscapeGraph</c> (serialized camelCase).</summary>
+    private sealed record GraphNodeData(string Id, string Label, string Name, string NodeType, int? Level, GraphNodeStatus? Status, int? Cycle, string? Url);
+
+    private sealed record GraphEdgeData(string Source, string Target, string? ReferencedVersion, string? CurrentVersion, bool Drifted, bool Custom, int? Cycle);
+
+    /// <summary>Filtered graph as Cytoscape data; roots are nodes nothing else in the filtered graph depends on.</summary>
+    private (IReadOnlyList<GraphNodeData> Nodes, IReadOnlyList<GraphEdgeData> Edges, IReadOnlyList<string> Roots) GetGraphElements()
+    {
+        var (filteredNodes, filteredEdges) = GetFilteredNodesAndEdges();
+        if (graph == null || filteredNodes.Count == 0) return ([], [], []);
+
+        var prefixByRepoId = GetLabelsWithGroupPrefixStripped(graph.Nodes.Select(n => (n.RepositoryId, n.RepositoryName)).ToList());
+        var levelByRepoId = GetDependencyLevelByRepositoryId();
+        var nodes = filteredNodes.Select(n => new GraphNodeData(
+            n.RepositoryId.ToString(),
+            prefixByRepoId.TryGetValue(n.RepositoryId, out var label) ? label : n.RepositoryName,
+            n.RepositoryName,
+            n.RepositoryType?.ToString().ToLowerInvariant() ?? "other",
+            levelByRepoId.GetValueOrDefault(n.RepositoryId),
+            GetGraphNodeStatus(n.RepositoryId),
+            GetCycleIndex(n.RepositoryId),
+            GetRepositoryUrl(n.RepositoryId))).ToList();
+        var edges = filteredEdges.Select(e => new GraphEdgeData(
+            e.DependentRepositoryId.ToString(),
+            e.ReferencedRepositoryId.ToString(),
+            e.ReferencedVersion,
+            e.CurrentVersion,
+            e.HasVersionDrift,
+            e.IsCustom,
+            GetCycleIndex(e))).ToList();
+        var roots = nodes.Select(n => n.Id).Except(edges.Select(e => e.Target)).ToList();
+        return (nodes, edges, roots);
+    }
+
+    /// <summary>View options passed to <c>renderCytoscapeGraph</c> (serialized camelCase).</summary>
+    private sealed record GraphViewOptions(
+        bool HighlightPinned,
+        IReadOnlyList<string>? HighlightPinnedIds,
+        string Layout,
+        bool DriftOnly,
+        string PositionsKey,
+        string MinimapId,
+        string LiveRegionId);
+
+    private GraphViewOptions GetGraphViewOptions() =>
+        new(_highlightPinned, _highlightPinnedIds, _graphLayout, _showDriftedEdgesOnly, GraphPositionsStorageKey, GraphMinimapId, GraphLiveRegionId);
+
+    /// <summary>Browser URL of the repository (for the node context menu's GitHub pages); null when it has no clone URL.</summary>
+    private string? GetRepositoryUrl(int repositoryId) =>
+        RepositoryUrlHelper.GetRepositoryUrl(workspace?.Repositories.FirstOrDefault(l => l.RepositoryId == repositoryId)?.Repository?.CloneUrl);
+
+    private (IReadOnlyList<RepositoryDependencyNode> Nodes, IReadOnlyList<RepositoryDependencyEdge> Edges) GetFilteredNodesAndEdges()
+    {
+        if (graph == null) return (new List<RepositoryDependencyNode>(), new List<RepositoryDependencyEdge>());
+
+        if (HasSearchFilter)
+        {
+            if (string.IsNullOrWhiteSpace(searchTerm))
+            {
+                return (graph.Nodes, graph.Edges);
+            }
+
+            var matched = graph.Nodes
+                .Where(n => WorkspaceDependencyNodeSearchMatcher.Matches(n, searchTerm))
+                .ToList();
+            if (matched.Count == 0)
+                return (new List<RepositoryDependencyNode>(), new List<RepositoryDependencyEdge>());
+
+            var nodeIds = new HashSet<int>();
+            foreach (var m in matched)
+            {
+                foreach (var id in GetTransitiveReferencedRepositoryIds(m.RepositoryId))
+                    nodeIds.Add(id);
+            }
+
+            var filteredNodes = graph.Nodes.Where(n => nodeIds.Contains(n.RepositoryId)).ToList();
+            var filteredEdges = graph.Edges
+                .Where(e => nodeIds.Contains(e.DependentRepositoryId) && nodeIds.Contains(e.ReferencedRepositoryId))
+                .ToList();
+            return (filteredNodes, filteredEdges);
+        }
+
+        if (string.IsNullOrEmpty(selectedFilterValue))
+            return (graph.Nodes, graph.Edges);
+
+        if (selectedFilterValue.StartsWith(LevelPrefix, StringComparison.Ordinal) && int.TryParse(selectedFilterValue.AsSpan(LevelPrefix.Length), out var level))
+        {
+            var repoIdsAtLevel = GetRepoIdsAtLevel(level);
+            if (repoIdsAtLevel.Count == 0) return (new List<RepositoryDependencyNode>(), new List<RepositoryDependencyEdge>());
+            var referencedByLevel = graph.Edges
+                .Where(e => repoIdsAtLevel.Contains(e.DependentRepositoryId))
+                .Select(e => e.ReferencedRepositoryId)
+                .ToHashSet();
+            var nodeIds = repoIdsAtLevel.Union(referencedByLevel).ToHashSet();
+            var filteredNodes = graph.Nodes.Where(n => nodeIds.Contains(n.RepositoryId)).ToList();
+            var filteredEdges = graph.Edges
+                .Where(e => nodeIds.Contains(e.DependentRepositoryId) && nodeIds.Contains(e.ReferencedRepositoryId))
+                .ToList();
+            return (filteredNodes, filteredEdges);
+        }
+
+        if (int.TryParse(selectedFilterValue, out var repoId))
+        {
+            var edgesFromSelected = graph.Edges.Where(e => e.DependentRepositoryId == repoId).ToList();
+            var referencedIds = edgesFromSelected.Select(e => e.ReferencedRepositoryId).ToHashSet();
+            var nodeIds = referencedIds.Union([repoId]).ToHashSet();
+            var filteredNodes = graph.Nodes.Where(n => nodeIds.Contains(n.RepositoryId)).ToList();
+            return (filteredNodes, edgesFromSelected);
+        }
+
+        return (graph.Nodes, graph.Edges);
+    }
+
+    /// <summary>Repository ids reachable from <paramref name="rootRepoId"/> by following dependency edges (this repo depends on ...).</summary>
+    private HashSet<int> GetTransitiveReferencedRepositoryIds(int rootRepoId)
+    {
+        if (graph == null) return [];
+
+        var byDependent = graph.Edges
+            .GroupBy(e => e.DependentRepositoryId)
+            .ToDictionary(g => g.Key, g => g.Select(e => e.ReferencedRepositoryId).ToList());
+
+        var visited = new HashSet<int>();
+        var stack = new Stack<int>();
+        stack.Push(rootRepoId);
+        while (stack.Count > 0)
+        {
+            var id = stack.Pop();
+            if (!visited.Add(id)) continue;
+            if (!byDependent.TryGetValue(id, out var refs)) continue;
+            foreach (var r in refs)
+                stack.Push(r);
+        }
+
+        return visited;
+    }
+
+    private HashSet<int> GetRepoIdsAtLevel(int level)
+    {
+        if (workspace?.Repositories == null) return [];
+        return workspace.Repositories
+            .Where(l => l.DependencyLevel == level)
+            .Select(l => l.RepositoryId)
+            .ToHashSet();
+    }
+
+    private (int NodeCount, int EdgeCount) GetFilteredCounts()
+    {
+        var (nodes, edges) = GetFilteredNodesAndEdges();
+        return (nodes.Count, edges.Count);
+    }
+
+    private async Task LoadAsync()
+    {
+        try
+        {
+            isLoading = true;
+            errorMessage = null;
+            workspace = await WorkspaceRepository.GetByIdAsync(WorkspaceId);
+            if (workspace == null)
+            {
+                errorMessage = "Workspace not found.";
+                graph = null;
+                return;
+            }
+            graph = await WorkspaceProjectRepository.GetRepositoryDependencyGraphAsync(WorkspaceId);
+            UpdateDependencyCycles();
+            await LoadGraphStatusAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error loading dependencies for workspace {WorkspaceId}", WorkspaceId);
+            errorMessage = "Failed to load dependencies. Please try again later.";
+            graph = null;
+        }
+        finally
+        {
+            isLoading = false;
+        }
+    }
+
+    /// <summary>Groups names by first segment (prefix before . - _), strips each group's common prefix, returns repo id -> display label.</summary>
+    private static Dictionary<int, string> GetLabelsWithGroupPrefixStripped(IReadOnlyList<(int RepositoryId, string Name)> repos)
+    {
+        var result = new Dictionary<int, string>();
+        if (repos == null || repos.Count == 0) return result;
+
+        var sorted = repos.OrderBy(r => NormalizeForCompare(GetFirstSegment(r.Name))).ThenBy(r => r.Name, StringComparer.OrdinalIgnoreCase).ToList();
+
+        var firstSegmentKey = NormalizeForCompare(GetFirstSegment(sorted[0].Name));
+        var groups = new List<List<(int Id, string Name)>>();
+        var current = new List<(int Id, string Name)> { (sorted[0].RepositoryId, sorted[0].Name) };
+        var currentSegmentKey = firstSegmentKey;
+
+        for (var i = 1; i < sorted.Count; i++)
+        {
+            var segKey = NormalizeForCompare(GetFirstSegment(sorted[i].Name));
+            if (segKey == currentSegmentKey)
+            {
+                current.Add((sorted[i].RepositoryId, sorted[i].Name));
+            }
+            else
+            {
+                groups.Add(current);
+                current = new List<(int Id, string Name)> { (sorted[i].RepositoryId, sorted[i].Name) };
+                currentSegmentKey = segKey;
+            }
+        }
+        groups.Add(current);
+
+        foreach (var group in groups)
+        {
+            var names = group.Select(g => g.Name).ToList();
+            var commonNormLen = GetCommonNormalizedPrefixLength(names);
+            foreach (var (id, name) in group)
+            {
+                var prefix = GetPrefixToStrip(name, commonNormLen);
+                var label = string.IsNullOrEmpty(prefix) ? name : name.StartsWith(prefix, StringComparison.OrdinalIgnoreCase) ? name[prefix.Length..].TrimStart('.', '-', '_') : name;
+                label = string.IsNullOrWhiteSpace(label) ? name : label;
+                result[id] = ReplaceSeparatorsWithSpaces(label);
+            }
+        }
+
+        return result;
+    }
+
+    private static string GetFirstSegment(string name)
+    {
+        if (string.IsNullOrEmpty(name)) return "";
+        var i = 0;
+        while (i < name.Length && !IsSeparator(name[i])) i++;
+        return name[..i];
+    }
+
+    private static bool IsSeparator(char c) => c == '.' || c == '-' || c == '_';
+
+    /// <summary>Normalize for comparison: case insensitive, ignore dots, minuses, underscores.</summary>
+    private static string NormalizeForCompare(string s)
+    {
+        if (string.IsNullOrEmpty(s)) return "";
+        return new string(s.Where(c => !IsSeparator(c)).ToArray()).ToLowerInvariant();
+    }
+
+    /// <summary>Length of longest common prefix of normalized names (case insensitive, separators ignored).</summary>
+    private static int GetCommonNormalizedPrefixLength(IReadOnlyList<string> names)
+    {
+        if (names == null || names.Count < 2) return 0;
+        var normalized = names.Select(NormalizeForCompare).ToList();
+        if (normalized[0].Length == 0) return 0;
+        var commonNormLen = normalized[0].Length;
+        for (var i = 1; i < normalized.Count; i++)
+        {
+            var a = normalized[0];
+            var b = normalized[i];
+            var j = 0;
+            while (j < commonNormLen && j < b.Length && a[j] == b[j]) j++;
+            commonNormLen = j;
+            if (commonNormLen == 0) return 0;
+        }
+        return commonNormLen;
+    }
+
+    /// <summary>Prefix to strip from this name: first commonNormLen non-sep chars, extended to end of token and trailing separators.</summary>
+    private static string GetPrefixToStrip(string name, int commonNormLen)
+    {
+        if (string.IsNullOrEmpty(name) || commonNormLen <= 0) return "";
+        var count = 0;
+        var end = 0;
+        for (var i = 0; i < name.Length && count < commonNormLen; i++)
+        {
+            if (!IsSeparator(name[i])) count++;
+            end = i + 1;
+        }
+        if (count < commonNormLen) return "";
+        // Extend to end of current token so we don't cut in the middle of a word (e.g. "express" not "expre")
+        while (end < name.Length && !IsSeparator(name[end])) end++;
+        while (end < name.Length && IsSeparator(name[end])) end++;
+        return name[..end];
+    }
+
+    /// <summary>Replace dots, minuses, underscores with spaces for display.</summary>
+    private static string ReplaceSeparatorsWithSpaces(string s)
+    {
+        if (string.IsNullOrEmpty(s)) return s;
+        return new string(s.Select(c => IsSeparator(c) ? ' ' : c).ToArray());
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await DisposeRealtimeAsync();
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("destroyCytoscapeGraph", GraphContainerId);
+        }
+        catch { /* ignore if JS not loaded */ }
+
+        _graphDotNetRef?.Dispose();
+        _graphDotNetRef = null;
+    }
+}
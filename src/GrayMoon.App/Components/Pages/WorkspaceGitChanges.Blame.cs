@@ -0,0 +1,110 @@
+using GrayMoon.App.Components.GitChanges;
+using GrayMoon.App.Services;
+using GrayMoon.App.Services.GitChanges;
+using GrayMoon.Common.Git;
+using Microsoft.EntityFrameworkCore;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceGitChanges
+{
+    // Stays on across file selections until toggled off, like the view mode.
+    private bool _isBlameVisible;
+
+    // The original side is HEAD for a staged file and the index for an unstaged one; a new file has nothing to blame.
+    private bool CanBlame => _selectedDiff is { State: GitDiffContentState.Normal or GitDiffContentState.DeletedFile };
+
+    /// <summary>
+    /// Blames the original side of <paramref name="row"/>'s diff for the diff viewer's gutter: HEAD (under the old name of a rename) for a
+    /// staged file, the staged copy for an unstaged one, so staged but uncommitted lines show as such. Shares <see cref="LoadDiffAsync"/>'s
+    /// request-version guard.
+    /// </summary>
+    private async Task LoadBlameAsync(GitChangesTreeRow row, string root, string workspaceName, string repositoryName, int requestVersion)
+    {
+        GitChangesBlameResult result;
+        using (TerminalSinkContext.Suppress())
+        {
+            result = await AgentClient.GetBlameAsync(
+                root, workspaceName, repositoryName, row.OriginalPath ?? row.FilePath!, row.IsStagedSection ? "HEAD" : null, CancellationToken.None);
+        }
+
+        if (requestVersion != _diffRequestVersion || !_isBlameVisible || _diffViewerRef == null)
+        {
+            return;
+        }
+
+        if (!result.Success || result.Blame == null)
+        {
+            ToastService.ShowError(result.ErrorMessage ?? "Failed to load blame.");
+            return;
+        }
+
+        await _diffViewerRef.SetBlameAsync(result.Blame);
+    }
+
+    private async Task ToggleBlameAsync()
+    {
+        _isBlameVisible = !_isBlameVisible;
+        if (!_isBlameVisible)
+        {
+            if (_diffViewerRef != null)
+            {
+                await _diffViewerRef.SetBlameAsync(null);
+            }
+
+            return;
+        }
+
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File } row || !CanBlame)
+        {
+            return;
+        }
+
+        var requestVersion = _diffRequestVersion;
+        try
+        {
+            var resolved = await ResolveRepositoryAsync(row.WorkspaceRepositoryId);
+            if (resolved == null || requestVersion != _diffRequestVersion)
+            {
+                return;
+            }
+
+            await LoadBlameAsync(row, resolved.Value.Root, resolved.Value.WorkspaceName, resolved.Value.RepositoryName, requestVersion);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Failed to load blame for {Path}", row.FilePath);
+            ToastService.ShowError("Failed to load blame.");
+        }
+    }
+
+    /// <summary>Opens a blamed commit's changes on the Compare page, limited to the file's repository.</summary>
+    private async Task OnOpenBlameCommitAsync(string sha)
+    {
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File } row)
+        {
+            return;
+        }
+
+        var repositoryId = await DbContext.WorkspaceRepositories
+            .AsNoTracking()
+            .Where(l => l.WorkspaceRepositoryId == row.WorkspaceRepositoryId)
+            .Select(l => l.RepositoryId)
+            .FirstOrDefaultAsync();
+        var url = WorkspaceCompare.CommitChangesUrl(WorkspaceId, repositoryId, sha, row.OriginalPath ?? row.FilePath);
+        if (_diffViewerRef is { IsDirty: true })
+        {
+            ShowConfirm(
+                $"Discard your unsaved edits to {System.IO.Path.GetFileName(row.FilePath)}?",
+                () =>
+                {
+                    NavigationManager.NavigateTo(url);
+                    return Task.CompletedTask;
+                },
+                "Discard");
+            return;
+        }
+
+        NavigationManager.NavigateTo(url);
+    }
+}
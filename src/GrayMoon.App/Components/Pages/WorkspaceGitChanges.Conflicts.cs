@@ -0,0 +1,126 @@
+using GrayMoon.App.Components.GitChanges;
+using GrayMoon.App.Services;
+using GrayMoon.App.Services.GitChanges;
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceGitChanges
+{
+    private GitConflictEditor? _conflictEditorRef;
+    private GitConflictDocument? _selectedConflict;
+    private bool _isSavingConflict;
+
+    /// <summary>
+    /// Loads a conflicted file's base/ours/theirs stages and its working-tree copy into the conflict editor instead of the diff viewer.
+    /// Called from <see cref="LoadDiffAsync"/> once the repository is resolved, so it shares its request-version guard.
+    /// </summary>
+    private async Task LoadConflictAsync(GitChangesTreeRow row, string root, string workspaceName, string repositoryName, int requestVersion)
+    {
+        GitChangesConflictResult result;
+        using (TerminalSinkContext.Suppress())
+        {
+            result = await AgentClient.GetConflictAsync(root, workspaceName, repositoryName, row.FilePath!, CancellationToken.None);
+        }
+
+        if (requestVersion != _diffRequestVersion)
+        {
+            return;
+        }
+
+        if (!result.Success || result.Conflict == null)
+        {
+            _diffError = result.ErrorMessage ?? "Failed to load the conflict.";
+            return;
+        }
+
+        _selectedConflict = result.Conflict;
+        if (_selectedConflict.State == GitDiffContentState.Normal && _conflictEditorRef != null)
+        {
+            // Same as the diff viewer: reveal the container before Monaco lays out its editors.
+            _isDiffLoading = false;
+            StateHasChanged();
+            await _conflictEditorRef.SetConflictAsync(_selectedConflict);
+        }
+    }
+
+    // The header's previous/next buttons step through conflict blocks while the conflict editor is showing.
+    private bool IsChangeNavDisabled => _selectedConflict != null
+        ? _selectedConflict.State != GitDiffContentState.Normal
+        : _selectedDiff == null || !RendersInMonaco(_selectedDiff.State);
+
+    private Task GoToPreviousChangeAsync() => _selectedConflict != null
+        ? _conflictEditorRef?.GoToPreviousConflictAsync() ?? Task.CompletedTask
+        : _diffViewerRef?.GoToPreviousChangeAsync() ?? Task.CompletedTask;
+
+    private Task GoToNextChangeAsync() => _selectedConflict != null
+        ? _conflictEditorRef?.GoToNextConflictAsync() ?? Task.CompletedTask
+        : _diffViewerRef?.GoToNextChangeAsync() ?? Task.CompletedTask;
+
+    private Task OnConflictSaveAsync(GitConflictSaveEventArgs args)
+    {
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File, IsConflicted: true } row || _selectedConflict == null)
+        {
+            return Task.CompletedTask;
+        }
+
+        var expectedContentHash = GitContentHash.Compute(_selectedConflict.MergedContent ?? string.Empty);
+
+        if (args.RemainingConflicts > 0)
+        {
+            var blocks = args.RemainingConflicts == 1 ? "1 conflict block" : $"{args.RemainingConflicts} conflict blocks";
+            ShowConfirm(
+                $"{System.IO.Path.GetFileName(row.FilePath)} still contains {blocks} with conflict markers.\nSave it and mark the conflict resolved anyway?",
+                () => ResolveConflictAsync(row, args.Content, expectedContentHash),
+                "Save anyway");
+            return Task.CompletedTask;
+        }
+
+        return ResolveConflictAsync(row, args.Content, expectedContentHash);
+    }
+
+    /// <summary>
+    /// Writes the resolved content through the Agent, which stages the file to mark it resolved, then reselects the file's fresh row
+    /// (it is listed under Staged only from now on) so the page shows its ordinary diff. Refused if the file changed on disk since the
+    /// conflict was loaded.
+    /// </summary>
+    private async Task ResolveConflictAsync(GitChangesTreeRow row, string content, string expectedContentHash)
+    {
+        _isSavingConflict = true;
+        var resolved = false;
+        try
+        {
+            await RunMutationAsync(row.WorkspaceRepositoryId, row.Key, async (root, wsName, repoName, repositoryId) =>
+            {
+                var result = await AgentClient.ResolveConflictAsync(
+                    root, wsName, repoName, row.FilePath!, content, expectedContentHash, CancellationToken.None);
+                resolved = result.Success;
+                var errorMessage = result.ErrorCode == "FileChanged"
+                    ? "The file was changed outside GrayMoon since the conflict was loaded, so your resolution was not saved. Copy it, then reselect the file."
+                    : result.ErrorMessage;
+                await PersistMutationResultAsync(row.WorkspaceRepositoryId, repositoryId, result.Success, result.Snapshot, errorMessage);
+            });
+        }
+        finally
+        {
+            _isSavingConflict = false;
+        }
+
+        if (!resolved || _disposed)
+        {
+            return;
+        }
+
+        ToastService.Show($"Resolved {System.IO.Path.GetFileName(row.FilePath)}.");
+
+        // The reload after the mutation cleared the selection if the Changed row went away; otherwise it still points at the old row.
+        if (_selectedRow?.Key == row.Key || _selectedRow == null)
+        {
+            var staged = FindFileRow(row.WorkspaceRepositoryId, row.FilePath!, isStagedSection: true);
+            if (staged != null)
+            {
+                SelectFile(staged);
+            }
+        }
+    }
+}
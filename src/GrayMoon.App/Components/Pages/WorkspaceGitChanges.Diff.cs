@@ -14,25 +14,33 @@ public sealed partial class WorkspaceGitChanges
     private string? _diffError;
 
     // Normal/NewFile/DeletedFile all have valid Original/Modified content (one side may simply be
-    // empty) and render in Monaco. Binary/TooLarge/UnsupportedEncoding/Error never send content and
-    // must show a placeholder instead of attempting to diff nothing.
+    // empty) and render in Monaco. Binary/Image are previewed by the viewer instead (see
+    // GitDiffViewer.CanShow); TooLarge/UnsupportedEncoding/Error show a placeholder.
     private static bool RendersInMonaco(GitDiffContentState state) =>
         state is GitDiffContentState.Normal or GitDiffContentState.NewFile or GitDiffContentState.DeletedFile;
 
     private int _diffRequestVersion;
 
-    private async Task LoadDiffAsync(GitChangesTreeRow row)
+    /// <summary>
+    /// Loads <paramref name="row"/>'s diff into Monaco, or a conflicted file into the conflict editor. <paramref name="inPlace"/> reloads the file already shown
+    /// (after a hunk action) without the loading placeholder and keeps the scroll position.
+    /// </summary>
+    private async Task LoadDiffAsync(GitChangesTreeRow row, bool inPlace = false)
     {
         var requestVersion = ++_diffRequestVersion;
 
-        _selectedDiff = null;
         _diffError = null;
-        _isDiffLoading = true;
-        StateHasChanged();
+        if (!inPlace)
+        {
+            _selectedDiff = null;
+            _selectedConflict = null;
+            _isDiffLoading = true;
+            StateHasChanged();
+        }
 
         try
         {
-            if (_diffViewerRef != null)
+            if (_diffViewerRef != null && !inPlace)
             {
                 await _diffViewerRef.ClearAsync();
             }
@@ -65,6 +73,12 @@ public sealed partial class WorkspaceGitChanges
                 return;
             }
 
+            if (row.IsConflicted)
+            {
+                await LoadConflictAsync(row, root, link.Workspace.Name, link.Repository.RepositoryName, requestVersion);
+                return;
+            }
+
             var comparison = row.IsStagedSection ? GitDiffComparison.Staged : GitDiffComparison.Unstaged;
             GitChangesDiffResult result;
             using (TerminalSinkContext.Suppress())
@@ -91,14 +105,19 @@ public sealed partial class WorkspaceGitChanges
 
             _selectedDiff = result.Diff;
 
-            if (RendersInMonaco(_selectedDiff.State) && _diffViewerRef != null)
+            if (GitDiffViewer.CanShow(_selectedDiff.State) && _diffViewerRef != null)
             {
                 // Reveal the container (display:flex) before pushing models into Monaco, rather than only
                 // in the finally block below, so setModel() runs against an already-visible, correctly
                 // sized container instead of one still transitioning from display:none.
                 _isDiffLoading = false;
                 StateHasChanged();
-                await _diffViewerRef.SetDiffAsync(_selectedDiff);
+                await _diffViewerRef.SetDiffAsync(
+                    _selectedDiff, GetHunkActions(row, _selectedDiff), IsEditable(row, _selectedDiff), preserveViewState: inPlace);
+                if (_isBlameVisible && CanBlame)
+                {
+                    await LoadBlameAsync(row, root, link.Workspace.Name, link.Repository.RepositoryName, requestVersion);
+                }
             }
         }
         catch (Exception ex)
@@ -115,4 +134,93 @@ public sealed partial class WorkspaceGitChanges
             }
         }
     }
+
+    /// <summary>
+    /// Hunk buttons and selected-lines actions for a diff: stage or discard in Changed, unstage in Staged. Only for plain modifications - new and
+    /// deleted files are staged as a whole from the tree, and conflicted files are resolved first.
+    /// </summary>
+    private static IReadOnlyList<GitPatchOperation> GetHunkActions(GitChangesTreeRow row, GitDiffDocument diff)
+    {
+        if (diff.State != GitDiffContentState.Normal || row.IsConflicted)
+        {
+            return [];
+        }
+
+        return row.IsStagedSection ? [GitPatchOperation.Unstage] : [GitPatchOperation.Stage, GitPatchOperation.Discard];
+    }
+
+    // Only the working-tree side of an unstaged file can be edited; the staged side is the index.
+    private static bool IsEditable(GitChangesTreeRow row, GitDiffDocument diff) =>
+        !row.IsStagedSection && !row.IsConflicted && diff.State is GitDiffContentState.Normal or GitDiffContentState.NewFile;
+
+    private Task OnDiffHunkActionAsync(GitDiffHunkActionEventArgs args)
+    {
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File } row)
+        {
+            return Task.CompletedTask;
+        }
+
+        if (args.Operation == GitPatchOperation.Discard)
+        {
+            ShowConfirm(
+                $"Discard this change to {System.IO.Path.GetFileName(row.FilePath)}?\nThe working tree copy is overwritten and the change cannot be recovered.",
+                () => ApplyHunkPatchAsync(row, args),
+                "Discard");
+            return Task.CompletedTask;
+        }
+
+        return ApplyHunkPatchAsync(row, args);
+    }
+
+    /// <summary>
+    /// Sends a hunk or selected-lines patch to the Agent through the same inline mutation path as file stage/unstage, then reloads the
+    /// file's diff in place (if it is still selected) so the next hunk can be picked without losing the position.
+    /// </summary>
+    private async Task ApplyHunkPatchAsync(GitChangesTreeRow row, GitDiffHunkActionEventArgs args)
+    {
+        await RunMutationAsync(row.WorkspaceRepositoryId, row.Key, async (root, wsName, repoName, repositoryId) =>
+        {
+            var result = await AgentClient.ApplyPatchAsync(root, wsName, repoName, args.Operation, args.Patch, CancellationToken.None);
+            var errorMessage = result.ErrorCode == "ApplyPatchFailed"
+                ? "The change no longer matches the file - it was edited since the diff was loaded. The diff has been reloaded."
+                : result.ErrorMessage;
+            await PersistMutationResultAsync(row.WorkspaceRepositoryId, repositoryId, result.Success, result.Snapshot, errorMessage);
+        });
+
+        if (_selectedRow is { Kind: GitChangesTreeRowKind.File } current && current.Key == row.Key)
+        {
+            await LoadDiffAsync(current, inPlace: true);
+        }
+    }
+
+    /// <summary>
+    /// Writes the diff viewer's edited working-tree copy through the Agent, refusing if the file changed on disk since the diff was
+    /// loaded. The returned snapshot is persisted like any mutation's, so the tree re-reads the status; the diff is then reloaded in place.
+    /// </summary>
+    private async Task OnDiffSaveAsync(GitDiffSaveEventArgs args)
+    {
+        if (_selectedRow is not { Kind: GitChangesTreeRowKind.File } row || _selectedDiff == null || !IsEditable(row, _selectedDiff))
+        {
+            return;
+        }
+
+        var expectedContentHash = GitContentHash.Compute(_selectedDiff.ModifiedContent ?? string.Empty);
+        var saved = false;
+        await RunMutationAsync(row.WorkspaceRepositoryId, row.Key, async (root, wsName, repoName, repositoryId) =>
+        {
+            var result = await AgentClient.WriteWorkingTreeFileAsync(
+                root, wsName, repoName, row.FilePath!, args.Content, expectedContentHash, CancellationToken.None);
+            saved = result.Success;
+            var errorMessage = result.ErrorCode == "FileChanged"
+                ? "The file was changed outside GrayMoon since the diff was loaded, so your edit was not saved. Copy it, then reselect the file."
+                : result.ErrorMessage;
+            await PersistMutationResultAsync(row.WorkspaceRepositoryId, repositoryId, result.Success, result.Snapshot, errorMessage);
+        });
+
+        // On failure the edit stays in the editor so it is not lost.
+        if (saved && _selectedRow is { Kind: GitChangesTreeRowKind.File } current && current.Key == row.Key)
+        {
+            await LoadDiffAsync(current, inPlace: true);
+        }
+    }
 }
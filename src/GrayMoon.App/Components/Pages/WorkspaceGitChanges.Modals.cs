@@ -4,8 +4,40 @@ namespace GrayMoon.App.Components.Pages;
 
 public sealed partial class WorkspaceGitChanges
 {
+    private ConfirmModalState _confirmModal = new();
     private DefaultBranchWarningModalState _defaultBranchWarningModal = new();
 
+    private void ShowConfirm(string message, Func<Task> onConfirm, string confirmButtonText = "Yes")
+    {
+        _confirmModal = _confirmModal with
+        {
+            IsVisible = true,
+            Message = message,
+            ButtonText = confirmButtonText,
+            PendingAction = onConfirm,
+        };
+        StateHasChanged();
+    }
+
+    private void CloseConfirmModal()
+    {
+        _confirmModal = _confirmModal with
+        {
+            IsVisible = false,
+            ButtonText = "Yes",
+            PendingAction = null,
+        };
+        StateHasChanged();
+    }
+
+    private async Task OnConfirmModalYesAsync()
+    {
+        var action = _confirmModal.PendingAction;
+        CloseConfirmModal();
+        if (action != null)
+            await action();
+    }
+
     private void ShowDefaultBranchWarning(string message, IReadOnlyList<DefaultBranchWarningItem> repoItems, Func<Task> onProceed)
     {
         _defaultBranchWarningModal = _defaultBranchWarningModal with
@@ -36,6 +68,14 @@ public sealed partial class WorkspaceGitChanges
             await action();
     }
 
+    private sealed record ConfirmModalState
+    {
+        public bool IsVisible { get; init; }
+        public string Message { get; init; } = "";
+        public string ButtonText { get; init; } = "Yes";
+        public Func<Task>? PendingAction { get; init; }
+    }
+
     private sealed record DefaultBranchWarningModalState
     {
         public bool IsVisible { get; init; }
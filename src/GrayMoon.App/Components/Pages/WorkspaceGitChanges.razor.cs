@@ -257,7 +257,7 @@ public sealed partial class WorkspaceGitChanges : IAsyncDisposable
 
             // Diff failed (agent offline, path gone after an external commit, etc.) - drop auto-selection
             // so the page stays on the empty "Select a file" placeholder instead of a stuck error pane.
-            if (_diffError != null || _selectedDiff == null)
+            if (_diffError != null || (_selectedDiff == null && _selectedConflict == null))
             {
                 await ClearSelectionQuietlyAsync(clearMemory: true);
             }
@@ -317,6 +317,7 @@ public sealed partial class WorkspaceGitChanges : IAsyncDisposable
     {
         _selectedRow = null;
         _selectedDiff = null;
+        _selectedConflict = null;
         _diffError = null;
         _scrollSelectionIntoViewPending = false;
 
@@ -382,6 +383,24 @@ public sealed partial class WorkspaceGitChanges : IAsyncDisposable
             return;
         }
 
+        if (_diffViewerRef is { IsDirty: true } && _selectedRow is { Kind: GitChangesTreeRowKind.File } selected && selected.Key != row.Key)
+        {
+            ShowConfirm(
+                $"Discard your unsaved edits to {System.IO.Path.GetFileName(selected.FilePath)}?",
+                () =>
+                {
+                    ShowFile(row);
+                    return Task.CompletedTask;
+                },
+                "Discard");
+            return;
+        }
+
+        ShowFile(row);
+    }
+
+    private void ShowFile(GitChangesTreeRow row)
+    {
         _selectedRow = row;
         SelectionMemory.Set(WorkspaceId, new WorkspaceGitChangesSelectionMemory.Selection(
             row.WorkspaceRepositoryId, row.FilePath!, row.IsStagedSection));
@@ -487,7 +487,7 @@ public sealed partial class WorkspaceRepositories
                 var conflictCount = result.ConflictFiles.Count;
                 SafeInvoke(() => ToastService.ShowError(
                     $"Merge conflict in {conflictCount} {(conflictCount == 1 ? "file" : "files")}: {fileList}. " +
-                    "Resolve the conflicts in your IDE, then commit."));
+                    "Resolve the conflicts on the Changes page or in your IDE, then commit."));
             }
             else if (!result.Success)
             {
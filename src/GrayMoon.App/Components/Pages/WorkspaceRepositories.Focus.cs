@@ -0,0 +1,117 @@
+using GrayMoon.App.Services;
+using Microsoft.JSInterop;
+
+namespace GrayMoon.App.Components.Pages;
+
+public sealed partial class WorkspaceRepositories
+{
+    /// <summary>Repository requested with <c>?repo=</c> (e.g. double-tap on the dependency graph). Its row is scrolled into view and highlighted.</summary>
+    private int? _focusedRepositoryId;
+    private bool _focusScrollPending;
+
+    /// <summary>
+    /// Row action requested with <c>?action=</c> for the focused repository (the dependency graph's context menu). It is only ever
+    /// offered once after loading - never run straight from the URL, since links, bookmarks, history and reloads all replay it.
+    /// </summary>
+    private string? _pendingRepositoryAction;
+
+    private void ApplyRepositoryFocusFromQuery()
+    {
+        _focusedRepositoryId = null;
+        _focusScrollPending = false;
+        _pendingRepositoryAction = null;
+        var query = new Uri(NavigationManager.Uri).Query.TrimStart('?');
+        if (string.IsNullOrEmpty(query)) return;
+        foreach (var pair in query.Split('&'))
+        {
+            var kv = pair.Split('=', 2, StringSplitOptions.None);
+            if (kv.Length != 2) continue;
+            var key = kv[0].Trim();
+            var value = Uri.UnescapeDataString(kv[1].Trim());
+            if (string.Equals(key, "repo", StringComparison.OrdinalIgnoreCase)
+                && int.TryParse(value, out var repositoryId))
+            {
+                _focusedRepositoryId = repositoryId;
+                _focusScrollPending = true;
+            }
+            else if (string.Equals(key, "action", StringComparison.OrdinalIgnoreCase))
+            {
+                _pendingRepositoryAction = value;
+            }
+        }
+        if (_focusedRepositoryId == null) _pendingRepositoryAction = null;
+    }
+
+    private string GetRowCssClass(VirtualSlot slot) =>
+        _focusedRepositoryId == slot.RepositoryId
+            ? $"{StripeClass(slot.StripeIndex)} virtual-row-focused"
+            : StripeClass(slot.StripeIndex);
+
+    /// <summary>Once the virtual scroller is attached, scrolls the focused repository's slot to the middle of the grid.</summary>
+    private async Task ScrollToFocusedRepositoryAsync()
+    {
+        if (!_focusScrollPending || !_virtualScrollAttached || _disposed)
+        {
+            return;
+        }
+        _focusScrollPending = false;
+
+        double top = 0;
+        foreach (var slot in _slots)
+        {
+            if (slot.Kind == VirtualSlotKind.Row && slot.RepositoryId == _focusedRepositoryId)
+            {
+                try
+                {
+                    await JSRuntime.InvokeVoidAsync("grayMoonVirtualScroll.scrollTo", _tbodyRef, top, SlotHeight(slot));
+                }
+                catch (JSDisconnectedException)
+                {
+                }
+                catch (InvalidOperationException)
+                {
+                }
+                return;
+            }
+            top += SlotHeight(slot);
+        }
+    }
+
+    /// <summary>
+    /// Offers the requested row action, then drops <c>action</c> from the URL so a reload does not offer it again. Sync and push
+    /// only run once the user confirms; update dependencies and switch branch open their own dialogs, which change nothing until
+    /// the user confirms there.
+    /// </summary>
+    private async Task OfferPendingRepositoryActionAsync()
+    {
+        if (_pendingRepositoryAction == null || _focusedRepositoryId is not { } repositoryId || isInitialLoading || _disposed)
+        {
+            return;
+        }
+        var action = _pendingRepositoryAction;
+        _pendingRepositoryAction = null;
+        NavigationManager.NavigateTo(WorkspaceUrlHelper.GetRepositoryRowUrl(WorkspaceId, repositoryId), replace: true);
+
+        var link = await TryGetLinkAsync(repositoryId);
+        if (link == null)
+        {
+            return;
+        }
+        var repoName = link.Repository?.RepositoryName ?? $"repo {repositoryId}";
+        switch (action)
+        {
+            case WorkspaceUrlHelper.SyncAction:
+                ShowConfirm($"Do you want to sync {repoName}?", () => SyncSingleRepoAsync(repositoryId), "Sync");
+                break;
+            case WorkspaceUrlHelper.PushAction:
+                ShowConfirm($"Do you want to push {repoName}?", () => OnPushBadgeClickAsync(repositoryId, link.BranchName), "Push");
+                break;
+            case WorkspaceUrlHelper.UpdateDependenciesAction:
+                await ShowConfirmUpdateDependenciesAsync(repositoryId, link.UnmatchedDeps ?? 0);
+                break;
+            case WorkspaceUrlHelper.SwitchBranchAction:
+                ShowSwitchBranchModal(repositoryId, link.BranchName, link.Repository?.CloneUrl);
+                break;
+        }
+    }
+}
@@ -39,6 +39,7 @@ public sealed partial class WorkspaceRepositories : IAsyncDisposable, IDisposabl
         _loadedWorkspaceId = WorkspaceId;
         var storedMode = await JSRuntime.InvokeAsync<string?>("graymoonStorageGet", SyncModeStorageKey);
         _quickFetchIsPrimary = storedMode == "quick-fetch";
+        ApplyRepositoryFocusFromQuery();
         await LoadWorkspaceAsync();
         ApplySyncStateFromLoadedItems();
     }
@@ -60,6 +61,7 @@ public sealed partial class WorkspaceRepositories : IAsyncDisposable, IDisposabl
         errorMessage = null;
         hasLoadedOnce = false;
         ClearGridState();
+        ApplyRepositoryFocusFromQuery();
         await LoadWorkspaceAsync();
         ApplySyncStateFromLoadedItems();
     }
@@ -70,6 +72,8 @@ public sealed partial class WorkspaceRepositories : IAsyncDisposable, IDisposabl
         {
             await AttachVirtualScrollAsync();
         }
+        await ScrollToFocusedRepositoryAsync();
+        await OfferPendingRepositoryActionAsync();
     }
     public void Dispose()
     {
@@ -21,6 +21,7 @@ public class AppDbContext(DbContextOptions<AppDbContext> options) : DbContext(op
     public DbSet<Setting> Settings => Set<Setting>();
     public DbSet<WorkspaceGitRepositoryStatus> WorkspaceGitRepositoryStatuses => Set<WorkspaceGitRepositoryStatus>();
     public DbSet<WorkspaceGitChangeEntry> WorkspaceGitChangeEntries => Set<WorkspaceGitChangeEntry>();
+    public DbSet<WorkspaceDependencyGraphSnapshot> WorkspaceDependencyGraphSnapshots => Set<WorkspaceDependencyGraphSnapshot>();
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -376,6 +377,27 @@ public class AppDbContext(DbContextOptions<AppDbContext> options) : DbContext(op
                 .OnDelete(DeleteBehavior.Cascade);
         });
 
+        modelBuilder.Entity<WorkspaceDependencyGraphSnapshot>(entity =>
+        {
+            entity.ToTable("WorkspaceDependencyGraphSnapshots");
+            entity.HasKey(s => s.SnapshotId);
+            entity.Property(s => s.SnapshotId).ValueGeneratedOnAdd();
+            entity.HasIndex(s => s.WorkspaceId)
+                .HasDatabaseName("IX_WorkspaceDependencyGraphSnapshots_WorkspaceId");
+
+            entity.Property(s => s.Name)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            entity.Property(s => s.GraphJson)
+                .IsRequired();
+
+            entity.HasOne(s => s.Workspace)
+                .WithMany()
+                .HasForeignKey(s => s.WorkspaceId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
         modelBuilder.Entity<Setting>(entity =>
         {
             entity.ToTable("Settings");
@@ -30,4 +30,37 @@ public sealed class ActionStatusInfo
 
     /// <summary>True when the workflow file declares a <c>workflow_dispatch</c> trigger (manual run is allowed).</summary>
     public bool SupportsWorkflowDispatch { get; set; }
+
+    /// <summary>Severity rank of a status, most severe first: failed (1), aborted (2), running (3), success (4), anything else (5).</summary>
+    public static int GetStatusSeverityOrder(string? status) => status switch
+    {
+        "failed" => 1,
+        "aborted" => 2,
+        "running" => 3,
+        "success" => 4,
+        _ => 5
+    };
+
+    /// <summary>
+    /// Most severe status (<see cref="GetStatusSeverityOrder"/>) among the workflows fetched for <paramref name="branchName"/>,
+    /// or null when none of them has a known status for that branch.
+    /// </summary>
+    public static string? GetWorstStatusForBranch(IEnumerable<ActionStatusInfo?> workflows, string? branchName)
+    {
+        var order = GetStatusSeverityOrder(null);
+        string? worst = null;
+        foreach (var workflow in workflows)
+        {
+            if (workflow == null || !string.Equals(workflow.BranchName, branchName, StringComparison.OrdinalIgnoreCase))
+                continue;
+            var o = GetStatusSeverityOrder(workflow.Status);
+            if (o < order)
+            {
+                order = o;
+                worst = workflow.Status;
+            }
+        }
+
+        return worst;
+    }
 }
@@ -1,4 +1,15 @@
 namespace GrayMoon.App.Models;
 
 /// <summary>Describes a single package dependency that is out of date for a workspace repository.</summary>
-public sealed record DependencyMismatchLine(string PackageId, string CurrentVersion, string NewVersion);
+public sealed record DependencyMismatchLine(string PackageId, string CurrentVersion, string NewVersion)
+{
+    /// <summary>
+    /// True when a dependent referencing <paramref name="referencedVersion"/> is out of date with the referenced repository's
+    /// <paramref name="currentVersion"/> (an empty reference included). Nothing is out of date while the referenced repository has no version.
+    /// </summary>
+    public static bool IsMismatch(string? referencedVersion, string? currentVersion)
+    {
+        var current = currentVersion?.Trim() ?? "";
+        return current.Length > 0 && (referencedVersion?.Trim() ?? "") != current;
+    }
+}
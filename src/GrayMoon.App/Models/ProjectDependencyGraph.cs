@@ -11,7 +11,9 @@ public sealed record ProjectDependencyNode(
     string Label,
     string? PackageId,
     string ProjectName,
-    string RepositoryName);
+    string RepositoryName,
+    int RepositoryId,
+    ProjectType ProjectType);
 
 /// <summary>Edge for dependency graph: DependentProjectId -> ReferencedProjectId (dependent depends on referenced).</summary>
 public sealed record ProjectDependencyEdge(
@@ -7,6 +7,9 @@ public sealed record PushRepoPayload(
     int? DependencyLevel,
     IReadOnlyList<RequiredPackageForPush> RequiredPackages);
 
+/// <summary>One step of a dependency-synchronized push: the repos at one dependency level, pushed in parallel once the packages they require are in the registry.</summary>
+public sealed record PushWave(int Level, IReadOnlyList<PushRepoPayload> Repos);
+
 /// <summary>A package (id + version) that must be present in its matched registry before a dependent repo can be pushed.</summary>
 public sealed record RequiredPackageForPush(string PackageId, string Version, int? MatchedConnectorId);
 
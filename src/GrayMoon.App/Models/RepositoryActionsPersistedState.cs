@@ -6,4 +6,11 @@ public sealed class RepositoryActionsPersistedState
     public string? BranchName { get; init; }
 
     public IReadOnlyList<ActionStatusInfo> Workflows { get; init; } = Array.Empty<ActionStatusInfo>();
+
+    /// <summary>
+    /// Most severe workflow status for the given branch (failed &gt; aborted &gt; running &gt; success), or null when no workflow
+    /// status was fetched for that branch. Same precedence as the Actions page status sort.
+    /// </summary>
+    public string? GetWorstStatusForBranch(string? branchName) =>
+        ActionStatusInfo.GetWorstStatusForBranch(Workflows, branchName);
 }
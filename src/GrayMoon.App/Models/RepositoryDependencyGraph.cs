@@ -8,5 +8,18 @@ public sealed record RepositoryDependencyGraph(
 /// <summary>Node for repository dependency graph.</summary>
 public sealed record RepositoryDependencyNode(int RepositoryId, string RepositoryName, ProjectType? RepositoryType = null);
 
-/// <summary>Edge: DependentRepositoryId depends on ReferencedRepositoryId.</summary>
-public sealed record RepositoryDependencyEdge(int DependentRepositoryId, int ReferencedRepositoryId);
+/// <summary>
+/// Edge: DependentRepositoryId depends on ReferencedRepositoryId. For package edges, ReferencedVersion is the version the dependent's
+/// .csproj references and CurrentVersion is the referenced repository's current GitVersion; both are null for file-config and custom edges.
+/// IsCustom is true when the edge exists only because of a custom dependency (no .csproj or version-file reference backs it).
+/// </summary>
+public sealed record RepositoryDependencyEdge(
+    int DependentRepositoryId,
+    int ReferencedRepositoryId,
+    string? ReferencedVersion = null,
+    string? CurrentVersion = null,
+    bool IsCustom = false)
+{
+    /// <summary>True when the dependent references another version than the referenced repository's current one (<see cref="DependencyMismatchLine.IsMismatch"/>).</summary>
+    public bool HasVersionDrift => DependencyMismatchLine.IsMismatch(ReferencedVersion, CurrentVersion);
+}
@@ -0,0 +1,33 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace GrayMoon.App.Models;
+
+/// <summary>
+/// Saved state of a workspace's <see cref="RepositoryDependencyGraph"/> (e.g. while everything is on the default branch),
+/// compared against the live graph to review structural changes such as added or removed package references.
+/// </summary>
+[Table("WorkspaceDependencyGraphSnapshots")]
+public class WorkspaceDependencyGraphSnapshot
+{
+    public int SnapshotId { get; set; }
+
+    [Required]
+    public int WorkspaceId { get; set; }
+
+    [ForeignKey(nameof(WorkspaceId))]
+    public Workspace? Workspace { get; set; }
+
+    [Required]
+    [MaxLength(200)]
+    public string Name { get; set; } = string.Empty;
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>Serialized <see cref="RepositoryDependencyGraph"/>.</summary>
+    [Required]
+    public string GraphJson { get; set; } = string.Empty;
+}
+
+/// <summary>Snapshot list entry (without the graph).</summary>
+public sealed record WorkspaceDependencyGraphSnapshotInfo(int SnapshotId, string Name, DateTime CreatedAt);
@@ -92,6 +92,7 @@ try
     builder.Services.AddScoped<WorkspaceFileRepository>();
     builder.Services.AddScoped<WorkspaceFileVersionConfigRepository>();
     builder.Services.AddScoped<WorkspaceRepositoryCustomDependencyRepository>();
+    builder.Services.AddScoped<WorkspaceDependencyGraphSnapshotRepository>();
     builder.Services.AddScoped<WorkspaceRepository>();
     builder.Services.AddScoped<AppSettingRepository>();
     builder.Services.AddScoped<NavbarCollapseService>();
@@ -0,0 +1,80 @@
+using System.Text.Json;
+using GrayMoon.App.Data;
+using GrayMoon.App.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace GrayMoon.App.Repositories;
+
+/// <summary>Persistence for saved dependency graph states of a workspace (see <see cref="WorkspaceDependencyGraphSnapshot"/>).</summary>
+public sealed class WorkspaceDependencyGraphSnapshotRepository(
+    AppDbContext dbContext,
+    ILogger<WorkspaceDependencyGraphSnapshotRepository> logger)
+{
+    /// <summary>Snapshots of the workspace, newest first.</summary>
+    public async Task<IReadOnlyList<WorkspaceDependencyGraphSnapshotInfo>> GetByWorkspaceIdAsync(
+        int workspaceId,
+        CancellationToken cancellationToken = default)
+    {
+        var rows = await dbContext.WorkspaceDependencyGraphSnapshots
+            .AsNoTracking()
+            .Where(s => s.WorkspaceId == workspaceId)
+            .Select(s => new { s.SnapshotId, s.Name, s.CreatedAt })
+            .ToListAsync(cancellationToken);
+
+        return rows
+            .OrderByDescending(s => s.CreatedAt)
+            .ThenByDescending(s => s.SnapshotId)
+            .Select(s => new WorkspaceDependencyGraphSnapshotInfo(s.SnapshotId, s.Name, s.CreatedAt))
+            .ToList();
+    }
+
+    /// <summary>The saved graph, or null when the snapshot does not exist in this workspace or cannot be read.</summary>
+    public async Task<RepositoryDependencyGraph?> GetGraphAsync(
+        int workspaceId,
+        int snapshotId,
+        CancellationToken cancellationToken = default)
+    {
+        var json = await dbContext.WorkspaceDependencyGraphSnapshots
+            .AsNoTracking()
+            .Where(s => s.WorkspaceId == workspaceId && s.SnapshotId == snapshotId)
+            .Select(s => s.GraphJson)
+            .FirstOrDefaultAsync(cancellationToken);
+        if (json == null) return null;
+
+        try
+        {
+            return JsonSerializer.Deserialize<RepositoryDependencyGraph>(json);
+        }
+        catch (JsonException ex)
+        {
+            logger.LogWarning(ex, "Dependency graph snapshot {SnapshotId} of workspace {WorkspaceId} could not be read", snapshotId, workspaceId);
+            return null;
+        }
+    }
+
+    public async Task<WorkspaceDependencyGraphSnapshotInfo> AddAsync(
+        int workspaceId,
+        string name,
+        RepositoryDependencyGraph graph,
+        CancellationToken cancellationToken = default)
+    {
+        var snapshot = new WorkspaceDependencyGraphSnapshot
+        {
+            WorkspaceId = workspaceId,
+            Name = name,
+            CreatedAt = DateTime.UtcNow,
+            GraphJson = JsonSerializer.Serialize(graph)
+        };
+        dbContext.WorkspaceDependencyGraphSnapshots.Add(snapshot);
+        await dbContext.SaveChangesAsync(cancellationToken);
+        logger.LogInformation("Saved dependency graph snapshot {SnapshotId} ({Name}) for workspace {WorkspaceId}", snapshot.SnapshotId, name, workspaceId);
+        return new WorkspaceDependencyGraphSnapshotInfo(snapshot.SnapshotId, snapshot.Name, snapshot.CreatedAt);
+    }
+
+    public async Task DeleteAsync(int workspaceId, int snapshotId, CancellationToken cancellationToken = default)
+    {
+        await dbContext.WorkspaceDependencyGraphSnapshots
+            .Where(s => s.WorkspaceId == workspaceId && s.SnapshotId == snapshotId)
+            .ExecuteDeleteAsync(cancellationToken);
+    }
+}
@@ -218,24 +218,28 @@ public sealed class WorkspaceProjectRepository(
             .Where(p => p.WorkspaceId == workspaceId)
             .ToListAsync(cancellationToken);
 
-        var uniqueEdges = new List<(int DependentProjectId, int ReferencedProjectId, string? Version)>();
-        if (workspaceProjects.Count > 0)
-        {
-            var projectIds = workspaceProjects.Select(p => p.ProjectId).ToHashSet();
-            var depRows = await dbContext.ProjectDependencies
-                .AsNoTracking()
-                .Where(d => projectIds.Contains(d.DependentProjectId) && projectIds.Contains(d.ReferencedProjectId))
-                .Select(d => new { d.DependentProjectId, d.ReferencedProjectId, d.Version })
-                .ToListAsync(cancellationToken);
-            uniqueEdges = depRows
-                .GroupBy(d => (d.DependentProjectId, d.ReferencedProjectId))
-                .Select(g => (g.Key.DependentProjectId, g.Key.ReferencedProjectId, g.First().Version))
-                .ToList();
-        }
-
+        var uniqueEdges = await GetUniqueProjectDependencyEdgesAsync(workspaceProjects.Select(p => p.ProjectId).ToHashSet(), cancellationToken);
         await PersistRepositoryDependencyLevelAndDependenciesAsync(workspaceId, workspaceProjects, uniqueEdges, cancellationToken);
     }
 
+    /// <summary>Persisted project dependency edges between the given projects, one per (dependent, referenced) pair, with the version the dependent references.</summary>
+    private async Task<List<(int DependentProjectId, int ReferencedProjectId, string? Version)>> GetUniqueProjectDependencyEdgesAsync(
+        IReadOnlySet<int> projectIds,
+        CancellationToken cancellationToken)
+    {
+        if (projectIds.Count == 0) return new List<(int, int, string?)>();
+
+        var depRows = await dbContext.ProjectDependencies
+            .AsNoTracking()
+            .Where(d => projectIds.Contains(d.DependentProjectId) && projectIds.Contains(d.ReferencedProjectId))
+            .Select(d => new { d.DependentProjectId, d.ReferencedProjectId, d.Version })
+            .ToListAsync(cancellationToken);
+        return depRows
+            .GroupBy(d => (d.DependentProjectId, d.ReferencedProjectId))
+            .Select(g => (g.Key.DependentProjectId, g.Key.ReferencedProjectId, g.First().Version))
+            .ToList();
+    }
+
     /// <summary>Computes dependency level and dependency count per repo and persists them on WorkspaceRepositoryLink. Merges project-derived repo edges with file-config repo edges (version pattern tokens).</summary>
     private async Task PersistRepositoryDependencyLevelAndDependenciesAsync(
         int workspaceId,
@@ -377,7 +381,7 @@ public sealed class WorkspaceProjectRepository(
             var refVersion = versionByRepo.GetValueOrDefault(refProj.RepositoryId);
             var depVersion = d.Version?.Trim() ?? "";
             var refVersionNorm = refVersion?.Trim() ?? "";
-            if (depVersion == refVersionNorm || string.IsNullOrEmpty(refVersionNorm))
+            if (!DependencyMismatchLine.IsMismatch(depVersion, refVersionNorm))
                 continue;
 
             var packageId = !string.IsNullOrWhiteSpace(refProj.PackageId) ? refProj.PackageId!.Trim() : refProj.ProjectName.Trim();
@@ -814,7 +818,7 @@ public sealed class WorkspaceProjectRepository(
                 continue;
             var refVersion = versionByRepo.GetValueOrDefault(e.RefRepoId)?.Trim() ?? "";
             var depVersion = e.Version?.Trim() ?? "";
-            if (string.IsNullOrEmpty(refVersion) || depVersion == refVersion)
+            if (!DependencyMismatchLine.IsMismatch(depVersion, refVersion))
                 continue;
             lines.Add((e.PackageId.Trim(), depVersion, refVersion));
         }
@@ -835,7 +839,9 @@ public sealed class WorkspaceProjectRepository(
             p.PackageId ?? p.ProjectName,
             p.PackageId,
             p.ProjectName,
-            p.Repository?.RepositoryName ?? "")).ToList();
+            p.Repository?.RepositoryName ?? "",
+            p.RepositoryId,
+            p.ProjectType)).ToList();
 
         var edgeList = edges.Select(e => new ProjectDependencyEdge(e.DependentProjectId, e.ReferencedProjectId)).ToList();
 
@@ -866,11 +872,7 @@ public sealed class WorkspaceProjectRepository(
 
         var projects = await GetByWorkspaceIdAsync(workspaceId, cancellationToken);
         var byProject = projects.ToDictionary(p => p.ProjectId);
-        var projectEdges = await GetDependencyEdgesAsync(workspaceId, cancellationToken);
-        var uniqueEdges = projectEdges
-            .Where(e => byProject.ContainsKey(e.DependentProjectId) && byProject.ContainsKey(e.ReferencedProjectId))
-            .Select(e => (e.DependentProjectId, e.ReferencedProjectId, (string?)null))
-            .ToList();
+        var uniqueEdges = await GetUniqueProjectDependencyEdgesAsync(byProject.Keys.ToHashSet(), cancellationToken);
 
         var edgeSets = await BuildRepoDependencyEdgeSetsAsync(
             workspaceId,
@@ -885,11 +887,53 @@ public sealed class WorkspaceProjectRepository(
             .Select(wr => new RepositoryDependencyNode(wr.RepositoryId, wr.Repository!.RepositoryName!, wr.RepositoryType))
             .ToList();
 
-        var edgeList = edgeSets.All.Select(e => new RepositoryDependencyEdge(e.DepRepoId, e.RefRepoId)).ToList();
+        var versionsByEdge = GetRepositoryEdgeVersions(links, byProject, uniqueEdges);
+        var edgeList = edgeSets.All
+            .Select(e =>
+            {
+                var isCustom = edgeSets.Custom.Contains(e) && !edgeSets.ProjectDerived.Contains(e) && !edgeSets.FileConfig.Contains(e);
+                return versionsByEdge.TryGetValue((e.DepRepoId, e.RefRepoId), out var v)
+                    ? new RepositoryDependencyEdge(e.DepRepoId, e.RefRepoId, v.ReferencedVersion, v.CurrentVersion, isCustom)
+                    : new RepositoryDependencyEdge(e.DepRepoId, e.RefRepoId, IsCustom: isCustom);
+            })
+            .ToList();
 
         return new RepositoryDependencyGraph(repoNodes, edgeList);
     }
 
+    /// <summary>
+    /// Referenced (.csproj) and current (referenced repo GitVersion) version per repository edge derived from project references.
+    /// When several packages of one repository are referenced, a mismatched reference (<see cref="DependencyMismatchLine.IsMismatch"/>)
+    /// wins so the edge reports it.
+    /// </summary>
+    private static Dictionary<(int DepRepoId, int RefRepoId), (string ReferencedVersion, string CurrentVersion)> GetRepositoryEdgeVersions(
+        IReadOnlyList<WorkspaceRepositoryLink> links,
+        IReadOnlyDictionary<int, WorkspaceProject> byProject,
+        IReadOnlyList<(int DependentProjectId, int ReferencedProjectId, string? Version)> uniqueEdges)
+    {
+        var result = new Dictionary<(int DepRepoId, int RefRepoId), (string ReferencedVersion, string CurrentVersion)>();
+        var currentByRepo = links
+            .GroupBy(l => l.RepositoryId)
+            .ToDictionary(g => g.Key, g => g.First().GitVersion?.Trim() ?? "");
+
+        foreach (var (depId, refId, version) in uniqueEdges.OrderBy(e => byProject[e.ReferencedProjectId].PackageId ?? byProject[e.ReferencedProjectId].ProjectName, StringComparer.OrdinalIgnoreCase))
+        {
+            var depRepoId = byProject[depId].RepositoryId;
+            var refRepoId = byProject[refId].RepositoryId;
+            if (depRepoId == refRepoId) continue;
+
+            var referenced = version?.Trim() ?? "";
+            var current = currentByRepo.GetValueOrDefault(refRepoId) ?? "";
+            var key = (depRepoId, refRepoId);
+            if (!result.TryGetValue(key, out var existing)
+                || (!DependencyMismatchLine.IsMismatch(existing.ReferencedVersion, existing.CurrentVersion) && DependencyMismatchLine.IsMismatch(referenced, current)))
+            {
+                result[key] = (referenced, current);
+            }
+        }
+        return result;
+    }
+
     /// <summary>Returns referenced repository IDs derived from csproj and file-version config for the given dependent repository (implicit, non-custom edges).</summary>
     public async Task<HashSet<int>> GetImplicitReferencedRepoIdsAsync(
         int workspaceId,
@@ -17,6 +17,30 @@ public sealed class GitChangesDiffResult
     public GitDiffDocument? Diff { get; set; }
 }
 
+public sealed class GitChangesRefComparisonResult
+{
+    public bool Success { get; set; }
+    public string? ErrorCode { get; set; }
+    public string? ErrorMessage { get; set; }
+    public GitRefComparison? Comparison { get; set; }
+}
+
+public sealed class GitChangesConflictResult
+{
+    public bool Success { get; set; }
+    public string? ErrorCode { get; set; }
+    public string? ErrorMessage { get; set; }
+    public GitConflictDocument? Conflict { get; set; }
+}
+
+public sealed class GitChangesBlameResult
+{
+    public bool Success { get; set; }
+    public string? ErrorCode { get; set; }
+    public string? ErrorMessage { get; set; }
+    public GitBlame? Blame { get; set; }
+}
+
 public sealed class GitChangesMutationResult
 {
     public bool Success { get; set; }
@@ -35,7 +59,7 @@ public sealed class GitChangesCommitResult
 }
 
 /// <summary>
-/// Thin wrapper over <see cref="IAgentBridge.SendCommandAsync"/> for the five Git Changes agent commands.
+/// Thin wrapper over <see cref="IAgentBridge.SendCommandAsync"/> for the Git Changes agent commands.
 /// Callers resolve <paramref name="workspaceRoot"/>/<paramref name="workspaceName"/>/<paramref name="repositoryName"/>
 /// themselves (same convention as every other Agent-bridged handler in the App) - this client only knows
 /// the wire shape, not how to look up a workspace/repository.
@@ -50,6 +74,36 @@ public interface IGitChangesAgentClient
         string workspaceRoot, string workspaceName, string repositoryName,
         string path, GitDiffComparison comparison, CancellationToken cancellationToken);
 
+    /// <summary>Files that differ between two refs of one repository, see <see cref="GitRefComparison"/>.</summary>
+    Task<GitChangesRefComparisonResult> CompareRefsAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string baseRef, string headRef, bool useMergeBase, CancellationToken cancellationToken);
+
+    /// <summary>One file of a ref comparison, read at the comparison's resolved commits.</summary>
+    Task<GitChangesDiffResult> GetRefDiffAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string path, string? originalPath, string baseCommit, string headCommit, CancellationToken cancellationToken);
+
+    /// <summary>Base, ours, theirs and the working-tree copy of a conflicted file, see <see cref="GitConflictDocument"/>.</summary>
+    Task<GitChangesConflictResult> GetConflictAsync(
+        string workspaceRoot, string workspaceName, string repositoryName, string path, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Line-by-line blame of a file at <paramref name="revision"/> (<c>HEAD</c> or a commit SHA), or of its staged copy when
+    /// <paramref name="revision"/> is null - staged lines that are not committed yet are flagged <see cref="GitBlameCommit.IsUncommitted"/>.
+    /// </summary>
+    Task<GitChangesBlameResult> GetBlameAsync(
+        string workspaceRoot, string workspaceName, string repositoryName, string path, string? revision, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Writes <paramref name="content"/> over a conflicted file and stages it, marking the conflict resolved. <paramref name="expectedContentHash"/>
+    /// (<see cref="GitContentHash"/> of the working-tree copy the resolution started from) makes the Agent refuse with <c>FileChanged</c> if the
+    /// file was changed elsewhere meanwhile.
+    /// </summary>
+    Task<GitChangesMutationResult> ResolveConflictAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string path, string content, string expectedContentHash, CancellationToken cancellationToken);
+
     Task<GitChangesMutationResult> StageAsync(
         string workspaceRoot, string workspaceName, string repositoryName,
         GitChangeOperationScope scope, IReadOnlyList<string> paths, CancellationToken cancellationToken);
@@ -58,6 +112,19 @@ public interface IGitChangesAgentClient
         string workspaceRoot, string workspaceName, string repositoryName,
         GitChangeOperationScope scope, IReadOnlyList<string> paths, CancellationToken cancellationToken);
 
+    /// <summary>Applies a partial patch (hunks picked in the diff viewer) to the index or working tree, see <see cref="GitPatchOperation"/>.</summary>
+    Task<GitChangesMutationResult> ApplyPatchAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        GitPatchOperation operation, string patch, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Writes an edit made in the diff viewer to the working tree. <paramref name="expectedContentHash"/> (<see cref="GitContentHash"/>
+    /// of the content the edit started from) makes the Agent refuse with <c>FileChanged</c> if the file was changed elsewhere meanwhile.
+    /// </summary>
+    Task<GitChangesMutationResult> WriteWorkingTreeFileAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string path, string content, string expectedContentHash, CancellationToken cancellationToken);
+
     Task<GitChangesCommitResult> CommitAsync(
         string workspaceRoot, string workspaceName, string repositoryName,
         string commitMessage, bool stageAllFirst, CancellationToken cancellationToken);
@@ -85,6 +152,26 @@ public sealed class GitChangesAgentClient(IAgentBridge agentBridge) : IGitChange
             ?? new GitChangesDiffResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
     }
 
+    public async Task<GitChangesRefComparisonResult> CompareRefsAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string baseRef, string headRef, bool useMergeBase, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, baseRef, headRef, useMergeBase };
+        var response = await agentBridge.SendCommandAsync("CompareGitRefs", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesRefComparisonResult>(response.Data)
+            ?? new GitChangesRefComparisonResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
+    public async Task<GitChangesDiffResult> GetRefDiffAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string path, string? originalPath, string baseCommit, string headCommit, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, path, originalPath, baseCommit, headCommit };
+        var response = await agentBridge.SendCommandAsync("GetGitRefFileDiff", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesDiffResult>(response.Data)
+            ?? new GitChangesDiffResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
     public async Task<GitChangesMutationResult> StageAsync(
         string workspaceRoot, string workspaceName, string repositoryName,
         GitChangeOperationScope scope, IReadOnlyList<string> paths, CancellationToken cancellationToken)
@@ -105,6 +192,54 @@ public sealed class GitChangesAgentClient(IAgentBridge agentBridge) : IGitChange
             ?? new GitChangesMutationResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
     }
 
+    public async Task<GitChangesMutationResult> ApplyPatchAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        GitPatchOperation operation, string patch, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, operation = (int)operation, patch };
+        var response = await agentBridge.SendCommandAsync("ApplyGitPatch", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesMutationResult>(response.Data)
+            ?? new GitChangesMutationResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
+    public async Task<GitChangesConflictResult> GetConflictAsync(
+        string workspaceRoot, string workspaceName, string repositoryName, string path, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, path };
+        var response = await agentBridge.SendCommandAsync("GetGitConflict", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesConflictResult>(response.Data)
+            ?? new GitChangesConflictResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
+    public async Task<GitChangesBlameResult> GetBlameAsync(
+        string workspaceRoot, string workspaceName, string repositoryName, string path, string? revision, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, path, revision };
+        var response = await agentBridge.SendCommandAsync("GetGitBlame", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesBlameResult>(response.Data)
+            ?? new GitChangesBlameResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
+    public async Task<GitChangesMutationResult> ResolveConflictAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string path, string content, string expectedContentHash, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, path, content, expectedContentHash };
+        var response = await agentBridge.SendCommandAsync("ResolveGitConflict", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesMutationResult>(response.Data)
+            ?? new GitChangesMutationResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
+    public async Task<GitChangesMutationResult> WriteWorkingTreeFileAsync(
+        string workspaceRoot, string workspaceName, string repositoryName,
+        string path, string content, string expectedContentHash, CancellationToken cancellationToken)
+    {
+        var args = new { workspaceRoot, workspaceName, repositoryName, path, content, expectedContentHash };
+        var response = await agentBridge.SendCommandAsync("WriteGitWorkingTreeFile", args, cancellationToken);
+        return AgentResponseJson.DeserializeAgentResponse<GitChangesMutationResult>(response.Data)
+            ?? new GitChangesMutationResult { Success = false, ErrorMessage = response.Error ?? "No response from agent." };
+    }
+
     public async Task<GitChangesCommitResult> CommitAsync(
         string workspaceRoot, string workspaceName, string repositoryName,
         string commitMessage, bool stageAllFirst, CancellationToken cancellationToken)
@@ -42,6 +42,13 @@ public sealed record GitChangesTreeRow
     public GitChangeKind WorktreeChange { get; init; }
     public bool IsConflicted { get; init; }
 
+    /// <summary>True when part of the file is staged and part is not (e.g. after staging single hunks or lines),
+    /// so the file is listed under both sections.</summary>
+    public bool IsPartiallyStaged =>
+        !IsConflicted
+        && IndexChange != GitChangeKind.None
+        && WorktreeChange is not (GitChangeKind.None or GitChangeKind.Untracked);
+
     public bool HasChildren { get; init; }
     public bool IsExpanded { get; init; } = true;
 }
@@ -78,6 +85,44 @@ public static class GitChangesTreeBuilder
         return rows;
     }
 
+    /// <summary>
+    /// Builds a single Repository -&gt; Folder -&gt; File section from a workspace-wide ref comparison. Each file's change
+    /// is reported as <see cref="GitChangesTreeRow.WorktreeChange"/>; repositories that failed to compare are left out.
+    /// </summary>
+    public static IReadOnlyList<GitChangesTreeRow> BuildComparison(
+        string sectionLabel,
+        IReadOnlyList<WorkspaceRefComparisonRepository> repositories,
+        string? filterQuery,
+        IReadOnlySet<string>? collapsedKeys = null)
+    {
+        collapsedKeys ??= new HashSet<string>();
+        var rows = new List<GitChangesTreeRow>();
+
+        var repos = repositories
+            .Where(r => r.Comparison is { Files.Count: > 0 })
+            .Select(r => (
+                Repo: new WorkspaceGitChangesRepositoryView
+                {
+                    WorkspaceRepositoryId = r.WorkspaceRepositoryId,
+                    RepositoryId = 0,
+                    RepositoryName = r.RepositoryName,
+                    Changes = [],
+                },
+                Entries: r.Comparison!.Files
+                    .Select(f => new WorkspaceGitChangeEntryView
+                    {
+                        Path = f.Path,
+                        OriginalPath = f.OriginalPath,
+                        WorktreeChange = f.Change,
+                        IsTracked = true,
+                    })
+                    .ToList()))
+            .ToList();
+
+        AppendSection(rows, "compare", sectionLabel, isStagedSection: false, repos, filterQuery, collapsedKeys);
+        return rows;
+    }
+
     private static void AppendSection(
         List<GitChangesTreeRow> rows,
         string sectionKey,
@@ -10,6 +10,12 @@ namespace GrayMoon.App.Services.GitChanges;
 public interface IWorkspaceGitChangesReadService
 {
     Task<WorkspaceGitChangesView> GetWorkspaceAsync(int workspaceId, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Number of uncommitted files (staged, unstaged, untracked or conflicted) per repository, keyed by RepositoryId.
+    /// Repositories without a persisted status are omitted. Counts only - change entries are not materialized.
+    /// </summary>
+    Task<IReadOnlyDictionary<int, int>> GetChangeCountsByRepositoryIdAsync(int workspaceId, CancellationToken cancellationToken);
 }
 
 public sealed class WorkspaceGitChangesReadService(IDbContextFactory<AppDbContext> dbContextFactory) : IWorkspaceGitChangesReadService
@@ -87,4 +93,23 @@ public sealed class WorkspaceGitChangesReadService(IDbContextFactory<AppDbContex
 
         return new WorkspaceGitChangesView { WorkspaceId = workspaceId, Repositories = repositories };
     }
+
+    public async Task<IReadOnlyDictionary<int, int>> GetChangeCountsByRepositoryIdAsync(int workspaceId, CancellationToken cancellationToken)
+    {
+        await using var db = await dbContextFactory.CreateDbContextAsync(cancellationToken);
+
+        var counts = await db.WorkspaceRepositories
+            .Where(wr => wr.WorkspaceId == workspaceId
+                && db.WorkspaceGitRepositoryStatuses.Any(s => s.WorkspaceRepositoryId == wr.WorkspaceRepositoryId))
+            .Select(wr => new
+            {
+                wr.RepositoryId,
+                Count = db.WorkspaceGitChangeEntries.Count(e => e.WorkspaceRepositoryId == wr.WorkspaceRepositoryId)
+            })
+            .ToListAsync(cancellationToken);
+
+        return counts
+            .GroupBy(c => c.RepositoryId)
+            .ToDictionary(g => g.Key, g => g.First().Count);
+    }
 }
@@ -0,0 +1,14 @@
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.App.Services.GitChanges;
+
+/// <summary>Result of comparing the same two refs in one repository of a workspace: the changed files, or why the
+/// repository could not be compared (e.g. the ref does not exist there).</summary>
+public sealed record WorkspaceRefComparisonRepository
+{
+    public required int WorkspaceRepositoryId { get; init; }
+    public required string RepositoryName { get; init; }
+    public GitRefComparison? Comparison { get; init; }
+    public string? ErrorCode { get; init; }
+    public string? ErrorMessage { get; init; }
+}
@@ -0,0 +1,45 @@
+using GrayMoon.App.Models;
+
+namespace GrayMoon.App.Services;
+
+/// <summary>What a push starting at one repository would touch: the push waves in order, and affected repos the push would leave out.</summary>
+public sealed record PushRolloutPlan(int SourceRepositoryId, IReadOnlyList<PushWave> Waves, IReadOnlyList<int> SkippedRepositoryIds)
+{
+    /// <summary>Repository ids in push order, numbered from 1 by the caller.</summary>
+    public IEnumerable<int> RepositoryIdsInOrder => Waves.SelectMany(w => w.Repos).Select(r => r.RepoId);
+}
+
+/// <summary>
+/// Previews the blast radius of a change in one repository: the repository and everything that (transitively) depends on it,
+/// ordered the way a dependency-synchronized push would process them (<see cref="WorkspacePushService.GetPushWaves"/>).
+/// </summary>
+public static class PushRolloutPlanner
+{
+    /// <param name="graph">Repository dependency graph (edge = dependent -> referenced).</param>
+    /// <param name="pushPlanPayload">Workspace push plan (<see cref="WorkspaceDependencyService.GetPushPlanPayloadAsync"/>); repos it leaves out (e.g. checked out at a tag) are reported as skipped.</param>
+    /// <param name="sourceRepositoryId">Repository whose change is rolled out.</param>
+    public static PushRolloutPlan Plan(RepositoryDependencyGraph graph, IReadOnlyList<PushRepoPayload> pushPlanPayload, int sourceRepositoryId)
+    {
+        var dependentsByReferenced = graph.Edges
+            .GroupBy(e => e.ReferencedRepositoryId)
+            .ToDictionary(g => g.Key, g => g.Select(e => e.DependentRepositoryId).ToList());
+
+        var affected = new HashSet<int> { sourceRepositoryId };
+        var queue = new Queue<int>();
+        queue.Enqueue(sourceRepositoryId);
+        while (queue.Count > 0)
+        {
+            if (!dependentsByReferenced.TryGetValue(queue.Dequeue(), out var dependents)) continue;
+            foreach (var dependent in dependents)
+            {
+                if (affected.Add(dependent))
+                    queue.Enqueue(dependent);
+            }
+        }
+
+        var payload = pushPlanPayload.Where(p => affected.Contains(p.RepoId)).ToList();
+        var inPayload = payload.Select(p => p.RepoId).ToHashSet();
+        var skipped = affected.Where(id => !inPayload.Contains(id)).Order().ToList();
+        return new PushRolloutPlan(sourceRepositoryId, WorkspacePushService.GetPushWaves(payload), skipped);
+    }
+}
@@ -0,0 +1,94 @@
+using GrayMoon.App.Models;
+
+namespace GrayMoon.App.Services;
+
+/// <summary>A dependency cycle: one strongly connected component of the repository graph and the edges that keep it together.</summary>
+public sealed record RepositoryDependencyCycle(IReadOnlyList<int> RepositoryIds, IReadOnlyList<RepositoryDependencyEdge> Edges);
+
+/// <summary>
+/// Finds dependency cycles in a <see cref="RepositoryDependencyGraph"/> (Tarjan's strongly connected components).
+/// Any cycle makes dependency levels undefined, so the Dependencies page reports them instead of a misleading layout.
+/// </summary>
+public static class RepositoryDependencyCycleFinder
+{
+    /// <summary>
+    /// Components with more than one repository, plus repositories that depend on themselves. Repository ids within a cycle
+    /// and the cycles themselves are ordered by id so results are stable across reloads.
+    /// </summary>
+    public static IReadOnlyList<RepositoryDependencyCycle> FindCycles(RepositoryDependencyGraph graph)
+    {
+        var adjacency = new Dictionary<int, List<int>>();
+        foreach (var edge in graph.Edges)
+        {
+            if (!adjacency.TryGetValue(edge.DependentRepositoryId, out var refs))
+            {
+                refs = [];
+                adjacency[edge.DependentRepositoryId] = refs;
+            }
+            refs.Add(edge.ReferencedRepositoryId);
+        }
+
+        var index = 0;
+        var indexOf = new Dictionary<int, int>();
+        var lowLink = new Dictionary<int, int>();
+        var stack = new Stack<int>();
+        var onStack = new HashSet<int>();
+        var components = new List<List<int>>();
+
+        void StrongConnect(int repoId)
+        {
+            indexOf[repoId] = lowLink[repoId] = index++;
+            stack.Push(repoId);
+            onStack.Add(repoId);
+
+            foreach (var next in adjacency.GetValueOrDefault(repoId) ?? [])
+            {
+                if (!indexOf.ContainsKey(next))
+                {
+                    StrongConnect(next);
+                    lowLink[repoId] = Math.Min(lowLink[repoId], lowLink[next]);
+                }
+                else if (onStack.Contains(next))
+                {
+                    lowLink[repoId] = Math.Min(lowLink[repoId], indexOf[next]);
+                }
+            }
+
+            if (lowLink[repoId] != indexOf[repoId]) return;
+            var component = new List<int>();
+            int member;
+            do
+            {
+                member = stack.Pop();
+                onStack.Remove(member);
+                component.Add(member);
+            } while (member != repoId);
+            components.Add(component);
+        }
+
+        var repoIds = graph.Nodes.Select(n => n.RepositoryId)
+            .Concat(graph.Edges.SelectMany(e => new[] { e.DependentRepositoryId, e.ReferencedRepositoryId }))
+            .Distinct()
+            .OrderBy(id => id);
+        foreach (var repoId in repoIds)
+        {
+            if (!indexOf.ContainsKey(repoId))
+                StrongConnect(repoId);
+        }
+
+        var cycles = new List<RepositoryDependencyCycle>();
+        foreach (var component in components)
+        {
+            var members = component.ToHashSet();
+            var edges = graph.Edges
+                .Where(e => members.Contains(e.DependentRepositoryId) && members.Contains(e.ReferencedRepositoryId))
+                .OrderBy(e => e.DependentRepositoryId)
+                .ThenBy(e => e.ReferencedRepositoryId)
+                .ToList();
+            if (component.Count == 1 && edges.Count == 0) continue;
+            cycles.Add(new RepositoryDependencyCycle(component.OrderBy(id => id).ToList(), edges));
+        }
+
+        return cycles.OrderBy(c => c.RepositoryIds[0]).ToList();
+    }
+}
@@ -0,0 +1,58 @@
+using GrayMoon.App.Models;
+
+namespace GrayMoon.App.Services;
+
+public enum DependencyGraphChange
+{
+    Unchanged,
+    Added,
+    Removed
+}
+
+public sealed record DependencyGraphNodeChange(RepositoryDependencyNode Node, DependencyGraphChange Change);
+
+public sealed record DependencyGraphEdgeChange(int DependentRepositoryId, int ReferencedRepositoryId, DependencyGraphChange Change);
+
+/// <summary>Structural difference between two dependency graphs; nodes and edges of either graph, each tagged with its change.</summary>
+public sealed record DependencyGraphDiff(IReadOnlyList<DependencyGraphNodeChange> Nodes, IReadOnlyList<DependencyGraphEdgeChange> Edges)
+{
+    public bool HasChanges =>
+        Nodes.Any(n => n.Change != DependencyGraphChange.Unchanged) || Edges.Any(e => e.Change != DependencyGraphChange.Unchanged);
+
+    public int EdgeCount(DependencyGraphChange change) => Edges.Count(e => e.Change == change);
+}
+
+/// <summary>
+/// Compares a saved dependency graph (the baseline, e.g. the default branch) with another state of it (e.g. the feature branches
+/// checked out now). Repositories and edges are matched by repository ids; an edge counts once however many project references
+/// back it, and a version change alone is not a structural change (version drift has its own view).
+/// </summary>
+public static class RepositoryDependencyGraphDiff
+{
+    public static DependencyGraphDiff Compare(RepositoryDependencyGraph baseline, RepositoryDependencyGraph current)
+    {
+        var baselineNodes = baseline.Nodes.GroupBy(n => n.RepositoryId).ToDictionary(g => g.Key, g => g.First());
+        var currentNodes = current.Nodes.GroupBy(n => n.RepositoryId).ToDictionary(g => g.Key, g => g.First());
+        var nodes = baselineNodes.Keys.Union(currentNodes.Keys)
+            .Order()
+            .Select(id => currentNodes.TryGetValue(id, out var node)
+                ? new DependencyGraphNodeChange(node, baselineNodes.ContainsKey(id) ? DependencyGraphChange.Unchanged : DependencyGraphChange.Added)
+                : new DependencyGraphNodeChange(baselineNodes[id], DependencyGraphChange.Removed))
+            .ToList();
+
+        var baselineEdges = baseline.Edges.Select(e => (e.DependentRepositoryId, e.ReferencedRepositoryId)).ToHashSet();
+        var currentEdges = current.Edges.Select(e => (e.DependentRepositoryId, e.ReferencedRepositoryId)).ToHashSet();
+        var edges = baselineEdges.Union(currentEdges)
+            .OrderBy(e => e.DependentRepositoryId)
+            .ThenBy(e => e.ReferencedRepositoryId)
+            .Select(e => new DependencyGraphEdgeChange(
+                e.DependentRepositoryId,
+                e.ReferencedRepositoryId,
+                !currentEdges.Contains(e) ? DependencyGraphChange.Removed
+                    : baselineEdges.Contains(e) ? DependencyGraphChange.Unchanged
+                    : DependencyGraphChange.Added))
+            .ToList();
+
+        return new DependencyGraphDiff(nodes, edges);
+    }
+}
@@ -0,0 +1,52 @@
+using GrayMoon.App.Models;
+
+namespace GrayMoon.App.Services;
+
+/// <summary>One repository of the graph outline with the repositories it depends on and the ones that depend on it, by name.</summary>
+public sealed record DependencyOutlineEntry(
+    RepositoryDependencyNode Node,
+    int? Level,
+    IReadOnlyList<RepositoryDependencyNode> DependsOn,
+    IReadOnlyList<RepositoryDependencyNode> UsedBy);
+
+/// <summary>The repositories of one dependency level in the outline; <see cref="Level"/> is null for repositories without one.</summary>
+public sealed record DependencyOutlineLevel(int? Level, IReadOnlyList<DependencyOutlineEntry> Entries);
+
+/// <summary>
+/// Text outline of a dependency graph for assistive technology: levels in order (repositories without a level last), repositories
+/// by name, and for each its direct dependencies and consumers within the given nodes.
+/// </summary>
+public static class RepositoryDependencyGraphOutline
+{
+    public static IReadOnlyList<DependencyOutlineLevel> Build(
+        IReadOnlyList<RepositoryDependencyNode> nodes,
+        IEnumerable<RepositoryDependencyEdge> edges,
+        IReadOnlyDictionary<int, int?> levelByRepositoryId)
+    {
+        var nodeById = nodes.GroupBy(n => n.RepositoryId).ToDictionary(g => g.Key, g => g.First());
+        var pairs = edges
+            .Where(e => e.DependentRepositoryId != e.ReferencedRepositoryId
+                && nodeById.ContainsKey(e.DependentRepositoryId)
+                && nodeById.ContainsKey(e.ReferencedRepositoryId))
+            .Select(e => (e.DependentRepositoryId, e.ReferencedRepositoryId))
+            .Distinct()
+            .ToList();
+        var dependsOn = pairs.ToLookup(p => p.DependentRepositoryId, p => nodeById[p.ReferencedRepositoryId]);
+        var usedBy = pairs.ToLookup(p => p.ReferencedRepositoryId, p => nodeById[p.DependentRepositoryId]);
+
+        return nodeById.Values
+            .Select(n => new DependencyOutlineEntry(
+                n,
+                levelByRepositoryId.GetValueOrDefault(n.RepositoryId),
+                ByName(dependsOn[n.RepositoryId]),
+                ByName(usedBy[n.RepositoryId])))
+            .GroupBy(e => e.Level)
+            .OrderBy(g => g.Key.HasValue ? 0 : 1)
+            .ThenBy(g => g.Key)
+            .Select(g => new DependencyOutlineLevel(g.Key, g.OrderBy(e => e.Node.RepositoryName, StringComparer.OrdinalIgnoreCase).ToList()))
+            .ToList();
+    }
+
+    private static IReadOnlyList<RepositoryDependencyNode> ByName(IEnumerable<RepositoryDependencyNode> nodes) =>
+        nodes.OrderBy(n => n.RepositoryName, StringComparer.OrdinalIgnoreCase).ToList();
+}
@@ -0,0 +1,88 @@
+using GrayMoon.App.Models;
+
+namespace GrayMoon.App.Services;
+
+/// <summary>
+/// Answers "why does X depend on Y?": every shortest chain of dependency edges (dependent -> referenced) from one repository
+/// to another, found with a breadth-first search that keeps all predecessors on a shortest route. The paths are then
+/// built forward along those routes one step at a time, so a cap keeps the first paths in order rather than whichever
+/// were reached first.
+/// </summary>
+public static class RepositoryDependencyPathFinder
+{
+    /// <summary>Enough to show every route in practice while keeping dense graphs from producing an unreadable list.</summary>
+    public const int DefaultMaxPaths = 20;
+
+    /// <summary>
+    /// Shortest paths from <paramref name="sourceRepositoryId"/> to <paramref name="targetRepositoryId"/>, each listed from source to target.
+    /// Empty when the source does not (transitively) depend on the target or both are the same repository.
+    /// Paths are ordered by the repository ids along them, so results are stable across reloads; past <paramref name="maxPaths"/>
+    /// the later ones are dropped.
+    /// </summary>
+    public static IReadOnlyList<IReadOnlyList<int>> FindShortestPaths(
+        IEnumerable<RepositoryDependencyEdge> edges,
+        int sourceRepositoryId,
+        int targetRepositoryId,
+        int maxPaths = DefaultMaxPaths)
+    {
+        if (sourceRepositoryId == targetRepositoryId || maxPaths <= 0) return [];
+
+        var referencedByDependent = edges
+            .GroupBy(e => e.DependentRepositoryId)
+            .ToDictionary(g => g.Key, g => g.Select(e => e.ReferencedRepositoryId).Distinct().Order().ToList());
+
+        var distance = new Dictionary<int, int> { [sourceRepositoryId] = 0 };
+        var predecessors = new Dictionary<int, List<int>>();
+        var queue = new Queue<int>();
+        queue.Enqueue(sourceRepositoryId);
+        while (queue.Count > 0)
+        {
+            var id = queue.Dequeue();
+            if (id == targetRepositoryId) break;
+            if (!referencedByDependent.TryGetValue(id, out var refs)) continue;
+            foreach (var next in refs)
+            {
+                if (!distance.TryGetValue(next, out var d))
+                {
+                    distance[next] = distance[id] + 1;
+                    predecessors[next] = [id];
+                    queue.Enqueue(next);
+                }
+                else if (d == distance[id] + 1)
+                {
+                    predecessors[next].Add(id);
+                }
+            }
+        }
+        if (!distance.ContainsKey(targetRepositoryId)) return [];
+
+        // Only repositories the target can be reached from on a shortest route, with the next steps in id order.
+        var successors = new Dictionary<int, List<int>>();
+        var pending = new Stack<int>([targetRepositoryId]);
+        var onRoute = new HashSet<int> { targetRepositoryId };
+        while (pending.Count > 0)
+        {
+            var id = pending.Pop();
+            if (id == sourceRepositoryId) continue;
+            foreach (var previous in predecessors[id])
+            {
+                if (!successors.TryGetValue(previous, out var next)) successors[previous] = next = [];
+                next.Add(id);
+                if (onRoute.Add(previous)) pending.Push(previous);
+            }
+        }
+        foreach (var next in successors.Values) next.Sort();
+
+        // Extend every path by one step at a time. Each partial path reaches the target, and extending paths in order
+        // keeps them in order, so the first maxPaths partial paths are the only ones the first maxPaths paths can start with.
+        List<List<int>> paths = [[sourceRepositoryId]];
+        for (var step = 0; step < distance[targetRepositoryId]; step++)
+        {
+            paths = paths
+                .SelectMany(path => successors[path[^1]].Select(next => (List<int>)[.. path, next]))
+                .Take(maxPaths)
+                .ToList();
+        }
+        return paths;
+    }
+}
@@ -0,0 +1,64 @@
+using GrayMoon.App.Models;
+
+namespace GrayMoon.App.Services;
+
+/// <summary>Project drawn inside its expanded repository node. <see cref="Id"/> is prefixed (<c>p:</c>) so it never collides with a repository id.</summary>
+public sealed record ProjectDrillDownNode(string Id, int ProjectId, int RepositoryId, string Label, ProjectType ProjectType);
+
+/// <summary>
+/// Edge of the drill-down: each end is a project node when its repository is expanded, otherwise the repository node itself.
+/// The repository ids tell which repository-level edge the project edge stands in for.
+/// </summary>
+public sealed record ProjectDrillDownEdge(string Source, string Target, int SourceRepositoryId, int TargetRepositoryId);
+
+/// <summary>
+/// Builds the project elements shown when repository nodes of the dependency graph are expanded in place:
+/// the projects of each expanded repository and the project-to-project edges touching them.
+/// </summary>
+public static class RepositoryProjectDrillDown
+{
+    public static string GetNodeId(int projectId) => $"p:{projectId}";
+
+    /// <summary>
+    /// Projects of the expanded repositories (ordered by label) and every project edge with at least one end in an expanded repository.
+    /// Only repositories in <paramref name="drawnRepositoryIds"/> take part, so edges to repositories hidden by a filter are dropped.
+    /// Ends in collapsed repositories are attached to the repository node; duplicates that creates are merged.
+    /// </summary>
+    public static (IReadOnlyList<ProjectDrillDownNode> Nodes, IReadOnlyList<ProjectDrillDownEdge> Edges) Build(
+        ProjectDependencyGraph graph,
+        IReadOnlySet<int> expandedRepositoryIds,
+        IReadOnlySet<int> drawnRepositoryIds)
+    {
+        bool IsExpanded(int repositoryId) => expandedRepositoryIds.Contains(repositoryId) && drawnRepositoryIds.Contains(repositoryId);
+
+        var nodes = graph.Nodes
+            .Where(n => IsExpanded(n.RepositoryId))
+            .OrderBy(n => n.RepositoryId)
+            .ThenBy(n => n.Label, StringComparer.OrdinalIgnoreCase)
+            .Select(n => new ProjectDrillDownNode(GetNodeId(n.ProjectId), n.ProjectId, n.RepositoryId, n.Label, n.ProjectType))
+            .ToList();
+
+        var repositoryIdByProjectId = graph.Nodes.ToDictionary(n => n.ProjectId, n => n.RepositoryId);
+        var seen = new HashSet<(string, string)>();
+        var edges = new List<ProjectDrillDownEdge>();
+        foreach (var edge in graph.Edges)
+        {
+            if (!repositoryIdByProjectId.TryGetValue(edge.DependentProjectId, out var sourceRepoId)
+                || !repositoryIdByProjectId.TryGetValue(edge.ReferencedProjectId, out var targetRepoId))
+                continue;
+            if (!drawnRepositoryIds.Contains(sourceRepoId) || !drawnRepositoryIds.Contains(targetRepoId))
+                continue;
+            var sourceExpanded = IsExpanded(sourceRepoId);
+            var targetExpanded = IsExpanded(targetRepoId);
+            if (!sourceExpanded && !targetExpanded)
+                continue;
+
+            var source = sourceExpanded ? GetNodeId(edge.DependentProjectId) : sourceRepoId.ToString();
+            var target = targetExpanded ? GetNodeId(edge.ReferencedProjectId) : targetRepoId.ToString();
+            if (seen.Add((source, target)))
+                edges.Add(new ProjectDrillDownEdge(source, target, sourceRepoId, targetRepoId));
+        }
+
+        return (nodes, edges);
+    }
+}
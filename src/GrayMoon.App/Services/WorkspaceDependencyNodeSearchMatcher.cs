@@ -3,8 +3,50 @@ using GrayMoon.Common.Search;
 
 namespace GrayMoon.App.Services;
 
+/// <summary>A run of matched characters inside a dependency graph label.</summary>
+public sealed record SearchHighlightRange(int Start, int Length);
+
 public static class WorkspaceDependencyNodeSearchMatcher
 {
     public static bool Matches(RepositoryDependencyNode node, string? query) =>
         FilterSearchMatcher.MatchesHaystack(query, node.RepositoryName ?? string.Empty);
+
+    /// <summary>
+    /// Ranges of <paramref name="label"/> matched by the search terms of <paramref name="query"/>: the plain text and
+    /// field value segments the filter input colours. Graph labels show <c>.</c>, <c>-</c> and <c>_</c> as spaces, so
+    /// separators compare equal to each other. Ranges are sorted and overlapping ones merged.
+    /// </summary>
+    public static IReadOnlyList<SearchHighlightRange> GetLabelHighlights(string label, string? query)
+    {
+        if (string.IsNullOrEmpty(label) || string.IsNullOrWhiteSpace(query)) return [];
+
+        var haystack = NormalizeSeparators(label);
+        var hits = new List<(int Start, int End)>();
+        foreach (var segment in FilterSearchExpression.GetHighlightSegments(query))
+        {
+            if (segment.Kind is not (FilterSearchHighlightKind.Text or FilterSearchHighlightKind.FieldValue)) continue;
+            var term = NormalizeSeparators(segment.Text);
+            if (string.IsNullOrWhiteSpace(term)) continue;
+            for (var i = haystack.IndexOf(term, StringComparison.OrdinalIgnoreCase); i >= 0; i = haystack.IndexOf(term, i + term.Length, StringComparison.OrdinalIgnoreCase))
+                hits.Add((i, i + term.Length));
+        }
+
+        var ranges = new List<SearchHighlightRange>();
+        var (start, end) = (-1, -1);
+        foreach (var hit in hits.OrderBy(h => h.Start))
+        {
+            if (hit.Start <= end)
+            {
+                end = Math.Max(end, hit.End);
+                continue;
+            }
+            if (end > start) ranges.Add(new SearchHighlightRange(start, end - start));
+            (start, end) = hit;
+        }
+        if (end > start) ranges.Add(new SearchHighlightRange(start, end - start));
+        return ranges;
+    }
+
+    private static string NormalizeSeparators(string s) =>
+        new(s.Select(c => c is '.' or '-' or '_' ? ' ' : c).ToArray());
 }
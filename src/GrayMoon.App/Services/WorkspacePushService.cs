@@ -65,6 +65,19 @@ public sealed class WorkspacePushService(
         return (payload, isMultiLevel);
     }
 
+    /// <summary>
+    /// Order of a dependency-synchronized push (<see cref="RunPushAsync"/>): one wave per dependency level, lowest first;
+    /// repos without a level go with level 0. Within a wave repos keep the payload order. Also used to preview a push.
+    /// </summary>
+    public static IReadOnlyList<PushWave> GetPushWaves(IReadOnlyList<PushRepoPayload> payload)
+    {
+        return payload
+            .GroupBy(p => p.DependencyLevel ?? 0)
+            .OrderBy(g => g.Key)
+            .Select(g => new PushWave(g.Key, g.ToList()))
+            .ToList();
+    }
+
     /// <summary>
     /// Runs dependency-synchronized push: sync package registries (unless already done by caller), then push by level (lowest first).
     /// For each level, waits until required packages are in registry (or pushes all at once if not possible), then pushes all repos at that level in parallel.
@@ -159,18 +172,17 @@ public sealed class WorkspacePushService(
             return;
         }
 
-        var levelsAsc = payload.Select(p => p.DependencyLevel ?? 0).Distinct().OrderBy(x => x).ToList();
+        var waves = GetPushWaves(payload);
+        var levelsAsc = waves.Select(w => w.Level).ToList();
         var lastLevel = levelsAsc[^1];
         var pushedRepos = new List<PushRepoPayload>();
         _logger.LogInformation(
             "[PushOrchestrator {RunId}] Workspace {WorkspaceId}: {LevelCount} level(s) to push: {Levels}",
             runId, workspaceId, levelsAsc.Count,
             string.Join(", ", levelsAsc.Select(l => $"L{l}={payload.Count(p => (p.DependencyLevel ?? 0) == l)} repo(s)")));
-        foreach (var level in levelsAsc)
+        foreach (var (level, reposAtLevel) in waves)
         {
             cancellationToken.ThrowIfCancellationRequested();
-            var reposAtLevel = payload.Where(p => (p.DependencyLevel ?? 0) == level).ToList();
-            if (reposAtLevel.Count == 0) continue;
             var levelProgress = onProgressMessage == null ? (Action<string>?)null : msg => onProgressMessage($"{msg}\nLevel {level}");
 
             _logger.LogInformation(
@@ -453,12 +465,9 @@ public sealed class WorkspacePushService(
             return;
         }
 
-        var levelsAsc = payload.Select(p => p.DependencyLevel ?? 0).Distinct().OrderBy(x => x).ToList();
-        foreach (var level in levelsAsc)
+        foreach (var (level, reposAtLevel) in GetPushWaves(payload))
         {
             cancellationToken.ThrowIfCancellationRequested();
-            var reposAtLevel = payload.Where(p => (p.DependencyLevel ?? 0) == level).ToList();
-            if (reposAtLevel.Count == 0) continue;
             var levelProgress = onProgressMessage == null ? (Action<string>?)null : msg => onProgressMessage($"{msg}\nLevel {level}");
             levelProgress?.Invoke($"Pushing {reposAtLevel.Count} {(reposAtLevel.Count == 1 ? "repository" : "repositories")}...");
             await PushReposAsync(workspace, reposAtLevel, bearerByRepoId, levelProgress, onRepoError, onAppSideComplete: null, cancellationToken: cancellationToken);
@@ -21,5 +21,22 @@ public static class WorkspaceUrlHelper
 
         return $"/workspaces/{workspaceId}/dependencies";
     }
-}
 
+    /// <summary>Builds the Repositories page URL for a workspace that scrolls to and highlights the given repository's row.</summary>
+    public static string GetRepositoryRowUrl(int workspaceId, int repositoryId) =>
+        $"/workspaces/{workspaceId}?repo={repositoryId}";
+
+    /// <summary>Repository row actions the Repositories page offers for <c>?action=</c> (see <see cref="GetRepositoryActionUrl"/>).</summary>
+    public const string SyncAction = "sync";
+    public const string PushAction = "push";
+    public const string UpdateDependenciesAction = "update";
+    public const string SwitchBranchAction = "branch";
+
+    /// <summary>
+    /// Builds the Repositories page URL that focuses the given repository's row and then offers one of its row actions
+    /// (<see cref="SyncAction"/>, <see cref="PushAction"/>, <see cref="UpdateDependenciesAction"/> or <see cref="SwitchBranchAction"/>)
+    /// for the user to confirm; the URL never runs an action by itself.
+    /// </summary>
+    public static string GetRepositoryActionUrl(int workspaceId, int repositoryId, string action) =>
+        $"/workspaces/{workspaceId}?repo={repositoryId}&action={Uri.EscapeDataString(action)}";
+}
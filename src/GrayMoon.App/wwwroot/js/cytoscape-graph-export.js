@@ -0,0 +1,280 @@
+/**
+ * Export the dependency graph drawn by renderCytoscapeGraph: PNG, SVG, Graphviz DOT and Mermaid.
+ * Exports contain exactly the elements currently in the Cytoscape instance (i.e. the filtered graph).
+ * Node type (service/package/other) is kept as border colour, dependency level as cluster/subgraph,
+ * version drift as edge colour and label; status badges are only kept in PNG and SVG.
+ * Edges hidden by the "only drifted edges" toggle are left out.
+ * Swimlane background nodes of the "levels" layout are only kept in the PNG snapshot.
+ * Repositories expanded into their projects are exported collapsed, with their repository edges; projects are only in the PNG snapshot.
+ */
+(function () {
+    var BACKGROUND = '#1a1a1a';
+    var NODE_FILL = '#27272a';
+    var TEXT_COLOR = '#fafafa';
+    var EDGE_COLOR = '#71717a';
+    var LANE_COLOR = '#3e3e42';
+    var LANE_TEXT = '#858585';
+    var DRIFT_COLOR = '#ffc107';
+    var TYPE_COLORS = { service: '#ffb454', package: '#39bae6', other: '#d946ef' };
+
+    function typeColor(nodeType) {
+        return TYPE_COLORS[nodeType] || TYPE_COLORS.other;
+    }
+
+    function nodeName(node) {
+        return node.data('name') || node.data('label') || node.id();
+    }
+
+    function repoNodes(cy) {
+        return cy.nodes().not('.gm-lane').not('.gm-project').not('.gm-diff-ghost');
+    }
+
+    function visibleEdges(cy) {
+        return cy.edges().not('.gm-drift-hidden').not('.gm-project-edge').not('.gm-diff-ghost');
+    }
+
+    /** Drawn size of a repository node; an expanded one (compound) is exported at its collapsed size. */
+    function nodeSize(node) {
+        if (!node.isParent()) return { w: node.width(), h: node.height() };
+        return { w: 140, h: node.hasClass('gm-has-status') ? 56 : 40 };
+    }
+
+    /** Point where the line from the centre of one node to the centre of another leaves the other's box. */
+    function boxBorderPoint(from, node) {
+        var c = node.position();
+        var size = nodeSize(node);
+        var dx = from.x - c.x;
+        var dy = from.y - c.y;
+        if (dx === 0 && dy === 0) return { x: c.x, y: c.y };
+        var scale = Math.min(dx !== 0 ? size.w / 2 / Math.abs(dx) : Infinity, dy !== 0 ? size.h / 2 / Math.abs(dy) : Infinity);
+        return { x: c.x + dx * scale, y: c.y + dy * scale };
+    }
+
+    /** Edge endpoints as drawn; edges hidden behind project edges are drawn between the collapsed repository boxes. */
+    function edgeEndpoints(edge) {
+        if (!edge.hasClass('gm-expanded-hidden')) return { s: edge.sourceEndpoint(), t: edge.targetEndpoint() };
+        return { s: boxBorderPoint(edge.target().position(), edge.source()), t: boxBorderPoint(edge.source().position(), edge.target()) };
+    }
+
+    function isDrifted(edge) {
+        return edge.hasClass('gm-drift');
+    }
+
+    function hasLevel(node) {
+        var level = node.data('level');
+        return level !== undefined && level !== null;
+    }
+
+    /** Repository nodes grouped by dependency level, ascending; nodes without a level come last under key null. */
+    function groupByLevel(cy) {
+        var groups = {};
+        var keys = [];
+        repoNodes(cy).forEach(function (node) {
+            var key = hasLevel(node) ? String(node.data('level')) : 'none';
+            if (!groups[key]) {
+                groups[key] = [];
+                keys.push(key);
+            }
+            groups[key].push(node);
+        });
+        keys.sort(function (a, b) {
+            if (a === 'none') return 1;
+            if (b === 'none') return -1;
+            return Number(a) - Number(b);
+        });
+        return keys.map(function (key) {
+            return { level: key === 'none' ? null : Number(key), nodes: groups[key] };
+        });
+    }
+
+    function escapeDot(s) {
+        return String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    function escapeMermaid(s) {
+        return String(s).replace(/"/g, '#quot;');
+    }
+
+    function escapeXml(s) {
+        return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function exportId(node) {
+        return 'r' + node.id().replace(/[^A-Za-z0-9_]/g, '_');
+    }
+
+    function toDot(cy) {
+        var lines = [];
+        lines.push('digraph dependencies {');
+        lines.push('    rankdir=TB;');
+        lines.push('    graph [bgcolor="' + BACKGROUND + '", fontname="Helvetica", fontcolor="' + LANE_TEXT + '"];');
+        lines.push('    node [shape=box, style=filled, fillcolor="' + NODE_FILL + '", fontcolor="' + TEXT_COLOR + '", fontname="Helvetica", fontsize=11];');
+        lines.push('    edge [color="' + EDGE_COLOR + '", arrowsize=0.8];');
+        groupByLevel(cy).forEach(function (group) {
+            var indent = '    ';
+            if (group.level !== null) {
+                lines.push('    subgraph cluster_level_' + group.level + ' {');
+                lines.push('        label="Level ' + group.level + '";');
+                lines.push('        color="' + LANE_COLOR + '";');
+                indent = '        ';
+            }
+            group.nodes.forEach(function (node) {
+                lines.push(indent + exportId(node) + ' [label="' + escapeDot(nodeName(node)) + '", color="' + typeColor(node.data('nodeType')) + '"];');
+            });
+            if (group.level !== null) lines.push('    }');
+        });
+        visibleEdges(cy).forEach(function (edge) {
+            var attrs = isDrifted(edge) ? ' [color="' + DRIFT_COLOR + '", fontcolor="' + DRIFT_COLOR + '", fontsize=9, label="' + escapeDot(edge.data('versionLabel')) + '"]' : '';
+            lines.push('    ' + exportId(edge.source()) + ' -> ' + exportId(edge.target()) + attrs + ';');
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    function toMermaid(cy) {
+        var lines = ['graph TD'];
+        var byType = {};
+        groupByLevel(cy).forEach(function (group) {
+            var indent = '    ';
+            if (group.level !== null) {
+                lines.push('    subgraph level_' + group.level + '["Level ' + group.level + '"]');
+                indent = '        ';
+            }
+            group.nodes.forEach(function (node) {
+                var id = exportId(node);
+                lines.push(indent + id + '["' + escapeMermaid(nodeName(node)) + '"]');
+                var type = TYPE_COLORS[node.data('nodeType')] ? node.data('nodeType') : 'other';
+                (byType[type] = byType[type] || []).push(id);
+            });
+            if (group.level !== null) lines.push('    end');
+        });
+        var driftedLinks = [];
+        visibleEdges(cy).forEach(function (edge, i) {
+            var label = isDrifted(edge) ? '|"' + escapeMermaid(edge.data('versionLabel')) + '"|' : '';
+            if (label) driftedLinks.push(i);
+            lines.push('    ' + exportId(edge.source()) + ' -->' + label + ' ' + exportId(edge.target()));
+        });
+        if (driftedLinks.length > 0) {
+            lines.push('    linkStyle ' + driftedLinks.join(',') + ' stroke:' + DRIFT_COLOR + ',color:' + DRIFT_COLOR);
+        }
+        Object.keys(byType).forEach(function (type) {
+            lines.push('    classDef ' + type + ' fill:' + NODE_FILL + ',stroke:' + TYPE_COLORS[type] + ',color:' + TEXT_COLOR);
+            lines.push('    class ' + byType[type].join(',') + ' ' + type);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /** Greedy word wrap matching the canvas 'text-max-width' closely enough for export (about 20 chars per line). */
+    function wrapLabel(label, maxChars) {
+        var words = String(label).split(/\s+/);
+        var lines = [];
+        var current = '';
+        words.forEach(function (word) {
+            if (current && (current + ' ' + word).length > maxChars) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = current ? current + ' ' + word : word;
+            }
+        });
+        if (current) lines.push(current);
+        return lines;
+    }
+
+    function toSvg(cy) {
+        var bb = cy.elements().not('.gm-lane').not('.gm-project').not('.gm-project-edge').not('.gm-diff-ghost').boundingBox();
+        var pad = 20;
+        var x0 = bb.x1 - pad;
+        var y0 = bb.y1 - pad;
+        var width = Math.ceil(bb.w + pad * 2);
+        var height = Math.ceil(bb.h + pad * 2);
+        var out = [];
+        out.push('<?xml version="1.0" encoding="UTF-8"?>');
+        out.push('<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '" font-family="Helvetica, Arial, sans-serif">');
+        out.push('<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">'
+            + '<path d="M 0 0 L 10 5 L 0 10 z" fill="' + EDGE_COLOR + '"/></marker>'
+            + '<marker id="arrow-drift" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">'
+            + '<path d="M 0 0 L 10 5 L 0 10 z" fill="' + DRIFT_COLOR + '"/></marker></defs>');
+        out.push('<rect x="0" y="0" width="' + width + '" height="' + height + '" fill="' + BACKGROUND + '"/>');
+        visibleEdges(cy).forEach(function (edge) {
+            var ends = edgeEndpoints(edge);
+            var s = ends.s;
+            var t = ends.t;
+            var drifted = isDrifted(edge);
+            out.push('<line x1="' + (s.x - x0).toFixed(1) + '" y1="' + (s.y - y0).toFixed(1) + '" x2="' + (t.x - x0).toFixed(1) + '" y2="' + (t.y - y0).toFixed(1)
+                + '" stroke="' + (drifted ? DRIFT_COLOR : EDGE_COLOR) + '" stroke-width="1.5" marker-end="url(#' + (drifted ? 'arrow-drift' : 'arrow') + ')"/>');
+            if (drifted) {
+                out.push('<text x="' + ((s.x + t.x) / 2 - x0).toFixed(1) + '" y="' + ((s.y + t.y) / 2 - y0).toFixed(1) + '" fill="' + DRIFT_COLOR
+                    + '" font-size="10" text-anchor="middle" dominant-baseline="central" stroke="' + BACKGROUND + '" stroke-width="3" paint-order="stroke">'
+                    + escapeXml(edge.data('versionLabel')) + '</text>');
+            }
+        });
+        repoNodes(cy).forEach(function (node) {
+            var p = node.position();
+            var size = nodeSize(node);
+            var w = size.w;
+            var h = size.h;
+            var x = p.x - w / 2 - x0;
+            var y = p.y - h / 2 - y0;
+            var level = hasLevel(node) ? ' data-level="' + node.data('level') + '"' : '';
+            out.push('<g data-type="' + escapeXml(node.data('nodeType') || 'other') + '"' + level + '>');
+            out.push('<title>' + escapeXml(node.data('statusTitle') || nodeName(node)) + '</title>');
+            out.push('<rect x="' + x.toFixed(1) + '" y="' + y.toFixed(1) + '" width="' + w + '" height="' + h + '" fill="' + NODE_FILL + '" stroke="' + typeColor(node.data('nodeType')) + '" stroke-width="1"/>');
+            var badgeImage = node.data('badgeImage');
+            if (badgeImage) {
+                out.push('<image href="' + escapeXml(badgeImage) + '" x="' + (p.x - 68 - x0).toFixed(1) + '" y="' + (y + h - 18).toFixed(1) + '" width="136" height="14"/>');
+            }
+            var lines = wrapLabel(node.data('label') || node.id(), 20);
+            var lineHeight = 13;
+            var firstY = p.y - y0 - (badgeImage ? 8 : 0) - ((lines.length - 1) * lineHeight) / 2;
+            out.push('<text fill="' + TEXT_COLOR + '" font-size="11" text-anchor="middle" dominant-baseline="central">');
+            lines.forEach(function (line, i) {
+                out.push('<tspan x="' + (p.x - x0).toFixed(1) + '" y="' + (firstY + i * lineHeight).toFixed(1) + '">' + escapeXml(line) + '</tspan>');
+            });
+            out.push('</text></g>');
+        });
+        out.push('</svg>');
+        return out.join('\n') + '\n';
+    }
+
+    function download(blob, fileName) {
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.rel = 'noopener';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+    }
+
+    /**
+     * Download the current graph.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {'png'|'svg'|'dot'|'mermaid'} format - Export format
+     * @param {string} baseName - File name without extension
+     * @returns {boolean} False when there is no graph to export
+     */
+    window.exportCytoscapeGraph = function (containerId, format, baseName) {
+        var cy = window['__cy_' + containerId];
+        if (!cy || cy.destroyed() || repoNodes(cy).empty()) return false;
+        baseName = baseName || 'dependencies';
+        switch (format) {
+            case 'png':
+                download(cy.png({ output: 'blob', full: true, scale: 3, bg: BACKGROUND, maxWidth: 12000, maxHeight: 12000 }), baseName + '.png');
+                return true;
+            case 'svg':
+                download(new Blob([toSvg(cy)], { type: 'image/svg+xml' }), baseName + '.svg');
+                return true;
+            case 'dot':
+                download(new Blob([toDot(cy)], { type: 'text/vnd.graphviz' }), baseName + '.dot');
+                return true;
+            case 'mermaid':
+                download(new Blob([toMermaid(cy)], { type: 'text/plain' }), baseName + '.mmd');
+                return true;
+            default:
+                return false;
+        }
+    };
+})();
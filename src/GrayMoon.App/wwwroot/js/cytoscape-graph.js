@@ -1,128 +1,2098 @@
-/**
- * Render a dependency graph with Cytoscape (dark scheme).
- * @param {string} containerId - Id of the div element to render into
- * @param {Array<{id: string, label: string}>} nodes - Nodes with id and label
- * @param {Array<{source: string, target: string}>} edges - Edges with source and target node ids
- * @param {string[]} [roots] - Optional node ids to use as roots (no incoming edges). Layout flows from these for a clear hierarchy.
- */
-window.renderCytoscapeGraph = function (containerId, nodes, edges, roots) {
-    var container = document.getElementById(containerId);
-    if (!container || typeof cytoscape === 'undefined') return null;
-
-    var nodeElements = (nodes || []).map(function (n) {
-        return { data: { id: String(n.id), label: n.label || String(n.id), nodeType: n.nodeType || 'other' } };
-    });
-    var edgeElements = (edges || []).map(function (e, i) {
-        return { data: { id: 'e' + i, source: String(e.source), target: String(e.target) } };
-    });
-
-    container.style.backgroundColor = '#1a1a1a';
-
-    if (typeof cytoscapeDagre !== 'undefined') cytoscape.use(cytoscapeDagre);
-
-    var cy = cytoscape({
-        container: container,
-        elements: nodeElements.concat(edgeElements),
-        style: [
-            {
-                selector: 'node',
-                style: {
-                    'shape': 'rectangle',
-                    'background-color': '#27272a',
-                    'label': 'data(label)',
-                    'color': '#fafafa',
-                    'text-valign': 'center',
-                    'text-halign': 'center',
-                    'font-size': '11px',
-                    'text-wrap': 'wrap',
-                    'text-max-width': '120px',
-                    'padding': '1px',
-                    'border-width': 1,
-                    'border-color': '#d946ef',
-                    'width': 140,
-                    'height': 40
-                }
-            },
-            {
-                selector: 'node[nodeType = "service"]',
-                style: {
-                    'border-color': '#ffb454',
-                    'border-width': 1
-                }
-            },
-            {
-                selector: 'node[nodeType = "package"]',
-                style: {
-                    'border-color': '#39bae6',
-                    'border-width': 1
-                }
-            },
-            {
-                selector: 'edge',
-                style: {
-                    'width': 1.5,
-                    'line-color': '#71717a',
-                    'target-arrow-color': '#71717a',
-                    'target-arrow-shape': 'triangle',
-                    'curve-style': 'bezier',
-                    'arrow-scale': 0.85
-                }
+(function () {
+    /**
+     * Wire node tap, double-tap and selection events to the .NET page.
+     * Selection changes fire once per element, so they are coalesced into a single callback per frame.
+     * Removing nodes (updateCytoscapeGraph) also reports the selection, since removed nodes drop out of it.
+     * @param {object} cy - Cytoscape instance
+     * @param {object} dotNetRef - DotNetObjectReference exposing OnGraphNodeTapped, OnGraphNodeDoubleTapped and OnGraphSelectionChanged
+     */
+    function wireDotNetEvents(cy, dotNetRef) {
+        var selectionRaf = 0;
+
+        function invoke(method) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            dotNetRef.invokeMethodAsync.apply(dotNetRef, [method].concat(args)).catch(function () { });
+        }
+
+        cy.on('tap', 'node', function (evt) {
+            invoke('OnGraphNodeTapped', evt.target.id());
+        });
+        cy.on('dbltap', 'node', function (evt) {
+            invoke('OnGraphNodeDoubleTapped', evt.target.id());
+        });
+        cy.on('select unselect remove', 'node', function () {
+            if (selectionRaf) return;
+            selectionRaf = requestAnimationFrame(function () {
+                selectionRaf = 0;
+                if (cy.destroyed()) return;
+                invoke('OnGraphSelectionChanged', cy.nodes(':selected').map(function (n) { return n.id(); }));
+            });
+        });
+    }
+
+    var NODE_ACTIONS = [
+        { action: 'sync', label: 'Sync', icon: 'bi-arrow-repeat' },
+        { action: 'push', label: 'Push with dependencies', icon: 'bi-cloud-arrow-up' },
+        { action: 'update', label: 'Update dependencies', icon: 'bi-diagram-3' },
+        { action: 'branch', label: 'Switch branch', icon: 'bi-signpost-2' }
+    ];
+
+    /**
+     * Right-click menu on repository nodes: the row actions of the Repositories page (OnGraphNodeAction offers them there
+     * for confirmation, with the grid's own handlers) and the repository's GitHub pages (the list of the grid's "Open in GitHub..." menu).
+     * Uses the grid's dropdown styling; closes on a click or right-click elsewhere, Escape, zoom or pan.
+     * @param {object} cy - Cytoscape instance
+     * @param {object} dotNetRef - DotNetObjectReference exposing OnGraphNodeAction
+     */
+    function wireContextMenu(cy, dotNetRef) {
+        var menu = document.createElement('div');
+        menu.className = 'gm-gh-dropdown gm-graph-menu';
+        menu.setAttribute('role', 'menu');
+        document.body.appendChild(menu);
+
+        function hide() {
+            menu.classList.remove('gm-gh-dropdown--visible');
+        }
+
+        function addTitle(text) {
+            var title = document.createElement('div');
+            title.className = 'gm-gh-dropdown-title';
+            title.textContent = text;
+            menu.appendChild(title);
+        }
+
+        function addItem(icon, label, onClick) {
+            var row = document.createElement('div');
+            row.className = 'gm-gh-dropdown-item';
+            row.setAttribute('role', 'menuitem');
+            var i = document.createElement('i');
+            i.className = 'bi ' + icon;
+            i.setAttribute('aria-hidden', 'true');
+            var span = document.createElement('span');
+            span.textContent = label;
+            row.appendChild(i);
+            row.appendChild(span);
+            row.addEventListener('click', function () {
+                hide();
+                onClick();
+            });
+            menu.appendChild(row);
+        }
+
+        cy.on('cxttap', 'node', function (evt) {
+            var node = evt.target;
+            if (node.hasClass('gm-lane') || node.hasClass('gm-project') || node.hasClass('gm-diff-ghost')) return;
+            menu.innerHTML = '';
+            addTitle(node.data('name'));
+            NODE_ACTIONS.forEach(function (item) {
+                addItem(item.icon, item.label, function () {
+                    dotNetRef.invokeMethodAsync('OnGraphNodeAction', node.id(), item.action).catch(function () { });
+                });
+            });
+            var url = node.data('url');
+            if (url && window.graymoonGitHubPages) {
+                addTitle('Open in GitHub\u2026');
+                window.graymoonGitHubPages.forEach(function (page) {
+                    addItem(page.icon, page.label, function () {
+                        window.open(url.replace(/\/+$/, '') + page.suffix, '_blank', 'noopener,noreferrer');
+                    });
+                });
             }
-        ],
-        minZoom: 0.2,
-        maxZoom: 3
-    });
+            var at = evt.originalEvent || { clientX: 0, clientY: 0 };
+            menu.style.left = at.clientX + 'px';
+            menu.style.top = at.clientY + 'px';
+            menu.classList.add('gm-gh-dropdown--visible');
+            // Flip towards the pointer when the menu would leave the window
+            var r = menu.getBoundingClientRect();
+            if (r.right > window.innerWidth) menu.style.left = Math.max(0, at.clientX - r.width) + 'px';
+            if (r.bottom > window.innerHeight) menu.style.top = Math.max(0, at.clientY - r.height) + 'px';
+        });
+        cy.on('cxttap', function (evt) {
+            if (evt.target === cy) hide();
+        });
+        cy.on('tap viewport', hide);
+
+        var onDocumentMouseDown = function (e) {
+            if (!menu.contains(e.target)) hide();
+        };
+        var onDocumentKeyDown = function (e) {
+            if (e.key === 'Escape') hide();
+        };
+        var onContainerContextMenu = function (e) { e.preventDefault(); };
+        var container = cy.container();
+        document.addEventListener('mousedown', onDocumentMouseDown);
+        document.addEventListener('keydown', onDocumentKeyDown);
+        container.addEventListener('contextmenu', onContainerContextMenu);
+        cy.scratch('_gmMenuDispose', function () {
+            document.removeEventListener('mousedown', onDocumentMouseDown);
+            document.removeEventListener('keydown', onDocumentKeyDown);
+            container.removeEventListener('contextmenu', onContainerContextMenu);
+            menu.remove();
+        });
+    }
+
+    /**
+     * Hover/selection highlight of the transitive closure around one or more nodes:
+     * consumers (predecessors - repositories that depend on it, directly or not) and dependencies (successors).
+     * Everything outside the closure is faded. While pinned, hover is ignored and the pinned roots stay highlighted.
+     * A dependency path (path finder mode), a rollout simulation or a snapshot comparison takes precedence over both.
+     * Search results apply while nothing is hovered, selected or pinned.
+     */
+    function highlightState(cy) {
+        var state = cy.scratch('_gmHighlight');
+        if (!state) {
+            state = { pinned: false, pinnedIds: null, hoverId: null, path: null, rollout: null, rolloutTimer: 0, search: null, diff: null };
+            cy.scratch('_gmHighlight', state);
+        }
+        return state;
+    }
+
+    function highlightRootIds(cy) {
+        var state = highlightState(cy);
+        if (state.pinned && state.pinnedIds) return state.pinnedIds;
+        if (state.hoverId) return [state.hoverId];
+        return cy.nodes(':selected').map(function (n) { return n.id(); });
+    }
+
+    /** Marks the picked source and target and the nodes and edges of the shortest paths between them; the rest is faded. */
+    function applyPathHighlight(cy, path) {
+        var source = path.source ? cy.getElementById(String(path.source)) : cy.collection();
+        var target = path.target ? cy.getElementById(String(path.target)) : cy.collection();
+        var onPath = cy.collection();
+        (path.nodeIds || []).forEach(function (id) { onPath = onPath.union(cy.getElementById(String(id))); });
+        (path.edges || []).forEach(function (e) { onPath = onPath.union(cy.getElementById('e:' + e.source + '->' + e.target)); });
+        source.addClass('gm-path-source');
+        target.addClass('gm-path-target');
+        onPath.addClass('gm-path');
+        if (onPath.empty()) return;
+        var kept = onPath.union(source).union(target);
+        kept = kept.union(kept.nodes().descendants());
+        cy.elements().not('.gm-lane').not(kept).addClass('gm-faded');
+    }
+
+    /**
+     * Numbers the repositories of a rollout in push order and colours the waves reached so far; the source is marked,
+     * edges between reached repositories are coloured and everything outside the rollout is faded.
+     */
+    function applyRolloutHighlight(cy, rollout) {
+        var inRollout = cy.collection();
+        var reached = cy.collection();
+        var order = 0;
+        rollout.waves.forEach(function (wave, i) {
+            (wave.repositoryIds || []).forEach(function (id) {
+                order++;
+                var node = cy.getElementById(String(id));
+                if (node.empty()) return;
+                node.data('rolloutLabel', order + '. ' + node.data('label'));
+                node.addClass('gm-rollout');
+                inRollout = inRollout.union(node);
+                if (i <= rollout.reached) reached = reached.union(node);
+                if (i === rollout.reached) node.addClass('gm-rollout-current');
+            });
+        });
+        reached.addClass('gm-rollout-reached');
+        reached.edgesWith(reached).addClass('gm-rollout-reached');
+        cy.getElementById(String(rollout.source)).addClass('gm-rollout-source');
+        var kept = inRollout.union(inRollout.edgesWith(inRollout));
+        kept = kept.union(kept.nodes().descendants());
+        cy.elements().not('.gm-lane').not(kept).addClass('gm-faded');
+    }
 
-    var nodeCount = (nodes || []).length;
-    var edgeCount = (edges || []).length;
-    var layout;
-    if (edgeCount === 0 && nodeCount > 0) {
-        /* No connections: distribute nodes in a grid (2+ columns when we have 2+ nodes) */
+    /**
+     * Repositories and edges that are only in the compared snapshot, drawn as ghosts (ids prefixed with "diff:" so a repository
+     * or edge that comes back on a live update does not collide with its ghost). Layouts only handle the live graph, so
+     * runLayout takes the ghosts out first and places them next to their neighbours afterwards.
+     */
+    function detachDiffGhosts(cy) {
+        cy.remove('.gm-diff-ghost');
+    }
+
+    function diffGhostNodeId(id) {
+        return 'diff:' + id;
+    }
+
+    function attachDiffGhosts(cy) {
+        var diff = highlightState(cy).diff;
+        if (!diff) return;
+        var ghosts = cy.collection();
+        cy.batch(function () {
+            (diff.removedNodes || []).forEach(function (n) {
+                ghosts = ghosts.union(cy.add({
+                    group: 'nodes',
+                    data: { id: diffGhostNodeId(n.id), label: n.label || String(n.id), name: n.name || n.label || String(n.id), nodeType: n.nodeType || 'other' },
+                    classes: 'gm-diff-ghost gm-new',
+                    selectable: false
+                }));
+            });
+            (diff.removedEdges || []).forEach(function (e) {
+                var source = cy.getElementById(diffGhostNodeId(e.source)).nonempty() ? diffGhostNodeId(e.source) : String(e.source);
+                var target = cy.getElementById(diffGhostNodeId(e.target)).nonempty() ? diffGhostNodeId(e.target) : String(e.target);
+                if (cy.getElementById(source).empty() || cy.getElementById(target).empty()) return;
+                cy.add({ group: 'edges', data: { id: 'diff:e:' + e.source + '->' + e.target, source: source, target: target }, classes: 'gm-diff-ghost' });
+            });
+            ghosts.forEach(function (node, i) { placeNewNode(cy, node, i); });
+            ghosts.removeClass('gm-new');
+        });
+    }
+
+    /**
+     * Snapshot comparison: repositories and edges added since the snapshot are green, removed ones (ghosts) red and dashed,
+     * everything that did not change is dimmed.
+     */
+    function applyDiffHighlight(cy, diff) {
+        var changed = cy.elements('.gm-diff-ghost');
+        (diff.addedNodeIds || []).forEach(function (id) { changed = changed.union(cy.getElementById(String(id))); });
+        (diff.addedEdges || []).forEach(function (e) { changed = changed.union(cy.getElementById('e:' + e.source + '->' + e.target)); });
+        changed.not('.gm-diff-ghost').addClass('gm-diff-added');
+        changed.filter('.gm-diff-ghost').addClass('gm-diff-removed');
+        var kept = changed.union(changed.nodes().descendants());
+        cy.elements().not('.gm-lane').not(kept).addClass('gm-diff-unchanged');
+    }
+
+    var SEARCH_LABEL_CHARS = 20;
+    var SEARCH_LINE_HEIGHT = 13;
+
+    /** Greedy word wrap close to the canvas 'text-max-width'; returns the [start, end) offsets of each line in the label. */
+    function wrapLabelLines(label, maxChars) {
+        var lines = [];
+        var current = null;
+        var word;
+        var words = /\S+/g;
+        while ((word = words.exec(label)) !== null) {
+            var end = word.index + word[0].length;
+            if (current && end - current.start > maxChars) {
+                lines.push(current);
+                current = null;
+            }
+            if (current) current.end = end;
+            else current = { start: word.index, end: end };
+        }
+        if (current) lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Node label as an SVG data URI with the search matches drawn bold and yellow (canvas labels cannot style part of the text).
+     * The status strip is drawn below the text on nodes that have one, since the image replaces the node's own background image.
+     */
+    function searchLabelImage(node, ranges) {
+        var label = String(node.data('label'));
+        var badge = node.data('badgeImage');
+        var height = badge ? 56 : 40;
+        var lines = wrapLabelLines(label, SEARCH_LABEL_CHARS);
+        var y = 20 - (lines.length - 1) * SEARCH_LINE_HEIGHT / 2 + 4;
+        var parts = lines.map(function (line, i) {
+            var spans = [];
+            var at = line.start;
+            ranges.forEach(function (r) {
+                var start = Math.max(r.start, line.start);
+                var end = Math.min(r.start + r.length, line.end);
+                if (start >= end) return;
+                if (start > at) spans.push('<tspan>' + escapeSvgText(label.slice(at, start)) + '</tspan>');
+                spans.push('<tspan fill="#facc15" font-weight="bold">' + escapeSvgText(label.slice(start, end)) + '</tspan>');
+                at = end;
+            });
+            if (at < line.end) spans.push('<tspan>' + escapeSvgText(label.slice(at, line.end)) + '</tspan>');
+            return '<text x="' + BADGE_WIDTH / 2 + '" y="' + (y + i * SEARCH_LINE_HEIGHT).toFixed(1) + '" text-anchor="middle" xml:space="preserve">' + spans.join('') + '</text>';
+        });
+        if (badge) parts.push('<image x="0" y="' + (height - BADGE_HEIGHT - 4) + '" width="' + BADGE_WIDTH + '" height="' + BADGE_HEIGHT + '" href="' + badge + '"/>');
+        var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + BADGE_WIDTH + '" height="' + height + '" font-family="Helvetica, Arial, sans-serif" font-size="11" fill="#fafafa">'
+            + parts.join('') + '</svg>';
+        return 'data:image/svg+xml;utf8,' + encodeURIComponent(svg);
+    }
+
+    /**
+     * Search results: matching repositories keep their full opacity and show the matched text highlighted in their label;
+     * every other node and edge (bar edges between two matches) is faded.
+     */
+    function applySearchHighlight(cy, search) {
+        var matches = cy.collection();
+        (search.matchIds || []).forEach(function (id) { matches = matches.union(cy.getElementById(String(id))); });
+        matches.forEach(function (node) {
+            var ranges = (search.highlights || {})[node.id()];
+            if (!ranges || ranges.length === 0 || node.isParent()) return;
+            node.data('searchLabelImage', searchLabelImage(node, ranges));
+            node.addClass('gm-search-label');
+        });
+        var kept = matches.union(matches.edgesWith(matches));
+        kept = kept.union(kept.nodes().descendants());
+        cy.elements().not('.gm-lane').not(kept).addClass('gm-faded');
+    }
+
+    function searchMatches(cy) {
+        var search = highlightState(cy).search;
+        var matches = cy.collection();
+        if (search) (search.matchIds || []).forEach(function (id) { matches = matches.union(cy.getElementById(String(id))); });
+        return matches;
+    }
+
+    function refreshHighlight(cy) {
+        var classes = 'gm-hl-root gm-hl-consumer gm-hl-dependency gm-faded gm-path gm-path-source gm-path-target'
+            + ' gm-rollout gm-rollout-reached gm-rollout-current gm-rollout-source gm-search-label'
+            + ' gm-diff-added gm-diff-removed gm-diff-unchanged';
+        var state = highlightState(cy);
+        if (state.path || state.rollout || state.diff) {
+            cy.batch(function () {
+                cy.elements().removeClass(classes);
+                if (state.rollout) applyRolloutHighlight(cy, state.rollout);
+                else if (state.path) applyPathHighlight(cy, state.path);
+                else applyDiffHighlight(cy, state.diff);
+            });
+            return;
+        }
+        var ids = highlightRootIds(cy);
+        var roots = cy.collection();
+        ids.forEach(function (id) { roots = roots.union(cy.getElementById(id)); });
+        cy.batch(function () {
+            cy.elements().removeClass(classes);
+            if (roots.empty()) {
+                if (state.search) applySearchHighlight(cy, state.search);
+                return;
+            }
+            var consumers = roots.predecessors();
+            var dependencies = roots.successors();
+            /*
+             * A faded compound parent fades its projects too, so the containers of highlighted projects stay visible,
+             * as do the projects (and project edges) inside highlighted repositories.
+             */
+            var kept = roots.union(consumers).union(dependencies);
+            kept = kept.union(kept.parents()).union(kept.nodes().descendants());
+            kept = kept.union(cy.edges('.gm-project-edge').filter(function (e) { return kept.has(e.source()) && kept.has(e.target()); }));
+            cy.elements().not('.gm-lane').not(kept).addClass('gm-faded');
+            consumers.addClass('gm-hl-consumer');
+            dependencies.addClass('gm-hl-dependency');
+            roots.addClass('gm-hl-root');
+        });
+    }
+
+    /**
+     * Wire the hover/selection highlight. A re-render restores the pin from pinnedIds (the page keeps them); when none of those
+     * repositories is in the graph any more there is nothing to pin, so the highlight is unpinned. Moving or dropping the pin is
+     * reported to OnGraphHighlightPinChanged so the page can pass the ids back on the next render.
+     * @param {object} cy - Cytoscape instance
+     * @param {boolean} pinned - Whether the highlight was pinned
+     * @param {string[]} [pinnedIds] - Node ids the highlight was pinned to
+     * @param {object} [dotNetRef] - DotNetObjectReference exposing OnGraphHighlightPinChanged
+     */
+    function wireHighlight(cy, pinned, pinnedIds, dotNetRef) {
+        var state = highlightState(cy);
+        function reportPin() {
+            if (dotNetRef) dotNetRef.invokeMethodAsync('OnGraphHighlightPinChanged', state.pinned ? state.pinnedIds : null).catch(function () { });
+        }
+        state.pinned = !!pinned;
+        state.pinnedIds = state.pinned ? (pinnedIds || []).filter(function (id) { return cy.getElementById(id).nonempty(); }) : null;
+        if (state.pinned && state.pinnedIds.length === 0) {
+            state.pinned = false;
+            state.pinnedIds = null;
+            reportPin();
+        }
+        if (state.pinned) refreshHighlight(cy);
+        cy.on('mouseover', 'node', function (evt) {
+            state.hoverId = evt.target.id();
+            if (!state.pinned) refreshHighlight(cy);
+        });
+        cy.on('mouseout', 'node', function () {
+            state.hoverId = null;
+            if (!state.pinned) refreshHighlight(cy);
+        });
+        cy.on('tap', 'node', function (evt) {
+            if (state.pinned) {
+                state.pinnedIds = [evt.target.id()];
+                refreshHighlight(cy);
+                reportPin();
+            }
+        });
+        cy.on('select unselect', 'node', function () {
+            if (!state.pinned) refreshHighlight(cy);
+        });
+    }
+
+    var LAYOUT_MODES = ['dagre-tb', 'dagre-lr', 'levels', 'grid'];
+    var LANE_COLUMN_WIDTH = 170;
+    var LANE_HEIGHT = 100;
+    var LANE_PADDING = 40;
+
+    function repoNodes(cy) {
+        return cy.nodes().not('.gm-lane').not('.gm-project').not('.gm-diff-ghost');
+    }
+
+    function gridLayoutOptions(nodeCount) {
+        /* Distribute nodes in a grid (2+ columns when we have 2+ nodes) */
         var gridOpts = { name: 'grid', fit: false, padding: 20, condense: false };
         if (nodeCount === 1) {
             gridOpts.rows = 1;
         } else {
             gridOpts.cols = Math.max(2, Math.ceil(Math.sqrt(nodeCount)));
         }
-        layout = cy.layout(gridOpts);
-    } else {
-        var layoutOpts = { name: 'dagre', rankDir: 'TB', nodeSep: 50, rankSep: 70, edgeSep: 20, padding: 10, ranker: 'network-simplex' };
+        return gridOpts;
+    }
+
+    /**
+     * Swimlane layout: one horizontal band per dependency level, highest level on top so edges point down
+     * like the dagre TB layout; repositories without a level go into a last "No dependencies" lane.
+     * Within a lane nodes are ordered by the mean column of their neighbours in lanes already placed (barycenter),
+     * which keeps most edges short without running a full crossing minimisation.
+     */
+    function levelsLayout(cy) {
+        var nodes = repoNodes(cy);
+        var laneKeys = [];
+        var byLane = {};
+        nodes.forEach(function (node) {
+            var level = node.data('level');
+            var key = level === null || level === undefined ? 'none' : String(level);
+            if (!byLane[key]) {
+                byLane[key] = [];
+                laneKeys.push(key);
+            }
+            byLane[key].push(node);
+        });
+        laneKeys.sort(function (a, b) {
+            if (a === 'none') return 1;
+            if (b === 'none') return -1;
+            return Number(b) - Number(a);
+        });
+
+        var column = {};
+        var maxColumns = 1;
+        laneKeys.forEach(function (key) {
+            var lane = byLane[key];
+            lane.forEach(function (node) {
+                var placed = node.neighborhood('node').filter(function (n) { return column[n.id()] !== undefined; });
+                node.scratch('_gmBary', placed.empty() ? null : placed.reduce(function (sum, n) { return sum + column[n.id()]; }, 0) / placed.length);
+            });
+            lane.sort(function (a, b) {
+                var ba = a.scratch('_gmBary');
+                var bb = b.scratch('_gmBary');
+                if (ba !== null && bb !== null && ba !== bb) return ba - bb;
+                if (ba !== null && bb === null) return -1;
+                if (ba === null && bb !== null) return 1;
+                return String(a.data('label')).localeCompare(String(b.data('label')));
+            });
+            lane.forEach(function (node, i) { column[node.id()] = i - (lane.length - 1) / 2; });
+            maxColumns = Math.max(maxColumns, lane.length);
+        });
+
+        cy.remove('.gm-lane');
+        /* Any cycle leaves every level undefined, so the last lane is not "no dependencies" then */
+        var noLevelLabel = nodes.filter('.gm-cycle').nonempty() ? 'No level (dependency cycle)' : 'No dependencies';
+        var laneWidth = maxColumns * LANE_COLUMN_WIDTH + LANE_PADDING;
+        var positions = {};
+        laneKeys.forEach(function (key, laneIndex) {
+            var y = laneIndex * LANE_HEIGHT;
+            cy.add({
+                group: 'nodes',
+                data: { id: '__lane_' + key, label: key === 'none' ? noLevelLabel : 'Level ' + key, laneWidth: laneWidth, laneHeight: LANE_HEIGHT - 10 },
+                classes: 'gm-lane',
+                selectable: false,
+                grabbable: false
+            });
+            positions['__lane_' + key] = { x: 0, y: y };
+            byLane[key].forEach(function (node) {
+                positions[node.id()] = { x: column[node.id()] * LANE_COLUMN_WIDTH, y: y };
+            });
+        });
+
+        return cy.layout({
+            name: 'preset',
+            fit: false,
+            positions: function (node) { return positions[node.id()] || node.position(); }
+        });
+    }
+
+    var LAYOUT_WORKER_URL = 'js/cytoscape-layout-worker.js';
+    var WORKER_LAYOUT_MIN_NODES = 40;
+    var LAYOUT_CACHE_KEY = 'graymoon:graph-layout-cache';
+    var LAYOUT_CACHE_SIZE = 10;
+
+    /** Shared layout worker; false once it failed to start or crashed (layouts then run on the main thread again). */
+    var layoutWorker = null;
+    var layoutCallbacks = {};
+    var layoutRequestSeq = 0;
+
+    function getLayoutWorker() {
+        if (layoutWorker !== null) return layoutWorker;
+        try {
+            layoutWorker = new Worker(LAYOUT_WORKER_URL);
+        } catch (e) {
+            layoutWorker = false;
+            return false;
+        }
+        layoutWorker.onmessage = function (e) {
+            var callback = layoutCallbacks[e.data.requestId];
+            delete layoutCallbacks[e.data.requestId];
+            if (callback) callback(e.data.positions || null);
+        };
+        layoutWorker.onerror = function (e) {
+            if (e.preventDefault) e.preventDefault();
+            layoutWorker.terminate();
+            layoutWorker = false;
+            var pending = layoutCallbacks;
+            layoutCallbacks = {};
+            Object.keys(pending).forEach(function (id) { pending[id](null); });
+        };
+        return layoutWorker;
+    }
+
+    /**
+     * Identity of a layout input: the mode, every node id with its size and every edge. Equal inputs give equal dagre
+     * positions, so a hash of them keys the position cache.
+     */
+    function layoutHash(cy, mode) {
+        var parts = cy.nodes().map(function (n) {
+            var d = n.layoutDimensions({ nodeDimensionsIncludeLabels: false });
+            return n.id() + ':' + Math.round(d.w) + 'x' + Math.round(d.h);
+        }).sort();
+        parts = parts.concat(cy.edges().map(function (e) { return e.source().id() + '>' + e.target().id(); }).sort());
+        var text = mode + '|' + parts.join('|');
+        // cyrb53: fast 53-bit string hash, plenty for a handful of cached layouts
+        var h1 = 0xdeadbeef;
+        var h2 = 0x41c6ce57;
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /** Computed (not hand-arranged) dagre positions of the last few graphs, most recent first, so returning to a page skips the layout. */
+    function loadLayoutCache() {
         try {
-            layout = cy.layout(layoutOpts);
+            var cache = JSON.parse(localStorage.getItem(LAYOUT_CACHE_KEY) || '[]');
+            return Array.isArray(cache) ? cache : [];
         } catch (e) {
+            return [];
+        }
+    }
+
+    function getCachedLayout(hash) {
+        var entry = loadLayoutCache().filter(function (c) { return c.hash === hash; })[0];
+        return entry ? entry.positions : null;
+    }
+
+    function cacheLayout(hash, positions) {
+        var cache = loadLayoutCache().filter(function (c) { return c.hash !== hash; });
+        cache.unshift({ hash: hash, positions: positions });
+        try {
+            localStorage.setItem(LAYOUT_CACHE_KEY, JSON.stringify(cache.slice(0, LAYOUT_CACHE_SIZE)));
+        } catch (e) { /* storage full or disabled: the layout is just computed again next time */ }
+    }
+
+    function nodePositions(nodes) {
+        var positions = {};
+        nodes.forEach(function (n) {
+            var p = n.position();
+            positions[n.id()] = { x: Math.round(p.x), y: Math.round(p.y) };
+        });
+        return positions;
+    }
+
+    /** Tell the page a background layout started or finished (it shows a progress indicator meanwhile). */
+    function notifyLayoutProgress(cy, running, nodeCount) {
+        var dotNetRef = cy.scratch('_gmDotNetRef');
+        if (dotNetRef) dotNetRef.invokeMethodAsync('OnGraphLayoutProgress', running, nodeCount).catch(function () { });
+    }
+
+    /** Drop the result of a background layout that is still running (another layout or a re-render replaces it). */
+    function cancelWorkerLayout(cy) {
+        if (!cy.scratch('_gmLayoutRequest')) return;
+        cy.scratch('_gmLayoutRequest', null);
+        notifyLayoutProgress(cy, false, 0);
+    }
+
+    /**
+     * dagre layout in the layout worker, shaped like a Cytoscape layout (run() and a layoutstop event once the positions are
+     * applied) so runLayout treats it like any other. Until the positions arrive the nodes sit in a rough grid. Falls back to
+     * dagre on the main thread when the worker fails. Returns null when workers are unavailable.
+     */
+    function workerLayout(cy, options, hash) {
+        var worker = getLayoutWorker();
+        if (!worker) return null;
+        return {
+            run: function () {
+                var nodes = cy.nodes();
+                var requestId = ++layoutRequestSeq;
+                cy.scratch('_gmLayoutRequest', requestId);
+                var columns = Math.ceil(Math.sqrt(nodes.length));
+                nodes.positions(function (n, i) { return { x: (i % columns) * 160, y: Math.floor(i / columns) * 70 }; });
+                cy.fit(20);
+                notifyLayoutProgress(cy, true, nodes.length);
+
+                layoutCallbacks[requestId] = function (positions) {
+                    if (cy.destroyed() || cy.scratch('_gmLayoutRequest') !== requestId) return;
+                    cy.scratch('_gmLayoutRequest', null);
+                    notifyLayoutProgress(cy, false, 0);
+                    if (positions) {
+                        cacheLayout(hash, positions);
+                        cy.layout({ name: 'preset', fit: false, positions: function (n) { return positions[n.id()] || n.position(); } }).run();
+                    } else {
+                        cy.layout(options).run();
+                    }
+                };
+                worker.postMessage({
+                    requestId: requestId,
+                    nodes: nodes.map(function (n) {
+                        var d = n.layoutDimensions({ nodeDimensionsIncludeLabels: false });
+                        return { id: n.id(), width: d.w, height: d.h };
+                    }),
+                    edges: cy.edges().map(function (e) { return { id: e.id(), source: e.source().id(), target: e.target().id() }; }),
+                    options: { rankDir: options.rankDir, nodeSep: options.nodeSep, rankSep: options.rankSep, edgeSep: options.edgeSep, ranker: options.ranker }
+                });
+            }
+        };
+    }
+
+    /**
+     * Build (but do not run) the layout for a mode. dagre modes fall back to a grid when there are no edges
+     * and to breadthfirst from the stored roots when dagre is unavailable. dagre positions are cached by a hash of the graph;
+     * large graphs are laid out in the layout worker, so the page stays responsive.
+     */
+    function buildLayout(cy, mode) {
+        if (LAYOUT_MODES.indexOf(mode) < 0) mode = 'dagre-tb';
+        if (mode === 'levels') return levelsLayout(cy);
+
+        cy.remove('.gm-lane');
+        var nodeCount = cy.nodes().length;
+        if (mode === 'grid' || (cy.edges().empty() && nodeCount > 0)) {
+            return cy.layout(gridLayoutOptions(nodeCount));
+        }
+        var layoutOpts = { name: 'dagre', rankDir: mode === 'dagre-lr' ? 'LR' : 'TB', nodeSep: 50, rankSep: 70, edgeSep: 20, padding: 10, ranker: 'network-simplex' };
+        var hash = layoutHash(cy, mode);
+        var cached = getCachedLayout(hash);
+        if (cached) {
+            return cy.layout({ name: 'preset', fit: false, positions: function (n) { return cached[n.id()] || n.position(); } });
+        }
+        try {
+            var layout = cy.layout(layoutOpts);
+            if (nodeCount >= WORKER_LAYOUT_MIN_NODES && typeof Worker !== 'undefined') {
+                var background = workerLayout(cy, layoutOpts, hash);
+                if (background) return background;
+            }
+            var laidOut = cy.nodes();
+            layout.one('layoutstop', function () { cacheLayout(hash, nodePositions(laidOut)); });
+            return layout;
+        } catch (e) {
+            var roots = cy.scratch('_gmRoots');
             layoutOpts = { name: 'breadthfirst', directed: true, spacingFactor: 1.5, padding: 0 };
-            if (roots && roots.length > 0) layoutOpts.roots = roots.map(String);
-            layout = cy.layout(layoutOpts);
+            if (roots && roots.length > 0) layoutOpts.roots = roots;
+            return cy.layout(layoutOpts);
+        }
+    }
+
+    function applyDriftOnly(cy, driftOnly) {
+        var edges = cy.edges().not('.gm-project-edge').not('.gm-diff-ghost');
+        edges.removeClass('gm-drift-hidden');
+        if (driftOnly) edges.not('.gm-drift').not('.gm-cycle').addClass('gm-drift-hidden');
+    }
+
+    var PROJECT_COLUMN_WIDTH = 140;
+    var PROJECT_ROW_HEIGHT = 40;
+
+    /**
+     * Projects of expanded repositories, drawn as children of the repository node (compound node). Layouts only handle
+     * repositories, so runLayout takes the projects out first and puts them back around their repository afterwards,
+     * keeping each project's offset from its repository (the arrangement survives relayouts and dragging).
+     */
+    function detachProjects(cy) {
+        var offsets = cy.scratch('_gmProjectOffsets') || {};
+        var parentPositions = {};
+        cy.nodes('.gm-project').forEach(function (child) {
+            var parent = child.parent();
+            if (parent.empty()) return;
+            var pp = parent.position();
+            parentPositions[parent.id()] = { x: pp.x, y: pp.y };
+            var p = child.position();
+            offsets[child.id()] = { x: p.x - pp.x, y: p.y - pp.y };
+        });
+        cy.scratch('_gmProjectOffsets', offsets);
+        cy.remove('.gm-project, .gm-project-edge');
+        cy.edges('.gm-expanded-hidden').removeClass('gm-expanded-hidden');
+        /* A former parent keeps a stale position of its own; put it back where its box was centred */
+        Object.keys(parentPositions).forEach(function (id) { cy.getElementById(id).position(parentPositions[id]); });
+    }
+
+    function attachProjects(cy) {
+        var projects = cy.scratch('_gmProjects');
+        if (!projects || projects.nodes.length === 0) return;
+        var offsets = cy.scratch('_gmProjectOffsets') || {};
+        var byParent = {};
+        projects.nodes.forEach(function (n) {
+            if (cy.getElementById(n.parent).empty()) return;
+            (byParent[n.parent] = byParent[n.parent] || []).push(n);
+        });
+        cy.batch(function () {
+            Object.keys(byParent).forEach(function (parentId) {
+                var origin = cy.getElementById(parentId).position();
+                var children = byParent[parentId];
+                var columns = Math.ceil(Math.sqrt(children.length));
+                var rows = Math.ceil(children.length / columns);
+                children.forEach(function (n, i) {
+                    var offset = offsets[n.id] || {
+                        x: (i % columns - (columns - 1) / 2) * PROJECT_COLUMN_WIDTH,
+                        y: (Math.floor(i / columns) - (rows - 1) / 2) * PROJECT_ROW_HEIGHT
+                    };
+                    cy.add({
+                        group: 'nodes',
+                        data: { id: n.id, parent: n.parent, label: n.label, projectType: n.projectType || 'library' },
+                        classes: 'gm-project',
+                        position: { x: origin.x + offset.x, y: origin.y + offset.y }
+                    });
+                });
+            });
+            projects.edges.forEach(function (e) {
+                if (cy.getElementById(e.source).empty() || cy.getElementById(e.target).empty()) return;
+                cy.add({ group: 'edges', data: { id: 'e:' + e.source + '->' + e.target, source: e.source, target: e.target }, classes: 'gm-project-edge' });
+                /* The project edge shows what the repository edge summarised */
+                cy.getElementById('e:' + e.sourceRepository + '->' + e.targetRepository).addClass('gm-expanded-hidden');
+            });
+        });
+    }
+
+    var BADGE_WIDTH = 136;
+    var BADGE_HEIGHT = 14;
+    var BADGE_CHAR_WIDTH = 5.4;
+    var CI_COLORS = { success: '#238636', running: '#d29922', failed: '#da3633', aborted: '#8957e5' };
+
+    function escapeSvgText(s) {
+        return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Status strip drawn at the bottom of a node as an SVG data URI: CI dot, branch (or tag), uncommitted files (*n)
+     * and ahead/behind upstream. The branch pill is truncated so the strip fits the node width. Returns null when there is nothing to show.
+     */
+    function statusBadgeImage(status) {
+        if (!status) return null;
+        var pills = [];
+        if (status.changes) pills.push({ text: '*' + status.changes, fg: '#e2c08d', bg: '#3a3222' });
+        var sync = [];
+        if (status.ahead) sync.push('\u2191' + status.ahead);
+        if (status.behind) sync.push('\u2193' + status.behind);
+        if (sync.length) pills.push({ text: sync.join(' '), fg: '#9cdcfe', bg: '#1f3347' });
+        var ciColor = status.ci ? CI_COLORS[status.ci] : null;
+        var fixedWidth = (ciColor ? BADGE_HEIGHT : 0) + pills.reduce(function (w, p) { return w + p.text.length * BADGE_CHAR_WIDTH + 10; }, 0);
+        if (status.branch) {
+            var maxChars = Math.floor((BADGE_WIDTH - fixedWidth - 10) / BADGE_CHAR_WIDTH);
+            var branch = String(status.branch);
+            if (maxChars >= 4) {
+                if (branch.length > maxChars) branch = branch.slice(0, maxChars - 1) + '\u2026';
+                pills.unshift({ text: branch, fg: '#cccccc', bg: status.onTag ? '#3b2f52' : '#3e3e42' });
+            }
+        }
+        if (pills.length === 0 && !ciColor) return null;
+
+        var total = (ciColor ? BADGE_HEIGHT : 0) + pills.reduce(function (w, p) { return w + p.text.length * BADGE_CHAR_WIDTH + 10; }, 0) - 2;
+        var x = Math.max(0, (BADGE_WIDTH - total) / 2);
+        var parts = [];
+        if (ciColor) {
+            parts.push('<circle cx="' + (x + 5).toFixed(1) + '" cy="7" r="4.5" fill="' + ciColor + '"/>');
+            x += BADGE_HEIGHT;
+        }
+        pills.forEach(function (p) {
+            var w = p.text.length * BADGE_CHAR_WIDTH + 8;
+            parts.push('<rect x="' + x.toFixed(1) + '" y="0" width="' + w.toFixed(1) + '" height="' + BADGE_HEIGHT + '" rx="3" fill="' + p.bg + '"/>');
+            parts.push('<text x="' + (x + w / 2).toFixed(1) + '" y="10.5" fill="' + p.fg + '" text-anchor="middle">' + escapeSvgText(p.text) + '</text>');
+            x += w + 2;
+        });
+        var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + BADGE_WIDTH + '" height="' + BADGE_HEIGHT + '" font-family="Helvetica, Arial, sans-serif" font-size="9">'
+            + parts.join('') + '</svg>';
+        return 'data:image/svg+xml;utf8,' + encodeURIComponent(svg);
+    }
+
+    /** Plain-text status for the node tooltip. */
+    function statusTitle(name, status) {
+        if (!status) return name;
+        var lines = [name];
+        if (status.branch) lines.push((status.onTag ? 'Tag: ' : 'Branch: ') + status.branch);
+        if (status.changes) lines.push(status.changes + ' uncommitted file' + (status.changes === 1 ? '' : 's'));
+        if (status.ahead || status.behind) lines.push((status.ahead || 0) + ' ahead, ' + (status.behind || 0) + ' behind upstream');
+        if (status.ci) lines.push('Actions: ' + status.ci);
+        return lines.join('\n');
+    }
+
+    function toNodeElement(n) {
+        var name = n.name || n.label || String(n.id);
+        var badgeImage = statusBadgeImage(n.status);
+        return {
+            data: {
+                id: String(n.id),
+                label: n.label || String(n.id),
+                name: name,
+                nodeType: n.nodeType || 'other',
+                level: n.level === undefined ? null : n.level,
+                cycle: n.cycle === undefined ? null : n.cycle,
+                badgeImage: badgeImage,
+                statusTitle: statusTitle(name, n.status),
+                url: n.url || null
+            },
+            classes: [badgeImage ? 'gm-has-status' : '', n.cycle !== null && n.cycle !== undefined ? 'gm-cycle' : ''].join(' ').trim()
+        };
+    }
+
+    var MANAGED_CLASSES = ['gm-has-status', 'gm-cycle', 'gm-drift', 'gm-custom'];
+
+    /** Set the data-driven classes of an existing element without touching highlight/selection classes. */
+    function syncClasses(ele, classes) {
+        var wanted = classes ? classes.split(' ') : [];
+        MANAGED_CLASSES.forEach(function (cls) { ele.toggleClass(cls, wanted.indexOf(cls) >= 0); });
+    }
+
+    /** Edge ids are derived from the endpoints so updateCytoscapeGraph can match edges across calls; duplicate pairs are dropped. */
+    function toEdgeElements(edges) {
+        var seen = {};
+        var result = [];
+        (edges || []).forEach(function (e) {
+            var id = 'e:' + e.source + '->' + e.target;
+            if (seen[id]) return;
+            seen[id] = true;
+            result.push({
+                data: {
+                    id: id,
+                    source: String(e.source),
+                    target: String(e.target),
+                    referencedVersion: e.referencedVersion || null,
+                    currentVersion: e.currentVersion || null,
+                    versionLabel: e.drifted ? e.referencedVersion + ' \u2192 ' + e.currentVersion : '',
+                    custom: !!e.custom,
+                    cycle: e.cycle === undefined ? null : e.cycle
+                },
+                classes: [
+                    e.drifted ? 'gm-drift' : '',
+                    e.custom ? 'gm-custom' : '',
+                    e.cycle !== null && e.cycle !== undefined ? 'gm-cycle' : ''
+                ].join(' ').trim()
+            });
+        });
+        return result;
+    }
+
+    function sameData(ele, data) {
+        return Object.keys(data).every(function (key) { return ele.data(key) === data[key]; });
+    }
+
+    /**
+     * Position for a node added by updateCytoscapeGraph: below the mean of its already placed neighbours,
+     * or the centre of the viewport when it has none. Small offsets keep siblings from stacking exactly.
+     */
+    function placeNewNode(cy, node, index) {
+        var placed = node.neighborhood('node').not('.gm-new');
+        if (placed.nonempty()) {
+            var x = 0;
+            var y = 0;
+            placed.forEach(function (n) { x += n.position('x'); y += n.position('y'); });
+            node.position({ x: x / placed.length + index * 20, y: y / placed.length + 80 });
+        } else {
+            var extent = cy.extent();
+            node.position({ x: (extent.x1 + extent.x2) / 2 + index * 20, y: (extent.y1 + extent.y2) / 2 + index * 20 });
+        }
+    }
+
+    /**
+     * Hand-arranged positions, saved in localStorage per workspace (key prefix from the page) and layout mode.
+     * Dragging one node saves the whole arrangement, so every other node keeps its place on the next render too.
+     */
+    function positionsKey(cy) {
+        var prefix = cy.scratch('_gmPositionsKey');
+        return prefix ? prefix + ':' + (cy.scratch('_gmLayout') || 'dagre-tb') : null;
+    }
+
+    function loadSavedPositions(cy) {
+        var key = positionsKey(cy);
+        if (!key) return null;
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /** Merges the current positions into the saved ones, so nodes hidden by a filter keep theirs. */
+    function savePositions(cy) {
+        var key = positionsKey(cy);
+        if (!key) return;
+        var saved = loadSavedPositions(cy) || {};
+        repoNodes(cy).forEach(function (n) {
+            var p = n.position();
+            saved[n.id()] = { x: Math.round(p.x), y: Math.round(p.y) };
+        });
+        try {
+            localStorage.setItem(key, JSON.stringify(saved));
+        } catch (e) { /* storage full or disabled: arrangement is just not remembered */ }
+    }
+
+    function clearSavedPositions(cy) {
+        var key = positionsKey(cy);
+        if (!key) return;
+        try {
+            localStorage.removeItem(key);
+        } catch (e) { /* ignore */ }
+    }
+
+    /**
+     * Run the layout for a mode, honouring saved positions: when any drawn node has one, saved nodes go back to their
+     * place (preset layout) and the others are placed next to their neighbours; in the "levels" layout the lanes are built
+     * first and unsaved nodes keep their lane position.
+     */
+    function runLayout(cy, mode, onDone) {
+        cancelWorkerLayout(cy);
+        var runId = (cy.scratch('_gmLayoutRun') || 0) + 1;
+        cy.scratch('_gmLayoutRun', runId);
+        detachDiffGhosts(cy);
+        detachProjects(cy);
+        var saved = loadSavedPositions(cy);
+        var nodes = repoNodes(cy);
+        var hasSaved = !!saved && nodes.some(function (n) { return !!saved[n.id()]; });
+        var layout;
+        if (!hasSaved) {
+            layout = buildLayout(cy, mode);
+        } else if (mode === 'levels') {
+            layout = levelsLayout(cy);
+        } else {
+            cy.remove('.gm-lane');
+            layout = cy.layout({ name: 'preset', fit: false, positions: function (n) { return saved[n.id()] || n.position(); } });
         }
+        cy.one('layoutstop', function () {
+            // A layout started later (while this one waited for the layout worker) owns the graph now
+            if (cy.scratch('_gmLayoutRun') !== runId) return;
+            if (hasSaved) {
+                var unsaved = nodes.filter(function (n) { return !saved[n.id()]; });
+                nodes.forEach(function (n) { if (saved[n.id()]) n.position(saved[n.id()]); });
+                if (mode !== 'levels') {
+                    unsaved.addClass('gm-new');
+                    unsaved.forEach(function (n, i) { placeNewNode(cy, n, i); });
+                    unsaved.removeClass('gm-new');
+                }
+            }
+            attachProjects(cy);
+            var state = highlightState(cy);
+            if (state.diff) attachDiffGhosts(cy);
+            if (state.diff || state.pinned) refreshHighlight(cy);
+            if (onDone) onDone();
+        });
+        layout.run();
+    }
+
+    function getCy(containerId) {
+        var cy = window['__cy_' + containerId];
+        return cy && !cy.destroyed() ? cy : null;
     }
-    layout.run();
-    function fitToContainer() {
-        if (cy && !cy.destroyed()) {
-            cy.resize();
-            cy.fit(20);
+
+    var ZOOM_STEP = 1.25;
+    var PAN_STEP = 60;
+    var VIEWPORT_ANIMATION_MS = 150;
+
+    /** Viewport change keeping the model point at the centre of the canvas where it is. */
+    function zoomAroundCenter(cy, level) {
+        level = Math.max(cy.minZoom(), Math.min(cy.maxZoom(), level));
+        var pan = cy.pan();
+        var zoom = cy.zoom();
+        var midX = cy.width() / 2;
+        var midY = cy.height() / 2;
+        var center = { x: (midX - pan.x) / zoom, y: (midY - pan.y) / zoom };
+        cy.animate({ zoom: level, pan: { x: midX - center.x * level, y: midY - center.y * level } }, { duration: VIEWPORT_ANIMATION_MS });
+    }
+
+    /**
+     * Toolbar and keyboard viewport actions: 'in' and 'out' zoom one step around the centre, 'fit' shows the whole graph,
+     * 'reset' shows it at actual size (centred), 'selection' centres the selected nodes (zooming out when they do not fit).
+     * Returns false when the action did nothing (no selection).
+     */
+    function zoomGraph(cy, action) {
+        // Finish a running viewport animation first, so repeated steps add up instead of restarting from where it was
+        cy.stop(true, true);
+        var all = cy.elements().not('.gm-lane');
+        switch (action) {
+            case 'in':
+                zoomAroundCenter(cy, cy.zoom() * ZOOM_STEP);
+                return true;
+            case 'out':
+                zoomAroundCenter(cy, cy.zoom() / ZOOM_STEP);
+                return true;
+            case 'fit':
+                cy.animate({ fit: { eles: all, padding: 20 } }, { duration: VIEWPORT_ANIMATION_MS });
+                return true;
+            case 'reset':
+                cy.animate({ zoom: 1, center: { eles: all } }, { duration: VIEWPORT_ANIMATION_MS });
+                return true;
+            case 'selection': {
+                var selected = cy.nodes(':selected');
+                if (selected.empty()) return false;
+                var bb = selected.boundingBox();
+                var fits = bb.w * cy.zoom() <= cy.width() - 160 && bb.h * cy.zoom() <= cy.height() - 160;
+                if (fits) cy.animate({ center: { eles: selected } }, { duration: VIEWPORT_ANIMATION_MS });
+                else cy.animate({ fit: { eles: selected, padding: 80 } }, { duration: VIEWPORT_ANIMATION_MS });
+                return true;
+            }
+        }
+        return false;
+    }
+
+    var ZOOM_KEYS = { '+': 'in', '=': 'in', '-': 'out', '_': 'out', '0': 'reset', 'f': 'fit', 'F': 'fit', 's': 'selection', 'S': 'selection' };
+    var PAN_KEYS = { ArrowLeft: { x: 1, y: 0 }, ArrowRight: { x: -1, y: 0 }, ArrowUp: { x: 0, y: 1 }, ArrowDown: { x: 0, y: -1 } };
+
+    /** Drawn dependency edges of a repository node (not project edges or snapshot ghosts). */
+    function dependencyEdges(node) {
+        return node.connectedEdges().not('.gm-project-edge').not('.gm-diff-ghost');
+    }
+
+    function dependenciesOf(node) {
+        return dependencyEdges(node).filter(function (e) { return e.source().same(node); }).targets().not(node);
+    }
+
+    function consumersOf(node) {
+        return dependencyEdges(node).filter(function (e) { return e.target().same(node); }).sources().not(node);
+    }
+
+    /**
+     * Repositories nothing else in the drawn graph depends on, in reading order (the Tab stops of the graph). When every
+     * repository has a consumer (all of them are in cycles) the first repository in reading order is the only stop, so the
+     * graph can still be entered with the keyboard.
+     */
+    function keyboardRoots(cy) {
+        var isLr = cy.scratch('_gmLayout') === 'dagre-lr';
+        var ordered = repoNodes(cy).sort(function (a, b) {
+            var pa = a.position();
+            var pb = b.position();
+            return isLr ? (pa.y - pb.y) || (pa.x - pb.x) : (pa.x - pb.x) || (pa.y - pb.y);
+        });
+        var roots = ordered.filter(function (n) { return consumersOf(n).empty(); });
+        return roots.nonempty() ? roots : ordered.slice(0, 1);
+    }
+
+    /**
+     * Target of an arrow key from a node. The arrow pointing down the hierarchy (down, or right in the left-to-right layout)
+     * follows an edge to a dependency, the opposite one to a consumer; both pick the candidate closest along the cross axis.
+     * The other two arrows move to the nearest repository on that side, preferring siblings (repositories sharing a
+     * consumer or a dependency) over the rest.
+     */
+    function keyboardTarget(cy, node, key) {
+        var isLr = cy.scratch('_gmLayout') === 'dagre-lr';
+        var toDependency = isLr ? 'ArrowRight' : 'ArrowDown';
+        var toConsumer = isLr ? 'ArrowLeft' : 'ArrowUp';
+        var p = node.position();
+        function cross(n) { return isLr ? Math.abs(n.position().y - p.y) : Math.abs(n.position().x - p.x); }
+        function closest(candidates, distance) {
+            var best = null;
+            var bestDistance = Infinity;
+            candidates.forEach(function (n) {
+                var d = distance(n);
+                if (d < bestDistance) {
+                    best = n;
+                    bestDistance = d;
+                }
+            });
+            return best;
+        }
+        if (key === toDependency) return closest(dependenciesOf(node), cross);
+        if (key === toConsumer) return closest(consumersOf(node), cross);
+
+        var sign = key === 'ArrowLeft' || key === 'ArrowUp' ? -1 : 1;
+        function along(n) { return sign * (isLr ? n.position().y - p.y : n.position().x - p.x); }
+        function sideways(n) {
+            var d = along(n);
+            if (d <= 0) return Infinity;
+            var off = isLr ? Math.abs(n.position().x - p.x) : Math.abs(n.position().y - p.y);
+            return d + off * 3;
+        }
+        var siblings = consumersOf(node).map(dependenciesOf).concat(dependenciesOf(node).map(consumersOf))
+            .reduce(function (all, c) { return all.union(c); }, cy.collection())
+            .not(node);
+        return closest(siblings, sideways) || closest(repoNodes(cy).not(node), sideways);
+    }
+
+    function nodeTypeLabel(nodeType) {
+        return !nodeType || nodeType === 'other' ? 'repository' : nodeType;
+    }
+
+    function plural(count, one, many) {
+        return count + ' ' + (count === 1 ? one : many);
+    }
+
+    /** What the live region says about a focused repository: name, type, level and direct dependency counts. */
+    function describeNode(node) {
+        var level = node.data('level');
+        return [
+            node.data('name'),
+            nodeTypeLabel(node.data('nodeType')),
+            level === null || level === undefined ? 'no dependency level' : 'level ' + level,
+            plural(dependenciesOf(node).length, 'dependency', 'dependencies'),
+            plural(consumersOf(node).length, 'consumer', 'consumers')
+        ].join(', ') + (node.selected() ? ', selected' : '');
+    }
+
+    /**
+     * Keyboard use of the (focusable) graph container. Tab and Shift+Tab step through the roots and then leave the graph,
+     * the arrow keys move between repositories along edges (see keyboardTarget), Enter opens the focused repository like a
+     * double tap, Space toggles its selection and Escape clears the focus. Without a focused repository, and with Shift, the
+     * arrow keys pan (Shift for bigger steps); the zoom keys are described at zoomGraph. The focused repository is announced in
+     * the live region. A tap on the graph focuses the container and the tapped repository, so the keys work right after
+     * using the mouse. The container outlives the graph, so destroyCytoscapeGraph removes the key handler again.
+     */
+    function wireKeyboard(cy, container, dotNetRef, liveRegion) {
+        var focusedId = null;
+
+        function announce(text) {
+            if (!liveRegion) return;
+            // Clear first so the same text is announced again
+            liveRegion.textContent = '';
+            setTimeout(function () { liveRegion.textContent = text; }, 50);
+        }
+
+        function focusedNode() {
+            var node = focusedId ? cy.getElementById(focusedId) : cy.collection();
+            return node.nonempty() && node.inside() ? node : null;
         }
+
+        function setFocus(node, reveal) {
+            cy.nodes('.gm-kb-focus').removeClass('gm-kb-focus');
+            focusedId = node ? node.id() : null;
+            if (!node) return;
+            node.addClass('gm-kb-focus');
+            if (reveal) {
+                var ext = cy.extent();
+                var p = node.position();
+                if (p.x < ext.x1 || p.x > ext.x2 || p.y < ext.y1 || p.y > ext.y2) {
+                    cy.stop(true, true);
+                    cy.animate({ center: { eles: node } }, { duration: VIEWPORT_ANIMATION_MS });
+                }
+            }
+            announce(describeNode(node));
+        }
+
+        var onKeyDown = function (e) {
+            if (e.ctrlKey || e.metaKey || e.altKey || cy.destroyed()) return;
+            var node = focusedNode();
+            var handled = false;
+            if (e.key === 'Tab') {
+                var roots = keyboardRoots(cy);
+                var index = -1;
+                if (node) roots.forEach(function (r, i) { if (r.same(node)) index = i; });
+                // From a repository that is not a root (or from nothing), start over at the first or last root
+                var next = index < 0 ? (e.shiftKey ? roots.length - 1 : 0) : index + (e.shiftKey ? -1 : 1);
+                if (next >= 0 && next < roots.length) {
+                    setFocus(roots[next], true);
+                    handled = true;
+                } else {
+                    // Past the last (or before the first) root: let the browser move focus out of the graph
+                    setFocus(null);
+                }
+            } else if (PAN_KEYS[e.key] && node && !e.shiftKey) {
+                var target = keyboardTarget(cy, node, e.key);
+                if (target) setFocus(target, true);
+                else announce(describeNode(node));
+                handled = true;
+            } else if (PAN_KEYS[e.key]) {
+                var step = PAN_STEP * (e.shiftKey ? 4 : 1);
+                cy.stop(true, true);
+                cy.panBy({ x: PAN_KEYS[e.key].x * step, y: PAN_KEYS[e.key].y * step });
+                handled = true;
+            } else if (e.key === 'Enter' && node) {
+                if (dotNetRef) dotNetRef.invokeMethodAsync('OnGraphNodeDoubleTapped', node.id()).catch(function () { });
+                handled = true;
+            } else if (e.key === ' ' && node) {
+                if (node.selected()) node.unselect();
+                else node.select();
+                announce(describeNode(node));
+                handled = true;
+            } else if (e.key === 'Escape' && node) {
+                setFocus(null);
+                announce('No repository focused');
+                handled = true;
+            } else if (ZOOM_KEYS[e.key]) {
+                handled = zoomGraph(cy, ZOOM_KEYS[e.key]);
+            }
+            if (handled) e.preventDefault();
+        };
+        container.addEventListener('keydown', onKeyDown);
+        cy.scratch('_gmKeyboardDispose', function () { container.removeEventListener('keydown', onKeyDown); });
+        cy.on('tapstart', function () {
+            if (document.activeElement !== container && container.focus) container.focus({ preventScroll: true });
+        });
+        cy.on('tap', 'node', function (evt) {
+            var node = evt.target;
+            if (node.hasClass('gm-lane') || node.hasClass('gm-project') || node.hasClass('gm-diff-ghost')) return;
+            setFocus(node, false);
+        });
+        cy.on('remove', 'node', function (evt) {
+            if (evt.target.id() === focusedId) focusedId = null;
+        });
     }
-    cy.once('layoutstop', function () { requestAnimationFrame(fitToContainer); });
 
-    var resizeHandler = function () { requestAnimationFrame(fitToContainer); };
-    window.addEventListener('resize', resizeHandler);
-    window['__cy_resize_' + containerId] = resizeHandler;
+    var MINIMAP_PADDING = 6;
+
+    /**
+     * Overview of the whole graph on a canvas: lanes, edges and nodes (faded ones faded here too) and the visible part of the
+     * graph as a rectangle. Clicking or dragging on it moves the view there. Redrawn at most once per frame.
+     * @returns {function} Dispose function (stops drawing; the canvas belongs to the page)
+     */
+    function wireMinimap(cy, canvas) {
+        var frame = 0;
+        var transform = null;
+
+        function draw() {
+            frame = 0;
+            if (cy.destroyed()) return;
+            var ratio = window.devicePixelRatio || 1;
+            var w = canvas.clientWidth;
+            var h = canvas.clientHeight;
+            if (!w || !h) return;
+            if (canvas.width !== Math.round(w * ratio) || canvas.height !== Math.round(h * ratio)) {
+                canvas.width = Math.round(w * ratio);
+                canvas.height = Math.round(h * ratio);
+            }
+            var ctx = canvas.getContext('2d');
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, w, h);
+
+            var bb = cy.elements().boundingBox();
+            if (!isFinite(bb.w) || bb.w <= 0 || bb.h <= 0) {
+                transform = null;
+                return;
+            }
+            var scale = Math.min((w - MINIMAP_PADDING * 2) / bb.w, (h - MINIMAP_PADDING * 2) / bb.h);
+            transform = {
+                scale: scale,
+                x: (w - bb.w * scale) / 2 - bb.x1 * scale,
+                y: (h - bb.h * scale) / 2 - bb.y1 * scale
+            };
+            function box(ele) {
+                var b = ele.boundingBox({ includeLabels: false });
+                return [b.x1 * scale + transform.x, b.y1 * scale + transform.y, Math.max(1, b.w * scale), Math.max(1, b.h * scale)];
+            }
+
+            cy.nodes('.gm-lane').forEach(function (lane) {
+                ctx.fillStyle = '#2d2d30';
+                ctx.fillRect.apply(ctx, box(lane));
+            });
+            ctx.lineWidth = 1;
+            cy.edges().forEach(function (edge) {
+                if (!edge.visible()) return;
+                var s = edge.source().position();
+                var t = edge.target().position();
+                ctx.globalAlpha = edge.effectiveOpacity();
+                ctx.strokeStyle = edge.style('line-color') || '#52525b';
+                ctx.beginPath();
+                ctx.moveTo(s.x * scale + transform.x, s.y * scale + transform.y);
+                ctx.lineTo(t.x * scale + transform.x, t.y * scale + transform.y);
+                ctx.stroke();
+            });
+            cy.nodes().not('.gm-lane').forEach(function (node) {
+                if (!node.visible()) return;
+                ctx.globalAlpha = node.effectiveOpacity();
+                ctx.fillStyle = node.isParent() ? '#3f3f46' : node.style('border-color') || '#71717a';
+                ctx.fillRect.apply(ctx, box(node));
+            });
+            ctx.globalAlpha = 1;
+
+            var ext = cy.extent();
+            ctx.strokeStyle = '#38bdf8';
+            ctx.fillStyle = 'rgba(56, 189, 248, 0.12)';
+            var vx = ext.x1 * scale + transform.x;
+            var vy = ext.y1 * scale + transform.y;
+            ctx.fillRect(vx, vy, ext.w * scale, ext.h * scale);
+            ctx.strokeRect(vx + 0.5, vy + 0.5, ext.w * scale - 1, ext.h * scale - 1);
+        }
+
+        function schedule() {
+            if (!frame) frame = requestAnimationFrame(draw);
+        }
+
+        /** Centre the view on the graph point under the pointer. */
+        function moveTo(e) {
+            if (!transform || cy.destroyed()) return;
+            var r = canvas.getBoundingClientRect();
+            var gx = (e.clientX - r.left - transform.x) / transform.scale;
+            var gy = (e.clientY - r.top - transform.y) / transform.scale;
+            var zoom = cy.zoom();
+            cy.stop(true, true);
+            cy.pan({ x: cy.width() / 2 - gx * zoom, y: cy.height() / 2 - gy * zoom });
+        }
 
-    window['__cy_' + containerId] = cy;
-    return true;
-};
+        var dragging = false;
+        function onPointerDown(e) {
+            dragging = true;
+            if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+            moveTo(e);
+            e.preventDefault();
+        }
+        function onPointerMove(e) {
+            if (dragging) moveTo(e);
+        }
+        function onPointerUp(e) {
+            dragging = false;
+            if (canvas.releasePointerCapture && canvas.hasPointerCapture && canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+        }
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', onPointerUp);
+        canvas.addEventListener('pointercancel', onPointerUp);
+        cy.on('render viewport position add remove layoutstop resize', schedule);
+        schedule();
 
-/**
- * Destroy a Cytoscape instance and free resources.
- * @param {string} containerId - Id used when calling renderCytoscapeGraph
- */
-window.destroyCytoscapeGraph = function (containerId) {
-    window.removeEventListener('resize', window['__cy_resize_' + containerId]);
-    window['__cy_resize_' + containerId] = null;
-    var key = '__cy_' + containerId;
-    var cy = window[key];
-    if (cy) {
-        cy.destroy();
-        window[key] = null;
+        return function () {
+            cancelAnimationFrame(frame);
+            frame = 0;
+            canvas.removeEventListener('pointerdown', onPointerDown);
+            canvas.removeEventListener('pointermove', onPointerMove);
+            canvas.removeEventListener('pointerup', onPointerUp);
+            canvas.removeEventListener('pointercancel', onPointerUp);
+            var ctx = canvas.getContext('2d');
+            if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+        };
     }
-};
+
+    /**
+     * Render a dependency graph with Cytoscape (dark scheme).
+     * @param {string} containerId - Id of the div element to render into
+     * @param {Array<{id: string, label: string, name?: string, nodeType?: string, level?: number, status?: object}>} nodes - Nodes with id, display label, full name,
+     *        type, dependency level, optional status {branch, onTag, changes, ahead, behind, ci} drawn as badges and optional cycle index
+     * @param {Array<{source: string, target: string, referencedVersion?: string, currentVersion?: string, drifted?: boolean, custom?: boolean, cycle?: number}>} edges -
+     *        Edges with source and target node ids; package edges carry the referenced and current version, drifted ones are drawn in the warning colour
+     *        with both versions; custom-only edges are dashed; edges (and nodes) with a cycle index are outlined in red
+     * @param {string[]} [roots] - Optional node ids to use as roots (no incoming edges). Layout flows from these for a clear hierarchy.
+     * @param {object} [dotNetRef] - Optional DotNetObjectReference that receives node tap, double-tap and selection events
+     * @param {{highlightPinned?: boolean, highlightPinnedIds?: string[], layout?: string, driftOnly?: boolean, positionsKey?: string, minimapId?: string, liveRegionId?: string}} [options] - Optional view options. highlightPinned keeps the dependency highlight
+     *        fixed while panning on the highlightPinnedIds repositories; layout is one of 'dagre-tb' (default), 'dagre-lr', 'levels' (swimlane per dependency level) or 'grid';
+     *        driftOnly hides every edge without version drift; positionsKey is the localStorage key prefix under which dragged positions are saved
+     *        (per layout mode), omit it to not remember positions; minimapId is the id of a canvas to draw the overview on; liveRegionId is the id of
+     *        an aria-live element that announces the repository focused with the keyboard.
+     */
+    window.renderCytoscapeGraph = function (containerId, nodes, edges, roots, dotNetRef, options) {
+        options = options || {};
+        var container = document.getElementById(containerId);
+        if (!container || typeof cytoscape === 'undefined') return null;
+
+        var nodeElements = (nodes || []).map(toNodeElement);
+        var edgeElements = toEdgeElements(edges);
+
+        container.style.backgroundColor = '#1a1a1a';
+
+        if (typeof cytoscapeDagre !== 'undefined') cytoscape.use(cytoscapeDagre);
+
+        var cy = cytoscape({
+            container: container,
+            elements: nodeElements.concat(edgeElements),
+            style: [
+                {
+                    selector: 'node',
+                    style: {
+                        'shape': 'rectangle',
+                        'background-color': '#27272a',
+                        'label': 'data(label)',
+                        'color': '#fafafa',
+                        'text-valign': 'center',
+                        'text-halign': 'center',
+                        'font-size': '11px',
+                        'text-wrap': 'wrap',
+                        'text-max-width': '120px',
+                        'padding': '1px',
+                        'border-width': 1,
+                        'border-color': '#d946ef',
+                        'width': 140,
+                        'height': 40,
+                        'z-index-compare': 'manual',
+                        'z-index': 10
+                    }
+                },
+                {
+                    selector: 'node[nodeType = "service"]',
+                    style: {
+                        'border-color': '#ffb454',
+                        'border-width': 1
+                    }
+                },
+                {
+                    selector: 'node[nodeType = "package"]',
+                    style: {
+                        'border-color': '#39bae6',
+                        'border-width': 1
+                    }
+                },
+                {
+                    selector: 'node.gm-has-status',
+                    style: {
+                        'height': 56,
+                        'text-margin-y': -8,
+                        'background-image': 'data(badgeImage)',
+                        'background-fit': 'none',
+                        'background-width': BADGE_WIDTH,
+                        'background-height': BADGE_HEIGHT,
+                        'background-position-x': '50%',
+                        'background-position-y': '100%',
+                        'background-offset-y': -4,
+                        'background-image-containment': 'inside'
+                    }
+                },
+                {
+                    selector: 'node.gm-search-label',
+                    style: {
+                        'text-opacity': 0,
+                        'background-image': 'data(searchLabelImage)',
+                        'background-fit': 'none',
+                        'background-width': BADGE_WIDTH,
+                        'background-height': 40,
+                        'background-position-x': '50%',
+                        'background-position-y': '50%',
+                        'background-offset-y': 0,
+                        'background-image-containment': 'inside'
+                    }
+                },
+                {
+                    selector: 'node.gm-has-status.gm-search-label',
+                    style: {
+                        'background-height': 56
+                    }
+                },
+                {
+                    selector: 'node:selected',
+                    style: {
+                        'background-color': '#264f78',
+                        'border-width': 2
+                    }
+                },
+                {
+                    selector: 'node.gm-focused',
+                    style: {
+                        'border-width': 3,
+                        'border-color': '#fafafa'
+                    }
+                },
+                {
+                    selector: 'node.gm-kb-focus',
+                    style: {
+                        'overlay-color': '#38bdf8',
+                        'overlay-opacity': 0.3,
+                        'overlay-padding': 6
+                    }
+                },
+                {
+                    selector: 'node:parent',
+                    style: {
+                        'background-color': '#1f1f23',
+                        'border-style': 'dashed',
+                        'text-valign': 'top',
+                        'text-margin-y': -4,
+                        'padding': '12px'
+                    }
+                },
+                {
+                    selector: 'node.gm-project',
+                    style: {
+                        'shape': 'round-rectangle',
+                        'background-color': '#303036',
+                        'border-color': '#a1a1aa',
+                        'font-size': '10px',
+                        'text-max-width': '110px',
+                        'width': 120,
+                        'height': 26
+                    }
+                },
+                {
+                    selector: 'node.gm-project[projectType = "package"]',
+                    style: {
+                        'border-color': '#39bae6'
+                    }
+                },
+                {
+                    selector: 'node.gm-project[projectType = "service"]',
+                    style: {
+                        'border-color': '#ffb454'
+                    }
+                },
+                {
+                    selector: 'node.gm-project[projectType = "test"]',
+                    style: {
+                        'border-color': '#71717a',
+                        'color': '#a1a1aa'
+                    }
+                },
+                {
+                    selector: 'edge',
+                    style: {
+                        'width': 1.5,
+                        'line-color': '#71717a',
+                        'target-arrow-color': '#71717a',
+                        'target-arrow-shape': 'triangle',
+                        'curve-style': 'bezier',
+                        'arrow-scale': 0.85,
+                        'z-index-compare': 'manual',
+                        'z-index': 5
+                    }
+                },
+                {
+                    selector: 'edge.gm-drift',
+                    style: {
+                        'line-color': '#ffc107',
+                        'target-arrow-color': '#ffc107',
+                        'label': 'data(versionLabel)',
+                        'color': '#ffc107',
+                        'font-size': '10px',
+                        'text-background-color': '#1a1a1a',
+                        'text-background-opacity': 1,
+                        'text-background-padding': '2px'
+                    }
+                },
+                {
+                    selector: 'edge.gm-custom',
+                    style: {
+                        'line-style': 'dashed'
+                    }
+                },
+                {
+                    selector: 'node.gm-cycle',
+                    style: {
+                        'border-color': '#ef4444',
+                        'border-width': 3
+                    }
+                },
+                {
+                    selector: 'edge.gm-cycle',
+                    style: {
+                        'line-color': '#ef4444',
+                        'target-arrow-color': '#ef4444',
+                        'width': 2.5
+                    }
+                },
+                {
+                    selector: '.gm-cycle-focus',
+                    style: {
+                        'overlay-color': '#ef4444',
+                        'overlay-opacity': 0.25,
+                        'overlay-padding': 6
+                    }
+                },
+                {
+                    selector: 'edge.gm-project-edge',
+                    style: {
+                        'width': 1,
+                        'line-style': 'dotted',
+                        'line-color': '#a1a1aa',
+                        'target-arrow-color': '#a1a1aa',
+                        'arrow-scale': 0.7
+                    }
+                },
+                {
+                    selector: 'edge.gm-drift-hidden, edge.gm-expanded-hidden',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+                {
+                    selector: 'node.gm-lane',
+                    style: {
+                        'background-color': '#222225',
+                        'border-width': 0,
+                        'color': '#858585',
+                        'font-size': '12px',
+                        'text-halign': 'left',
+                        'text-valign': 'center',
+                        'text-margin-x': -10,
+                        'text-max-width': '200px',
+                        'width': 'data(laneWidth)',
+                        'height': 'data(laneHeight)',
+                        'z-index': 0,
+                        'events': 'no'
+                    }
+                },
+                {
+                    selector: 'node.gm-hl-consumer',
+                    style: {
+                        'border-color': '#c084fc',
+                        'border-width': 2
+                    }
+                },
+                {
+                    selector: 'node.gm-hl-dependency',
+                    style: {
+                        'border-color': '#2dd4bf',
+                        'border-width': 2
+                    }
+                },
+                {
+                    selector: 'node.gm-hl-root',
+                    style: {
+                        'border-color': '#fafafa',
+                        'border-width': 3
+                    }
+                },
+                {
+                    selector: 'edge.gm-hl-consumer',
+                    style: {
+                        'width': 2.5,
+                        'line-color': '#c084fc',
+                        'target-arrow-color': '#c084fc'
+                    }
+                },
+                {
+                    selector: 'edge.gm-hl-dependency',
+                    style: {
+                        'width': 2.5,
+                        'line-color': '#2dd4bf',
+                        'target-arrow-color': '#2dd4bf'
+                    }
+                },
+                {
+                    selector: 'node.gm-path',
+                    style: {
+                        'border-color': '#38bdf8',
+                        'border-width': 3
+                    }
+                },
+                {
+                    selector: 'edge.gm-path',
+                    style: {
+                        'width': 3,
+                        'line-color': '#38bdf8',
+                        'target-arrow-color': '#38bdf8'
+                    }
+                },
+                {
+                    selector: 'node.gm-path-source',
+                    style: {
+                        'border-color': '#22c55e',
+                        'border-width': 4
+                    }
+                },
+                {
+                    selector: 'node.gm-path-target',
+                    style: {
+                        'border-color': '#f97316',
+                        'border-width': 4
+                    }
+                },
+                {
+                    selector: 'node.gm-rollout',
+                    style: {
+                        'label': 'data(rolloutLabel)',
+                        'border-color': '#52525b',
+                        'border-style': 'dashed',
+                        'border-width': 2
+                    }
+                },
+                {
+                    selector: 'node.gm-rollout-reached',
+                    style: {
+                        'border-color': '#a78bfa',
+                        'border-style': 'solid'
+                    }
+                },
+                {
+                    selector: 'edge.gm-rollout-reached',
+                    style: {
+                        'width': 2.5,
+                        'line-color': '#a78bfa',
+                        'target-arrow-color': '#a78bfa'
+                    }
+                },
+                {
+                    selector: 'node.gm-rollout-current',
+                    style: {
+                        'background-color': '#3b2f63',
+                        'border-width': 3
+                    }
+                },
+                {
+                    selector: 'node.gm-rollout-source',
+                    style: {
+                        'border-color': '#fafafa',
+                        'border-style': 'solid',
+                        'border-width': 4
+                    }
+                },
+                {
+                    selector: 'node.gm-diff-ghost',
+                    style: {
+                        'background-color': '#2a1d1f',
+                        'border-style': 'dashed',
+                        'color': '#a1a1aa'
+                    }
+                },
+                {
+                    selector: 'edge.gm-diff-ghost',
+                    style: {
+                        'line-style': 'dashed'
+                    }
+                },
+                {
+                    selector: 'node.gm-diff-added',
+                    style: {
+                        'border-color': '#4ade80',
+                        'border-width': 3
+                    }
+                },
+                {
+                    selector: 'edge.gm-diff-added',
+                    style: {
+                        'width': 3,
+                        'line-color': '#4ade80',
+                        'target-arrow-color': '#4ade80'
+                    }
+                },
+                {
+                    selector: 'node.gm-diff-removed',
+                    style: {
+                        'border-color': '#f87171',
+                        'border-width': 3
+                    }
+                },
+                {
+                    selector: 'edge.gm-diff-removed',
+                    style: {
+                        'width': 3,
+                        'line-color': '#f87171',
+                        'target-arrow-color': '#f87171'
+                    }
+                },
+                {
+                    selector: '.gm-diff-unchanged',
+                    style: {
+                        'opacity': 0.3
+                    }
+                },
+                {
+                    selector: '.gm-faded',
+                    style: {
+                        'opacity': 0.15
+                    }
+                }
+            ],
+            minZoom: 0.2,
+            maxZoom: 3
+        });
+
+        cy.scratch('_gmRoots', (roots || []).map(String));
+        cy.scratch('_gmLayout', options.layout);
+        cy.scratch('_gmPositionsKey', options.positionsKey || null);
+        cy.scratch('_gmDotNetRef', dotNetRef || null);
+        function fitToContainer() {
+            if (cy && !cy.destroyed()) {
+                cy.resize();
+                var matches = searchMatches(cy);
+                if (matches.nonempty()) cy.fit(matches, 60);
+                else cy.fit(20);
+            }
+        }
+        runLayout(cy, options.layout, function () { requestAnimationFrame(fitToContainer); });
+        cy.on('dragfree', 'node', function () { savePositions(cy); });
+
+        var resizeHandler = function () { requestAnimationFrame(fitToContainer); };
+        window.addEventListener('resize', resizeHandler);
+        window['__cy_resize_' + containerId] = resizeHandler;
+
+        applyDriftOnly(cy, options.driftOnly);
+        cy.on('mouseover', 'node', function (evt) { container.title = evt.target.data('statusTitle') || ''; });
+        cy.on('mouseout', 'node', function () { container.title = ''; });
+        wireHighlight(cy, options.highlightPinned, options.highlightPinnedIds, dotNetRef);
+        wireKeyboard(cy, container, dotNetRef, options.liveRegionId ? document.getElementById(options.liveRegionId) : null);
+        var minimap = options.minimapId ? document.getElementById(options.minimapId) : null;
+        if (minimap && minimap.getContext) cy.scratch('_gmMinimapDispose', wireMinimap(cy, minimap));
+        if (dotNetRef) {
+            wireDotNetEvents(cy, dotNetRef);
+            wireContextMenu(cy, dotNetRef);
+        }
+
+        window['__cy_' + containerId] = cy;
+        return true;
+    };
+
+    /**
+     * Apply new graph data to the live instance without re-rendering: removes, adds and updates only the changed nodes and edges
+     * and keeps zoom, pan, selection and the position of every existing node. New nodes are placed next to their neighbours;
+     * in the "levels" layout the lanes are rebuilt instead, since a new node or level change can add or move a lane.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {Array} nodes - Same shape as renderCytoscapeGraph
+     * @param {Array} edges - Same shape as renderCytoscapeGraph
+     * @param {string[]} [roots] - Same as renderCytoscapeGraph (kept for the breadthfirst fallback layout)
+     * @param {{driftOnly?: boolean}} [options] - Current view options
+     * @returns {boolean} False when there is no live graph (caller should render instead)
+     */
+    window.updateCytoscapeGraph = function (containerId, nodes, edges, roots, options) {
+        var cy = getCy(containerId);
+        if (!cy) return false;
+        options = options || {};
+
+        var nodeElements = (nodes || []).map(toNodeElement);
+        var edgeElements = toEdgeElements(edges);
+        var nodeIds = {};
+        var edgeIds = {};
+        nodeElements.forEach(function (n) { nodeIds[n.data.id] = true; });
+        edgeElements.forEach(function (e) { edgeIds[e.data.id] = true; });
+
+        var levelsChanged = false;
+        cy.batch(function () {
+            cy.remove(cy.edges().not('.gm-project-edge').not('.gm-diff-ghost').filter(function (e) { return !edgeIds[e.id()]; }));
+            cy.remove(repoNodes(cy).filter(function (n) { return !nodeIds[n.id()]; }));
+
+            var added = cy.collection();
+            nodeElements.forEach(function (el) {
+                var existing = cy.getElementById(el.data.id);
+                if (existing.empty()) {
+                    added = added.union(cy.add({ group: 'nodes', data: el.data, classes: el.classes + ' gm-new' }));
+                    levelsChanged = true;
+                } else if (!sameData(existing, el.data)) {
+                    if (existing.data('level') !== el.data.level) levelsChanged = true;
+                    existing.data(el.data);
+                    syncClasses(existing, el.classes);
+                }
+            });
+            edgeElements.forEach(function (el) {
+                var existing = cy.getElementById(el.data.id);
+                if (existing.empty()) {
+                    cy.add({ group: 'edges', data: el.data, classes: el.classes });
+                } else {
+                    if (!sameData(existing, el.data)) existing.data(el.data);
+                    syncClasses(existing, el.classes);
+                }
+            });
+
+            added.forEach(function (node, i) { placeNewNode(cy, node, i); });
+            added.removeClass('gm-new');
+        });
+
+        cy.scratch('_gmRoots', (roots || []).map(String));
+        if (cy.scratch('_gmLayout') === 'levels' && levelsChanged) runLayout(cy, 'levels');
+        applyDriftOnly(cy, options.driftOnly);
+        refreshHighlight(cy);
+        return true;
+    };
+
+    /**
+     * Re-run the layout of an existing graph in another mode (reapplying positions saved for that mode) and fit it to the container.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {string} mode - 'dagre-tb', 'dagre-lr', 'levels' or 'grid'
+     */
+    window.setCytoscapeLayout = function (containerId, mode) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        cy.scratch('_gmLayout', mode);
+        runLayout(cy, mode, function () {
+            requestAnimationFrame(function () {
+                if (!cy.destroyed()) cy.fit(20);
+            });
+        });
+    };
+
+    /**
+     * Forget the hand-arranged positions of the current layout mode and lay the graph out automatically again.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     */
+    window.resetCytoscapeLayout = function (containerId) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        clearSavedPositions(cy);
+        window.setCytoscapeLayout(containerId, cy.scratch('_gmLayout'));
+    };
+
+    /**
+     * Replace the projects drawn inside expanded repository nodes. Each repository with projects becomes a compound node;
+     * project edges replace the repository edges they refine, which come back when their repositories are collapsed.
+     * Pass empty arrays to collapse everything.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {Array<{id: string, parent: string, label: string, projectType?: string}>} nodes - Projects with their repository node id as parent
+     * @param {Array<{source: string, target: string, sourceRepository: string, targetRepository: string}>} edges - Edges between project
+     *        (or, for collapsed ends, repository) node ids, with the repositories they connect
+     */
+    window.setCytoscapeProjects = function (containerId, nodes, edges) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        detachProjects(cy);
+        cy.scratch('_gmProjects', { nodes: nodes || [], edges: edges || [] });
+        attachProjects(cy);
+        refreshHighlight(cy);
+    };
+
+    /**
+     * Show only edges whose referenced version differs from the referenced repository's current version, or all edges again.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {boolean} driftOnly - True to hide edges without version drift
+     */
+    window.setCytoscapeDriftOnly = function (containerId, driftOnly) {
+        var cy = getCy(containerId);
+        if (cy) applyDriftOnly(cy, driftOnly);
+    };
+
+    /**
+     * Zoom to a group of nodes and edges (e.g. a dependency cycle or one edge of it) and mark them until the next call.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {string[]} nodeIds - Node ids to include
+     * @param {Array<{source: string, target: string}>} edges - Edges to include (their endpoints are included too)
+     * @returns {boolean} False when none of the elements is in the current (filtered) graph
+     */
+    window.focusCytoscapeElements = function (containerId, nodeIds, edges) {
+        var cy = getCy(containerId);
+        if (!cy) return false;
+        var target = cy.collection();
+        (nodeIds || []).forEach(function (id) { target = target.union(cy.getElementById(String(id))); });
+        (edges || []).forEach(function (e) {
+            var edge = cy.getElementById('e:' + e.source + '->' + e.target);
+            target = target.union(edge).union(edge.connectedNodes());
+        });
+        cy.elements('.gm-cycle-focus').removeClass('gm-cycle-focus');
+        if (target.empty()) return false;
+        target.addClass('gm-cycle-focus');
+        cy.animate({ fit: { eles: target, padding: 80 }, duration: 300 });
+        return true;
+    };
+
+    /**
+     * Center the viewport on a node and mark it as focused (without changing the selection).
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {string} nodeId - Id of the node to focus
+     */
+    window.focusCytoscapeNode = function (containerId, nodeId) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        var node = cy.getElementById(String(nodeId));
+        cy.nodes('.gm-focused').removeClass('gm-focused');
+        if (node.empty()) return;
+        node.addClass('gm-focused');
+        cy.animate({ center: { eles: node } }, { duration: 250 });
+    };
+
+    /**
+     * Pin or unpin the dependency highlight. Pinning freezes whatever is highlighted now (hovered or selected nodes);
+     * while pinned, tapping a node moves the pin to it. Unpinning falls back to hover/selection.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {boolean} pinned - True to pin
+     * @returns {string[]|null} The pinned node ids, to pass back as highlightPinnedIds on the next render; null when unpinned
+     */
+    window.setCytoscapeHighlightPinned = function (containerId, pinned) {
+        var cy = getCy(containerId);
+        if (!cy) return null;
+        var state = highlightState(cy);
+        state.pinnedIds = pinned ? highlightRootIds(cy) : null;
+        state.pinned = !!pinned;
+        refreshHighlight(cy);
+        return state.pinnedIds;
+    };
+
+    /**
+     * Show the result of the path finder, or leave path finder mode (hover and selection highlight apply again).
+     * The source and target are marked as soon as they are picked; once there are paths everything off them is faded.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {{source?: string, target?: string, nodeIds?: string[], edges?: Array<{source: string, target: string}>}|null} path -
+     *        Picked ends and the union of the nodes and edges of every shortest path between them; null to leave path finder mode
+     * @param {boolean} [fit] - Zoom to the paths (when the user picked an end, not when the graph was refreshed)
+     */
+    window.setCytoscapePath = function (containerId, path, fit) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        highlightState(cy).path = path || null;
+        refreshHighlight(cy);
+        var onPath = cy.elements('.gm-path');
+        if (fit && onPath.nonempty()) cy.animate({ fit: { eles: onPath, padding: 60 }, duration: 300 });
+    };
+
+    /**
+     * Show the results of the repository search: matches stay fully visible with the matched text highlighted in their
+     * labels, everything else is faded. Pass null when the search is cleared.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {{matchIds: string[], highlights: Object<string, Array<{start: number, length: number}>>}|null} search -
+     *        Matching node ids and, per node id, the matched character ranges of its label
+     * @param {boolean} [fit] - Zoom to the matches (when the search changed, not when the graph was refreshed)
+     */
+    window.setCytoscapeSearch = function (containerId, search, fit) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        highlightState(cy).search = search || null;
+        refreshHighlight(cy);
+        var matches = searchMatches(cy);
+        if (fit && matches.nonempty()) cy.animate({ fit: { eles: matches, padding: 60 }, duration: 300 });
+    };
+
+    /**
+     * Compare the graph with a saved snapshot: added repositories and edges are green, repositories and edges that are only in
+     * the snapshot are drawn as red ghosts and everything unchanged is dimmed. Pass null to end the comparison.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {{addedNodeIds: string[], addedEdges: Array<{source: string, target: string}>,
+     *          removedNodes: Array<{id: string, label: string, name: string, nodeType: string}>,
+     *          removedEdges: Array<{source: string, target: string}>}|null} diff - Changes since the snapshot, cut to the drawn graph;
+     *        removed edges may end on removed nodes
+     */
+    window.setCytoscapeDiff = function (containerId, diff) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        detachDiffGhosts(cy);
+        highlightState(cy).diff = diff || null;
+        attachDiffGhosts(cy);
+        refreshHighlight(cy);
+    };
+
+    /**
+     * Zoom, fit or reset the view, or centre the selection (the graph toolbar's zoom buttons; the same actions have keys).
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {string} action - 'in', 'out', 'fit', 'reset' (actual size) or 'selection'
+     */
+    window.zoomCytoscapeGraph = function (containerId, action) {
+        var cy = getCy(containerId);
+        if (cy) zoomGraph(cy, action);
+    };
+
+    var ROLLOUT_WAVE_MS = 900;
+
+    /**
+     * Show a rollout simulation: the repositories a push starting at the source would touch, numbered in push order,
+     * and (when animated) the waves lighting up one after another. Pass null to end the simulation.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     * @param {{source: string, waves: Array<{level: number, repositoryIds: string[]}>}|null} rollout - Source repository id and the push waves in order
+     * @param {boolean} [animate] - Play the waves in sequence (and zoom to the rollout); otherwise every wave is shown at once
+     */
+    window.setCytoscapeRollout = function (containerId, rollout, animate) {
+        var cy = getCy(containerId);
+        if (!cy) return;
+        var state = highlightState(cy);
+        clearTimeout(state.rolloutTimer);
+        state.rolloutTimer = 0;
+        state.rollout = rollout ? { source: rollout.source, waves: rollout.waves || [], reached: animate ? 0 : Infinity } : null;
+        refreshHighlight(cy);
+        if (!rollout || !animate) return;
+
+        var inRollout = cy.nodes('.gm-rollout');
+        if (inRollout.nonempty()) cy.animate({ fit: { eles: inRollout, padding: 60 }, duration: 300 });
+        function nextWave() {
+            if (cy.destroyed() || state.rollout === null) return;
+            state.rollout.reached++;
+            refreshHighlight(cy);
+            if (state.rollout.reached < state.rollout.waves.length - 1) state.rolloutTimer = setTimeout(nextWave, ROLLOUT_WAVE_MS);
+            else state.rolloutTimer = 0;
+        }
+        if (state.rollout.waves.length > 1) state.rolloutTimer = setTimeout(nextWave, ROLLOUT_WAVE_MS);
+    };
+
+    /**
+     * Unselect every node in the graph. Fires the usual selection callback.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     */
+    window.clearCytoscapeSelection = function (containerId) {
+        var cy = getCy(containerId);
+        if (cy) cy.elements(':selected').unselect();
+    };
+
+    /**
+     * Destroy a Cytoscape instance and free resources.
+     * @param {string} containerId - Id used when calling renderCytoscapeGraph
+     */
+    window.destroyCytoscapeGraph = function (containerId) {
+        var live = getCy(containerId);
+        if (live) {
+            clearTimeout(highlightState(live).rolloutTimer);
+            cancelWorkerLayout(live);
+            var disposeMenu = live.scratch('_gmMenuDispose');
+            if (disposeMenu) disposeMenu();
+            var disposeMinimap = live.scratch('_gmMinimapDispose');
+            if (disposeMinimap) disposeMinimap();
+            var disposeKeyboard = live.scratch('_gmKeyboardDispose');
+            if (disposeKeyboard) disposeKeyboard();
+        }
+        window.removeEventListener('resize', window['__cy_resize_' + containerId]);
+        window['__cy_resize_' + containerId] = null;
+        var key = '__cy_' + containerId;
+        var cy = window[key];
+        if (cy) {
+            cy.destroy();
+            window[key] = null;
+        }
+    };
+})();
@@ -0,0 +1,39 @@
+/**
+ * Dependency graph layout off the main thread (started by cytoscape-graph.js for large graphs): runs dagre the way
+ * cytoscape-dagre does and posts back the centre of every node.
+ * Message in: {requestId, nodes: [{id, width, height}], edges: [{id, source, target}], options: {rankDir, nodeSep, rankSep, edgeSep, ranker}}
+ * Message out: {requestId, positions: {id: {x, y}}} or {requestId, positions: null, error} when the layout failed.
+ */
+importScripts('dagre.min.js');
+
+self.onmessage = function (e) {
+    var job = e.data || {};
+    try {
+        var options = job.options || {};
+        var g = new dagre.graphlib.Graph({ multigraph: true });
+        g.setGraph({
+            rankdir: options.rankDir,
+            nodesep: options.nodeSep,
+            ranksep: options.rankSep,
+            edgesep: options.edgeSep,
+            ranker: options.ranker
+        });
+        g.setDefaultEdgeLabel(function () { return {}; });
+        (job.nodes || []).forEach(function (n) {
+            g.setNode(n.id, { width: n.width, height: n.height, name: n.id });
+        });
+        (job.edges || []).forEach(function (edge) {
+            if (!g.hasNode(edge.source) || !g.hasNode(edge.target)) return;
+            g.setEdge(edge.source, edge.target, { minlen: 1, weight: 1, name: edge.id }, edge.id);
+        });
+        dagre.layout(g);
+        var positions = {};
+        g.nodes().forEach(function (id) {
+            var n = g.node(id);
+            positions[id] = { x: n.x, y: n.y };
+        });
+        self.postMessage({ requestId: job.requestId, positions: positions });
+    } catch (err) {
+        self.postMessage({ requestId: job.requestId, positions: null, error: String(err && err.message || err) });
+    }
+};
@@ -54,6 +54,13 @@ window.grayMoonVirtualScroll = (function () {
             tbody.scrollTop = 0;
             invokeScroll(tbody, state, 0, tbody.clientHeight);
         },
+        scrollTo: function (tbody, top, height) {
+            if (!tbody) {
+                return;
+            }
+            var target = top - Math.max(0, (tbody.clientHeight - (height || 0)) / 2);
+            tbody.scrollTop = Math.max(0, target);
+        },
         setTotalHeight: function (tbody, totalHeight) {
             var state = tbody ? stateByEl.get(tbody) : null;
             if (state) {
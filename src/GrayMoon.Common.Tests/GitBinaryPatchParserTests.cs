@@ -0,0 +1,47 @@
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Common.Tests;
+
+public class GitBinaryPatchParserTests
+{
+    private static string Patch(params string[] lines) => string.Join('\n', lines) + '\n';
+
+    [Fact]
+    public void Literal_hunk_decodes_to_the_file_bytes()
+    {
+        var output = Patch(
+            "diff --git a/a.png b/a.png",
+            "new file mode 100644",
+            "index 0000000000000000000000000000000000000000..92db9c8acb5c9b8dbdcfdae997319514361fc01f",
+            "GIT binary patch",
+            "literal 12",
+            "TcmeAS@N?(olHy`u`2P<86YB$~",
+            "",
+            "literal 0",
+            "HcmV?d00001",
+            "");
+
+        var bytes = GitBinaryPatchParser.ParseLiteral(output);
+
+        Assert.Equal(new byte[] { 0x89, (byte)'P', (byte)'N', (byte)'G', 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0xFF, 0xFE }, bytes);
+    }
+
+    [Fact]
+    public void Only_the_first_literal_hunk_is_read()
+    {
+        var output = Patch("GIT binary patch", "literal 6", "Ncmc~u&B@7U000O<0u=xN", "", "literal 0", "HcmV?d00001", "");
+
+        Assert.Equal("hello\0"u8.ToArray(), GitBinaryPatchParser.ParseLiteral(output));
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("diff --git a/empty.png b/empty.png\nnew file mode 100644\nindex 0000000..e69de29\n")]
+    [InlineData("GIT binary patch\nliteral 6\nNcmc~u&B@7U000O<0u=x\n")]
+    [InlineData("GIT binary patch\nliteral 7\nNcmc~u&B@7U000O<0u=xN\n")]
+    public void Missing_or_malformed_literal_is_null(string? output)
+    {
+        Assert.Null(GitBinaryPatchParser.ParseLiteral(output));
+    }
+}
@@ -0,0 +1,90 @@
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Common.Tests;
+
+public class GitBlamePorcelainParserTests
+{
+    private const string First = "c5c97ebf8da3ab691d20b80542a4571aa0e6ceb9";
+    private const string Second = "a0d5f14cfc772355da116e2153a9b450f6dae233";
+    private const string Uncommitted = "0000000000000000000000000000000000000000";
+
+    private static string Lines(params string[] lines) => string.Join('\n', lines) + '\n';
+
+    private static string[] CommitHeaders(string author, string email, long time, string tz, string summary) =>
+    [
+        $"author {author}",
+        $"author-mail <{email}>",
+        $"author-time {time}",
+        $"author-tz {tz}",
+        $"committer {author}",
+        $"committer-mail <{email}>",
+        $"committer-time {time}",
+        $"committer-tz {tz}",
+        $"summary {summary}",
+    ];
+
+    [Fact]
+    public void Empty_output_has_no_lines()
+    {
+        var blame = GitBlamePorcelainParser.Parse(null);
+
+        Assert.Empty(blame.LineCommits);
+        Assert.Empty(blame.Commits);
+    }
+
+    [Fact]
+    public void Maps_every_line_to_its_commit_and_describes_each_commit_once()
+    {
+        var output = Lines(
+        [
+            $"{First} 1 1 1",
+            .. CommitHeaders("Ann Author", "ann@example.com", 1700000000, "+0200", "first"),
+            "boundary",
+            "filename src/file.txt",
+            "\talpha",
+            $"{Second} 2 2 2",
+            .. CommitHeaders("Bob Builder", "bob@example.com", 1710000000, "-0530", "second: fix the thing"),
+            $"previous {First} src/file.txt",
+            "filename src/file.txt",
+            "\tBETA",
+            $"{Second} 3 3",
+            "\tgamma",
+            $"{First} 4 4 1",
+            "filename src/file.txt",
+            "\tdelta",
+        ]);
+
+        var blame = GitBlamePorcelainParser.Parse(output);
+
+        Assert.Equal([First, Second, Second, First], blame.LineCommits);
+        Assert.Equal(2, blame.Commits.Count);
+        var first = blame.Commits.Single(c => c.Sha == First);
+        Assert.Equal("Ann Author", first.AuthorName);
+        Assert.Equal("ann@example.com", first.AuthorEmail);
+        Assert.Equal("first", first.Summary);
+        Assert.Equal(DateTimeOffset.FromUnixTimeSeconds(1700000000), first.AuthorTime);
+        Assert.Equal(TimeSpan.FromHours(2), first.AuthorTime.Offset);
+        var second = blame.Commits.Single(c => c.Sha == Second);
+        Assert.Equal("second: fix the thing", second.Summary);
+        Assert.Equal(-new TimeSpan(5, 30, 0), second.AuthorTime.Offset);
+        Assert.False(second.IsUncommitted);
+    }
+
+    [Fact]
+    public void Lines_that_are_not_committed_yet_are_flagged()
+    {
+        var output = Lines(
+        [
+            $"{Uncommitted} 1 1 1",
+            .. CommitHeaders("Not Committed Yet", "not.committed.yet", 1710000000, "+0000", "Version of src/file.txt from standard input"),
+            $"previous {Second} src/file.txt",
+            "filename src/file.txt",
+            "\tedited",
+        ]);
+
+        var commit = Assert.Single(GitBlamePorcelainParser.Parse(output).Commits);
+
+        Assert.True(commit.IsUncommitted);
+        Assert.Equal([Uncommitted], GitBlamePorcelainParser.Parse(output).LineCommits);
+    }
+}
@@ -0,0 +1,48 @@
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Common.Tests;
+
+public class GitNameStatusParserTests
+{
+    private static string Fields(params string[] fields) => string.Join('\0', fields) + '\0';
+
+    [Fact]
+    public void Empty_output_returns_no_files()
+    {
+        Assert.Empty(GitNameStatusParser.Parse(string.Empty));
+        Assert.Empty(GitNameStatusParser.Parse(null));
+    }
+
+    [Fact]
+    public void Parses_added_modified_and_deleted_files()
+    {
+        var files = GitNameStatusParser.Parse(Fields("A", "src/new.cs", "M", "README.md", "D", "old dir/gone.txt"));
+
+        Assert.Equal(
+            [
+                new GitRefComparisonFile { Path = "src/new.cs", Change = GitChangeKind.Added },
+                new GitRefComparisonFile { Path = "README.md", Change = GitChangeKind.Modified },
+                new GitRefComparisonFile { Path = "old dir/gone.txt", Change = GitChangeKind.Deleted },
+            ],
+            files);
+    }
+
+    [Fact]
+    public void Rename_and_copy_carry_the_original_path()
+    {
+        var files = GitNameStatusParser.Parse(Fields("R097", "a/old.cs", "a/new.cs", "C100", "b.txt", "c.txt", "T", "link"));
+
+        Assert.Equal(3, files.Count);
+        Assert.Equal(new GitRefComparisonFile { Path = "a/new.cs", OriginalPath = "a/old.cs", Change = GitChangeKind.Renamed }, files[0]);
+        Assert.Equal(new GitRefComparisonFile { Path = "c.txt", OriginalPath = "b.txt", Change = GitChangeKind.Copied }, files[1]);
+        Assert.Equal(GitChangeKind.TypeChanged, files[2].Change);
+    }
+
+    [Fact]
+    public void Truncated_record_is_ignored()
+    {
+        var files = GitNameStatusParser.Parse("M\0file.txt\0R100\0only-one-path\0");
+
+        Assert.Equal("file.txt", Assert.Single(files).Path);
+    }
+}
@@ -0,0 +1,27 @@
+using GrayMoon.Common.Git;
+
+namespace GrayMoon.Common.Tests;
+
+public class ImageMimeTypeMapperTests
+{
+    [Theory]
+    [InlineData("logo.png", "image/png")]
+    [InlineData("photo.JPG", "image/jpeg")]
+    [InlineData("photo.jpeg", "image/jpeg")]
+    [InlineData("spinner.gif", "image/gif")]
+    [InlineData("wwwroot/favicon.ico", "image/x-icon")]
+    [InlineData("icons/check.svg", "image/svg+xml")]
+    public void Maps_image_extension_to_mime_type(string path, string expectedMimeType)
+    {
+        Assert.Equal(expectedMimeType, ImageMimeTypeMapper.GetMimeType(path));
+    }
+
+    [Theory]
+    [InlineData("archive.zip")]
+    [InlineData("Program.cs")]
+    [InlineData("LICENSE")]
+    public void Other_files_have_no_mime_type(string path)
+    {
+        Assert.Null(ImageMimeTypeMapper.GetMimeType(path));
+    }
+}
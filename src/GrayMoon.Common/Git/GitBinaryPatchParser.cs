@@ -0,0 +1,112 @@
+using System.IO.Compression;
+
+namespace GrayMoon.Common.Git;
+
+/// <summary>
+/// Pure parser for the <c>GIT binary patch</c> section of <c>git diff --binary</c>. For a file that does not exist on the
+/// old side the forward hunk is always <c>literal &lt;size&gt;</c>: the whole new file, zlib-deflated and base85-encoded
+/// in lines whose first character is the decoded length of that line (<c>A</c>-<c>Z</c> = 1-26, <c>a</c>-<c>z</c> = 27-52).
+/// Diffing a blob against the empty tree this way is how file bytes are read through git without a binary stdout.
+/// </summary>
+public static class GitBinaryPatchParser
+{
+    private const string Base85Alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~";
+
+    private static readonly int[] Base85Values = CreateBase85Values();
+
+    /// <summary>The bytes of the first <c>literal</c> hunk in <paramref name="output"/>, or null when there is none or it is malformed.</summary>
+    public static byte[]? ParseLiteral(string? output)
+    {
+        if (string.IsNullOrEmpty(output))
+        {
+            return null;
+        }
+
+        var lines = output.Split('\n');
+        var start = Array.FindIndex(lines, l => l.StartsWith("literal ", StringComparison.Ordinal));
+        if (start < 0 || !long.TryParse(lines[start].AsSpan("literal ".Length).TrimEnd('\r'), out var size))
+        {
+            return null;
+        }
+
+        using var deflated = new MemoryStream();
+        for (var i = start + 1; i < lines.Length; i++)
+        {
+            var line = lines[i].TrimEnd('\r');
+            if (line.Length == 0)
+            {
+                break;
+            }
+
+            if (!TryDecodeLine(line, deflated))
+            {
+                return null;
+            }
+        }
+
+        try
+        {
+            deflated.Position = 0;
+            using var zlib = new ZLibStream(deflated, CompressionMode.Decompress);
+            using var inflated = new MemoryStream();
+            zlib.CopyTo(inflated);
+            return inflated.Length == size ? inflated.ToArray() : null;
+        }
+        catch (InvalidDataException)
+        {
+            return null;
+        }
+    }
+
+    private static bool TryDecodeLine(string line, Stream destination)
+    {
+        var length = line[0] switch
+        {
+            >= 'A' and <= 'Z' => line[0] - 'A' + 1,
+            >= 'a' and <= 'z' => line[0] - 'a' + 27,
+            _ => -1,
+        };
+        var encoded = line.AsSpan(1);
+        if (length < 0 || encoded.Length % 5 != 0 || encoded.Length / 5 * 4 < length)
+        {
+            return false;
+        }
+
+        Span<byte> group = stackalloc byte[4];
+        for (var offset = 0; offset < encoded.Length && length > 0; offset += 5)
+        {
+            uint value = 0;
+            foreach (var c in encoded.Slice(offset, 5))
+            {
+                var digit = c < Base85Values.Length ? Base85Values[c] : -1;
+                if (digit < 0)
+                {
+                    return false;
+                }
+
+                value = unchecked(value * 85 + (uint)digit);
+            }
+
+            group[0] = (byte)(value >> 24);
+            group[1] = (byte)(value >> 16);
+            group[2] = (byte)(value >> 8);
+            group[3] = (byte)value;
+            var count = Math.Min(4, length);
+            destination.Write(group[..count]);
+            length -= count;
+        }
+
+        return true;
+    }
+
+    private static int[] CreateBase85Values()
+    {
+        var values = Enumerable.Repeat(-1, 128).ToArray();
+        for (var i = 0; i < Base85Alphabet.Length; i++)
+        {
+            values[Base85Alphabet[i]] = i;
+        }
+
+        return values;
+    }
+}
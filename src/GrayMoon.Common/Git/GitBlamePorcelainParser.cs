@@ -0,0 +1,122 @@
+using System.Globalization;
+
+namespace GrayMoon.Common.Git;
+
+/// <summary>
+/// Pure parser for the output of <c>git blame --porcelain</c>. Each line of the file is a header
+/// (<c>&lt;sha&gt; &lt;original line&gt; &lt;final line&gt; [&lt;lines in group&gt;]</c>), then <c>key value</c> lines
+/// describing the commit - only the first time that commit appears - and finally the line content prefixed with a tab.
+/// </summary>
+public static class GitBlamePorcelainParser
+{
+    private const string UncommittedSha = "0000000000000000000000000000000000000000";
+
+    public static GitBlame Parse(string? output)
+    {
+        var lineCommits = new List<string>();
+        var commits = new Dictionary<string, CommitFields>(StringComparer.Ordinal);
+        if (string.IsNullOrEmpty(output))
+        {
+            return new GitBlame { LineCommits = lineCommits, Commits = [] };
+        }
+
+        CommitFields? current = null;
+        var finalLine = 0;
+        foreach (var line in output.Split('\n'))
+        {
+            if (line.StartsWith('\t'))
+            {
+                // The content line closes the entry for finalLine.
+                if (current != null && finalLine > 0)
+                {
+                    while (lineCommits.Count < finalLine)
+                    {
+                        lineCommits.Add(current.Sha);
+                    }
+
+                    lineCommits[finalLine - 1] = current.Sha;
+                }
+
+                current = null;
+                continue;
+            }
+
+            if (current == null)
+            {
+                var header = line.Split(' ');
+                if (header.Length < 3 || header[0].Length < 40 || !int.TryParse(header[2], NumberStyles.None, CultureInfo.InvariantCulture, out finalLine))
+                {
+                    continue;
+                }
+
+                if (!commits.TryGetValue(header[0], out current))
+                {
+                    current = new CommitFields(header[0]);
+                    commits.Add(current.Sha, current);
+                }
+
+                continue;
+            }
+
+            var space = line.IndexOf(' ');
+            var key = space < 0 ? line : line[..space];
+            var value = space < 0 ? string.Empty : line[(space + 1)..];
+            switch (key)
+            {
+                case "author":
+                    current.AuthorName = value;
+                    break;
+                case "author-mail":
+                    current.AuthorEmail = value.Trim('<', '>');
+                    break;
+                case "author-time":
+                    current.AuthorTime = long.TryParse(value, NumberStyles.Integer, CultureInfo.InvariantCulture, out var seconds) ? seconds : 0;
+                    break;
+                case "author-tz":
+                    current.AuthorOffset = ParseOffset(value);
+                    break;
+                case "summary":
+                    current.Summary = value;
+                    break;
+            }
+        }
+
+        return new GitBlame
+        {
+            LineCommits = lineCommits,
+            Commits = commits.Values.Select(c => new GitBlameCommit
+            {
+                Sha = c.Sha,
+                AuthorName = c.AuthorName,
+                AuthorEmail = string.IsNullOrEmpty(c.AuthorEmail) ? null : c.AuthorEmail,
+                AuthorTime = DateTimeOffset.FromUnixTimeSeconds(c.AuthorTime).ToOffset(c.AuthorOffset),
+                Summary = c.Summary,
+                IsUncommitted = c.Sha == UncommittedSha,
+            }).ToList(),
+        };
+    }
+
+    // "+0200" / "-0530"; anything else is treated as UTC.
+    private static TimeSpan ParseOffset(string value)
+    {
+        if (value.Length != 5 || value[0] is not ('+' or '-')
+            || !int.TryParse(value.AsSpan(1, 2), NumberStyles.None, CultureInfo.InvariantCulture, out var hours)
+            || !int.TryParse(value.AsSpan(3, 2), NumberStyles.None, CultureInfo.InvariantCulture, out var minutes))
+        {
+            return TimeSpan.Zero;
+        }
+
+        var offset = new TimeSpan(hours, minutes, 0);
+        return value[0] == '-' ? -offset : offset;
+    }
+
+    private sealed class CommitFields(string sha)
+    {
+        public string Sha { get; } = sha;
+        public string AuthorName { get; set; } = string.Empty;
+        public string? AuthorEmail { get; set; }
+        public long AuthorTime { get; set; }
+        public TimeSpan AuthorOffset { get; set; }
+        public string Summary { get; set; } = string.Empty;
+    }
+}
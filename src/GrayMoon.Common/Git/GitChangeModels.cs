@@ -59,6 +59,18 @@ public enum GitChangeOperationScope
     EntireSection,
 }
 
+/// <summary>
+/// What applying a partial patch (one or more hunks built by the diff viewer) does: <see cref="Stage"/> applies it to
+/// the index, <see cref="Unstage"/> reverse-applies a HEAD -&gt; index patch to the index, <see cref="Discard"/>
+/// reverse-applies an index -&gt; working tree patch to the working tree.
+/// </summary>
+public enum GitPatchOperation
+{
+    Stage,
+    Unstage,
+    Discard,
+}
+
 /// <summary>Which two states a diff compares.</summary>
 public enum GitDiffComparison
 {
@@ -67,6 +79,9 @@ public enum GitDiffComparison
 
     /// <summary>Index -&gt; Working tree.</summary>
     Unstaged,
+
+    /// <summary>Base commit -&gt; head commit of a <see cref="GitRefComparison"/>.</summary>
+    Refs,
 }
 
 /// <summary>Special-case content state a diff viewer must render without attempting a normal text diff.</summary>
@@ -76,6 +91,9 @@ public enum GitDiffContentState
     NewFile,
     DeletedFile,
     Binary,
+
+    /// <summary>An image (see <see cref="ImageMimeTypeMapper"/>) small enough to be sent to the viewer as pictures rather than diffed.</summary>
+    Image,
     TooLarge,
     UnsupportedEncoding,
     Error,
@@ -94,10 +112,42 @@ public sealed record GitDiffDocument
     public long? OriginalSizeBytes { get; init; }
     public long? ModifiedSizeBytes { get; init; }
 
+    /// <summary>Git object ids of both sides for Binary, Image and a text image (the working tree is hashed with <c>git hash-object</c>); null where the file does not exist.</summary>
+    public string? OriginalBlobId { get; init; }
+    public string? ModifiedBlobId { get; init; }
+
+    /// <summary>
+    /// For <see cref="GitDiffContentState.Image"/>, and for a text image (SVG) shown as a text diff with a preview alongside:
+    /// the MIME type and the base64-encoded bytes of each side (null where the file does not exist).
+    /// </summary>
+    public string? ImageMimeType { get; init; }
+    public string? OriginalImageBase64 { get; init; }
+    public string? ModifiedImageBase64 { get; init; }
+
     public string? LanguageId { get; init; }
     public string? ErrorMessage { get; init; }
 }
 
+/// <summary>
+/// A conflicted file during a merge: its three index stages and the working-tree copy with conflict markers, which
+/// is where a resolution starts. A stage is null when the file does not exist on that side (e.g. added on both
+/// sides has no base, modify/delete has no ours or theirs).
+/// </summary>
+public sealed record GitConflictDocument
+{
+    public required string Path { get; init; }
+
+    /// <summary>Normal, Binary or TooLarge - conflicts are resolved as text only.</summary>
+    public required GitDiffContentState State { get; init; }
+
+    public string? BaseContent { get; init; }
+    public string? OursContent { get; init; }
+    public string? TheirsContent { get; init; }
+    public string? MergedContent { get; init; }
+
+    public string? LanguageId { get; init; }
+}
+
 /// <summary>Result of a stage/unstage mutation. Always carries the post-operation snapshot when successful.</summary>
 public sealed record GitMutationResult
 {
@@ -116,3 +166,55 @@ public sealed record GitCommitResult
     public string? CommitSha { get; init; }
     public GitChangeSnapshot? Snapshot { get; init; }
 }
+
+/// <summary>One file that differs between the two commits of a <see cref="GitRefComparison"/>.</summary>
+public sealed record GitRefComparisonFile
+{
+    public required string Path { get; init; }
+
+    /// <summary>Path at the base commit. Set only for renames and copies.</summary>
+    public string? OriginalPath { get; init; }
+
+    public required GitChangeKind Change { get; init; }
+}
+
+/// <summary>
+/// Files that differ between two refs of one repository. <see cref="BaseCommit"/> is the merge base of the two refs
+/// when <see cref="UsesMergeBase"/> is set (<c>base...head</c>, what a pull request shows), otherwise the base ref
+/// itself (<c>base..head</c>). Both commits are resolved SHAs, so file contents can be read later without the refs
+/// having moved in between.
+/// </summary>
+public sealed record GitRefComparison
+{
+    public required string BaseRef { get; init; }
+    public required string HeadRef { get; init; }
+    public required string BaseCommit { get; init; }
+    public required string HeadCommit { get; init; }
+    public bool UsesMergeBase { get; init; }
+    public required IReadOnlyList<GitRefComparisonFile> Files { get; init; }
+}
+
+/// <summary>
+/// Who last changed each line of a file, from <c>git blame --porcelain</c>. <see cref="LineCommits"/> holds one
+/// commit SHA per line (index 0 is line 1); each SHA is described once in <see cref="Commits"/>.
+/// </summary>
+public sealed record GitBlame
+{
+    public required IReadOnlyList<string> LineCommits { get; init; }
+    public required IReadOnlyList<GitBlameCommit> Commits { get; init; }
+}
+
+public sealed record GitBlameCommit
+{
+    public required string Sha { get; init; }
+    public required string AuthorName { get; init; }
+    public string? AuthorEmail { get; init; }
+    public required DateTimeOffset AuthorTime { get; init; }
+    public required string Summary { get; init; }
+
+    /// <summary>Full commit message. Null for <see cref="IsUncommitted"/> lines and until the Agent has read it.</summary>
+    public string? Message { get; init; }
+
+    /// <summary>The line has changes that are not committed yet (git reports an all-zero SHA).</summary>
+    public bool IsUncommitted { get; init; }
+}
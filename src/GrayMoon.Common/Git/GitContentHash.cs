@@ -0,0 +1,15 @@
+using System.Security.Cryptography;
+using System.Text;
+
+namespace GrayMoon.Common.Git;
+
+/// <summary>
+/// Fingerprint of a file's decoded text, as shown in a diff. The App sends the hash of the content it loaded with
+/// an edit, and the Agent refuses the write if the working-tree copy no longer hashes the same.
+/// </summary>
+public static class GitContentHash
+{
+    /// <summary>Lower-case hex SHA-256 of <paramref name="content"/> encoded as UTF-8.</summary>
+    public static string Compute(string content) =>
+        Convert.ToHexStringLower(SHA256.HashData(Encoding.UTF8.GetBytes(content)));
+}
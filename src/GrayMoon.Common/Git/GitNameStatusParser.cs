@@ -0,0 +1,64 @@
+namespace GrayMoon.Common.Git;
+
+/// <summary>
+/// Pure parser for the output of <c>git diff --name-status -z</c>. Every field is NUL-terminated: a status
+/// (<c>M</c>, <c>A</c>, <c>D</c>, <c>T</c>, or <c>R</c>/<c>C</c> followed by a similarity score) and then one path,
+/// or two paths (original, then new) for renames and copies. Paths are never quoted with <c>-z</c>.
+/// </summary>
+public static class GitNameStatusParser
+{
+    public static IReadOnlyList<GitRefComparisonFile> Parse(string? output)
+    {
+        var files = new List<GitRefComparisonFile>();
+        if (string.IsNullOrEmpty(output))
+        {
+            return files;
+        }
+
+        var fields = output.Split('\0');
+        var i = 0;
+        while (i < fields.Length)
+        {
+            var status = fields[i++];
+            if (status.Length == 0)
+            {
+                continue;
+            }
+
+            var change = MapStatusChar(status[0]);
+            if (change is GitChangeKind.Renamed or GitChangeKind.Copied)
+            {
+                if (i + 1 >= fields.Length || fields[i].Length == 0 || fields[i + 1].Length == 0)
+                {
+                    break;
+                }
+
+                files.Add(new GitRefComparisonFile { Path = fields[i + 1], OriginalPath = fields[i], Change = change });
+                i += 2;
+                continue;
+            }
+
+            if (i >= fields.Length || fields[i].Length == 0)
+            {
+                break;
+            }
+
+            files.Add(new GitRefComparisonFile { Path = fields[i], Change = change });
+            i++;
+        }
+
+        return files;
+    }
+
+    private static GitChangeKind MapStatusChar(char c) => c switch
+    {
+        'M' => GitChangeKind.Modified,
+        'A' => GitChangeKind.Added,
+        'D' => GitChangeKind.Deleted,
+        'R' => GitChangeKind.Renamed,
+        'C' => GitChangeKind.Copied,
+        'T' => GitChangeKind.TypeChanged,
+        'U' => GitChangeKind.Unmerged,
+        _ => GitChangeKind.Modified,
+    };
+}
@@ -0,0 +1,22 @@
+namespace GrayMoon.Common.Git;
+
+/// <summary>Maps a file extension to the MIME type of an image the diff viewer can preview instead of diffing it as bytes or text.</summary>
+public static class ImageMimeTypeMapper
+{
+    private static readonly Dictionary<string, string> ExtensionToMimeType = new(StringComparer.OrdinalIgnoreCase)
+    {
+        [".png"] = "image/png",
+        [".jpg"] = "image/jpeg",
+        [".jpeg"] = "image/jpeg",
+        [".gif"] = "image/gif",
+        [".ico"] = "image/x-icon",
+        [".svg"] = "image/svg+xml",
+    };
+
+    /// <summary>Returns the MIME type for the given path's extension, or null if it is not a previewable image.</summary>
+    public static string? GetMimeType(string path)
+    {
+        var extension = Path.GetExtension(path);
+        return !string.IsNullOrEmpty(extension) && ExtensionToMimeType.TryGetValue(extension, out var mimeType) ? mimeType : null;
+    }
+}